@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "AttendanceSyncKey" (
+    "id" TEXT NOT NULL,
+    "idempotencyKey" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "registrationId" TEXT NOT NULL,
+    "attendanceId" TEXT,
+    "status" TEXT NOT NULL,
+    "syncedBy" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AttendanceSyncKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AttendanceSyncKey_idempotencyKey_key" ON "AttendanceSyncKey"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "AttendanceSyncKey_attendanceId_idx" ON "AttendanceSyncKey"("attendanceId");
+
+-- CreateIndex
+CREATE INDEX "AttendanceSyncKey_expiresAt_idx" ON "AttendanceSyncKey"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "AttendanceSyncKey" ADD CONSTRAINT "AttendanceSyncKey_attendanceId_fkey" FOREIGN KEY ("attendanceId") REFERENCES "AttendanceRecord"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Notification" ALTER COLUMN "recipientEmail" DROP NOT NULL;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Notification" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN     "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "lockedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Notification_status_nextAttemptAt_idx" ON "Notification"("status", "nextAttemptAt");
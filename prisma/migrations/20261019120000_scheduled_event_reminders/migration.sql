@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "NotificationTrigger" ADD COLUMN     "offsetMinutes" INTEGER;
+
+-- CreateTable
+CREATE TABLE "NotificationTriggerDelivery" (
+    "id" TEXT NOT NULL,
+    "triggerId" TEXT NOT NULL,
+    "registrationId" TEXT NOT NULL,
+    "notificationId" TEXT,
+    "status" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NotificationTriggerDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NotificationTriggerDelivery_registrationId_idx" ON "NotificationTriggerDelivery"("registrationId");
+
+-- CreateIndex
+CREATE INDEX "NotificationTriggerDelivery_notificationId_idx" ON "NotificationTriggerDelivery"("notificationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationTriggerDelivery_triggerId_registrationId_key" ON "NotificationTriggerDelivery"("triggerId", "registrationId");
+
+-- AddForeignKey
+ALTER TABLE "NotificationTriggerDelivery" ADD CONSTRAINT "NotificationTriggerDelivery_triggerId_fkey" FOREIGN KEY ("triggerId") REFERENCES "NotificationTrigger"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NotificationTriggerDelivery" ADD CONSTRAINT "NotificationTriggerDelivery_registrationId_fkey" FOREIGN KEY ("registrationId") REFERENCES "Registration"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NotificationTriggerDelivery" ADD CONSTRAINT "NotificationTriggerDelivery_notificationId_fkey" FOREIGN KEY ("notificationId") REFERENCES "Notification"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "NotificationTemplate" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "triggerType" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "eventId" TEXT,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "subject" TEXT,
+    "body" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NotificationTemplate_eventId_idx" ON "NotificationTemplate"("eventId");
+
+-- CreateIndex
+CREATE INDEX "NotificationTemplate_triggerType_channel_idx" ON "NotificationTemplate"("triggerType", "channel");
+
+-- AddForeignKey
+ALTER TABLE "NotificationTemplate" ADD CONSTRAINT "NotificationTemplate_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing templateId values never referenced a real template
+UPDATE "NotificationTrigger" SET "templateId" = NULL WHERE "templateId" IS NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "NotificationTrigger" ADD CONSTRAINT "NotificationTrigger_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "NotificationTemplate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
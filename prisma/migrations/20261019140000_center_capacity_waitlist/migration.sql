@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "EventCenter" ADD COLUMN     "capacity" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Registration" ADD COLUMN     "waitlistedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Registration_centerId_status_waitlistedAt_idx" ON "Registration"("centerId", "status", "waitlistedAt");
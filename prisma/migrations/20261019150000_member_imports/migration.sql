@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "MemberImport" (
+    "id" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "dryRun" BOOLEAN NOT NULL DEFAULT true,
+    "status" TEXT NOT NULL DEFAULT 'PROCESSING',
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "validRows" INTEGER NOT NULL DEFAULT 0,
+    "createdRows" INTEGER NOT NULL DEFAULT 0,
+    "duplicateRows" INTEGER NOT NULL DEFAULT 0,
+    "errorRows" INTEGER NOT NULL DEFAULT 0,
+    "results" JSONB,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "MemberImport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MemberImport_createdBy_idx" ON "MemberImport"("createdBy");
+
+-- CreateIndex
+CREATE INDEX "MemberImport_createdAt_idx" ON "MemberImport"("createdAt");
@@ -0,0 +1,3 @@
+-- AuditLog.entityId holds ids of any entityType (e.g. MEMBER merges), not only registrations
+-- DropForeignKey
+ALTER TABLE "AuditLog" DROP CONSTRAINT "AuditLog_entityId_fkey";
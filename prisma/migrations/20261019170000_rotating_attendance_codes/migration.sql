@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "AttendanceCode" ALTER COLUMN "code" DROP NOT NULL,
+ADD COLUMN     "centerId" TEXT,
+ADD COLUMN     "secret" TEXT,
+ADD COLUMN     "windowSeconds" INTEGER NOT NULL DEFAULT 60,
+ADD COLUMN     "digits" INTEGER NOT NULL DEFAULT 6,
+ADD COLUMN     "label" TEXT,
+ADD COLUMN     "isActive" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "createdBy" TEXT;
+
+-- Retire the one-shot random codes
+UPDATE "AttendanceCode" SET "isActive" = false WHERE "secret" IS NULL;
+
+-- CreateIndex
+CREATE INDEX "AttendanceCode_eventId_isActive_idx" ON "AttendanceCode"("eventId", "isActive");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Invite" ADD COLUMN     "acceptedBy" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3),
+ADD COLUMN     "revokedBy" TEXT,
+ADD COLUMN     "lastSentAt" TIMESTAMP(3),
+ADD COLUMN     "sendCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Invite_status_expiresAt_idx" ON "Invite"("status", "expiresAt");
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "RoleAssignment" ADD COLUMN     "eventId" TEXT,
+ADD COLUMN     "expiryNoticeSentAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "RoleAssignment_eventId_idx" ON "RoleAssignment"("eventId");
+
+-- CreateIndex
+CREATE INDEX "RoleAssignment_expiresAt_idx" ON "RoleAssignment"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "RoleAssignment" ADD CONSTRAINT "RoleAssignment_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Role" ADD COLUMN     "isGlobal" BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill: global scope used to be inferred from the role name
+UPDATE "Role" SET "isGlobal" = true WHERE "name" ILIKE '%national%' OR "name" ILIKE '%super%';
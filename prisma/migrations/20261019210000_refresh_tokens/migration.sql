@@ -0,0 +1,34 @@
+-- DropIndex
+DROP INDEX "AuthSession_token_idx";
+
+-- DropIndex
+DROP INDEX "AuthSession_token_key";
+
+-- AlterTable
+ALTER TABLE "AuthSession" DROP COLUMN "token",
+ADD COLUMN     "lastUsedAt" TIMESTAMP(3),
+ADD COLUMN     "revokedReason" TEXT;
+
+-- Sessions no longer hold a bearer token; end the existing ones so everyone signs in again
+UPDATE "AuthSession" SET "revoked" = true, "revokedAt" = CURRENT_TIMESTAMP WHERE "revoked" = false;
+
+-- CreateTable
+CREATE TABLE "RefreshToken" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RefreshToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RefreshToken_tokenHash_key" ON "RefreshToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "RefreshToken_sessionId_idx" ON "RefreshToken"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "RefreshToken" ADD CONSTRAINT "RefreshToken_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "AuthSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "AuthThrottle" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "lastFailedAt" TIMESTAMP(3),
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AuthThrottle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuthThrottle_lockedUntil_idx" ON "AuthThrottle"("lockedUntil");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthThrottle_key_kind_key" ON "AuthThrottle"("key", "kind");
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "Registration" ADD COLUMN     "batchId" TEXT;
+
+-- CreateTable
+CREATE TABLE "RegistrationBatch" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "label" TEXT,
+    "registeredBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RegistrationBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RegistrationBatch_eventId_idx" ON "RegistrationBatch"("eventId");
+
+-- CreateIndex
+CREATE INDEX "RegistrationBatch_registeredBy_idx" ON "RegistrationBatch"("registeredBy");
+
+-- CreateIndex
+CREATE INDEX "Registration_batchId_idx" ON "Registration"("batchId");
+
+-- AddForeignKey
+ALTER TABLE "Registration" ADD CONSTRAINT "Registration_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "RegistrationBatch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RegistrationBatch" ADD CONSTRAINT "RegistrationBatch_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RegistrationBatch" ADD CONSTRAINT "RegistrationBatch_registeredBy_fkey" FOREIGN KEY ("registeredBy") REFERENCES "AuthUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "ParentalConsent" (
+    "id" TEXT NOT NULL,
+    "registrationId" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "memberId" TEXT NOT NULL,
+    "guardianMemberId" TEXT,
+    "guardianName" TEXT,
+    "guardianEmail" TEXT,
+    "guardianPhone" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "tokenVersion" INTEGER NOT NULL DEFAULT 1,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastReminderAt" TIMESTAMP(3),
+    "reminderCount" INTEGER NOT NULL DEFAULT 0,
+    "respondedAt" TIMESTAMP(3),
+    "respondedName" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "policyVersion" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ParentalConsent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ParentalConsent_registrationId_key" ON "ParentalConsent"("registrationId");
+
+-- CreateIndex
+CREATE INDEX "ParentalConsent_eventId_status_idx" ON "ParentalConsent"("eventId", "status");
+
+-- CreateIndex
+CREATE INDEX "ParentalConsent_memberId_idx" ON "ParentalConsent"("memberId");
+
+-- CreateIndex
+CREATE INDEX "ParentalConsent_guardianMemberId_idx" ON "ParentalConsent"("guardianMemberId");
+
+-- AddForeignKey
+ALTER TABLE "ParentalConsent" ADD CONSTRAINT "ParentalConsent_registrationId_fkey" FOREIGN KEY ("registrationId") REFERENCES "Registration"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ParentalConsent" ADD CONSTRAINT "ParentalConsent_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ParentalConsent" ADD CONSTRAINT "ParentalConsent_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ParentalConsent" ADD CONSTRAINT "ParentalConsent_guardianMemberId_fkey" FOREIGN KEY ("guardianMemberId") REFERENCES "Member"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "Badge" ADD COLUMN     "issuedBy" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3),
+ADD COLUMN     "revokedBy" TEXT,
+ADD COLUMN     "revokedReason" TEXT,
+ADD COLUMN     "verificationCode" TEXT;
+
+-- CreateTable
+CREATE TABLE "CertificateTemplate" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "title" TEXT NOT NULL DEFAULT 'Certificate of Participation',
+    "bodyText" TEXT,
+    "signatoryName" TEXT,
+    "signatoryTitle" TEXT,
+    "accentColor" TEXT NOT NULL DEFAULT '#1e40af',
+    "issueDigitalBadge" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CertificateTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CertificateTemplate_eventId_key" ON "CertificateTemplate"("eventId");
+
+-- CreateIndex
+CREATE INDEX "CertificateTemplate_createdBy_idx" ON "CertificateTemplate"("createdBy");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Badge_verificationCode_key" ON "Badge"("verificationCode");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Badge_eventId_memberId_badgeType_key" ON "Badge"("eventId", "memberId", "badgeType");
+
+-- AddForeignKey
+ALTER TABLE "CertificateTemplate" ADD CONSTRAINT "CertificateTemplate_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CertificateTemplate" ADD CONSTRAINT "CertificateTemplate_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "AuthUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Event" ADD COLUMN     "seriesKey" TEXT;
+
+-- AlterTable
+ALTER TABLE "AnalyticsSnapshot" ADD COLUMN     "cancelledRegistrations" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "newAttendance" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "newRegistrations" INTEGER NOT NULL DEFAULT 0;
+
+-- Snapshots were never written, but drop any rows for deleted events before adding the foreign key
+DELETE FROM "AnalyticsSnapshot" WHERE "eventId" NOT IN (SELECT "id" FROM "Event");
+
+-- CreateIndex
+CREATE INDEX "Event_seriesKey_idx" ON "Event"("seriesKey");
+
+-- AddForeignKey
+ALTER TABLE "AnalyticsSnapshot" ADD CONSTRAINT "AnalyticsSnapshot_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "SystemConfig" ADD COLUMN     "updatedBy" TEXT;
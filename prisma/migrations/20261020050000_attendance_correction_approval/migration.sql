@@ -0,0 +1,51 @@
+-- DropForeignKey
+ALTER TABLE "AttendanceCorrection" DROP CONSTRAINT "AttendanceCorrection_attendanceId_fkey";
+
+-- AlterTable
+ALTER TABLE "AttendanceCorrection" ADD COLUMN     "centerId" TEXT,
+ADD COLUMN     "effectiveAt" TIMESTAMP(3),
+ADD COLUMN     "eventId" TEXT,
+ADD COLUMN     "registrationId" TEXT,
+ADD COLUMN     "reviewNote" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedBy" TEXT,
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'PENDING',
+ALTER COLUMN "attendanceId" DROP NOT NULL;
+
+-- Corrections made before approvals existed were applied on the spot; nobody reviewed them
+UPDATE "AttendanceCorrection" AS c
+SET "registrationId" = a."registrationId",
+    "eventId" = a."eventId",
+    "centerId" = a."centerId",
+    "status" = 'APPROVED',
+    "reviewedAt" = c."correctedAt",
+    "reviewNote" = 'Applied directly before correction approvals were required'
+FROM "AttendanceRecord" AS a
+WHERE a."id" = c."attendanceId";
+
+ALTER TABLE "AttendanceCorrection" ALTER COLUMN "eventId" SET NOT NULL,
+ALTER COLUMN "registrationId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "AttendanceCorrection_registrationId_idx" ON "AttendanceCorrection"("registrationId");
+
+-- CreateIndex
+CREATE INDEX "AttendanceCorrection_eventId_status_idx" ON "AttendanceCorrection"("eventId", "status");
+
+-- CreateIndex
+CREATE INDEX "AttendanceCorrection_centerId_status_idx" ON "AttendanceCorrection"("centerId", "status");
+
+-- AddForeignKey
+ALTER TABLE "AttendanceCorrection" ADD CONSTRAINT "AttendanceCorrection_attendanceId_fkey" FOREIGN KEY ("attendanceId") REFERENCES "AttendanceRecord"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AttendanceCorrection" ADD CONSTRAINT "AttendanceCorrection_registrationId_fkey" FOREIGN KEY ("registrationId") REFERENCES "Registration"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AttendanceCorrection" ADD CONSTRAINT "AttendanceCorrection_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AttendanceCorrection" ADD CONSTRAINT "AttendanceCorrection_centerId_fkey" FOREIGN KEY ("centerId") REFERENCES "EventCenter"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AttendanceCorrection" ADD CONSTRAINT "AttendanceCorrection_reviewedBy_fkey" FOREIGN KEY ("reviewedBy") REFERENCES "AuthUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "EventGroup" ADD COLUMN     "capacity" INTEGER;
+
+-- AlterTable
+ALTER TABLE "EventSetting" ADD COLUMN     "groupBalanceBy" TEXT[] DEFAULT ARRAY['GENDER', 'AGE', 'BRANCH']::TEXT[];
+
+-- Older methods both meant "fill the emptiest group"
+UPDATE "EventSetting" SET "groupAssignmentMethod" = 'LEAST_FULL' WHERE "groupAssignmentMethod" IN ('AUTOMATIC', 'OPTIONAL');
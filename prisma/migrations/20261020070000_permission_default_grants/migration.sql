@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Permission" ADD COLUMN     "defaultsGrantedAt" TIMESTAMP(3);
+
+-- Every permission already in the catalogue reached the predefined roles when they were
+-- first seeded, except badges:manage, which was added after that and never did. Leaving it
+-- unmarked makes the next sync grant it to the roles that default to it.
+UPDATE "Permission" SET "defaultsGrantedAt" = CURRENT_TIMESTAMP WHERE "name" <> 'badges:manage';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Member" ADD COLUMN     "preferredLanguage" TEXT;
+
+-- AlterTable
+ALTER TABLE "Event" ADD COLUMN     "language" TEXT;
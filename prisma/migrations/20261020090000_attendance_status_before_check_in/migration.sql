@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AttendanceRecord" ADD COLUMN     "statusBeforeCheckIn" TEXT;
@@ -0,0 +1,5 @@
+-- Background jobs record 'SYSTEM' as the actor of the rows they write (audit logs,
+-- automatic group assignments). It cannot sign in: it has no email, phone or password.
+INSERT INTO "AuthUser" ("id", "passwordHash", "isActive", "createdAt", "updatedAt")
+VALUES ('SYSTEM', '!', false, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+ON CONFLICT ("id") DO NOTHING;
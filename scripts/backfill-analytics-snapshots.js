@@ -0,0 +1,59 @@
+/**
+ * Rebuild daily AnalyticsSnapshot rows for past (and running) events.
+ *
+ * The scheduled job only refreshes today and yesterday, so events that ran before it
+ * existed - or while the server was down - have gaps until this has run. Every day is
+ * recomputed from registration and check-in timestamps, so re-running is safe.
+ *
+ * Usage:
+ *   node scripts/backfill-analytics-snapshots.js                 # every event whose registration has opened
+ *   node scripts/backfill-analytics-snapshots.js --event <id>    # a single event
+ *   node scripts/backfill-analytics-snapshots.js --series <key>  # every edition of a recurring event
+ */
+import { getPrismaClient } from '../src/lib/prisma.js';
+import { backfillEventSnapshots } from '../src/modules/reports/snapshot-service.js';
+
+const prisma = getPrismaClient();
+
+const argValue = (flag) => {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+async function backfillAnalyticsSnapshots() {
+    const eventId = argValue('--event');
+    const seriesKey = argValue('--series');
+
+    try {
+        const where = { registrationStart: { lte: new Date() } };
+        if (eventId) where.id = eventId;
+        if (seriesKey) where.seriesKey = seriesKey;
+
+        const events = await prisma.event.findMany({
+            where,
+            select: { id: true, title: true },
+            orderBy: { startDate: 'asc' }
+        });
+
+        if (events.length === 0) {
+            console.log('No matching events with registration open yet.');
+            return;
+        }
+
+        let totalDays = 0;
+        for (const event of events) {
+            const { days } = await backfillEventSnapshots(event.id);
+            totalDays += days;
+            console.log(`📈 ${event.title}: ${days} day(s)`);
+        }
+
+        console.log(`✅ Wrote ${totalDays} snapshot(s) for ${events.length} event(s)`);
+    } catch (error) {
+        console.error('💥 Backfill failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+backfillAnalyticsSnapshots();
@@ -0,0 +1,189 @@
+/**
+ * Link members to a Unit (Member.branchId) from their free-text state/zone/branch fields.
+ *
+ * Admin visibility follows branchId through the unit hierarchy, so members that were never
+ * linked are hidden from state/zone/branch admins until this has run. Names are compared
+ * exactly after normalising case, punctuation and the words "State"/"Zone"/"Branch", so
+ * "Lagos" never matches "Lagos Island". Each member is linked to the most specific unit that
+ * resolves unambiguously; anything short of a branch is written to the review report.
+ *
+ * Usage:
+ *   node scripts/backfill-member-branches.js            # dry run, writes the report only
+ *   node scripts/backfill-member-branches.js --apply    # also sets Member.branchId
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Parser } from 'json2csv';
+import { getPrismaClient } from '../src/lib/prisma.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const prisma = getPrismaClient();
+
+const APPLY = process.argv.includes('--apply');
+const BATCH_SIZE = 500;
+
+const normalise = (value) => (value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\b(state|zone|branch|area)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+async function loadUnitIndex() {
+    const units = await prisma.unit.findMany({
+        select: { id: true, name: true, parentId: true, unitType: { select: { name: true } } }
+    });
+
+    const byId = new Map(units.map(unit => [unit.id, unit]));
+    const byType = { State: new Map(), Zone: new Map(), Branch: new Map() };
+
+    for (const unit of units) {
+        const index = byType[unit.unitType?.name];
+        if (!index) continue;
+
+        const key = normalise(unit.name);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(unit);
+    }
+
+    // Nearest ancestor of the given type (or null)
+    const ancestorOfType = (unit, typeName) => {
+        let current = unit.parentId ? byId.get(unit.parentId) : null;
+        while (current) {
+            if (current.unitType?.name === typeName) return current;
+            current = current.parentId ? byId.get(current.parentId) : null;
+        }
+        return null;
+    };
+
+    return { byType, ancestorOfType };
+}
+
+/**
+ * Match one level, narrowed to candidates under an already-matched parent level
+ */
+const matchLevel = (index, text, typeName, parents = [], parentType = null) => {
+    if (!text) return { candidates: [], given: false };
+
+    let candidates = index.byType[typeName].get(normalise(text)) || [];
+    if (parents.length > 0) {
+        const parentIds = new Set(parents.map(parent => parent.id));
+        candidates = candidates.filter(unit => parentIds.has(index.ancestorOfType(unit, parentType)?.id));
+    }
+
+    return { candidates, given: true };
+};
+
+const resolveMember = (member, index) => {
+    const state = matchLevel(index, member.state, 'State');
+    const zone = matchLevel(index, member.zone, 'Zone', state.candidates, 'State');
+    const branchParents = zone.candidates.length > 0 ? zone.candidates : state.candidates;
+    const branchParentType = zone.candidates.length > 0 ? 'Zone' : 'State';
+    const branch = matchLevel(index, member.branch, 'Branch', branchParents, branchParentType);
+
+    const notes = [];
+    for (const [label, level] of [['state', state], ['zone', zone], ['branch', branch]]) {
+        if (!level.given) continue;
+        if (level.candidates.length === 0) notes.push(`No ${label} unit named "${member[label]}"`);
+        if (level.candidates.length > 1) notes.push(`${level.candidates.length} ${label} units named "${member[label]}"`);
+    }
+
+    // Most specific unambiguous match wins
+    for (const [typeName, level] of [['Branch', branch], ['Zone', zone], ['State', state]]) {
+        if (level.candidates.length === 1) {
+            return {
+                status: typeName === 'Branch' ? 'RESOLVED' : 'PARTIAL',
+                unit: level.candidates[0],
+                level: typeName,
+                note: notes.join('; ')
+            };
+        }
+    }
+
+    return {
+        status: notes.some(note => /units named/.test(note)) ? 'AMBIGUOUS' : 'UNRESOLVED',
+        unit: null,
+        level: null,
+        note: notes.join('; ') || 'No state, zone or branch recorded'
+    };
+};
+
+async function backfillMemberBranches() {
+    console.log(`🔧 Backfilling member branch links (${APPLY ? 'APPLY' : 'dry run'})...`);
+
+    const index = await loadUnitIndex();
+    const totals = { RESOLVED: 0, PARTIAL: 0, AMBIGUOUS: 0, UNRESOLVED: 0 };
+    const reviewRows = [];
+    let lastId;
+
+    try {
+        while (true) {
+            const members = await prisma.member.findMany({
+                // Keyset paging: applied rows drop out of the branchId filter as we go
+                where: { branchId: null, ...(lastId && { id: { gt: lastId } }) },
+                select: { id: true, fcsCode: true, firstName: true, lastName: true, state: true, zone: true, branch: true },
+                orderBy: { id: 'asc' },
+                take: BATCH_SIZE
+            });
+            if (members.length === 0) break;
+            lastId = members[members.length - 1].id;
+
+            for (const member of members) {
+                const result = resolveMember(member, index);
+                totals[result.status]++;
+
+                if (APPLY && result.unit) {
+                    await prisma.member.update({
+                        where: { id: member.id },
+                        data: { branchId: result.unit.id }
+                    });
+                }
+
+                if (result.status !== 'RESOLVED') {
+                    reviewRows.push({
+                        memberId: member.id,
+                        fcsCode: member.fcsCode,
+                        name: `${member.firstName} ${member.lastName}`,
+                        state: member.state || '',
+                        zone: member.zone || '',
+                        branch: member.branch || '',
+                        status: result.status,
+                        linkedUnitId: result.unit?.id || '',
+                        linkedUnit: result.unit?.name || '',
+                        linkedLevel: result.level || '',
+                        note: result.note
+                    });
+                }
+            }
+        }
+
+        const reportDir = path.join(__dirname, '../reports');
+        if (!fs.existsSync(reportDir)) {
+            fs.mkdirSync(reportDir, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const reportPath = path.join(reportDir, `member-branch-backfill-${timestamp}.csv`);
+        const fields = ['memberId', 'fcsCode', 'name', 'state', 'zone', 'branch', 'status', 'linkedUnitId', 'linkedUnit', 'linkedLevel', 'note'];
+        fs.writeFileSync(reportPath, new Parser({ fields }).parse(reviewRows));
+
+        console.log(`✅ Resolved to a branch: ${totals.RESOLVED}`);
+        console.log(`⚠️  Resolved above branch level only: ${totals.PARTIAL}`);
+        console.log(`❓ Ambiguous: ${totals.AMBIGUOUS}`);
+        console.log(`❌ Unresolved: ${totals.UNRESOLVED}`);
+        console.log(`📂 Review report: ${reportPath}`);
+        if (!APPLY) {
+            console.log('Dry run only. Re-run with --apply to write branchId.');
+        }
+    } catch (error) {
+        console.error('💥 Backfill failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+backfillMemberBranches();
@@ -16,10 +16,14 @@ async function backup() {
     const models = [
         'authUser',
         'authSession',
+        'refreshToken',
+        'authThrottle',
+        'twoFactorBackupCode',
         'oTPToken',
         'passwordReset',
         'member',
         'guardian',
+        'memberImport',
         'unitType',
         'unit',
         'role',
@@ -29,16 +33,22 @@ async function backup() {
         'eventSetting',
         'eventCenter',
         'centerAdmin',
+        'registrationBatch',
         'registration',
+        'parentalConsent',
         'registrationParticipation',
         'eventGroup',
         'groupAssignment',
         'attendanceRecord',
         'attendanceCorrection',
+        'attendanceSyncKey',
         'attendanceCode',
+        'certificateTemplate',
         'badge',
         'notification',
         'notificationTrigger',
+        'notificationTemplate',
+        'notificationTriggerDelivery',
         'reportingView',
         'analyticsSnapshot',
         'auditLog',
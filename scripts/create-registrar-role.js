@@ -1,27 +1,31 @@
-import { PrismaClient } from '@prisma/client';
+import { getPrismaClient } from '../src/lib/prisma.js';
+import { syncPermissions } from '../src/modules/roles/service.js';
+import { DEFAULT_ROLE_PERMISSIONS } from '../src/lib/permissions.js';
 
-const prisma = new PrismaClient();
+const prisma = getPrismaClient();
 
 async function createRegistrarRole() {
     try {
         console.log('Creating Registrar role...');
 
-        const role = await prisma.role.create({
-            data: {
+        // Make sure the permission rows exist before granting them
+        await syncPermissions();
+
+        const permissions = DEFAULT_ROLE_PERMISSIONS.Registrar.map((name) => ({ name }));
+        const role = await prisma.role.upsert({
+            where: { name: 'Registrar' },
+            update: { permissions: { set: permissions } },
+            create: {
                 name: 'Registrar',
                 description: 'Authorized to register members and confirm attendance',
-                permissions: ['create_members', 'edit_members', 'view_members', 'check_in_members', 'check_out_members', 'verify_attendance', 'view_events'],
-                isActive: true,
+                permissions: { connect: permissions },
             },
+            include: { permissions: { select: { name: true } } },
         });
 
-        console.log('✅ Registrar role created successfully:', role);
+        console.log('✅ Registrar role ready with permissions:', role.permissions.map((p) => p.name).join(', '));
     } catch (error) {
-        if (error.code === 'P2002') {
-            console.log('ℹ️  Registrar role already exists');
-        } else {
-            console.error('❌ Error creating Registrar role:', error);
-        }
+        console.error('❌ Error creating Registrar role:', error);
     } finally {
         await prisma.$disconnect();
     }
@@ -1,12 +1,21 @@
 -- Create Registrar role
-INSERT INTO "Role" (id, name, description, permissions, "isActive", "createdAt", "updatedAt")
+INSERT INTO "Role" (id, name, description, "isSystem", "createdAt")
 VALUES (
   gen_random_uuid(),
   'Registrar',
   'Authorized to register members and confirm attendance',
-  '["create_members", "edit_members", "view_members", "check_in_members", "check_out_members", "verify_attendance", "view_events"]'::jsonb,
-  true,
-  NOW(),
+  false,
   NOW()
 )
 ON CONFLICT (name) DO NOTHING;
+
+-- Grant its permissions (Permission rows are created by the API on startup)
+INSERT INTO "_PermissionToRole" ("A", "B")
+SELECT p.id, r.id
+FROM "Permission" p, "Role" r
+WHERE r.name = 'Registrar'
+  AND p.name IN (
+    'members:read', 'members:create', 'members:update', 'registrations:read',
+    'attendance:check_in', 'attendance:verify', 'attendance:read', 'users:read'
+  )
+ON CONFLICT DO NOTHING;
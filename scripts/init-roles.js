@@ -3,7 +3,7 @@ import { getPrismaClient } from '../src/lib/prisma.js';
 const prisma = getPrismaClient();
 
 const roleDefinitions = [
-    { name: 'National Admin', description: 'National level administrator', permissions: ['all'] },
+    { name: 'National Admin', description: 'National level administrator', isGlobal: true, permissions: ['all'] },
     { name: 'Regional Admin', description: 'Regional level administrator', permissions: ['region_all'] },
     { name: 'State Admin', description: 'State level administrator', permissions: ['state_all'] },
     { name: 'Zone Admin', description: 'Zonal level administrator', permissions: ['zone_all'] },
@@ -30,6 +30,7 @@ async function initRoles() {
                     data: {
                         name: def.name,
                         description: def.description,
+                        isGlobal: def.isGlobal || false,
                     }
                 });
                 console.log(`✓ Created role "${def.name}"`);
@@ -15,16 +15,16 @@ async function main() {
     // Seeding in a logical order to satisfy foreign key constraints:
     const seedOrder = [
         'AuthUser',
-        'AuthSession', 'OTPToken', 'PasswordReset',
+        'AuthSession', 'RefreshToken', 'AuthThrottle', 'TwoFactorBackupCode', 'OTPToken', 'PasswordReset',
         'UnitType', 'Role', 'Permission',
         'Unit',
         'Member',
         'Guardian', 'RoleAssignment', 'Invite', 'SystemConfig',
         'Event',
         'EventSetting', 'EventCenter', 'EventGroup',
-        'CenterAdmin', 'Registration',
-        'RegistrationParticipation', 'GroupAssignment',
-        'AttendanceRecord', 'AttendanceCode', 'Badge',
+        'CenterAdmin', 'RegistrationBatch', 'Registration',
+        'ParentalConsent', 'RegistrationParticipation', 'GroupAssignment',
+        'AttendanceRecord', 'AttendanceCode', 'CertificateTemplate', 'Badge',
         'Notification', 'NotificationTrigger',
         'ReportingView', 'AnalyticsSnapshot', 'AuditLog',
         'AttendanceCorrection'
@@ -20,6 +20,20 @@ import { requestTimeout, socketTimeout } from './middleware/timeout-handler.js';
 import { initializeDatabase } from './lib/db-connection.js';
 import { verifySmtp } from './lib/mail.js';
 
+// Import scheduled jobs
+import { scheduleJob, stopAllJobs } from './lib/scheduler.js';
+import { purgeExpiredSyncKeys } from './modules/attendance/service.js';
+import { processNotificationQueue } from './modules/notifications/queue.js';
+import { processScheduledReminders } from './modules/notifications/service.js';
+import { expireInvites } from './modules/invites/service.js';
+import { syncPermissions } from './modules/roles/service.js';
+import { sweepExpiredRoleAssignments, sendRoleExpiryNotices } from './modules/roles/delegation-service.js';
+import { purgeEndedSessions } from './modules/auth/session-service.js';
+import { purgeTwoFactorChallenges } from './modules/auth/two-factor-service.js';
+import { sendConsentReminders } from './modules/consents/service.js';
+import { issuePendingBadges } from './modules/badges/service.js';
+import { writeDailySnapshots } from './modules/reports/snapshot-service.js';
+
 // Import routes
 import authRoutes from './modules/auth/routes.js';
 import memberRoutes from './modules/members/routes.js';
@@ -36,6 +50,9 @@ import roleRoutes from './modules/roles/routes.js';
 import notificationRoutes from './modules/notifications/routes.js';
 import userRoutes from './modules/users/routes.js';
 import inviteRoutes from './modules/invites/routes.js';
+import consentRoutes from './modules/consents/routes.js';
+import badgeRoutes from './modules/badges/routes.js';
+import systemConfigRoutes from './modules/system-config/routes.js';
 
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -104,6 +121,9 @@ apiRouter.use('/roles', roleRoutes);
 apiRouter.use('/notifications', notificationRoutes);
 apiRouter.use('/users', userRoutes);
 apiRouter.use('/invites', inviteRoutes);
+apiRouter.use('/consents', consentRoutes);
+apiRouter.use('/badges', badgeRoutes);
+apiRouter.use('/system-config', systemConfigRoutes);
 
 app.use('/api', apiRouter);
 
@@ -128,6 +148,13 @@ async function startServer() {
     logger.info('🔄 Initializing database connection...');
     await initializeDatabase();
 
+    // Keep the permission catalogue in step with the code
+    try {
+      await syncPermissions();
+    } catch (permissionError) {
+      logger.warn('⚠️  Permission sync failed (server will continue):', permissionError.message);
+    }
+
     // Verify SMTP configuration (non-blocking - warn but continue)
     try {
       await verifySmtp();
@@ -136,6 +163,23 @@ async function startServer() {
       logger.warn('⚠️  SMTP verification warning (server will continue):', smtpError.message);
     }
 
+    // Background jobs
+    scheduleJob('attendance-sync-key-purge', 60 * 60 * 1000, purgeExpiredSyncKeys);
+    scheduleJob(
+      'notification-worker',
+      parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_MS || '5000'),
+      processNotificationQueue,
+      { runOnStart: true }
+    );
+    scheduleJob('event-reminders', 60 * 1000, processScheduledReminders);
+    scheduleJob('invite-expiry', 60 * 60 * 1000, expireInvites, { runOnStart: true });
+    scheduleJob('role-expiry-notices', 60 * 60 * 1000, sendRoleExpiryNotices);
+    scheduleJob('role-assignment-sweep', 24 * 60 * 60 * 1000, sweepExpiredRoleAssignments, { runOnStart: true });
+    scheduleJob('session-purge', 24 * 60 * 60 * 1000, purgeEndedSessions);
+    scheduleJob('two-factor-challenge-purge', 60 * 60 * 1000, purgeTwoFactorChallenges);
+    scheduleJob('consent-reminders', 60 * 60 * 1000, sendConsentReminders);
+    scheduleJob('certificate-issuance', 60 * 60 * 1000, issuePendingBadges);
+    scheduleJob('analytics-snapshots', 60 * 60 * 1000, writeDailySnapshots, { runOnStart: true });
 
     // Start server after successful database connection
     server = app.listen(PORT, () => {
@@ -158,6 +202,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  stopAllJobs();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -166,6 +211,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully...');
+  stopAllJobs();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,140 @@
+import logger from '../logger.js';
+import { AppError } from '../../middleware/error-handler.js';
+import { normalizePhoneNumber } from '../helpers.js';
+import { createEmailProvider } from './providers/email.js';
+import { createTermiiProvider } from './providers/termii.js';
+import { createTwilioProvider } from './providers/twilio.js';
+import { createWhatsAppProvider } from './providers/whatsapp.js';
+import { createFakeProvider } from './providers/fake.js';
+
+export { getFakeOutbox, clearFakeOutbox } from './providers/fake.js';
+
+export const CHANNELS = ['EMAIL', 'SMS', 'WHATSAPP'];
+
+const providerFactories = {
+  EMAIL: { 'fcs-mail': createEmailProvider },
+  SMS: { termii: createTermiiProvider, twilio: createTwilioProvider },
+  WHATSAPP: { 'whatsapp-cloud': createWhatsAppProvider },
+};
+
+const defaultProviders = {
+  EMAIL: 'fcs-mail',
+  SMS: 'termii',
+  WHATSAPP: 'whatsapp-cloud',
+};
+
+const providers = new Map();
+
+/**
+ * Delivery failure on a single channel
+ */
+export class ChannelDeliveryError extends AppError {
+  constructor(message, failures = []) {
+    super(message, 502, 'CHANNEL_DELIVERY_FAILED');
+    this.failures = failures;
+    Object.setPrototypeOf(this, ChannelDeliveryError.prototype);
+  }
+}
+
+/**
+ * Resolve the configured provider for a channel
+ * EMAIL_PROVIDER / SMS_PROVIDER / WHATSAPP_PROVIDER select the implementation;
+ * "fake" records messages locally instead of sending them.
+ */
+export const getProvider = (channel) => {
+  if (providers.has(channel)) {
+    return providers.get(channel);
+  }
+
+  if (!providerFactories[channel]) {
+    throw new ChannelDeliveryError(`Unsupported delivery channel: ${channel}`);
+  }
+
+  const configured = process.env.NODE_ENV === 'test'
+    ? 'fake'
+    : process.env[`${channel}_PROVIDER`] || defaultProviders[channel];
+
+  const factory = configured === 'fake'
+    ? () => createFakeProvider(channel)
+    : providerFactories[channel][configured];
+
+  if (!factory) {
+    throw new ChannelDeliveryError(`Unknown ${channel} provider: ${configured}`);
+  }
+
+  const provider = factory();
+  providers.set(channel, provider);
+  return provider;
+};
+
+/**
+ * Replace a channel provider (tests and local tooling)
+ */
+export const setProvider = (channel, provider) => {
+  providers.set(channel, provider);
+};
+
+/**
+ * Work out which channels can reach a recipient, in the order to try them.
+ * The member's preferred channel goes first, then the requested one, then
+ * SMS and email as fallbacks.
+ */
+export const resolveDeliveryChannels = ({ requested, preferred, email, phone, whatsapp }) => {
+  const addresses = {
+    EMAIL: email || null,
+    SMS: phone ? normalizePhoneNumber(phone) : null,
+    WHATSAPP: whatsapp || phone ? normalizePhoneNumber(whatsapp || phone) : null,
+  };
+
+  const order = [...new Set([preferred, requested, 'SMS', 'EMAIL'].filter(Boolean))];
+
+  return order
+    .filter((channel) => CHANNELS.includes(channel) && addresses[channel])
+    .map((channel) => ({ channel, to: addresses[channel] }));
+};
+
+/**
+ * Send a message through a single channel
+ */
+export const sendThroughChannel = async (channel, { to, subject, message, html }) => {
+  const provider = getProvider(channel);
+
+  try {
+    const result = await provider.send({ to, subject, message, html });
+    return { channel, to, provider: provider.name, ...result };
+  } catch (error) {
+    const reason = error.response?.data
+      ? JSON.stringify(error.response.data)
+      : error.message;
+    throw new ChannelDeliveryError(`${channel} via ${provider.name} failed: ${reason}`, [
+      { channel, provider: provider.name, error: reason },
+    ]);
+  }
+};
+
+/**
+ * Try each candidate channel in turn until one delivers.
+ * contentByChannel replaces the content for channels that have their own rendering.
+ */
+export const deliverWithFallback = async (candidates, content, contentByChannel = {}) => {
+  if (!candidates.length) {
+    throw new ChannelDeliveryError('Recipient has no reachable contact channel');
+  }
+
+  const failures = [];
+
+  for (const { channel, to } of candidates) {
+    try {
+      const delivered = await sendThroughChannel(channel, { ...content, ...contentByChannel[channel], to });
+      return { delivered, failures };
+    } catch (error) {
+      logger.warn({ channel, to, err: error.message }, 'Channel delivery failed, trying next');
+      failures.push(...(error.failures?.length ? error.failures : [{ channel, error: error.message }]));
+    }
+  }
+
+  throw new ChannelDeliveryError(
+    failures.map((f) => `${f.channel}: ${f.error}`).join('; '),
+    failures
+  );
+};
@@ -0,0 +1,24 @@
+import { sendMail } from '../../mail.js';
+
+/**
+ * Email provider - FCS Mail Service
+ */
+export const createEmailProvider = () => ({
+  name: 'fcs-mail',
+  send: async ({ to, subject, message, html }) => {
+    const result = await sendMail({
+      to,
+      subject,
+      text: message,
+      html: html || message.replace(/\n/g, '<br/>'),
+    });
+
+    // sendMail reports failures instead of throwing
+    if (!result?.success) {
+      const reason = typeof result?.error === 'string' ? result.error : JSON.stringify(result?.error);
+      throw new Error(reason || 'Mail service rejected the message');
+    }
+
+    return { providerMessageId: result.data?.messageId || null };
+  },
+});
@@ -0,0 +1,46 @@
+import logger from '../../logger.js';
+
+// Messages captured by fake providers (local development and tests)
+const outbox = [];
+
+/**
+ * Fake provider - records messages instead of sending them.
+ * Set FAKE_CHANNEL_FAILURES=SMS,WHATSAPP to simulate provider outages.
+ */
+export const createFakeProvider = (channel) => ({
+  name: 'fake',
+  send: async ({ to, subject, message }) => {
+    const failing = (process.env.FAKE_CHANNEL_FAILURES || '')
+      .split(',')
+      .map((c) => c.trim().toUpperCase());
+
+    if (failing.includes(channel)) {
+      throw new Error(`Simulated ${channel} failure`);
+    }
+
+    const entry = {
+      id: `fake-${channel.toLowerCase()}-${outbox.length + 1}`,
+      channel,
+      to,
+      subject,
+      message,
+      sentAt: new Date(),
+    };
+    outbox.push(entry);
+
+    logger.info({ channel, to }, '[FakeProvider] Message captured');
+    return { providerMessageId: entry.id };
+  },
+});
+
+/**
+ * Get captured messages
+ */
+export const getFakeOutbox = () => [...outbox];
+
+/**
+ * Clear captured messages
+ */
+export const clearFakeOutbox = () => {
+  outbox.length = 0;
+};
@@ -0,0 +1,32 @@
+import axios from 'axios';
+
+/**
+ * Termii SMS provider
+ * https://developers.termii.com/messaging-api
+ */
+export const createTermiiProvider = () => ({
+  name: 'termii',
+  send: async ({ to, message }) => {
+    const apiKey = process.env.SMS_API_KEY;
+    if (!apiKey) {
+      throw new Error('SMS_API_KEY is not configured');
+    }
+
+    const baseUrl = process.env.TERMII_BASE_URL || 'https://api.ng.termii.com';
+    const response = await axios.post(
+      `${baseUrl}/api/sms/send`,
+      {
+        api_key: apiKey,
+        to: to.replace(/^\+/, ''),
+        from: process.env.SMS_SENDER_ID || 'FCS',
+        sms: message,
+        type: 'plain',
+        // "dnd" reaches numbers on the Do-Not-Disturb list (required for OTPs)
+        channel: process.env.TERMII_CHANNEL || 'dnd',
+      },
+      { timeout: 15000 }
+    );
+
+    return { providerMessageId: response.data?.message_id || null };
+  },
+});
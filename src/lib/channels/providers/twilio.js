@@ -0,0 +1,34 @@
+import axios from 'axios';
+
+/**
+ * Twilio SMS provider
+ * https://www.twilio.com/docs/messaging/api/message-resource
+ */
+export const createTwilioProvider = () => ({
+  name: 'twilio',
+  send: async ({ to, message }) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!accountSid || !authToken) {
+      throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be configured');
+    }
+
+    const body = new URLSearchParams({
+      To: to,
+      From: process.env.TWILIO_FROM_NUMBER || process.env.SMS_SENDER_ID || 'FCS',
+      Body: message,
+    });
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      body.toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000,
+      }
+    );
+
+    return { providerMessageId: response.data?.sid || null };
+  },
+});
@@ -0,0 +1,52 @@
+import axios from 'axios';
+
+/**
+ * WhatsApp Business (Cloud API) provider
+ * https://developers.facebook.com/docs/whatsapp/cloud-api/reference/messages
+ *
+ * Free-form text is only delivered inside the 24h customer service window.
+ * Set WHATSAPP_TEMPLATE_NAME to an approved template with a single body
+ * parameter to reach members outside that window.
+ */
+export const createWhatsAppProvider = () => ({
+  name: 'whatsapp-cloud',
+  send: async ({ to, message }) => {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    if (!phoneNumberId || !accessToken) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN must be configured');
+    }
+
+    const apiVersion = process.env.WHATSAPP_API_VERSION || 'v19.0';
+    const templateName = process.env.WHATSAPP_TEMPLATE_NAME;
+
+    const payload = templateName
+      ? {
+          messaging_product: 'whatsapp',
+          to: to.replace(/^\+/, ''),
+          type: 'template',
+          template: {
+            name: templateName,
+            language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+            components: [{ type: 'body', parameters: [{ type: 'text', text: message }] }],
+          },
+        }
+      : {
+          messaging_product: 'whatsapp',
+          to: to.replace(/^\+/, ''),
+          type: 'text',
+          text: { body: message },
+        };
+
+    const response = await axios.post(
+      `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+      payload,
+      {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 15000,
+      }
+    );
+
+    return { providerMessageId: response.data?.messages?.[0]?.id || null };
+  },
+});
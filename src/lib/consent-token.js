@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+/**
+ * Signed links for parental consent requests
+ * Format: PC1.<base64url payload>.<base64url HMAC-SHA256>
+ * Payload: { c: consentId, v: tokenVersion, x: expiry (unix seconds) }
+ *
+ * The version must match the consent row, so resending a request retires older links.
+ */
+const TOKEN_PREFIX = 'PC1';
+const CONSENT_TOKEN_SECRET = process.env.CONSENT_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const sign = (body) =>
+  crypto.createHmac('sha256', CONSENT_TOKEN_SECRET).update(body).digest('base64url');
+
+/**
+ * Sign a consent token
+ */
+export const signConsentToken = ({ consentId, tokenVersion, expiresAt }) => {
+  const payload = Buffer.from(JSON.stringify({
+    c: consentId,
+    v: tokenVersion,
+    x: Math.floor(new Date(expiresAt).getTime() / 1000),
+  })).toString('base64url');
+
+  const body = `${TOKEN_PREFIX}.${payload}`;
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * Verify a consent token
+ * @returns {{ valid: true, consentId, tokenVersion, expiresAt } | { valid: false, reason }}
+ */
+export const verifyConsentToken = (token, now = new Date()) => {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  const body = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  if (!payload.c || !payload.v || !payload.x) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  const expiresAt = new Date(payload.x * 1000);
+  if (expiresAt <= new Date(now)) {
+    return { valid: false, reason: 'EXPIRED' };
+  }
+
+  return { valid: true, consentId: payload.c, tokenVersion: payload.v, expiresAt };
+};
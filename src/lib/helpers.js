@@ -4,7 +4,7 @@ import { v4 as uuidv4 } from 'uuid';
 
 const SALT_ROUNDS = 10;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
 
 /**
  * Hash a password using bcryptjs
@@ -21,11 +21,11 @@ export const comparePassword = async (password, hash) => {
 };
 
 /**
- * Generate JWT token
+ * Generate short-lived access JWT bound to a device session (sid)
  */
-export const generateToken = (userId, phoneNumber, email) => {
+export const generateToken = (userId, phoneNumber, email, sessionId) => {
   return jwt.sign(
-    { userId, phoneNumber, email },
+    { userId, phoneNumber, email, sid: sessionId },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRY }
   );
@@ -90,6 +90,14 @@ export const formatPaginatedResponse = (data, total, page, limit) => {
   };
 };
 
+/**
+ * Prisma filter for role assignments that still count (no expiry, or expiry in the future)
+ * Usage: roleAssignments: { where: activeAssignmentWhere() }
+ */
+export const activeAssignmentWhere = (now = new Date()) => ({
+  OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+});
+
 /**
  * Calculate attendance rate (percentage)
  */
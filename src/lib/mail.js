@@ -43,7 +43,7 @@ export const verifySmtp = async () => {
 /**
  * Send OTP for registration/verification
  */
-export const sendOtp = async (email, code) => {
+export const sendOtp = async (email, code, expiryMinutes = 10) => {
     const subject = 'Verify Your FCS Account';
     const html = `
         <div style="font-family: sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
@@ -53,7 +53,7 @@ export const sendOtp = async (email, code) => {
           <div style="background: #f4f4f4; padding: 20px; text-align: center; border-radius: 5px; margin: 20px 0;">
             <span style="font-size: 32px; font-weight: bold; letter-spacing: 5px; color: #010030;">${code}</span>
           </div>
-          <p>This code will expire in 10 minutes. If you did not request this, please ignore this email.</p>
+          <p>This code will expire in ${expiryMinutes} minutes. If you did not request this, please ignore this email.</p>
           <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;" />
           <p style="font-size: 12px; color: #777; text-align: center;">&copy; ${new Date().getFullYear()} Fellowship of Christian Students (FCS) Nigeria</p>
         </div>
@@ -64,7 +64,7 @@ export const sendOtp = async (email, code) => {
 /**
  * Send OTP for password reset
  */
-export const sendPasswordOtp = async (email, code) => {
+export const sendPasswordOtp = async (email, code, expiryMinutes = 10) => {
     const subject = 'Reset Your FCS Password';
     const html = `
         <div style="font-family: sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
@@ -74,7 +74,7 @@ export const sendPasswordOtp = async (email, code) => {
           <div style="background: #f4f4f4; padding: 20px; text-align: center; border-radius: 5px; margin: 20px 0;">
             <span style="font-size: 32px; font-weight: bold; letter-spacing: 5px; color: #010030;">${code}</span>
           </div>
-          <p>This code will expire in 10 minutes. If you did not request this, please ignore this email.</p>
+          <p>This code will expire in ${expiryMinutes} minutes. If you did not request this, please ignore this email.</p>
           <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;" />
           <p style="font-size: 12px; color: #777; text-align: center;">&copy; ${new Date().getFullYear()} Fellowship of Christian Students (FCS) Nigeria</p>
         </div>
@@ -82,10 +82,38 @@ export const sendPasswordOtp = async (email, code) => {
     return sendMail({ to: email, subject, text: `Your FCS password reset code is: ${code}`, html });
 };
 
+/**
+ * Send an admin invitation link
+ */
+export const sendInviteEmail = async (email, { link, roleName, unitName, inviterName, expiresAt }) => {
+    const subject = `You've been invited to FCS Registration as ${roleName}`;
+    const expiry = new Date(expiresAt).toUTCString();
+    const html = `
+        <div style="font-family: sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+          <h2 style="color: #010030; text-align: center;">FCS Nigeria</h2>
+          <p>Hello,</p>
+          <p>${inviterName} has invited you to join the FCS Registration platform as <strong>${roleName}</strong> for <strong>${unitName}</strong>.</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="background: #010030; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-weight: bold;">Accept Invitation</a>
+          </div>
+          <p>This invitation expires on ${expiry}. If you were not expecting it, please ignore this email.</p>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;" />
+          <p style="font-size: 12px; color: #777; text-align: center;">&copy; ${new Date().getFullYear()} Fellowship of Christian Students (FCS) Nigeria</p>
+        </div>
+      `;
+    return sendMail({
+        to: email,
+        subject,
+        text: `${inviterName} has invited you to FCS Registration as ${roleName} for ${unitName}. Accept here: ${link} (expires ${expiry})`,
+        html
+    });
+};
+
 export default {
     sendMail,
     sendEmail,
     verifySmtp,
     sendOtp,
     sendPasswordOtp,
+    sendInviteEmail,
 };
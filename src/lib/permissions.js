@@ -0,0 +1,122 @@
+/**
+ * Permission catalogue
+ * Names are "module:action"; each is stored as a Permission row and granted to roles
+ * through the Role.permissions relation. requirePermission() checks against these names.
+ */
+export const PERMISSIONS = {
+  'members:read': 'View, search and look up members',
+  'members:create': 'Create members',
+  'members:update': 'Edit member records',
+  'members:delete': 'Deactivate members',
+  'members:import': 'Bulk import members from spreadsheets',
+  'members:merge': 'Find and merge duplicate members',
+
+  'events:create': 'Create events',
+  'events:update': 'Edit events and event settings',
+  'events:publish': 'Publish events',
+  'events:delete': 'Delete events',
+  'events:read': 'View event statistics',
+
+  'centers:read': 'View center admin lists and statistics',
+  'centers:create': 'Create centers',
+  'centers:update': 'Edit centers',
+  'centers:delete': 'Deactivate centers',
+  'centers:manage_admins': 'Add and remove center admins',
+
+  'registrations:read': 'View registrations, statistics and waitlists',
+  'registrations:update': 'Change registration status and group assignment',
+  'registrations:export': 'Export registrations',
+
+  'attendance:check_in': 'Check members in and out, scan tags and sync kiosks',
+  'attendance:verify': 'Verify attendance records',
+  'attendance:correct': 'Correct attendance records',
+  'attendance:read': 'View attendance records',
+  'attendance:manage_codes': 'Run session attendance codes',
+
+  'groups:read': 'View group members and statistics',
+  'groups:create': 'Create groups',
+  'groups:update': 'Edit groups',
+  'groups:delete': 'Deactivate groups',
+  'groups:assign': 'Assign and remove group members',
+
+  'units:read': 'View unit members and statistics',
+  'units:create': 'Create units',
+  'units:update': 'Edit units',
+  'units:delete': 'Deactivate units',
+  'units:manage_members': 'Add and remove unit members',
+
+  'users:read': 'View users',
+  'users:update': 'Edit users',
+
+  'roles:read': 'View roles and their holders',
+  'roles:manage': 'Create, edit and deactivate roles',
+  'roles:assign': 'Assign roles to users',
+  'roles:revoke': 'Revoke roles from users',
+
+  'invites:manage': 'Send, list, resend and revoke invitations',
+
+  'badges:manage': 'Set up certificate templates, issue and revoke certificates',
+
+  'notifications:send': 'Send notifications manually',
+  'notifications:manage': 'Manage triggers, templates and failed deliveries',
+
+  'reports:read': 'View dashboards and analytics',
+  'reports:export': 'Export reports',
+
+  'audit:read': 'View audit logs and compliance reports',
+  'audit:export': 'Export audit logs',
+  'audit:cleanup': 'Purge audit logs past retention',
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const except = (...names) => ALL_PERMISSIONS.filter((name) => !names.includes(name));
+
+/**
+ * Grants given to the predefined roles the first time they are seen without any.
+ * Roles edited afterwards keep their own set.
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  'National Admin': ALL_PERMISSIONS,
+  'Regional Admin': except('roles:manage', 'audit:cleanup'),
+  'Area Admin': except('roles:manage', 'audit:cleanup'),
+  'State Admin': except('roles:manage', 'audit:cleanup'),
+  'Zone Admin': except('roles:manage', 'audit:cleanup'),
+  'Branch Admin': except('roles:manage', 'audit:cleanup', 'members:merge', 'roles:revoke'),
+  'Center Admin': [
+    'members:read',
+    'centers:read',
+    'registrations:read',
+    'registrations:update',
+    'attendance:check_in',
+    'attendance:verify',
+    'attendance:correct',
+    'attendance:read',
+    'attendance:manage_codes',
+    'groups:read',
+    'groups:assign',
+    'reports:read',
+  ],
+  Registrar: [
+    'members:read',
+    'members:create',
+    'members:update',
+    'registrations:read',
+    'attendance:check_in',
+    'attendance:verify',
+    'attendance:read',
+    'users:read',
+  ],
+  'Unit Leader': ['units:read', 'members:read'],
+  Viewer: ['members:read', 'reports:read'],
+};
+
+/**
+ * Split "module:action" into its parts
+ */
+export const parsePermission = (name) => {
+  const [module, action] = String(name).split(':');
+  return { module, action };
+};
+
+export const isKnownPermission = (name) => Object.prototype.hasOwnProperty.call(PERMISSIONS, name);
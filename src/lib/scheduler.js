@@ -0,0 +1,53 @@
+import logger from './logger.js';
+
+/**
+ * Lightweight in-process job scheduler
+ * Jobs run on every worker, so tasks must be safe to run concurrently
+ */
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ */
+export const scheduleJob = (name, intervalMs, task, { runOnStart = false } = {}) => {
+  if (jobs.has(name)) {
+    return jobs.get(name);
+  }
+
+  const job = { name, intervalMs, running: false, timer: null };
+
+  const run = async () => {
+    // Skip a tick if the previous run is still in progress
+    if (job.running) return;
+    job.running = true;
+
+    try {
+      const result = await task();
+      logger.debug({ job: name, result }, 'Scheduled job completed');
+    } catch (error) {
+      logger.error({ job: name, err: error }, 'Scheduled job failed');
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (runOnStart) {
+    run();
+  }
+
+  return job;
+};
+
+/**
+ * Stop all registered jobs (graceful shutdown)
+ */
+export const stopAllJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
@@ -3,8 +3,7 @@
  * Use these to automatically filter queries by user's scope
  */
 
-import { getAllDescendantIds } from '../modules/units/service.js';
-import { getAdminScope } from './scope-validator.js';
+import { getAdminScope, getScopeUnitIds, isUnitInScope } from '../middleware/scope-validator.js';
 
 /**
  * Build WHERE clause that filters by user's scope
@@ -19,17 +18,14 @@ export const scopedWhere = async (userId, unitField = 'unitId') => {
   }
 
   // No scope = no access to scoped resources
-  if (!scope.unitId) {
+  if (scope.unitIds.length === 0) {
     return { [unitField]: null };
   }
 
-  // Get all descendants
-  const descendants = await getAllDescendantIds(scope.unitId);
-
-  // User can see their own unit + all descendants
+  // User can see every assigned unit + all descendants
   return {
     [unitField]: {
-      in: [scope.unitId, ...descendants]
+      in: await getScopeUnitIds(scope)
     }
   };
 };
@@ -42,10 +38,9 @@ export const filterByScope = async (userId, records, getUnitId) => {
   const scope = await getAdminScope(userId);
 
   if (scope.isGlobal) return records;
-  if (!scope.unitId) return [];
+  if (scope.unitIds.length === 0) return [];
 
-  const descendants = await getAllDescendantIds(scope.unitId);
-  const allowedUnits = [scope.unitId, ...descendants];
+  const allowedUnits = await getScopeUnitIds(scope);
 
   return records.filter(record => {
     const unitId = getUnitId(record);
@@ -61,13 +56,12 @@ export const canAccessRecord = async (userId, record, getUnitId) => {
   const scope = await getAdminScope(userId);
 
   if (scope.isGlobal) return true;
-  if (!scope.unitId) return false;
+  if (scope.unitIds.length === 0) return false;
 
   const recordUnitId = getUnitId(record);
-  if (recordUnitId === scope.unitId) return true;
+  if (!recordUnitId) return false;
 
-  const descendants = await getAllDescendantIds(scope.unitId);
-  return descendants.includes(recordUnitId);
+  return isUnitInScope(scope, recordUnitId);
 };
 
 /**
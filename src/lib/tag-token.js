@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+/**
+ * Signed tag tokens for registration QR codes
+ * Format: FCS1.<base64url payload>.<base64url HMAC-SHA256>
+ * Payload: { r: registrationId, e: eventId, x: expiry (unix seconds) }
+ *
+ * Verification needs only the secret, so kiosks can check codes while offline.
+ */
+const TOKEN_PREFIX = 'FCS1';
+const TAG_TOKEN_SECRET = process.env.TAG_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+const TAG_TOKEN_GRACE_HOURS = parseInt(process.env.TAG_TOKEN_GRACE_HOURS || '24', 10);
+const FALLBACK_VALIDITY_DAYS = 30;
+
+const sign = (body) =>
+  crypto.createHmac('sha256', TAG_TOKEN_SECRET).update(body).digest('base64url');
+
+/**
+ * Tags stay valid until the event ends plus a grace period
+ */
+export const getTagTokenExpiry = (event) => {
+  const graceMs = TAG_TOKEN_GRACE_HOURS * 60 * 60 * 1000;
+  if (event?.endDate) {
+    return new Date(new Date(event.endDate).getTime() + graceMs);
+  }
+  return new Date(Date.now() + FALLBACK_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign a tag token
+ */
+export const signTagToken = ({ registrationId, eventId, expiresAt }) => {
+  const payload = Buffer.from(JSON.stringify({
+    r: registrationId,
+    e: eventId,
+    x: Math.floor(new Date(expiresAt).getTime() / 1000),
+  })).toString('base64url');
+
+  const body = `${TOKEN_PREFIX}.${payload}`;
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * Verify a tag token
+ * @returns {{ valid: true, registrationId, eventId, expiresAt } | { valid: false, reason }}
+ */
+export const verifyTagToken = (token, now = new Date()) => {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  const body = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  if (!payload.r || !payload.e || !payload.x) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  const expiresAt = new Date(payload.x * 1000);
+  if (expiresAt <= new Date(now)) {
+    return { valid: false, reason: 'EXPIRED' };
+  }
+
+  return { valid: true, registrationId: payload.r, eventId: payload.e, expiresAt };
+};
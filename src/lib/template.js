@@ -0,0 +1,25 @@
+/**
+ * Minimal Handlebars-style renderer
+ * Replaces {{ path.to.value }} with the matching variable; unknown paths render empty.
+ */
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const resolvePath = (variables, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+export const renderTemplate = (template, variables = {}) => {
+  if (!template) return template;
+
+  return template.replace(PLACEHOLDER, (match, path) => {
+    const value = resolvePath(variables, path);
+    return value == null ? '' : String(value);
+  });
+};
+
+/**
+ * List the placeholders used in a template
+ */
+export const extractPlaceholders = (template) => {
+  if (!template) return [];
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+};
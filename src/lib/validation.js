@@ -99,6 +99,28 @@ export const changePasswordSchema = Joi.object({
   confirmPassword: Joi.string().valid(Joi.ref('newPassword')).required(),
 });
 
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+export const logoutSchema = Joi.object({
+  allDevices: Joi.boolean().default(false),
+});
+
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().trim().required(), // 6-digit TOTP or a backup code
+});
+
+export const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().required(),
+});
+
+export const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().trim().required(),
+});
+
 // ============================================================
 // MEMBER VALIDATION SCHEMAS
 // ============================================================
@@ -175,6 +197,7 @@ export const updateMemberSchema = Joi.object({
   branch: Joi.string().allow('', null).optional(),
   branchId: Joi.string().allow('', null).optional(),
   preferredContactMethod: Joi.string().valid('SMS', 'EMAIL', 'WHATSAPP').optional(),
+  preferredLanguage: Joi.string().max(10).allow('', null).optional(),
   emergencyContactName: Joi.string().allow('', null).optional(),
   emergencyContactPhone: Joi.string().pattern(/^(\+?234|0)\d{10}$/).allow('', null).optional().messages({
     'string.pattern.base': 'Emergency contact phone must be a valid Nigerian number'
@@ -189,6 +212,32 @@ export const updateMemberSchema = Joi.object({
   profilePhotoUrl: Joi.string().uri().allow('', null).optional(),
 }).min(1);
 
+// Defaults apply to rows that leave the column blank
+export const memberImportSchema = Joi.object({
+  dryRun: Joi.boolean().default(true),
+  state: Joi.string().allow('', null).optional(),
+  zone: Joi.string().allow('', null).optional(),
+  branch: Joi.string().allow('', null).optional(),
+  branchId: Joi.string().allow('', null).optional(),
+  membershipCategory: Joi.string().valid('PRIMARY', 'SECONDARY', 'TERTIARY', 'ASSOCIATE', 'STAFF', 'ALUMNI').optional(),
+});
+
+export const memberDuplicatesQuerySchema = Joi.object({
+  unitId: Joi.string().optional(),
+  state: Joi.string().optional(),
+  branchId: Joi.string().optional(),
+  minScore: Joi.number().integer().min(1).max(135).default(50),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+export const mergeMembersSchema = Joi.object({
+  survivorId: Joi.string().required(),
+  duplicateId: Joi.string().invalid(Joi.ref('survivorId')).required().messages({
+    'any.invalid': 'duplicateId must be different from survivorId',
+  }),
+  reason: Joi.string().max(500).allow('', null).optional(),
+});
+
 // ============================================================
 // EVENT VALIDATION SCHEMAS
 // ============================================================
@@ -203,6 +252,9 @@ export const createEventSchema = Joi.object({
   registrationEnd: Joi.date().iso().greater(Joi.ref('registrationStart')).required(),
   participationMode: Joi.string().valid('ONLINE', 'ONSITE', 'HYBRID').required(),
   imageUrl: Joi.string().uri().optional(),
+  seriesKey: Joi.string().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100).optional()
+    .messages({ 'string.pattern.base': 'seriesKey must be a lowercase slug, e.g. national-youth-camp' }),
+  language: Joi.string().max(10).optional(),
 });
 
 export const updateEventSchema = Joi.object({
@@ -214,6 +266,9 @@ export const updateEventSchema = Joi.object({
   registrationEnd: Joi.date().iso().optional(),
   participationMode: Joi.string().valid('ONLINE', 'ONSITE', 'HYBRID').optional(),
   imageUrl: Joi.string().uri().allow('', null).optional(),
+  seriesKey: Joi.string().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100).allow('', null).optional()
+    .messages({ 'string.pattern.base': 'seriesKey must be a lowercase slug, e.g. national-youth-camp' }),
+  language: Joi.string().max(10).allow('', null).optional(),
 }).min(1).unknown(true);
 
 // ============================================================
@@ -228,6 +283,24 @@ export const createRegistrationSchema = Joi.object({
   attendanceIntent: Joi.string().valid('CONFIRMED', 'TENTATIVE').optional(),
 });
 
+// Family / group registration: each entry is an existing member or an inline new member
+export const createRegistrationBatchSchema = Joi.object({
+  eventId: Joi.string().required(),
+  label: Joi.string().max(100).optional(),
+  centerId: Joi.string().optional(),
+  participationMode: Joi.string().valid('ONLINE', 'ONSITE').optional(),
+  attendanceIntent: Joi.string().valid('CONFIRMED', 'TENTATIVE').optional(),
+  waitlistIfFull: Joi.boolean().default(false),
+  members: Joi.array().items(Joi.object({
+    memberId: Joi.string(),
+    newMember: createMemberSchema,
+    guardianIndex: Joi.number().integer().min(0).optional(), // Index of this person's parent/guardian in members
+    relationship: Joi.string().valid('PARENT', 'GUARDIAN', 'SPONSOR').optional(),
+    centerId: Joi.string().optional(),
+    participationMode: Joi.string().valid('ONLINE', 'ONSITE').optional(),
+  }).xor('memberId', 'newMember')).min(1).max(100).required(),
+});
+
 export const assignCenterSchema = Joi.object({
   centerId: Joi.string().required(),
   participationMode: Joi.string().valid('ONLINE', 'ONSITE').required(),
@@ -254,15 +327,73 @@ export const bulkSyncSchema = Joi.object({
   records: Joi.array().items(
     Joi.object({
       eventId: Joi.string().required(),
-      registrationId: Joi.string().required(),
+      registrationId: Joi.string(),
+      qrToken: Joi.string(),
       centerId: Joi.string().optional(),
       checkInMethod: Joi.string().valid('QR', 'SAC', 'MANUAL', 'KIOSK').required(),
       checkInTime: Joi.date().iso().required(),
       idempotencyKey: Joi.string().required(),
-    })
+    }).xor('registrationId', 'qrToken')
   ).required(),
 });
 
+export const scanCheckInSchema = Joi.object({
+  token: Joi.string().required(),
+  eventId: Joi.string().required(),
+  centerId: Joi.string().optional(),
+  notes: Joi.string().optional(),
+});
+
+export const generateAttendanceCodeSchema = Joi.object({
+  eventId: Joi.string().required(),
+  centerId: Joi.string().optional(),
+  windowSeconds: Joi.number().integer().min(15).max(3600).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  label: Joi.string().max(100).optional(),
+  codeType: Joi.string().optional(), // Ignored; kept for older clients
+});
+
+export const validateAttendanceCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required().messages({
+    'string.pattern.base': 'code must be the 6-digit session code',
+  }),
+  eventId: Joi.string().optional(),
+});
+
+export const attendanceCorrectionSchema = Joi.object({
+  attendanceId: Joi.string(),
+  registrationId: Joi.string(),
+  correctionType: Joi.string()
+    .valid('CHECK_IN_TIME', 'CHECK_OUT_TIME', 'PARTICIPATION_MODE', 'CENTER_CHANGE', 'STATUS')
+    .required(),
+  newValue: Joi.string().trim().required(), // ISO time, ONLINE/ONSITE, center id, or PRESENT/VOID
+  effectiveAt: Joi.date().iso().max('now').optional(), // STATUS -> PRESENT: check-in time
+  reason: Joi.string().trim().min(5).max(500).required(),
+})
+  .xor('attendanceId', 'registrationId')
+  .messages({
+    'object.xor': 'Provide either attendanceId or registrationId, not both',
+    'object.missing': 'attendanceId or registrationId is required',
+  });
+
+export const listAttendanceCorrectionsSchema = Joi.object({
+  eventId: Joi.string(),
+  centerId: Joi.string(),
+  status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED').default('PENDING'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+})
+  .or('eventId', 'centerId')
+  .messages({ 'object.missing': 'eventId or centerId is required' });
+
+export const approveAttendanceCorrectionSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+export const rejectAttendanceCorrectionSchema = Joi.object({
+  note: Joi.string().trim().min(3).max(500).required(),
+});
+
 // ============================================================
 // CENTER VALIDATION SCHEMAS
 // ============================================================
@@ -275,17 +406,114 @@ export const createCenterSchema = Joi.object({
   areaId: Joi.string().allow('', null).optional(),
   zoneId: Joi.string().allow('', null).optional(),
   address: Joi.string().min(5).max(200).required(),
+  capacity: Joi.number().integer().min(1).allow(null).optional(),
 });
 
 export const updateCenterSchema = Joi.object({
   centerName: Joi.string().min(3).max(100).optional(),
   address: Joi.string().min(5).max(200).optional(),
   isActive: Joi.boolean().optional(),
+  capacity: Joi.number().integer().min(1).allow(null).optional(),
   stateId: Joi.string().allow('', null).optional(),
   areaId: Joi.string().allow('', null).optional(),
   zoneId: Joi.string().allow('', null).optional(),
 }).min(1);
 
+// ============================================================
+// INVITE VALIDATION SCHEMAS
+// ============================================================
+
+export const createInviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().required(),
+  unitId: Joi.string().allow(null).optional(),
+});
+
+// Profile fields are only needed when the invitee has no account yet
+export const acceptInviteSchema = Joi.object({
+  id: Joi.string().required(),
+  token: Joi.string().required(),
+  firstName: Joi.string().min(2).max(50).optional(),
+  lastName: Joi.string().min(2).max(50).optional(),
+  password: Joi.string().min(8).optional(),
+  phoneNumber: Joi.string().pattern(/^(\+?234|0)\d{10}$/).allow('', null).optional().messages({
+    'string.pattern.base': 'Phone number must be a valid Nigerian number (e.g., 08135873345 or +2348135873345)'
+  }),
+});
+
+export const listInvitesQuerySchema = Joi.object({
+  status: Joi.string().valid('PENDING', 'ACCEPTED', 'EXPIRED', 'REVOKED').default('PENDING'),
+  unitId: Joi.string().optional(),
+  search: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// ============================================================
+// PARENTAL CONSENT VALIDATION SCHEMAS
+// ============================================================
+
+// The guardian types their name and ticks the agreement either way
+export const consentResponseSchema = Joi.object({
+  decision: Joi.string().valid('GRANT', 'DECLINE').required(),
+  guardianName: Joi.string().trim().min(2).max(100).required(),
+  agree: Joi.boolean().valid(true).required().messages({
+    'any.only': 'You must confirm you are the parent or guardian and have read the consent terms',
+  }),
+});
+
+// ============================================================
+// CERTIFICATE & BADGE VALIDATION SCHEMAS
+// ============================================================
+
+export const certificateTemplateSchema = Joi.object({
+  title: Joi.string().max(100).optional(),
+  bodyText: Joi.string().max(1000).allow('', null).optional(),
+  signatoryName: Joi.string().max(100).allow('', null).optional(),
+  signatoryTitle: Joi.string().max(100).allow('', null).optional(),
+  accentColor: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional().messages({
+    'string.pattern.base': 'accentColor must be a hex colour like #1e40af',
+  }),
+  issueDigitalBadge: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+export const listBadgesQuerySchema = Joi.object({
+  badgeType: Joi.string().valid('CERTIFICATE', 'DIGITAL_BADGE', 'NAME_TAG').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export const revokeBadgeSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+});
+
+// ============================================================
+// REPORT TREND VALIDATION SCHEMAS
+// ============================================================
+
+export const checkInTrendQuerySchema = Joi.object({
+  centerId: Joi.string().optional(),
+});
+
+export const editionComparisonQuerySchema = Joi.object({
+  editions: Joi.number().integer().min(1).max(10).default(3),
+});
+
+// ============================================================
+// SYSTEM CONFIG VALIDATION SCHEMAS
+// ============================================================
+
+// Per-key type and range checks happen in the system-config service
+export const updateSystemConfigSchema = Joi.object({
+  value: Joi.alternatives().try(Joi.number(), Joi.string().trim().max(500)).required(),
+  reason: Joi.string().trim().max(500).optional(),
+});
+
+export const resetSystemConfigSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional(),
+});
+
 // ============================================================
 // PAGINATION & FILTER VALIDATION
 // ============================================================
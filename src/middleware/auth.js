@@ -2,10 +2,13 @@ import jwt from 'jsonwebtoken';
 import { UnauthorizedError, ForbiddenError } from './error-handler.js';
 import { getPrismaClient } from '../lib/prisma.js';
 import { getAdminScope } from './scope-validator.js';
+import { getUserPermissions } from '../modules/roles/service.js';
+import { activeAssignmentWhere } from '../lib/helpers.js';
+import { isSessionActive } from '../modules/auth/session-service.js';
 
 const prisma = getPrismaClient();
 
-export const authenticate = (req, res, next) => {
+export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -16,7 +19,13 @@ export const authenticate = (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Signed-out and revoked sessions stop working now, not when the JWT expires
+    if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+      return next(new UnauthorizedError('Session has ended, please sign in again'));
+    }
+
     req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
     req.user = {
       id: decoded.userId,
       phoneNumber: decoded.phoneNumber,
@@ -32,14 +41,19 @@ export const authenticate = (req, res, next) => {
   }
 };
 
-export const optional = (req, res, next) => {
+export const optional = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+        return next(); // Ended session: treat as anonymous
+      }
+
       req.userId = decoded.userId;
+      req.sessionId = decoded.sid;
       req.user = {
         id: decoded.userId,
         phoneNumber: decoded.phoneNumber,
@@ -71,6 +85,7 @@ export const authorize = (allowedRoles = []) => {
         where: { authUserId: req.userId },
         include: {
           roleAssignments: {
+            where: activeAssignmentWhere(),
             include: {
               role: true,
             },
@@ -102,3 +117,54 @@ export const authorize = (allowedRoles = []) => {
     }
   };
 };
+
+/**
+ * Resolve the caller's permission set once per request, however many checks run
+ */
+export const getRequestPermissions = (req) => {
+  if (!req.permissionsPromise) {
+    req.permissionsPromise = getUserPermissions(req.userId).then((names) => new Set(names));
+  }
+  return req.permissionsPromise;
+};
+
+/**
+ * Require every listed permission ("module:action"), granted through the caller's roles
+ * Usage: router.get('/export/csv', authenticate, requirePermission('registrations:export'), handler)
+ */
+export const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.userId) {
+        return next(new UnauthorizedError('User not authenticated'));
+      }
+
+      const permissions = await getRequestPermissions(req);
+      const missing = requiredPermissions.filter((permission) => !permissions.has(permission));
+
+      if (missing.length > 0) {
+        return next(new ForbiddenError(`Missing permission: ${missing.join(', ')}`));
+      }
+
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Let users act on their own record (req.params[paramName]); anyone else needs the permissions
+ * Usage: router.get('/users/:userId', authenticate, requireSelfOrPermission('userId', 'roles:read'), handler)
+ */
+export const requireSelfOrPermission = (paramName, ...requiredPermissions) => {
+  const checkPermissions = requirePermission(...requiredPermissions);
+
+  return (req, res, next) => {
+    if (req.userId && req.params[paramName] === req.userId) {
+      return next();
+    }
+    return checkPermissions(req, res, next);
+  };
+};
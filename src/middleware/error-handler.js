@@ -35,6 +35,7 @@ export const errorHandler = (err, req, res, next) => {
       code,
       message,
       status,
+      ...(err.details && { details: err.details }), // e.g. per-entry problems of a batch request
       timestamp: new Date().toISOString(),
     },
   });
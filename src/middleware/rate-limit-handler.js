@@ -65,4 +65,19 @@ export const createRateLimiters = () => {
   return { apiLimiter, authLimiter, readLimiter };
 };
 
+/**
+ * Per-member limiter for session code check-ins.
+ * Keyed on the signed-in user so attendees sharing venue Wi-Fi don't block each other;
+ * only failed attempts count.
+ */
+export const createAttendanceCodeLimiter = () =>
+  rateLimit({
+    windowMs: parseInt(process.env.ATTENDANCE_CODE_RATE_LIMIT_WINDOW_MS || '60000'), // 1 minute
+    max: parseInt(process.env.ATTENDANCE_CODE_RATE_LIMIT_MAX || '5'),
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => req.userId || req.ip,
+    message: 'Too many attendance code attempts',
+    handler: rateLimitErrorHandler,
+  });
+
 export default createRateLimiters;
@@ -1,20 +1,36 @@
 import { getPrismaClient } from '../lib/prisma.js';
 import { ForbiddenError } from './error-handler.js';
-import { getAllDescendantIds, getAllAncestorIds } from '../modules/units/service.js';
+import { getAllAncestorIds, getSubtreeIds } from '../modules/units/service.js';
+import { activeAssignmentWhere } from '../lib/helpers.js';
 
 const prisma = getPrismaClient();
 
+// Hierarchy below National, highest first
+const HIERARCHY_LEVELS = ['Area', 'State', 'Zone', 'Branch'];
+
+const emptyScope = (level = 'None') => ({ unitId: null, unitIds: [], units: [], isGlobal: false, level, hierarchy: {} });
+
+const assignmentLevel = (assignment) => HIERARCHY_LEVELS.find(level =>
+  assignment.unit?.unitType?.name === level ||
+  assignment.role?.name?.toLowerCase().includes(level.toLowerCase())
+);
+
 /**
  * Get admin's effective scope (what they can access)
- * Returns: { unitId, isGlobal, level, hierarchy }
+ * Scope is the union of the unit subtrees of every active role assignment.
+ * Returns: { unitIds, units, isGlobal, unitId, level, unitName, hierarchy }
+ * - unitIds: top-most assigned units (units nested under another assigned unit are dropped)
+ * - unitId/level/unitName: the highest of those, for display and older callers
  */
 export const getAdminScope = async (userId) => {
-  if (!userId) return { unitId: null, isGlobal: false, level: 'None' };
+  if (!userId) return emptyScope();
 
   const member = await prisma.member.findFirst({
     where: { authUserId: userId },
     include: {
       roleAssignments: {
+        // Assignments of a deactivated role no longer confer any scope
+        where: { ...activeAssignmentWhere(), role: { isActive: true } },
         include: {
           role: true,
           unit: { include: { unitType: true } }
@@ -24,75 +40,106 @@ export const getAdminScope = async (userId) => {
   });
 
   if (!member || member.roleAssignments.length === 0) {
-    return { unitId: null, isGlobal: false, level: 'None' };
+    return emptyScope();
   }
 
-  // Check if National/Super Admin (Global scope)
-  const isGlobal = member.roleAssignments.some(ra =>
-    ra.role.name.toLowerCase().includes('national') ||
-    ra.role.name.toLowerCase().includes('super')
-  );
+  // Global scope is an explicit flag on the role (e.g. National Admin)
+  const isGlobal = member.roleAssignments.some(ra => ra.role.isGlobal);
 
   if (isGlobal) {
     return {
       unitId: null,
+      unitIds: [],
+      units: [],
       isGlobal: true,
       level: 'National',
       hierarchy: { national: true }
     };
   }
 
-  // Find highest-level unit assignment
-  // Hierarchy: National → Area → State → Zone → Branch
-  const hierarchyLevels = ['Area', 'State', 'Zone', 'Branch'];
-  for (const level of hierarchyLevels) {
-    const assignment = member.roleAssignments.find(ra =>
-      ra.unit?.unitType?.name === level ||
-      ra.role?.name?.toLowerCase().includes(level.toLowerCase())
-    );
-    if (assignment) {
-      return {
-        unitId: assignment.unitId,
-        isGlobal: false,
-        level: level,
-        unitName: assignment.unit?.name,
-        hierarchy: { [level.toLowerCase()]: true }
-      };
-    }
+  // Keep only root assignments: a unit below another assigned unit is already covered
+  const scoped = member.roleAssignments.filter(ra => ra.unitId);
+  const assignedIds = new Set(scoped.map(ra => ra.unitId));
+  const roots = [];
+  for (const assignment of scoped) {
+    if (roots.some(ra => ra.unitId === assignment.unitId)) continue;
+    const ancestors = await getAllAncestorIds(assignment.unitId);
+    if (!ancestors.some(id => assignedIds.has(id))) roots.push(assignment);
+  }
+
+  if (roots.length === 0) {
+    return emptyScope(member.roleAssignments[0].unit?.unitType?.name || 'Unknown');
   }
 
-  // Fallback to first assignment
-  const firstAssignment = member.roleAssignments[0];
+  // Hierarchy: National → Area → State → Zone → Branch
+  const rank = (ra) => {
+    const index = HIERARCHY_LEVELS.indexOf(assignmentLevel(ra));
+    return index === -1 ? HIERARCHY_LEVELS.length : index;
+  };
+  roots.sort((a, b) => rank(a) - rank(b));
+
+  const units = roots.map(ra => ({
+    unitId: ra.unitId,
+    unitName: ra.unit?.name,
+    level: assignmentLevel(ra) || ra.unit?.unitType?.name || 'Unknown'
+  }));
+  const [primary] = units;
+
   return {
-    unitId: firstAssignment.unitId,
+    unitId: primary.unitId,
+    unitIds: units.map(unit => unit.unitId),
+    units,
     isGlobal: false,
-    level: firstAssignment.unit?.unitType?.name || 'Unknown',
-    unitName: firstAssignment.unit?.name,
-    hierarchy: {}
+    level: primary.level,
+    unitName: primary.unitName,
+    hierarchy: Object.fromEntries(units.map(unit => [unit.level.toLowerCase(), true]))
   };
 };
 
 /**
- * Check if target unit is within user's scope (downward only)
+ * Check a unit against an already-resolved scope (downward only)
  * Returns: boolean
  */
-export const isWithinScope = async (userId, targetUnitId) => {
+export const isUnitInScope = async (scope, targetUnitId) => {
   if (!targetUnitId) return true; // Global resource
+  if (scope.isGlobal) return true;
+  if (scope.unitIds.length === 0) return false;
 
-  const scope = await getAdminScope(userId);
+  if (scope.unitIds.includes(targetUnitId)) return true;
 
-  // Global admins can access anything
-  if (scope.isGlobal) return true;
+  // Descendant of any scope root
+  const ancestors = await getAllAncestorIds(targetUnitId);
+  return ancestors.some(id => scope.unitIds.includes(id));
+};
 
-  // No scope assignment = no access
-  if (!scope.unitId) return false;
+/**
+ * Every unit ID the scope covers (roots + descendants); null means unrestricted
+ */
+export const getScopeUnitIds = async (scope) => {
+  if (scope.isGlobal) return null;
+  return getSubtreeIds(scope.unitIds);
+};
 
-  // Same unit = access
-  if (scope.unitId === targetUnitId) return true;
+/**
+ * Unit filter for scoped list endpoints
+ * Global admins get the unit they asked for (if any). Others get the requested unit
+ * when it lies inside their scope (drill-down), otherwise all of their scope roots.
+ */
+export const resolveScopedUnitFilter = async (scope, requestedUnitId) => {
+  if (scope.isGlobal) return requestedUnitId;
+  if (requestedUnitId && await isUnitInScope(scope, requestedUnitId)) return requestedUnitId;
+  return scope.unitIds.length > 0 ? scope.unitIds : undefined;
+};
 
-  // Check if target is descendant (downward only)
-  const descendants = await getAllDescendantIds(scope.unitId);
-  return descendants.includes(targetUnitId);
+/**
+ * Check if target unit is within user's scope (downward only)
+ * Returns: boolean
+ */
+export const isWithinScope = async (userId, targetUnitId) => {
+  if (!targetUnitId) return true; // Global resource
+
+  const scope = await getAdminScope(userId);
+  return isUnitInScope(scope, targetUnitId);
 };
 
 /**
@@ -104,27 +151,30 @@ export const isAccessViolation = async (userId, targetUnitId) => {
 
   const scope = await getAdminScope(userId);
   if (scope.isGlobal) return false; // Global OK
+  if (await isUnitInScope(scope, targetUnitId)) return false;
 
-  // Check if target is ancestor (upward = violation)
-  const ancestors = await getAllAncestorIds(scope.unitId);
-  if (ancestors.includes(targetUnitId)) {
-    return true; // Trying to access parent
+  // Check if target is an ancestor of any scope unit (upward = violation)
+  for (const unitId of scope.unitIds) {
+    const ancestors = await getAllAncestorIds(unitId);
+    if (ancestors.includes(targetUnitId)) {
+      return true; // Trying to access parent
+    }
   }
 
-  // Check if target is sibling (sideways = violation)
-  if (scope.unitId) {
+  // Check if target is a sibling of any scope unit (sideways = violation)
+  if (scope.unitIds.length > 0) {
     const targetUnit = await prisma.unit.findUnique({
       where: { id: targetUnitId },
       select: { parentId: true }
     });
 
-    const ourUnit = await prisma.unit.findUnique({
-      where: { id: scope.unitId },
+    const ourUnits = await prisma.unit.findMany({
+      where: { id: { in: scope.unitIds } },
       select: { parentId: true }
     });
 
     // Same parent = siblings
-    if (targetUnit?.parentId && ourUnit?.parentId === targetUnit.parentId) {
+    if (targetUnit?.parentId && ourUnits.some(unit => unit.parentId === targetUnit.parentId)) {
       return true; // Trying to access sibling
     }
   }
@@ -174,6 +224,41 @@ export const requireScope = (paramName = 'unitId') => {
   };
 };
 
+/**
+ * A role flagged isGlobal confers national scope wherever it is assigned,
+ * so only someone who already has global scope may grant it
+ */
+export const assertCanGrantRole = async (userId, role) => {
+  if (!role.isGlobal) return;
+
+  const scope = await getAdminScope(userId);
+  if (!scope.isGlobal) {
+    throw new ForbiddenError(`Only national administrators can grant the ${role.name} role`);
+  }
+};
+
+/**
+ * Middleware: Only users holding a global (National) role
+ * Usage: router.put('/api/system-config/:key', authenticate, requireGlobalScope, handler)
+ */
+export const requireGlobalScope = async (req, res, next) => {
+  try {
+    if (!req.userId) {
+      return next(new ForbiddenError('User not authenticated'));
+    }
+
+    const scope = await getAdminScope(req.userId);
+    if (!scope.isGlobal) {
+      return next(new ForbiddenError('Only national administrators can do this'));
+    }
+
+    req.adminScope = scope;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Automatically filter query results by scope
  * Returns: where clause for Prisma
@@ -185,16 +270,14 @@ export const getScopeFilter = async (userId, field = 'unitId') => {
     return {}; // No filter for global
   }
 
-  if (!scope.unitId) {
+  if (scope.unitIds.length === 0) {
     return { [field]: null }; // Only null/unscoped
   }
 
-  // Get all descendants
-  const descendants = await getAllDescendantIds(scope.unitId);
-
+  // Every assigned unit and its descendants
   return {
     [field]: {
-      in: [scope.unitId, ...descendants]
+      in: await getScopeUnitIds(scope)
     }
   };
 };
@@ -220,6 +303,7 @@ export const canManageUser = async (adminId, targetUserId) => {
     where: { authUserId: targetUserId },
     include: {
       roleAssignments: {
+        where: activeAssignmentWhere(),
         include: {
           unit: true
         }
@@ -231,13 +315,16 @@ export const canManageUser = async (adminId, targetUserId) => {
     return false; // Target user has no roles assigned
   }
 
-  const targetAssignment = targetMember.roleAssignments[0];
-  if (!targetAssignment?.unitId) {
+  const targetUnitIds = targetMember.roleAssignments.map(ra => ra.unitId).filter(Boolean);
+  if (targetUnitIds.length === 0) {
     return false; // Target has no unit scope
   }
 
-  // Can only manage if target is within admin's scope (downward only)
-  return isWithinScope(adminId, targetAssignment.unitId);
+  // Can only manage if every unit the target holds a role in is within admin's scope (downward only)
+  for (const unitId of targetUnitIds) {
+    if (!(await isUnitInScope(adminScope, unitId))) return false;
+  }
+  return true;
 };
 
 /**
@@ -256,17 +343,20 @@ export const canCommunicate = async (senderId, recipientId) => {
     where: { authUserId: recipientId },
     include: {
       roleAssignments: {
+        where: activeAssignmentWhere(),
         include: { unit: true }
       }
     }
   });
 
-  if (!recipientMember || !recipientMember.roleAssignments[0]?.unitId) {
+  const recipientUnitIds = (recipientMember?.roleAssignments || []).map(ra => ra.unitId).filter(Boolean);
+  if (recipientUnitIds.length === 0) {
     return false; // Can't reach unscoped user
   }
 
-  const recipientUnitId = recipientMember.roleAssignments[0].unitId;
-
-  // Check if recipient is within sender's scope
-  return isWithinScope(senderId, recipientUnitId);
+  // Reachable if any of the recipient's units is within sender's scope
+  for (const unitId of recipientUnitIds) {
+    if (await isUnitInScope(senderScope, unitId)) return true;
+  }
+  return false;
 };
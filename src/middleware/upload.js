@@ -35,6 +35,24 @@ export const uploadPhoto = multer({
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
 });
 
+// Spreadsheet uploads (member imports) are parsed in memory, never written to disk
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const spreadsheetFilter = (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (SPREADSHEET_EXTENSIONS.includes(extension)) {
+        cb(null, true);
+    } else {
+        cb(new Error("Unsupported file format. Upload a .csv or .xlsx file"), false);
+    }
+};
+
+export const uploadSpreadsheet = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: spreadsheetFilter,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+});
+
 // Resizing middleware (specifically for images)
 export const eventImgResize = async (req, res, next) => {
     if (!req.file) return next();
@@ -68,4 +86,4 @@ export const eventImgResize = async (req, res, next) => {
     }
 };
 
-export default { uploadPhoto, eventImgResize };
+export default { uploadPhoto, uploadSpreadsheet, eventImgResize };
@@ -1,16 +1,38 @@
 import {
   checkIn,
+  scanCheckIn,
   checkOut,
   verifyAttendance,
   bulkSyncAttendance,
+  getSyncKeyResult,
   getEventAttendance,
   getCenterAttendance,
-  correctAttendance,
   getMemberAttendance,
   generateAttendanceCode,
+  getCurrentAttendanceCode,
+  listAttendanceCodes,
+  endAttendanceCode,
   validateAttendanceCode,
 } from './service.js';
-import { checkInSchema, checkOutSchema, bulkSyncSchema, paginationSchema } from '../../lib/validation.js';
+import {
+  requestAttendanceCorrection,
+  listAttendanceCorrections,
+  approveAttendanceCorrection,
+  rejectAttendanceCorrection,
+} from './correction-service.js';
+import {
+  checkInSchema,
+  scanCheckInSchema,
+  checkOutSchema,
+  bulkSyncSchema,
+  paginationSchema,
+  generateAttendanceCodeSchema,
+  validateAttendanceCodeSchema,
+  attendanceCorrectionSchema,
+  listAttendanceCorrectionsSchema,
+  approveAttendanceCorrectionSchema,
+  rejectAttendanceCorrectionSchema,
+} from '../../lib/validation.js';
 import { getAdminScope } from '../../middleware/scope-validator.js';
 
 /**
@@ -38,6 +60,31 @@ export const checkInHandler = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/attendance/scan
+ */
+export const scanCheckInHandler = async (req, res, next) => {
+  try {
+    const { error, value } = scanCheckInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await scanCheckIn(value, req.userId);
+    res.status(201).json({
+      data: result,
+      message: `${result.member.firstName} ${result.member.lastName} checked in`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/attendance/check-out
  */
@@ -114,6 +161,20 @@ export const bulkSyncHandler = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/attendance/sync/:idempotencyKey
+ */
+export const getSyncKeyHandler = async (req, res, next) => {
+  try {
+    const syncKey = await getSyncKeyResult(req.params.idempotencyKey);
+    res.status(200).json({
+      data: syncKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * GET /api/attendance/event/:eventId
  */
@@ -177,31 +238,125 @@ export const getCenterAttendanceHandler = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/attendance/corrections
+ */
+export const requestCorrectionHandler = async (req, res, next) => {
+  try {
+    const { error, value } = attendanceCorrectionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const correction = await requestAttendanceCorrection(value, req.userId);
+    res.status(201).json({
+      data: correction,
+      message: 'Correction submitted for approval',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/attendance/:recordId/correct
  */
 export const correctAttendanceHandler = async (req, res, next) => {
   try {
-    const { correctionType, newValue, reason } = req.body;
+    const { error, value } = attendanceCorrectionSchema.validate({
+      ...req.body,
+      attendanceId: req.params.recordId,
+    });
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const correction = await requestAttendanceCorrection(value, req.userId);
+    res.status(201).json({
+      data: correction,
+      message: 'Correction submitted for approval',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (!correctionType || !newValue || !reason) {
+/**
+ * GET /api/attendance/corrections
+ */
+export const listCorrectionsHandler = async (req, res, next) => {
+  try {
+    const { error, value } = listAttendanceCorrectionsSchema.validate(req.query);
+    if (error) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'correctionType, newValue, and reason are required',
+          message: error.details[0].message,
         },
       });
     }
 
-    const result = await correctAttendance(
-      req.params.recordId,
-      { correctionType, newValue, reason },
-      req.userId
-    );
+    const result = await listAttendanceCorrections(value, req.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
 
+/**
+ * POST /api/attendance/corrections/:correctionId/approve
+ */
+export const approveCorrectionHandler = async (req, res, next) => {
+  try {
+    const { error, value } = approveAttendanceCorrectionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await approveAttendanceCorrection(req.params.correctionId, value, req.userId);
     res.status(200).json({
       data: result,
-      message: 'Attendance corrected successfully',
+      message: 'Correction approved and applied',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/attendance/corrections/:correctionId/reject
+ */
+export const rejectCorrectionHandler = async (req, res, next) => {
+  try {
+    const { error, value } = rejectAttendanceCorrectionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const correction = await rejectAttendanceCorrection(req.params.correctionId, value, req.userId);
+    res.status(200).json({
+      data: correction,
+      message: 'Correction rejected',
     });
   } catch (error) {
     next(error);
@@ -243,21 +398,63 @@ export const getMemberAttendanceHandler = async (req, res, next) => {
  */
 export const generateCodeHandler = async (req, res, next) => {
   try {
-    const { eventId, codeType } = req.body;
-
-    if (!eventId) {
+    const { error, value } = generateAttendanceCodeSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'eventId is required',
+          message: error.details[0].message,
         },
       });
     }
 
-    const code = await generateAttendanceCode(eventId, codeType);
+    const code = await generateAttendanceCode(value, req.userId);
     res.status(201).json({
       data: code,
-      message: 'Attendance code generated',
+      message: 'Attendance code session started',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/attendance/code/event/:eventId
+ */
+export const listCodesHandler = async (req, res, next) => {
+  try {
+    const codes = await listAttendanceCodes(req.params.eventId, req.userId);
+    res.status(200).json({
+      data: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/attendance/code/:codeId/current
+ */
+export const getCurrentCodeHandler = async (req, res, next) => {
+  try {
+    const code = await getCurrentAttendanceCode(req.params.codeId, req.userId);
+    res.status(200).json({
+      data: code,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/attendance/code/:codeId
+ */
+export const endCodeHandler = async (req, res, next) => {
+  try {
+    const code = await endAttendanceCode(req.params.codeId, req.userId);
+    res.status(200).json({
+      data: code,
+      message: 'Attendance code session ended',
     });
   } catch (error) {
     next(error);
@@ -269,21 +466,20 @@ export const generateCodeHandler = async (req, res, next) => {
  */
 export const validateCodeHandler = async (req, res, next) => {
   try {
-    const { code } = req.body;
-
-    if (!code) {
+    const { error, value } = validateAttendanceCodeSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'code is required',
+          message: error.details[0].message,
         },
       });
     }
 
-    const validatedCode = await validateAttendanceCode(code);
-    res.status(200).json({
-      data: validatedCode,
-      message: 'Code validated successfully',
+    const result = await validateAttendanceCode(value, req.userId);
+    res.status(result.alreadyCheckedIn ? 200 : 201).json({
+      data: result,
+      message: result.alreadyCheckedIn ? 'Already checked in' : 'Check-in recorded successfully',
     });
   } catch (error) {
     next(error);
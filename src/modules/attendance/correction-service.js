@@ -0,0 +1,475 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { getPaginationParams, formatPaginatedResponse } from '../../lib/helpers.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from '../../middleware/error-handler.js';
+import { sendNotification } from '../notifications/service.js';
+import { getCenterManagerAccess, canManageCenter, NOT_CHECKABLE_STATUSES } from './service.js';
+import logger from '../../lib/logger.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Attendance corrections are requests. Anyone with attendance:correct may raise one for
+ * a center they administer or an event within their scope; an admin of the record's
+ * center, or a unit admin whose scope covers the event, other than the requester,
+ * approves or rejects it. Approval re-checks that the record still holds
+ * the value seen at request time, then applies the change and audits it in one transaction.
+ */
+
+const FIELD_BY_TYPE = {
+  CHECK_IN_TIME: 'checkInTime',
+  CHECK_OUT_TIME: 'checkOutTime',
+  PARTICIPATION_MODE: 'participationMode',
+  CENTER_CHANGE: 'centerId',
+};
+
+const LABELS = {
+  CHECK_IN_TIME: 'check-in time',
+  CHECK_OUT_TIME: 'check-out time',
+  PARTICIPATION_MODE: 'participation mode',
+  CENTER_CHANGE: 'center',
+  STATUS: 'attendance status',
+};
+
+const correctionInclude = {
+  registration: {
+    select: {
+      id: true,
+      status: true,
+      member: { select: { id: true, fcsCode: true, firstName: true, lastName: true } },
+    },
+  },
+  event: { select: { id: true, title: true, unitId: true } },
+  center: { select: { id: true, centerName: true } },
+  attendance: {
+    select: { id: true, checkInTime: true, checkOutTime: true, participationMode: true, centerId: true },
+  },
+  correctedByUser: { select: { id: true, email: true } },
+  reviewedByUser: { select: { id: true, email: true } },
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : '');
+
+/**
+ * Value the record holds today for a correction type, in the form stored as oldValue
+ */
+const currentValue = (correctionType, attendance) => {
+  if (correctionType === 'STATUS') {
+    return attendance ? 'PRESENT' : 'ABSENT';
+  }
+  if (!attendance) return '';
+
+  const value = attendance[FIELD_BY_TYPE[correctionType]];
+  return correctionType.endsWith('_TIME') ? toIso(value) : value || '';
+};
+
+/**
+ * Check a requested value against the registration and its attendance, and normalise it
+ * (times become ISO strings). Run again at approval, as the record may have moved on.
+ */
+const resolveNewValue = async (db, correction, registration, attendance) => {
+  const { correctionType, newValue, effectiveAt } = correction;
+
+  if (correctionType === 'STATUS') {
+    if (newValue === 'PRESENT') {
+      if (attendance) {
+        throw new ValidationError('Member is already checked in');
+      }
+      if (NOT_CHECKABLE_STATUSES.includes(registration.status)) {
+        throw new ValidationError(`A ${registration.status.toLowerCase().replace('_', ' ')} registration can't be marked present`);
+      }
+      if (!effectiveAt) {
+        throw new ValidationError('effectiveAt (the check-in time to record) is required to mark a member present');
+      }
+      return 'PRESENT';
+    }
+    if (newValue === 'VOID') {
+      if (!attendance) {
+        throw new ValidationError('There is no check-in to void');
+      }
+      return 'VOID';
+    }
+    throw new ValidationError('STATUS corrections take PRESENT or VOID');
+  }
+
+  if (!attendance) {
+    throw new ValidationError('Member has no attendance record to correct');
+  }
+
+  if (correctionType === 'CHECK_IN_TIME' || correctionType === 'CHECK_OUT_TIME') {
+    const time = new Date(newValue);
+    if (Number.isNaN(time.getTime())) {
+      throw new ValidationError('newValue must be a valid date and time');
+    }
+    if (correctionType === 'CHECK_IN_TIME' && attendance.checkOutTime && time >= attendance.checkOutTime) {
+      throw new ValidationError('Check-in time must be before the check-out time');
+    }
+    if (correctionType === 'CHECK_OUT_TIME' && time <= attendance.checkInTime) {
+      throw new ValidationError('Check-out time must be after the check-in time');
+    }
+    return time.toISOString();
+  }
+
+  if (correctionType === 'PARTICIPATION_MODE') {
+    if (!['ONLINE', 'ONSITE'].includes(newValue)) {
+      throw new ValidationError('Participation mode must be ONLINE or ONSITE');
+    }
+    return newValue;
+  }
+
+  // CENTER_CHANGE
+  const center = await db.eventCenter.findUnique({
+    where: { id: newValue },
+    select: { id: true, eventId: true },
+  });
+  if (!center || center.eventId !== registration.eventId) {
+    throw new ValidationError('Center does not belong to this event');
+  }
+  return center.id;
+};
+
+/**
+ * Request a correction to a member's attendance for an event.
+ * Target either an attendance record (attendanceId) or, to mark someone present
+ * who has none, their registration (registrationId).
+ */
+export const requestAttendanceCorrection = async (data, userId) => {
+  const { attendanceId, registrationId, correctionType, reason, effectiveAt } = data;
+
+  let attendance;
+  let registration;
+
+  if (attendanceId) {
+    attendance = await prisma.attendanceRecord.findUnique({
+      where: { id: attendanceId },
+      include: {
+        registration: { include: { participation: true, event: { select: { id: true, unitId: true } } } },
+      },
+    });
+    if (!attendance) {
+      throw new NotFoundError('Attendance record');
+    }
+    registration = attendance.registration;
+  } else {
+    registration = await prisma.registration.findUnique({
+      where: { id: registrationId },
+      include: { attendance: true, participation: true, event: { select: { id: true, unitId: true } } },
+    });
+    if (!registration) {
+      throw new NotFoundError('Registration');
+    }
+    attendance = registration.attendance;
+  }
+
+  const centerId = attendance?.centerId || registration.participation?.centerId || registration.centerId || null;
+  if (!(await canManageCenter(userId, registration.event, centerId))) {
+    throw new ForbiddenError('You can only request corrections for your own centers or events within your scope');
+  }
+
+  const newValue = await resolveNewValue(
+    prisma,
+    { correctionType, newValue: String(data.newValue).trim(), effectiveAt },
+    registration,
+    attendance
+  );
+  const oldValue = currentValue(correctionType, attendance);
+
+  if (newValue === oldValue) {
+    throw new ValidationError(`The ${LABELS[correctionType]} already has this value`);
+  }
+
+  const pending = await prisma.attendanceCorrection.findFirst({
+    where: { registrationId: registration.id, correctionType, status: 'PENDING' },
+    select: { id: true },
+  });
+  if (pending) {
+    throw new ValidationError(`A ${LABELS[correctionType]} correction for this member is already awaiting approval`);
+  }
+
+  return prisma.attendanceCorrection.create({
+    data: {
+      attendanceId: attendance?.id || null,
+      registrationId: registration.id,
+      eventId: registration.eventId,
+      centerId,
+      correctionType,
+      oldValue,
+      newValue,
+      effectiveAt: correctionType === 'STATUS' && newValue === 'PRESENT' ? new Date(effectiveAt) : null,
+      reason,
+      correctedBy: userId,
+    },
+    include: correctionInclude,
+  });
+};
+
+/**
+ * Correction requests for an event or one of its centers (oldest first).
+ * Center admins only see their own centers' requests.
+ */
+export const listAttendanceCorrections = async (query, userId) => {
+  const { eventId, centerId, status = 'PENDING', page, limit } = query;
+  const { skip, take } = getPaginationParams(page, limit);
+
+  const where = { status };
+
+  if (centerId) {
+    const center = await prisma.eventCenter.findUnique({
+      where: { id: centerId },
+      select: { id: true, eventId: true, event: { select: { id: true, unitId: true } } },
+    });
+    if (!center || (eventId && center.eventId !== eventId)) {
+      throw new NotFoundError('Center');
+    }
+    if (!(await canManageCenter(userId, center.event, centerId))) {
+      throw new ForbiddenError('You do not manage this center');
+    }
+    where.centerId = centerId;
+  } else {
+    const event = await prisma.event.findUnique({ where: { id: eventId }, select: { id: true, unitId: true } });
+    if (!event) {
+      throw new NotFoundError('Event');
+    }
+    where.eventId = eventId;
+
+    const access = await getCenterManagerAccess(userId, event);
+    if (!access.allCenters) {
+      if (access.centerIds.length === 0) {
+        throw new ForbiddenError('You do not manage this event or any of its centers');
+      }
+      where.centerId = { in: access.centerIds };
+    }
+  }
+
+  const [corrections, total] = await Promise.all([
+    prisma.attendanceCorrection.findMany({
+      where,
+      skip,
+      take,
+      include: correctionInclude,
+      orderBy: { correctedAt: 'asc' },
+    }),
+    prisma.attendanceCorrection.count({ where }),
+  ]);
+
+  return formatPaginatedResponse(corrections, total, parseInt(page || 1), parseInt(limit || 20));
+};
+
+/**
+ * Load a pending correction and check this user may review it
+ */
+const getCorrectionForReview = async (correctionId, userId) => {
+  const correction = await prisma.attendanceCorrection.findUnique({
+    where: { id: correctionId },
+    include: correctionInclude,
+  });
+
+  if (!correction) {
+    throw new NotFoundError('Attendance correction');
+  }
+  if (correction.status !== 'PENDING') {
+    throw new ValidationError(`This correction has already been ${correction.status.toLowerCase()}`);
+  }
+  if (correction.correctedBy === userId) {
+    throw new ForbiddenError('A correction must be reviewed by someone other than its requester');
+  }
+
+  if (!(await canManageCenter(userId, correction.event, correction.centerId))) {
+    throw new ForbiddenError('Only an admin of this center or of the event\'s unit can review this correction');
+  }
+
+  return correction;
+};
+
+/**
+ * Mark a pending correction reviewed; fails if another reviewer got there first
+ */
+const claimForReview = async (tx, correctionId, status, note, userId) => {
+  const { count } = await tx.attendanceCorrection.updateMany({
+    where: { id: correctionId, status: 'PENDING' },
+    data: { status, reviewedBy: userId, reviewedAt: new Date(), reviewNote: note || null },
+  });
+  if (count === 0) {
+    throw new ValidationError('This correction has already been reviewed');
+  }
+};
+
+/**
+ * Write an approved correction to the attendance record
+ * @returns {Promise<object|null>} the attendance record after the change (null once voided)
+ */
+const applyCorrection = async (tx, correction, registration, attendance, userId) => {
+  const { correctionType, newValue } = correction;
+
+  if (correctionType !== 'STATUS') {
+    const field = FIELD_BY_TYPE[correctionType];
+    return tx.attendanceRecord.update({
+      where: { id: attendance.id },
+      data: { [field]: correctionType.endsWith('_TIME') ? new Date(newValue) : newValue },
+    });
+  }
+
+  if (newValue === 'VOID') {
+    await tx.attendanceRecord.delete({ where: { id: attendance.id } });
+    // Undo the check-in only; a registration cancelled since keeps its status. Records from
+    // before the prior status was kept could only have come from CONFIRMED or PENDING.
+    if (registration.status === 'CHECKED_IN') {
+      await tx.registration.update({
+        where: { id: registration.id },
+        data: { status: attendance.statusBeforeCheckIn || 'CONFIRMED' },
+      });
+    }
+    return null;
+  }
+
+  // PRESENT: record the check-in the approver signed off on
+  const created = await tx.attendanceRecord.create({
+    data: {
+      eventId: registration.eventId,
+      registrationId: registration.id,
+      memberId: registration.memberId,
+      centerId: correction.centerId,
+      participationMode: registration.participation?.participationMode || 'ONLINE',
+      checkInMethod: 'MANUAL',
+      checkInTime: correction.effectiveAt,
+      statusBeforeCheckIn: registration.status,
+      isVerified: true,
+      verifiedBy: userId,
+      notes: `Recorded by attendance correction ${correction.id}`,
+    },
+  });
+  await tx.attendanceCorrection.update({
+    where: { id: correction.id },
+    data: { attendanceId: created.id },
+  });
+  await tx.registration.update({
+    where: { id: registration.id },
+    data: { status: 'CHECKED_IN' },
+  });
+  return created;
+};
+
+/**
+ * Tell the requester how their correction was decided
+ */
+const notifyRequester = async (correction, outcome, note) => {
+  try {
+    const requester = await prisma.member.findFirst({
+      where: { authUserId: correction.correctedBy },
+      select: { id: true, firstName: true, email: true, phoneNumber: true },
+    });
+
+    const { member } = correction.registration;
+    const lines = [
+      `Hello ${requester?.firstName || 'there'}, your ${LABELS[correction.correctionType]} correction for ${member.firstName} ${member.lastName} (${member.fcsCode}) at ${correction.event.title} was ${outcome}.`,
+    ];
+    if (note) lines.push(`Reviewer's note: ${note}`);
+
+    await sendNotification({
+      recipientId: requester?.id,
+      recipientEmail: requester?.email || correction.correctedByUser?.email,
+      recipientPhone: requester?.phoneNumber,
+      eventId: correction.eventId,
+      subject: `Attendance correction ${outcome}`,
+      message: lines.join('\n\n'),
+      triggerType: 'ATTENDANCE_CORRECTION',
+    });
+  } catch (error) {
+    logger.warn({ err: error, correctionId: correction.id }, 'Could not notify correction requester');
+  }
+};
+
+/**
+ * Approve a pending correction and apply it
+ */
+export const approveAttendanceCorrection = async (correctionId, { note } = {}, userId) => {
+  const correction = await getCorrectionForReview(correctionId, userId);
+
+  const attendance = await prisma.$transaction(async (tx) => {
+    await claimForReview(tx, correctionId, 'APPROVED', note, userId);
+
+    const registration = await tx.registration.findUnique({
+      where: { id: correction.registrationId },
+      include: { attendance: true, participation: true },
+    });
+    const current = registration.attendance;
+
+    if (currentValue(correction.correctionType, current) !== correction.oldValue) {
+      throw new ValidationError('The attendance record has changed since this correction was requested; reject it and request a new one');
+    }
+    await resolveNewValue(tx, correction, registration, current);
+
+    const applied = await applyCorrection(tx, correction, registration, current, userId);
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'ATTENDANCE_CORRECTION',
+        entityId: correction.id,
+        eventId: correction.eventId,
+        memberId: registration.memberId,
+        action: 'APPROVE',
+        changes: JSON.stringify({
+          correctionType: correction.correctionType,
+          attendanceId: current?.id || applied?.id || null,
+          from: correction.oldValue,
+          to: correction.newValue,
+          requestedBy: correction.correctedBy,
+        }),
+        reason: correction.reason,
+        createdBy: userId,
+      },
+    });
+
+    return applied;
+  });
+
+  await notifyRequester(correction, 'approved', note);
+
+  return {
+    correction: await prisma.attendanceCorrection.findUnique({
+      where: { id: correctionId },
+      include: correctionInclude,
+    }),
+    attendance,
+  };
+};
+
+/**
+ * Reject a pending correction; the attendance record is left as it is
+ */
+export const rejectAttendanceCorrection = async (correctionId, { note }, userId) => {
+  const correction = await getCorrectionForReview(correctionId, userId);
+
+  await prisma.$transaction(async (tx) => {
+    await claimForReview(tx, correctionId, 'REJECTED', note, userId);
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'ATTENDANCE_CORRECTION',
+        entityId: correction.id,
+        eventId: correction.eventId,
+        memberId: correction.registration.member.id,
+        action: 'REJECT',
+        changes: JSON.stringify({
+          correctionType: correction.correctionType,
+          attendanceId: correction.attendanceId,
+          from: correction.oldValue,
+          to: correction.newValue,
+          requestedBy: correction.correctedBy,
+        }),
+        reason: note,
+        createdBy: userId,
+      },
+    });
+  });
+
+  await notifyRequester(correction, 'rejected', note);
+
+  return prisma.attendanceCorrection.findUnique({
+    where: { id: correctionId },
+    include: correctionInclude,
+  });
+};
@@ -1,48 +1,86 @@
 import { Router } from 'express';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import {
   checkInHandler,
+  scanCheckInHandler,
   checkOutHandler,
   verifyAttendanceHandler,
   bulkSyncHandler,
+  getSyncKeyHandler,
   getEventAttendanceHandler,
   getCenterAttendanceHandler,
   correctAttendanceHandler,
+  requestCorrectionHandler,
+  listCorrectionsHandler,
+  approveCorrectionHandler,
+  rejectCorrectionHandler,
   getMemberAttendanceHandler,
   generateCodeHandler,
+  listCodesHandler,
+  getCurrentCodeHandler,
+  endCodeHandler,
   validateCodeHandler,
 } from './controller.js';
+import { createAttendanceCodeLimiter } from '../../middleware/rate-limit-handler.js';
 
 const router = Router();
+const attendanceCodeLimiter = createAttendanceCodeLimiter();
 
 // POST /api/attendance/check-in - Check in member (high-throughput)
-router.post('/check-in', authenticate, checkInHandler);
+router.post('/check-in', authenticate, requirePermission('attendance:check_in'), checkInHandler);
+
+// POST /api/attendance/scan - Check in from a signed tag QR code
+router.post('/scan', authenticate, requirePermission('attendance:check_in'), scanCheckInHandler);
 
 // POST /api/attendance/check-out - Check out member
-router.post('/check-out', authenticate, checkOutHandler);
+router.post('/check-out', authenticate, requirePermission('attendance:check_in'), checkOutHandler);
 
 // POST /api/attendance/verify - Verify attendance
-router.post('/verify', authenticate, verifyAttendanceHandler);
+router.post('/verify', authenticate, requirePermission('attendance:verify'), verifyAttendanceHandler);
 
 // POST /api/attendance/bulk-sync - Sync attendance from kiosk (offline queue)
-router.post('/bulk-sync', authenticate, bulkSyncHandler);
+router.post('/bulk-sync', authenticate, requirePermission('attendance:check_in'), bulkSyncHandler);
+
+// GET /api/attendance/sync/:idempotencyKey - Look up what a sync key resolved to
+router.get('/sync/:idempotencyKey', authenticate, requirePermission('attendance:check_in'), getSyncKeyHandler);
 
 // GET /api/attendance/event/:eventId - Get event attendance records
-router.get('/event/:eventId', authenticate, getEventAttendanceHandler);
+router.get('/event/:eventId', authenticate, requirePermission('attendance:read'), getEventAttendanceHandler);
 
 // GET /api/attendance/event/:eventId/center/:centerId - Get center attendance
-router.get('/event/:eventId/center/:centerId', authenticate, getCenterAttendanceHandler);
+router.get('/event/:eventId/center/:centerId', authenticate, requirePermission('attendance:read'), getCenterAttendanceHandler);
+
+// POST /api/attendance/corrections - Request a correction (applied once approved)
+router.post('/corrections', authenticate, requirePermission('attendance:correct'), requestCorrectionHandler);
+
+// GET /api/attendance/corrections - Correction queue for an event or center (center/unit admins)
+router.get('/corrections', authenticate, listCorrectionsHandler);
+
+// POST /api/attendance/corrections/:correctionId/approve - Approve and apply a correction
+router.post('/corrections/:correctionId/approve', authenticate, approveCorrectionHandler);
 
-// POST /api/attendance/:recordId/correct - Correct attendance record
-router.post('/:recordId/correct', authenticate, correctAttendanceHandler);
+// POST /api/attendance/corrections/:correctionId/reject - Reject a correction
+router.post('/corrections/:correctionId/reject', authenticate, rejectCorrectionHandler);
+
+// POST /api/attendance/:recordId/correct - Request a correction to an attendance record
+router.post('/:recordId/correct', authenticate, requirePermission('attendance:correct'), correctAttendanceHandler);
 
 // GET /api/attendance/member/:memberId - Get member attendance
 router.get('/member/:memberId', authenticate, getMemberAttendanceHandler);
 
-// POST /api/attendance/code/generate - Generate attendance code (QR/SAC)
-router.post('/code/generate', authenticate, generateCodeHandler);
+// POST /api/attendance/code/generate - Start a rotating session code for an event/center
+router.post('/code/generate', authenticate, requirePermission('attendance:manage_codes'), generateCodeHandler);
+
+// GET /api/attendance/code/event/:eventId - List an event's session codes
+router.get('/code/event/:eventId', authenticate, requirePermission('attendance:manage_codes'), listCodesHandler);
+
+// POST /api/attendance/code/validate - Member self check-in with the current session code
+router.post('/code/validate', authenticate, attendanceCodeLimiter, validateCodeHandler);
+
+// GET /api/attendance/code/:codeId/current - Code to display for the current window
+router.get('/code/:codeId/current', authenticate, requirePermission('attendance:manage_codes'), getCurrentCodeHandler);
 
-// POST /api/attendance/code/validate - Validate attendance code
-router.post('/code/validate', authenticate, validateCodeHandler);
+// DELETE /api/attendance/code/:codeId - End a session code
+router.delete('/code/:codeId', authenticate, requirePermission('attendance:manage_codes'), endCodeHandler);
 
 export default router;
@@ -6,12 +6,32 @@ import {
 import {
   ValidationError,
   NotFoundError,
+  ForbiddenError,
 } from '../../middleware/error-handler.js';
+import { verifyTagToken } from '../../lib/tag-token.js';
+import { generateTotpSecret, generateTotp, getTotpStep, verifyTotp } from '../../lib/totp.js';
+import { getConfig } from '../system-config/service.js';
+import { isWithinScope } from '../../middleware/scope-validator.js';
 
 const prisma = getPrismaClient();
 
-// In-memory idempotency cache (use Redis in production)
-const idempotencyCache = new Map();
+// Registrations that hold no seat (or await a guardian) and so can't be checked in
+export const NOT_CHECKABLE_STATUSES = ['CANCELLED', 'WAITLISTED', 'PENDING_CONSENT'];
+
+/**
+ * Reject check-in for registrations that hold no seat or are held for parental consent
+ */
+export const assertCanCheckIn = (registration) => {
+  if (NOT_CHECKABLE_STATUSES.includes(registration.status)) {
+    throw new ValidationError(`Registration is ${registration.status.toLowerCase().replace('_', ' ')}`);
+  }
+};
+
+const TAG_TOKEN_ERRORS = {
+  MALFORMED: 'QR code is not an FCS registration tag',
+  BAD_SIGNATURE: 'QR code signature is invalid',
+  EXPIRED: 'QR code has expired',
+};
 
 /**
  * Check in member
@@ -37,6 +57,9 @@ export const checkIn = async (data, userId) => {
     throw new ValidationError('Registration does not match event');
   }
 
+  assertCanCheckIn(registration);
+  await assertCanCheckInAt(userId, registration.event, centerId || registration.centerId);
+
   // Check if already checked in
   const existingAttendance = await prisma.attendanceRecord.findFirst({
     where: { registrationId },
@@ -52,7 +75,7 @@ export const checkIn = async (data, userId) => {
       where: { id: centerId },
     });
 
-    if (!center) {
+    if (!center || center.eventId !== eventId) {
       throw new NotFoundError('Center');
     }
 
@@ -71,6 +94,7 @@ export const checkIn = async (data, userId) => {
         checkInTime: new Date(),
         checkInMethod,
         notes,
+        statusBeforeCheckIn: registration.status,
       },
     });
   } else {
@@ -84,6 +108,7 @@ export const checkIn = async (data, userId) => {
         checkInMethod,
         checkInTime: new Date(),
         notes: notes || null,
+        statusBeforeCheckIn: registration.status,
       },
     });
   }
@@ -97,6 +122,60 @@ export const checkIn = async (data, userId) => {
   return attendance;
 };
 
+/**
+ * Resolve a scanned tag token to its registration, rejecting tampered,
+ * expired and foreign-event codes
+ */
+const resolveTagToken = (token, eventId, scannedAt = new Date()) => {
+  const result = verifyTagToken(token, scannedAt);
+
+  if (!result.valid) {
+    throw new ValidationError(TAG_TOKEN_ERRORS[result.reason]);
+  }
+
+  if (result.eventId !== eventId) {
+    throw new ValidationError('QR code belongs to a different event');
+  }
+
+  return result.registrationId;
+};
+
+/**
+ * Check in member from a scanned tag QR code
+ */
+export const scanCheckIn = async (data, userId) => {
+  const { token, eventId, centerId, notes } = data;
+  const registrationId = resolveTagToken(token, eventId);
+
+  const registration = await prisma.registration.findUnique({
+    where: { id: registrationId },
+    include: {
+      member: {
+        select: {
+          id: true,
+          fcsCode: true,
+          firstName: true,
+          lastName: true,
+          profilePhotoUrl: true,
+        },
+      },
+    },
+  });
+
+  if (!registration) {
+    throw new NotFoundError('Registration');
+  }
+
+  assertCanCheckIn(registration);
+
+  const attendance = await checkIn(
+    { eventId, registrationId, centerId, checkInMethod: 'QR', notes },
+    userId
+  );
+
+  return { attendance, member: registration.member };
+};
+
 /**
  * Check out member
  */
@@ -143,9 +222,37 @@ export const verifyAttendance = async (attendanceId, userId) => {
   });
 };
 
+/**
+ * Idempotency key lifetime for offline sync
+ */
+const getSyncKeyTtlMs = async () =>
+  (await getConfig('ATTENDANCE_SYNC_KEY_TTL_HOURS')) * 60 * 60 * 1000;
+
+// Slack for kiosk clocks running a little ahead of the server
+const KIOSK_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+/**
+ * When an offline scan happened, as far as the kiosk's clock can be trusted: not after
+ * the batch reached the server, and no earlier than a sync key would still be kept
+ */
+const boundScanTime = (checkInTime, receivedAt, maxAgeMs) => {
+  const scannedAt = new Date(checkInTime);
+
+  if (scannedAt.getTime() > receivedAt.getTime() + KIOSK_CLOCK_SKEW_MS) {
+    throw new ValidationError('checkInTime is in the future');
+  }
+  if (receivedAt.getTime() - scannedAt.getTime() > maxAgeMs) {
+    throw new ValidationError('checkInTime is older than offline scans are accepted');
+  }
+
+  return scannedAt > receivedAt ? receivedAt : scannedAt;
+};
+
 /**
  * Offline sync with idempotency
- * Handles bulk attendance records from kiosk with conflict resolution
+ * Handles bulk attendance records from kiosk with conflict resolution.
+ * Keys are persisted in the same transaction as the attendance record, so a
+ * replayed batch is safe across restarts and cluster workers.
  */
 export const bulkSyncAttendance = async (data, userId) => {
   const { records } = data;
@@ -154,79 +261,141 @@ export const bulkSyncAttendance = async (data, userId) => {
     throw new ValidationError('records array is required and must not be empty');
   }
 
+  const receivedAt = new Date();
   const results = [];
   const errors = [];
+  const syncKeyTtlMs = await getSyncKeyTtlMs();
+  const accessByEvent = new Map();
 
   for (const record of records) {
+    const { eventId, centerId, checkInMethod, checkInTime, idempotencyKey, qrToken } = record;
+    let { registrationId } = record;
+
     try {
-      const { eventId, registrationId, centerId, checkInMethod, checkInTime, idempotencyKey } = record;
+      const scannedAt = boundScanTime(checkInTime, receivedAt, syncKeyTtlMs);
 
-      // Check idempotency cache
-      if (idempotencyCache.has(idempotencyKey)) {
-        results.push({
-          idempotencyKey,
-          status: 'duplicate',
-          message: 'Already processed',
-        });
-        continue;
+      // Kiosks queue raw scans while offline; the code must have been valid when scanned.
+      // Registration status is checked with the same rules as a live scan below.
+      if (qrToken) {
+        registrationId = resolveTagToken(qrToken, eventId, scannedAt);
       }
 
-      // Verify registration
-      const registration = await prisma.registration.findUnique({
-        where: { id: registrationId },
-        include: { participation: true },
+      // Expired keys no longer count as processed
+      await prisma.attendanceSyncKey.deleteMany({
+        where: { idempotencyKey, expiresAt: { lte: new Date() } },
       });
 
-      if (!registration) {
-        errors.push({
+      const result = await prisma.$transaction(async (tx) => {
+        // Claim the key first; a concurrent or earlier sync of the same key
+        // fails here on the unique constraint and rolls back
+        const syncKey = await tx.attendanceSyncKey.create({
+          data: {
+            idempotencyKey,
+            eventId,
+            registrationId,
+            status: 'SUCCESS',
+            syncedBy: userId || null,
+            expiresAt: new Date(Date.now() + syncKeyTtlMs),
+          },
+        });
+
+        const registration = await tx.registration.findUnique({
+          where: { id: registrationId },
+          include: { participation: true, event: true },
+        });
+
+        if (!registration) {
+          throw new NotFoundError('Registration');
+        }
+
+        if (registration.eventId !== eventId) {
+          throw new ValidationError('Registration does not match event');
+        }
+
+        assertCanCheckIn(registration);
+
+        // One kiosk batch is usually one event, so look the syncing user's access up once
+        if (!accessByEvent.has(eventId)) {
+          accessByEvent.set(eventId, await getCenterManagerAccess(userId, registration.event));
+        }
+        const access = accessByEvent.get(eventId);
+        const checkInCenterId = centerId || registration.centerId;
+        if (!access.allCenters && !(checkInCenterId && access.centerIds.includes(checkInCenterId))) {
+          throw new ForbiddenError(CHECK_IN_FORBIDDEN);
+        }
+
+        // Check if already checked in (conflict resolution)
+        const existingAttendance = await tx.attendanceRecord.findFirst({
+          where: { registrationId },
+        });
+
+        if (existingAttendance && existingAttendance.checkInTime) {
+          await tx.attendanceSyncKey.update({
+            where: { id: syncKey.id },
+            data: { status: 'CONFLICT', attendanceId: existingAttendance.id },
+          });
+
+          return {
+            idempotencyKey,
+            status: 'conflict',
+            message: 'Member already checked in',
+            attendanceId: existingAttendance.id,
+          };
+        }
+
+        const attendance = await tx.attendanceRecord.create({
+          data: {
+            eventId,
+            registrationId,
+            memberId: registration.memberId,
+            centerId: centerId || registration.centerId || null,
+            participationMode: registration.participation?.participationMode || 'ONLINE',
+            checkInMethod,
+            checkInTime: scannedAt,
+            statusBeforeCheckIn: registration.status,
+          },
+        });
+
+        await tx.attendanceSyncKey.update({
+          where: { id: syncKey.id },
+          data: { attendanceId: attendance.id },
+        });
+
+        return {
           idempotencyKey,
-          error: 'Registration not found',
+          status: 'success',
+          attendanceId: attendance.id,
+        };
+      });
+
+      results.push(result);
+    } catch (error) {
+      if (error.code === 'P2002' && error.meta?.target?.includes('idempotencyKey')) {
+        const existingKey = await prisma.attendanceSyncKey.findUnique({
+          where: { idempotencyKey },
+        });
+
+        results.push({
+          idempotencyKey,
+          status: 'duplicate',
+          message: 'Already processed',
+          attendanceId: existingKey?.attendanceId || null,
         });
         continue;
       }
 
-      // Check if already checked in (conflict resolution)
-      const existingAttendance = await prisma.attendanceRecord.findFirst({
-        where: { registrationId },
-      });
-
-      if (existingAttendance && existingAttendance.checkInTime) {
+      // Another key checked this registration in concurrently
+      if (error.code === 'P2002' && error.meta?.target?.includes('registrationId')) {
         results.push({
           idempotencyKey,
           status: 'conflict',
           message: 'Member already checked in',
-          attendanceId: existingAttendance.id,
         });
-
-        // Cache this
-        idempotencyCache.set(idempotencyKey, existingAttendance.id);
         continue;
       }
 
-      // Create attendance record
-      const attendance = await prisma.attendanceRecord.create({
-        data: {
-          eventId,
-          registrationId,
-          memberId: registration.memberId,
-          centerId: centerId || registration.centerId || null,
-          participationMode: registration.participation?.participationMode || 'ONLINE',
-          checkInMethod,
-          checkInTime: new Date(checkInTime),
-        },
-      });
-
-      results.push({
-        idempotencyKey,
-        status: 'success',
-        attendanceId: attendance.id,
-      });
-
-      // Cache the result
-      idempotencyCache.set(idempotencyKey, attendance.id);
-    } catch (error) {
       errors.push({
-        idempotencyKey: record.idempotencyKey,
+        idempotencyKey,
         error: error.message,
       });
     }
@@ -236,12 +405,50 @@ export const bulkSyncAttendance = async (data, userId) => {
     synced: results.filter((r) => r.status === 'success').length,
     duplicates: results.filter((r) => r.status === 'duplicate').length,
     conflicts: results.filter((r) => r.status === 'conflict').length,
-    errors: errors.length,
+    failed: errors.length,
     results,
-    errors: errors,
+    errors,
   };
 };
 
+/**
+ * Look up what an idempotency key resolved to
+ */
+export const getSyncKeyResult = async (idempotencyKey) => {
+  const syncKey = await prisma.attendanceSyncKey.findUnique({
+    where: { idempotencyKey },
+    include: {
+      attendance: {
+        select: {
+          id: true,
+          registrationId: true,
+          memberId: true,
+          centerId: true,
+          checkInMethod: true,
+          checkInTime: true,
+        },
+      },
+    },
+  });
+
+  if (!syncKey || syncKey.expiresAt <= new Date()) {
+    throw new NotFoundError('Idempotency key');
+  }
+
+  return syncKey;
+};
+
+/**
+ * Purge expired idempotency keys
+ */
+export const purgeExpiredSyncKeys = async () => {
+  const { count } = await prisma.attendanceSyncKey.deleteMany({
+    where: { expiresAt: { lte: new Date() } },
+  });
+
+  return { purged: count };
+};
+
 /**
  * Get attendance records for event
  */
@@ -296,57 +503,6 @@ export const getCenterAttendance = async (eventId, centerId, query) => {
   return formatPaginatedResponse(records, total, parseInt(page || 1), parseInt(limit || 20));
 };
 
-/**
- * Correct attendance record
- */
-export const correctAttendance = async (attendanceId, correction, userId) => {
-  const { correctionType, newValue, reason } = correction;
-
-  const attendance = await prisma.attendanceRecord.findUnique({
-    where: { id: attendanceId },
-  });
-
-  if (!attendance) {
-    throw new NotFoundError('Attendance record');
-  }
-
-  // Log correction
-  const correctionRecord = await prisma.attendanceCorrection.create({
-    data: {
-      attendanceId,
-      correctionType,
-      oldValue: String(attendance[Object.keys(correctionType.split('_').map((w) => w.toLowerCase()).join(''))]),
-      newValue: String(newValue),
-      reason,
-      correctedBy: userId,
-    },
-  });
-
-  // Apply correction
-  const updateData = {};
-  const fieldMap = {
-    CHECK_IN_TIME: 'checkInTime',
-    CHECK_OUT_TIME: 'checkOutTime',
-    PARTICIPATION_MODE: 'participationMode',
-    CENTER_CHANGE: 'centerId',
-  };
-
-  const field = fieldMap[correctionType];
-  if (field) {
-    updateData[field] = correctionType === 'CENTER_CHANGE' ? newValue : new Date(newValue);
-  }
-
-  const updated = await prisma.attendanceRecord.update({
-    where: { id: attendanceId },
-    data: updateData,
-  });
-
-  return {
-    correction: correctionRecord,
-    updated,
-  };
-};
-
 /**
  * Get member attendance
  */
@@ -380,53 +536,264 @@ export const getMemberAttendance = async (memberId, query) => {
 };
 
 /**
- * Generate attendance code (QR/SAC)
+ * Which of an event's centers this user may manage attendance for (session codes,
+ * correction reviews). The routes check the permission; this adds the scope: admins
+ * whose scope covers the event's unit get every center, center admins their own.
+ * @param {{id: string, unitId: string}} event
+ * @returns {Promise<{allCenters: boolean, centerIds: string[]}>}
+ */
+export const getCenterManagerAccess = async (userId, event) => {
+  if (await isWithinScope(userId, event.unitId)) {
+    return { allCenters: true, centerIds: [] };
+  }
+
+  const centerAdmins = await prisma.centerAdmin.findMany({
+    where: { userId, center: { eventId: event.id } },
+    select: { centerId: true },
+  });
+  return { allCenters: false, centerIds: centerAdmins.map((centerAdmin) => centerAdmin.centerId) };
+};
+
+/**
+ * Can this user manage attendance for the event, or for the given center of it?
+ */
+export const canManageCenter = async (userId, event, centerId) => {
+  const access = await getCenterManagerAccess(userId, event);
+  return access.allCenters || (!!centerId && access.centerIds.includes(centerId));
+};
+
+const CHECK_IN_FORBIDDEN = 'Only admins of the event\'s unit or the center\'s admins can check members in here';
+
+/**
+ * Check-ins are recorded against a center, so the checker must manage that center
+ * (or the whole event); a center admin cannot check in members of other centers
+ */
+const assertCanCheckInAt = async (userId, event, centerId) => {
+  if (!(await canManageCenter(userId, event, centerId))) {
+    throw new ForbiddenError(CHECK_IN_FORBIDDEN);
+  }
+};
+
+const assertCanManageCode = async (userId, event, centerId) => {
+  if (!(await canManageCenter(userId, event, centerId))) {
+    throw new ForbiddenError('Only admins of the event\'s unit or the center\'s admins can manage attendance codes');
+  }
+};
+
+/**
+ * Current code and window for a session code
+ */
+const currentSessionCode = (session, now = Date.now()) => {
+  const step = getTotpStep(now, session.windowSeconds);
+  const validUntil = new Date((step + 1) * session.windowSeconds * 1000);
+
+  return {
+    code: generateTotp(session.secret, {
+      periodSeconds: session.windowSeconds,
+      digits: session.digits,
+      time: now,
+    }),
+    validFrom: new Date(step * session.windowSeconds * 1000),
+    validUntil,
+    secondsRemaining: Math.ceil((validUntil.getTime() - now) / 1000),
+  };
+};
+
+// Never expose the TOTP secret
+const toSessionResponse = (session) => {
+  const { secret, ...rest } = session;
+  const isLive = session.isActive && session.expiresAt > new Date();
+  return { ...rest, current: isLive ? currentSessionCode(session) : null };
+};
+
+/**
+ * Start a rotating session code for an event, or for one of its centers
  */
-export const generateAttendanceCode = async (eventId, codeType) => {
-  const code = Math.random().toString(36).substring(2, 10).toUpperCase();
+export const generateAttendanceCode = async (data, userId) => {
+  const { eventId, centerId, expiresAt, label } = data;
+  const windowSeconds = data.windowSeconds || await getConfig('ATTENDANCE_CODE_WINDOW_SECONDS');
 
-  return prisma.attendanceCode.create({
+  const event = await prisma.event.findUnique({ where: { id: eventId } });
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  await assertCanManageCode(userId, event, centerId);
+
+  if (centerId) {
+    const center = await prisma.eventCenter.findUnique({ where: { id: centerId } });
+    if (!center || center.eventId !== eventId) {
+      throw new ValidationError('Center does not belong to this event');
+    }
+  }
+
+  // Default to the end of the event, or a day for events already under way past their end date
+  const defaultExpiry = event.endDate && event.endDate > new Date()
+    ? event.endDate
+    : new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const session = await prisma.attendanceCode.create({
     data: {
-      code,
-      codeType: codeType || 'QR',
+      codeType: 'SESSION',
       eventId,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+      centerId: centerId || null,
+      secret: generateTotpSecret(),
+      windowSeconds,
+      label: label || null,
+      createdBy: userId || null,
+      expiresAt: expiresAt ? new Date(expiresAt) : defaultExpiry,
     },
   });
+
+  return toSessionResponse(session);
 };
 
 /**
- * Validate attendance code
+ * Get a session code's settings, if this user may manage it
  */
-export const validateAttendanceCode = async (code) => {
-  const attendanceCode = await prisma.attendanceCode.findUnique({
-    where: { code },
+const getSessionCode = async (codeId, userId) => {
+  const session = await prisma.attendanceCode.findUnique({
+    where: { id: codeId },
+    include: { event: { select: { id: true, unitId: true } } },
   });
 
-  if (!attendanceCode) {
-    throw new NotFoundError('Code');
+  if (!session || session.codeType !== 'SESSION') {
+    throw new NotFoundError('Attendance code');
   }
 
-  if (attendanceCode.isUsed) {
-    throw new ValidationError('Code already used');
+  const { event, ...code } = session;
+  await assertCanManageCode(userId, event, code.centerId);
+
+  return code;
+};
+
+/**
+ * Code to display right now (projector, livestream overlay)
+ */
+export const getCurrentAttendanceCode = async (codeId, userId) => {
+  const session = await getSessionCode(codeId, userId);
+
+  if (!session.isActive || session.expiresAt <= new Date()) {
+    throw new ValidationError('Attendance code session has ended');
   }
 
-  if (new Date() > attendanceCode.expiresAt) {
-    throw new ValidationError('Code expired');
+  return toSessionResponse(session);
+};
+
+/**
+ * List session codes for an event
+ */
+export const listAttendanceCodes = async (eventId, userId) => {
+  const event = await prisma.event.findUnique({ where: { id: eventId }, select: { id: true, unitId: true } });
+  if (!event) {
+    throw new NotFoundError('Event');
   }
 
-  // Mark as used
-  await prisma.attendanceCode.update({
-    where: { id: attendanceCode.id },
-    data: { isUsed: true, usedAt: new Date() },
+  const access = await getCenterManagerAccess(userId, event);
+  if (!access.allCenters && !access.centerIds.length) {
+    throw new ForbiddenError('Only admins of the event\'s unit or its center admins can view attendance codes');
+  }
+
+  const sessions = await prisma.attendanceCode.findMany({
+    where: {
+      eventId,
+      codeType: 'SESSION',
+      ...(!access.allCenters && { centerId: { in: access.centerIds } }),
+    },
+    orderBy: { createdAt: 'desc' },
   });
 
-  return attendanceCode;
+  return sessions.map(toSessionResponse);
 };
 
 /**
- * Clear idempotency cache (for testing/maintenance)
+ * End a session code early
  */
-export const clearIdempotencyCache = () => {
-  idempotencyCache.clear();
+export const endAttendanceCode = async (codeId, userId) => {
+  await getSessionCode(codeId, userId);
+
+  const session = await prisma.attendanceCode.update({
+    where: { id: codeId },
+    data: { isActive: false },
+  });
+
+  return toSessionResponse(session);
+};
+
+/**
+ * Self check-in with a session code.
+ * The code is checked against live sessions for the events the signed-in member
+ * is registered for; center codes only work for members assigned to that center.
+ */
+export const validateAttendanceCode = async (data, userId) => {
+  const { code, eventId } = data;
+
+  const member = await prisma.member.findFirst({
+    where: { authUserId: userId },
+  });
+
+  if (!member) {
+    throw new NotFoundError('Member profile');
+  }
+
+  const registrations = await prisma.registration.findMany({
+    where: {
+      memberId: member.id,
+      status: { notIn: NOT_CHECKABLE_STATUSES },
+      ...(eventId && { eventId }),
+    },
+    include: { participation: true, attendance: true },
+  });
+
+  if (!registrations.length) {
+    throw new ValidationError(eventId ? 'You are not registered for this event' : 'You have no active registrations');
+  }
+
+  const now = new Date();
+  const sessions = await prisma.attendanceCode.findMany({
+    where: {
+      codeType: 'SESSION',
+      isActive: true,
+      expiresAt: { gt: now },
+      eventId: { in: registrations.map((registration) => registration.eventId) },
+    },
+  });
+
+  let match = null;
+  for (const session of sessions) {
+    const registration = registrations.find((r) => r.eventId === session.eventId);
+    const memberCenterId = registration.participation?.centerId || registration.centerId || null;
+    if (session.centerId && session.centerId !== memberCenterId) continue;
+
+    const step = verifyTotp(code, session.secret, {
+      periodSeconds: session.windowSeconds,
+      digits: session.digits,
+      time: now,
+    });
+    if (step !== null) {
+      match = { session, registration };
+      break;
+    }
+  }
+
+  if (!match) {
+    throw new ValidationError('Invalid or expired attendance code');
+  }
+
+  const { session, registration } = match;
+  if (registration.attendance?.checkInTime) {
+    return { attendance: registration.attendance, alreadyCheckedIn: true };
+  }
+
+  const attendance = await checkIn(
+    {
+      eventId: session.eventId,
+      registrationId: registration.id,
+      centerId: session.centerId || undefined,
+      checkInMethod: 'SAC',
+    },
+    userId
+  );
+
+  return { attendance, alreadyCheckedIn: false };
 };
@@ -175,13 +175,13 @@ export const exportAuditLogsHandler = async (req, res, next) => {
  */
 export const cleanupOldLogsHandler = async (req, res, next) => {
   try {
-    const { daysRetention = 365 } = req.body;
+    const { daysRetention } = req.body;
 
     const result = await clearOldAuditLogs(daysRetention);
 
     res.status(200).json({
       data: result,
-      message: `Deleted ${result.deleted} audit logs older than ${daysRetention} days`,
+      message: `Deleted ${result.deleted} audit logs older than ${result.retentionDays} days`,
     });
   } catch (error) {
     next(error);
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import {
   getEntityAuditTrailHandler,
   getUserAuditTrailHandler,
@@ -13,24 +13,24 @@ import {
 const router = Router();
 
 // GET /api/audit/entity/:entityType/:entityId - Get entity audit trail
-router.get('/entity/:entityType/:entityId', authenticate, getEntityAuditTrailHandler);
+router.get('/entity/:entityType/:entityId', authenticate, requirePermission('audit:read'), getEntityAuditTrailHandler);
 
 // GET /api/audit/user/:userId - Get user audit trail
-router.get('/user/:userId', authenticate, getUserAuditTrailHandler);
+router.get('/user/:userId', authenticate, requirePermission('audit:read'), getUserAuditTrailHandler);
 
 // GET /api/audit/logs - List audit logs
-router.get('/logs', authenticate, getAuditLogsHandler);
+router.get('/logs', authenticate, requirePermission('audit:read'), getAuditLogsHandler);
 
 // GET /api/audit/compliance/report - Get compliance report
-router.get('/compliance/report', authenticate, getComplianceReportHandler);
+router.get('/compliance/report', authenticate, requirePermission('audit:read'), getComplianceReportHandler);
 
 // GET /api/audit/history/:entityType/:entityId - Get data change history
-router.get('/history/:entityType/:entityId', authenticate, getDataChangeHistoryHandler);
+router.get('/history/:entityType/:entityId', authenticate, requirePermission('audit:read'), getDataChangeHistoryHandler);
 
 // GET /api/audit/export - Export audit logs
-router.get('/export', authenticate, exportAuditLogsHandler);
+router.get('/export', authenticate, requirePermission('audit:export'), exportAuditLogsHandler);
 
 // POST /api/audit/retention/cleanup - Cleanup old logs
-router.post('/retention/cleanup', authenticate, cleanupOldLogsHandler);
+router.post('/retention/cleanup', authenticate, requirePermission('audit:cleanup'), cleanupOldLogsHandler);
 
 export default router;
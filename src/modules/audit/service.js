@@ -1,5 +1,6 @@
 import { getPrismaClient } from '../../lib/prisma.js';
 import { NotFoundError } from '../../middleware/error-handler.js';
+import { getConfig } from '../system-config/service.js';
 
 const prisma = getPrismaClient();
 
@@ -394,14 +395,16 @@ const convertAuditLogsToCSV = (logs) => {
 
 /**
  * Clear old audit logs (retention policy)
+ * daysRetention defaults to the AUDIT_RETENTION_DAYS system setting
  */
-export const clearOldAuditLogs = async (daysRetention = 365) => {
+export const clearOldAuditLogs = async (daysRetention) => {
+  daysRetention = daysRetention || await getConfig('AUDIT_RETENTION_DAYS');
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - daysRetention);
 
   const result = await prisma.auditLog.deleteMany({
     where: {
-      timestamp: { lt: cutoffDate },
+      createdAt: { lt: cutoffDate },
     },
   });
 
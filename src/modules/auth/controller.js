@@ -9,8 +9,17 @@ import {
   checkUserExistence,
   requestPasswordReset,
   resetPassword as resetPasswordService,
-  changePassword
+  changePassword,
+  verifyTwoFactorLogin
 } from './service.js';
+import { listUserSessions, signOutSession } from './session-service.js';
+import {
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} from './two-factor-service.js';
 import {
   registerSchema,
   loginSchema,
@@ -18,9 +27,20 @@ import {
   verifyOTPSchema,
   checkExistenceSchema,
   resetPasswordSchema,
-  changePasswordSchema
+  changePasswordSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema
 } from '../../lib/validation.js';
 
+// Recorded on the session so users can tell their devices apart
+const clientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
 /**
  * POST /api/auth/register
  */
@@ -37,7 +57,7 @@ export const register = async (req, res, next) => {
       });
     }
 
-    const result = await registerUser(value);
+    const result = await registerUser(value, clientInfo(req));
     res.status(201).json({
       data: result,
       message: 'User registered successfully',
@@ -89,10 +109,10 @@ export const login = async (req, res, next) => {
       });
     }
 
-    const result = await loginUser(value.identifier, value.password);
+    const result = await loginUser(value.identifier, value.password, clientInfo(req));
     res.status(200).json({
       data: result,
-      message: 'Login successful',
+      message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
     });
   } catch (error) {
     next(error);
@@ -153,7 +173,17 @@ export const verifyOTPHandler = async (req, res, next) => {
  */
 export const logout = async (req, res, next) => {
   try {
-    const result = await logoutUser(req.userId);
+    const { error, value } = logoutSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await logoutUser(req.userId, req.sessionId, value.allDevices);
     res.status(200).json({
       data: result,
       message: 'Logged out successfully',
@@ -168,18 +198,17 @@ export const logout = async (req, res, next) => {
  */
 export const refreshTokenHandler = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Missing authorization header',
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
         },
       });
     }
 
-    const token = authHeader.substring(7);
-    const result = await refreshToken(token);
+    const result = await refreshToken(value.refreshToken, clientInfo(req));
 
     res.status(200).json({
       data: result,
@@ -271,7 +300,7 @@ export const changePasswordHandler = async (req, res, next) => {
     }
 
     const { currentPassword, newPassword } = value;
-    const result = await changePassword(req.userId, currentPassword, newPassword);
+    const result = await changePassword(req.userId, currentPassword, newPassword, req.sessionId);
 
     res.status(200).json({
       data: result,
@@ -281,3 +310,162 @@ export const changePasswordHandler = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * GET /api/auth/sessions
+ */
+export const listSessionsHandler = async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.userId, req.sessionId);
+    res.status(200).json({
+      data: sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const signOutSessionHandler = async (req, res, next) => {
+  try {
+    const result = await signOutSession(req.userId, req.params.sessionId);
+    res.status(200).json({
+      data: result,
+      message: 'Device signed out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/verify
+ * Second login step
+ */
+export const verifyTwoFactorHandler = async (req, res, next) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await verifyTwoFactorLogin(value.challengeToken, value.code, clientInfo(req));
+    res.status(200).json({
+      data: result,
+      message: 'Login successful',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/auth/2fa
+ */
+export const getTwoFactorStatusHandler = async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.userId);
+    res.status(200).json({
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/setup
+ */
+export const setupTwoFactorHandler = async (req, res, next) => {
+  try {
+    const result = await beginTwoFactorSetup(req.userId);
+    res.status(200).json({
+      data: result,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/enable
+ */
+export const enableTwoFactorHandler = async (req, res, next) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await enableTwoFactor(req.userId, value.code, req.sessionId);
+    res.status(200).json({
+      data: result,
+      message: 'Two-factor authentication enabled. Store your backup codes safely',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ */
+export const regenerateBackupCodesHandler = async (req, res, next) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await regenerateBackupCodes(req.userId, value.code);
+    res.status(200).json({
+      data: result,
+      message: 'Backup codes regenerated',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/disable
+ */
+export const disableTwoFactorHandler = async (req, res, next) => {
+  try {
+    const { error, value } = disableTwoFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await disableTwoFactor(req.userId, value);
+    res.status(200).json({
+      data: result,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
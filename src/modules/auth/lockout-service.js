@@ -0,0 +1,216 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { normalizePhoneNumber } from '../../lib/helpers.js';
+import { AppError, ForbiddenError, NotFoundError } from '../../middleware/error-handler.js';
+import { getAdminScope, isUnitInScope, canManageUser } from '../../middleware/scope-validator.js';
+import { sendThroughChannel } from '../../lib/channels/index.js';
+import logger from '../../lib/logger.js';
+import { getConfig } from '../system-config/service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Brute-force protection for sign-in and OTP verification.
+ * Failures are counted per account and per identifier (so unknown emails/phones are
+ * throttled too) in AuthThrottle, which survives restarts and is shared by every instance.
+ * Repeated failures slow responses down, then lock the key for a while and tell the owner.
+ * The limits are system settings: AUTH_MAX_FAILED_ATTEMPTS, AUTH_FAILURE_WINDOW_MINUTES, AUTH_LOCKOUT_MINUTES.
+ */
+
+// Progressive delay: none for the first two failures, then 1s, 2s, 4s... capped
+const DELAY_FREE_FAILURES = 2;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Throttle key for whatever the user typed (email, phone or FCS code)
+ */
+export const identifierKey = (identifier) => {
+  const value = String(identifier || '').trim();
+  const compact = value.replace(/[\s\-()]/g, '');
+  const normalised = /^(\+?234|0)\d{10}$/.test(compact) ? normalizePhoneNumber(compact) : value.toLowerCase();
+  return `identifier:${normalised}`;
+};
+
+export const accountKey = (userId) => `account:${userId}`;
+
+const lockedError = (lockedUntil) => {
+  const error = new AppError(
+    `Too many failed attempts. Try again after ${lockedUntil.toISOString()}`,
+    429,
+    'ACCOUNT_LOCKED'
+  );
+  error.lockedUntil = lockedUntil;
+  return error;
+};
+
+/**
+ * Call before checking credentials: rejects locked keys and applies the progressive delay
+ */
+export const beginAttempt = async (kind, keys) => {
+  const now = new Date();
+  const failureWindowMinutes = await getConfig('AUTH_FAILURE_WINDOW_MINUTES');
+  const windowStart = new Date(now.getTime() - failureWindowMinutes * 60 * 1000);
+
+  const throttles = await prisma.authThrottle.findMany({
+    where: { kind, key: { in: keys } },
+  });
+
+  const locked = throttles.find((throttle) => throttle.lockedUntil && throttle.lockedUntil > now);
+  if (locked) {
+    throw lockedError(locked.lockedUntil);
+  }
+
+  const recentFailures = Math.max(
+    0,
+    ...throttles
+      .filter((throttle) => throttle.lastFailedAt && throttle.lastFailedAt > windowStart)
+      .map((throttle) => throttle.failedCount)
+  );
+
+  if (recentFailures > DELAY_FREE_FAILURES) {
+    await sleep(Math.min(1000 * 2 ** (recentFailures - DELAY_FREE_FAILURES - 1), MAX_DELAY_MS));
+  }
+};
+
+/**
+ * Let the owner know their account (or contact) has been locked
+ */
+const sendLockoutNotice = async (kind, { email, phoneNumber }, lockedUntil, lockoutMinutes) => {
+  const what = kind === 'OTP' ? 'verification codes' : 'sign-in';
+  const message = `We have paused ${what} on your FCS account for ${lockoutMinutes} minutes after several failed attempts (until ${lockedUntil.toUTCString()}). If this was not you, reset your password and contact your administrator.`;
+
+  const deliveries = [
+    email && sendThroughChannel('EMAIL', { to: email, subject: 'FCS account temporarily locked', message }),
+    phoneNumber && sendThroughChannel('SMS', { to: phoneNumber, subject: 'FCS account locked', message }),
+  ].filter(Boolean);
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => logger.warn({ err: result.reason }, 'Failed to send lockout notice'));
+};
+
+/**
+ * Record a failed attempt against every key; locks keys that reach the limit.
+ * contact ({ email, phoneNumber }) receives the lockout notice.
+ */
+export const recordFailure = async (kind, keys, contact = {}) => {
+  const now = new Date();
+  const [maxFailedAttempts, failureWindowMinutes, lockoutMinutes] = await Promise.all([
+    getConfig('AUTH_MAX_FAILED_ATTEMPTS'),
+    getConfig('AUTH_FAILURE_WINDOW_MINUTES'),
+    getConfig('AUTH_LOCKOUT_MINUTES'),
+  ]);
+  const windowStart = new Date(now.getTime() - failureWindowMinutes * 60 * 1000);
+  let lockedUntil = null;
+
+  for (const key of keys) {
+    const existing = await prisma.authThrottle.findUnique({
+      where: { key_kind: { key, kind } },
+    });
+
+    // Start counting afresh once the window has passed or a previous lock has run out
+    const stale = !existing
+      || !existing.lastFailedAt
+      || existing.lastFailedAt <= windowStart
+      || (existing.lockedUntil && existing.lockedUntil <= now);
+    const failedCount = stale ? 1 : existing.failedCount + 1;
+    const keyLockedUntil = failedCount >= maxFailedAttempts
+      ? new Date(now.getTime() + lockoutMinutes * 60 * 1000)
+      : null;
+
+    await prisma.authThrottle.upsert({
+      where: { key_kind: { key, kind } },
+      create: { key, kind, failedCount, lastFailedAt: now, lockedUntil: keyLockedUntil },
+      update: { failedCount, lastFailedAt: now, lockedUntil: keyLockedUntil },
+    });
+
+    if (keyLockedUntil) {
+      lockedUntil = keyLockedUntil;
+      logger.warn({ key, kind, failedCount }, 'Authentication locked after repeated failures');
+    }
+  }
+
+  if (lockedUntil && (contact.email || contact.phoneNumber)) {
+    sendLockoutNotice(kind, contact, lockedUntil, lockoutMinutes).catch((error) =>
+      logger.error({ err: error }, 'Lockout notice failed')
+    );
+  }
+
+  return { lockedUntil };
+};
+
+/**
+ * Successful attempt: forget earlier failures for these keys
+ */
+export const clearFailures = async (kind, keys) => {
+  await prisma.authThrottle.deleteMany({
+    where: { kind, key: { in: keys } },
+  });
+};
+
+/**
+ * Current lock on an account, if any (for admin views)
+ */
+export const getAccountLock = async (userId) => {
+  const throttle = await prisma.authThrottle.findFirst({
+    where: { key: accountKey(userId), lockedUntil: { gt: new Date() } },
+    orderBy: { lockedUntil: 'desc' },
+  });
+  return throttle?.lockedUntil || null;
+};
+
+const assertCanUnlock = async (adminId, authUser) => {
+  const scope = await getAdminScope(adminId);
+  if (scope.isGlobal) return;
+
+  const branchId = authUser.members[0]?.branchId;
+  if (branchId && await isUnitInScope(scope, branchId)) return;
+  if (await canManageUser(adminId, authUser.id)) return;
+
+  throw new ForbiddenError('You do not have permission to unlock this user');
+};
+
+/**
+ * Admin: lift sign-in and OTP locks on an account, including its email/phone/FCS code identifiers
+ */
+export const unlockAccount = async (userId, adminId, reason) => {
+  const authUser = await prisma.authUser.findUnique({
+    where: { id: userId },
+    include: { members: { select: { id: true, fcsCode: true, branchId: true } } },
+  });
+
+  if (!authUser) {
+    throw new NotFoundError('User');
+  }
+
+  await assertCanUnlock(adminId, authUser);
+
+  const keys = [
+    accountKey(authUser.id),
+    authUser.email && identifierKey(authUser.email),
+    authUser.phoneNumber && identifierKey(authUser.phoneNumber),
+    ...authUser.members.map((member) => member.fcsCode && identifierKey(member.fcsCode)),
+  ].filter(Boolean);
+
+  const { count } = await prisma.$transaction(async (tx) => {
+    const result = await tx.authThrottle.deleteMany({ where: { key: { in: keys } } });
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'AUTH_USER',
+        entityId: authUser.id,
+        memberId: authUser.members[0]?.id || null,
+        action: 'UNLOCK',
+        changes: JSON.stringify({ clearedCounters: result.count }),
+        reason: reason || null,
+        createdBy: adminId,
+      },
+    });
+
+    return result;
+  });
+
+  return { userId: authUser.id, unlocked: true, clearedCounters: count };
+};
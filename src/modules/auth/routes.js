@@ -11,6 +11,14 @@ import {
   forgotPasswordHandler,
   resetPasswordHandler,
   changePasswordHandler,
+  listSessionsHandler,
+  signOutSessionHandler,
+  verifyTwoFactorHandler,
+  getTwoFactorStatusHandler,
+  setupTwoFactorHandler,
+  enableTwoFactorHandler,
+  regenerateBackupCodesHandler,
+  disableTwoFactorHandler,
 } from './controller.js';
 import { authenticate } from '../../middleware/auth.js';
 
@@ -25,6 +33,24 @@ router.post('/check-existence', checkExistence);
 // POST /api/auth/login - Login user
 router.post('/login', login);
 
+// POST /api/auth/2fa/verify - Complete login with a TOTP or backup code
+router.post('/2fa/verify', verifyTwoFactorHandler);
+
+// GET /api/auth/2fa - My two-factor status
+router.get('/2fa', authenticate, getTwoFactorStatusHandler);
+
+// POST /api/auth/2fa/setup - Start enrolment (secret + QR code)
+router.post('/2fa/setup', authenticate, setupTwoFactorHandler);
+
+// POST /api/auth/2fa/enable - Confirm enrolment with a code
+router.post('/2fa/enable', authenticate, enableTwoFactorHandler);
+
+// POST /api/auth/2fa/backup-codes - Replace backup codes
+router.post('/2fa/backup-codes', authenticate, regenerateBackupCodesHandler);
+
+// POST /api/auth/2fa/disable - Turn two-factor off (not allowed where required)
+router.post('/2fa/disable', authenticate, disableTwoFactorHandler);
+
 // POST /api/auth/send-otp - Send OTP
 router.post('/send-otp', sendOTPHandler);
 
@@ -34,9 +60,15 @@ router.post('/verify-otp', verifyOTPHandler);
 // POST /api/auth/logout - Logout user
 router.post('/logout', authenticate, logout);
 
-// POST /api/auth/refresh - Refresh token
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
 router.post('/refresh', refreshTokenHandler);
 
+// GET /api/auth/sessions - List my signed-in devices
+router.get('/sessions', authenticate, listSessionsHandler);
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one device
+router.delete('/sessions/:sessionId', authenticate, signOutSessionHandler);
+
 // POST /api/auth/forgot-password - Forgot Password
 router.post('/forgot-password', forgotPasswordHandler);
 
@@ -2,10 +2,10 @@ import { getPrismaClient } from '../../lib/prisma.js';
 import {
   hashPassword,
   comparePassword,
-  generateToken,
   generateOTP,
   generateFCSCode,
   normalizePhoneNumber,
+  activeAssignmentWhere,
 } from '../../lib/helpers.js';
 import {
   ValidationError,
@@ -13,14 +13,27 @@ import {
   NotFoundError,
 } from '../../middleware/error-handler.js';
 import crypto from 'crypto';
+import { getUserPermissions } from '../roles/service.js';
 import { sendMail, sendOtp, sendPasswordOtp } from '../../lib/mail.js';
+import { sendThroughChannel } from '../../lib/channels/index.js';
+import { createSession, rotateRefreshToken, revokeSession, revokeUserSessions } from './session-service.js';
+import {
+  beginAttempt,
+  recordFailure,
+  clearFailures,
+  identifierKey,
+  accountKey,
+} from './lockout-service.js';
+import { isTwoFactorRequired, createLoginChallenge, completeLoginChallenge } from './two-factor-service.js';
+import { getConfig } from '../system-config/service.js';
 
 const prisma = getPrismaClient();
 
 /**
  * Register a new user
+ * @param {Object} client - { ipAddress, userAgent } of the signing-in device
  */
-export const registerUser = async (data) => {
+export const registerUser = async (data, client = {}) => {
   const {
     phoneNumber, email, password, firstName, lastName,
     otherNames, preferredName, whatsappNumber, gender, dateOfBirth,
@@ -168,17 +181,8 @@ export const registerUser = async (data) => {
     }
   }
 
-  // Generate token
-  const token = generateToken(authUser.id, normalizedPhone, email);
-
-  // Create session
-  const session = await prisma.authSession.create({
-    data: {
-      userId: authUser.id,
-      token,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    },
-  });
+  // Sign the new user in on this device
+  const { token, refreshToken, session } = await createSession(authUser, client);
 
   return {
     id: authUser.id,
@@ -186,11 +190,9 @@ export const registerUser = async (data) => {
     email: authUser.email,
     member,
     token,
+    refreshToken,
     centers: [],
-    session: {
-      id: session.id,
-      expiresAt: session.expiresAt,
-    },
+    session,
   };
 };
 
@@ -246,72 +248,24 @@ export const checkUserExistence = async ({ email, phoneNumber }) => {
 };
 
 /**
- * Login user with email/phone and password
+ * Open a session for a user who has passed every sign-in step, with their roles and centers
  */
-export const loginUser = async (identifier, password) => {
-  // Normalize if it looks like a phone number
-  const normalizedPhone = normalizePhoneNumber(identifier);
-
-  // Find user by email, phone, or FCS Code
-  let authUser = await prisma.authUser.findFirst({
-    where: {
-      OR: [
-        { email: { equals: identifier, mode: 'insensitive' } },
-        { phoneNumber: normalizedPhone },
-        {
-          members: {
-            some: { fcsCode: { equals: identifier, mode: 'insensitive' } }
-          }
-        }
-      ]
-    },
-  });
-
-  if (!authUser) {
-    throw new UnauthorizedError('Invalid credentials');
-  }
-
-  // Check if active
-  if (!authUser.isActive) {
-    throw new UnauthorizedError('Account is inactive');
-  }
-
-  // Verify password
-  const isValidPassword = await comparePassword(password, authUser.passwordHash);
-
-  if (!isValidPassword) {
-    throw new UnauthorizedError('Invalid credentials');
-  }
-
+const startSession = async (authUser, client, sessionOptions = {}) => {
   // Update last login
   await prisma.authUser.update({
     where: { id: authUser.id },
     data: { lastLoginAt: new Date() },
   });
 
-  // Generate token
-  const token = generateToken(
-    authUser.id,
-    authUser.phoneNumber,
-    authUser.email
-  );
-
-  // Create session
-  const session = await prisma.authSession.create({
-    data: {
-      userId: authUser.id,
-      token,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      ipAddress: undefined,
-      userAgent: undefined,
-    },
-  });
+  // New device session: short-lived access token + rotating refresh token
+  const { token, refreshToken, session } = await createSession(authUser, client, sessionOptions);
 
   // Get member with roles
   const member = await prisma.member.findFirst({
     where: { authUserId: authUser.id },
     include: {
       roleAssignments: {
+        where: activeAssignmentWhere(),
         include: {
           role: true,
           unit: {
@@ -349,16 +303,91 @@ export const loginUser = async (identifier, password) => {
     email: authUser.email,
     member,
     roles,
+    permissions: await getUserPermissions(authUser.id),
     unit,
     centers: centerAdmins.map(ca => ca.center),
     token,
-    session: {
-      id: session.id,
-      expiresAt: session.expiresAt,
-    },
+    refreshToken,
+    session,
   };
 };
 
+/**
+ * Login user with email/phone and password
+ * @param {Object} client - { ipAddress, userAgent } of the signing-in device
+ */
+export const loginUser = async (identifier, password, client = {}) => {
+  // Normalize if it looks like a phone number
+  const normalizedPhone = normalizePhoneNumber(identifier);
+
+  // Locked identifiers are refused before touching the account
+  const identifierKeys = [identifierKey(identifier)];
+  await beginAttempt('LOGIN', identifierKeys);
+
+  // Find user by email, phone, or FCS Code
+  let authUser = await prisma.authUser.findFirst({
+    where: {
+      OR: [
+        { email: { equals: identifier, mode: 'insensitive' } },
+        { phoneNumber: normalizedPhone },
+        {
+          members: {
+            some: { fcsCode: { equals: identifier, mode: 'insensitive' } }
+          }
+        }
+      ]
+    },
+  });
+
+  if (!authUser) {
+    await recordFailure('LOGIN', identifierKeys);
+    throw new UnauthorizedError('Invalid credentials');
+  }
+
+  // Failures also count against the account, whichever identifier was used
+  const throttleKeys = [...identifierKeys, accountKey(authUser.id)];
+  await beginAttempt('LOGIN', throttleKeys);
+
+  // Check if active
+  if (!authUser.isActive) {
+    throw new UnauthorizedError('Account is inactive');
+  }
+
+  // Verify password
+  const isValidPassword = await comparePassword(password, authUser.passwordHash);
+
+  if (!isValidPassword) {
+    await recordFailure('LOGIN', throttleKeys, authUser);
+    throw new UnauthorizedError('Invalid credentials');
+  }
+
+  // Second factor: anyone enrolled, and anyone whose roles make it mandatory.
+  // The account counter is only reset once the code is accepted, so a known
+  // password can't be used to keep resetting it between guesses.
+  if (authUser.twoFactorEnabled || await isTwoFactorRequired(authUser.id)) {
+    await clearFailures('LOGIN', identifierKeys);
+    return createLoginChallenge(authUser, client);
+  }
+
+  await clearFailures('LOGIN', throttleKeys);
+  return startSession(authUser, client);
+};
+
+/**
+ * Second login step: TOTP or backup code against the challenge from loginUser
+ * First-time enrolment also returns the backup codes, which are not shown again
+ */
+export const verifyTwoFactorLogin = async (challengeToken, code, client = {}) => {
+  const { user, backupCodes } = await completeLoginChallenge(challengeToken, code);
+  const result = await startSession(user, client, { twoFactorVerified: true });
+
+  return backupCodes ? { ...result, backupCodes } : result;
+};
+
+// OTP throttles are kept per contact the code was sent to
+const otpThrottleKeys = (normalizedPhone, email) =>
+  [normalizedPhone, email].filter(Boolean).map(identifierKey);
+
 /**
  * Send OTP to phone number or email
  */
@@ -366,6 +395,9 @@ export const sendOTP = async ({ phoneNumber, email, purpose }) => {
   try {
     const normalizedPhone = phoneNumber ? normalizePhoneNumber(phoneNumber) : null;
 
+    // No new codes while verification is locked for this contact
+    await beginAttempt('OTP', otpThrottleKeys(normalizedPhone, email));
+
     let authUser = null;
     // Check if user exists (for certain purposes)
     if (purpose !== 'REGISTRATION') {
@@ -397,6 +429,7 @@ export const sendOTP = async ({ phoneNumber, email, purpose }) => {
 
     // Generate OTP
     const code = generateOTP();
+    const expiryMinutes = await getConfig('OTP_EXPIRY_MINUTES');
 
     // Create OTP record
     const otpData = {
@@ -404,7 +437,7 @@ export const sendOTP = async ({ phoneNumber, email, purpose }) => {
       email: email,
       code,
       purpose,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+      expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
     };
 
     // Use previously found user if available, otherwise do a quick lookup
@@ -430,8 +463,8 @@ export const sendOTP = async ({ phoneNumber, email, purpose }) => {
     if (email) {
       // Send OTP via Email if provided (Asynchronous to prevent blocking/timeouts)
       const mailPromise = purpose === 'PASSWORD_RESET'
-        ? sendPasswordOtp(email, code)
-        : sendOtp(email, code);
+        ? sendPasswordOtp(email, code, expiryMinutes)
+        : sendOtp(email, code, expiryMinutes);
 
       mailPromise.then(() => {
         // Success
@@ -441,12 +474,20 @@ export const sendOTP = async ({ phoneNumber, email, purpose }) => {
     }
 
     if (normalizedPhone) {
-      // TODO: Implement SMS sending (e.g. via Twilio or Termii)
+      // Send OTP via SMS (Asynchronous, failures are logged per channel)
+      const label = purpose === 'PASSWORD_RESET' ? 'password reset' : 'verification';
+      sendThroughChannel('SMS', {
+        to: normalizedPhone,
+        subject: 'FCS verification code',
+        message: `Your FCS ${label} code is: ${code}. It expires in ${expiryMinutes} minutes.`,
+      }).catch(smsError => {
+        console.error('Failed to send OTP SMS:', smsError.message);
+      });
     }
 
     return {
       message: 'OTP sent',
-      expiresIn: '10 minutes',
+      expiresIn: `${expiryMinutes} minutes`,
     };
   } catch (error) {
     throw error;
@@ -458,30 +499,51 @@ export const sendOTP = async ({ phoneNumber, email, purpose }) => {
  */
 export const verifyOTP = async ({ phoneNumber, email, code, purpose }) => {
   const normalizedPhone = phoneNumber ? normalizePhoneNumber(phoneNumber) : null;
+  const throttleKeys = otpThrottleKeys(normalizedPhone, email);
 
-  // Find OTP
+  await beginAttempt('OTP', throttleKeys);
+
+  // Latest live OTP for this contact; the code is compared below so wrong guesses count
   const otp = await prisma.oTPToken.findFirst({
     where: {
       OR: [
         normalizedPhone ? { phoneNumber: normalizedPhone } : undefined,
         email ? { email } : undefined,
       ].filter(Boolean),
-      code,
       purpose,
       expiresAt: {
         gt: new Date(),
       },
       usedAt: null,
     },
+    orderBy: { createdAt: 'desc' },
   });
 
   if (!otp) {
     throw new ValidationError('Invalid or expired OTP');
   }
 
-  // Check attempts
-  if (otp.attempts >= 5) {
-    throw new ValidationError('Too many attempts. Please request a new OTP.');
+  const codeMatches = otp.code.length === String(code).length
+    && crypto.timingSafeEqual(Buffer.from(otp.code), Buffer.from(String(code)));
+
+  if (!codeMatches) {
+    const attempts = otp.attempts + 1;
+    const maxAttempts = await getConfig('OTP_MAX_ATTEMPTS');
+
+    // The code is burnt once its attempt cap is reached
+    await prisma.oTPToken.update({
+      where: { id: otp.id },
+      data: {
+        attempts,
+        ...(attempts >= maxAttempts && { usedAt: new Date() }),
+      },
+    });
+    await recordFailure('OTP', throttleKeys, { email, phoneNumber: normalizedPhone });
+
+    if (attempts >= maxAttempts) {
+      throw new ValidationError('Too many attempts. Please request a new OTP.');
+    }
+    throw new ValidationError('Invalid or expired OTP');
   }
 
   // Mark OTP as used
@@ -492,6 +554,7 @@ export const verifyOTP = async ({ phoneNumber, email, code, purpose }) => {
       attempts: otp.attempts + 1,
     },
   });
+  await clearFailures('OTP', throttleKeys);
 
   // Get or create user (for login/registration purposes)
   let authUser = await prisma.authUser.findFirst({
@@ -520,58 +583,20 @@ export const verifyOTP = async ({ phoneNumber, email, code, purpose }) => {
 
 /**
  * Refresh token
+ * Spends the refresh token and returns a new access token + refresh token for the same session
  */
-export const refreshToken = async (token) => {
-  // Verify current token
-  const session = await prisma.authSession.findUnique({
-    where: { token },
-    include: { user: true },
-  });
-
-  if (!session || session.revoked || new Date() > session.expiresAt) {
-    throw new UnauthorizedError('Invalid or expired token');
-  }
-
-  // Revoke old session
-  await prisma.authSession.update({
-    where: { id: session.id },
-    data: { revoked: true, revokedAt: new Date() },
-  });
-
-  // Create new token
-  const newToken = generateToken(
-    session.user.id,
-    session.user.phoneNumber,
-    session.user.email
-  );
-
-  // Create new session
-  const newSession = await prisma.authSession.create({
-    data: {
-      userId: session.user.id,
-      token: newToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-    },
-  });
-
-  return {
-    token: newToken,
-    session: {
-      id: newSession.id,
-      expiresAt: newSession.expiresAt,
-    },
-  };
-};
+export const refreshToken = async (token, client = {}) => rotateRefreshToken(token, client);
 
 /**
  * Logout user
+ * Ends the current device session, or every session when allDevices is set
  */
-export const logoutUser = async (userId) => {
-  // Revoke all sessions for user
-  await prisma.authSession.updateMany({
-    where: { userId },
-    data: { revoked: true, revokedAt: new Date() },
-  });
+export const logoutUser = async (userId, sessionId, allDevices = false) => {
+  if (allDevices) {
+    await revokeUserSessions(userId, 'LOGOUT');
+  } else {
+    await revokeSession(sessionId, 'LOGOUT');
+  }
 
   return {
     message: 'Logged out successfully',
@@ -606,6 +631,7 @@ export const getUserById = async (userId) => {
     where: { authUserId: userId },
     include: {
       roleAssignments: {
+        where: activeAssignmentWhere(),
         include: {
           role: true,
           unit: {
@@ -641,6 +667,7 @@ export const getUserById = async (userId) => {
     ...authUser,
     member,
     roles,
+    permissions: await getUserPermissions(userId),
     unit,
     centers: centerAdmins.map(ca => ca.center)
   };
@@ -735,10 +762,7 @@ export const resetPassword = async (identifier, code, newPassword) => {
   });
 
   // 5. Invalidate all sessions (optional but recommended)
-  await prisma.authSession.updateMany({
-    where: { userId: authUser.id },
-    data: { revoked: true, revokedAt: new Date() }
-  });
+  await revokeUserSessions(authUser.id, 'PASSWORD_RESET');
 
   return {
     message: 'Password reset successfully'
@@ -748,7 +772,7 @@ export const resetPassword = async (identifier, code, newPassword) => {
 /**
  * Change Password (Authenticated)
  */
-export const changePassword = async (userId, currentPassword, newPassword) => {
+export const changePassword = async (userId, currentPassword, newPassword, sessionId = null) => {
   const authUser = await prisma.authUser.findUnique({
     where: { id: userId }
   });
@@ -769,6 +793,9 @@ export const changePassword = async (userId, currentPassword, newPassword) => {
     data: { passwordHash }
   });
 
+  // Sign out every other device; the one making the change stays signed in
+  await revokeUserSessions(userId, 'PASSWORD_CHANGE', sessionId);
+
   return {
     message: 'Password changed successfully'
   };
@@ -896,8 +923,8 @@ export const resetPasswordByToken = async (token, newPassword) => {
     }),
     // Also revoke sessions
     prisma.authSession.updateMany({
-      where: { userId: resetRecord.userId },
-      data: { revoked: true, revokedAt: new Date() },
+      where: { userId: resetRecord.userId, revoked: false },
+      data: { revoked: true, revokedAt: new Date(), revokedReason: 'PASSWORD_RESET' },
     }),
   ]);
 
@@ -0,0 +1,237 @@
+import { createHash, randomBytes } from 'crypto';
+import { getPrismaClient } from '../../lib/prisma.js';
+import { generateToken } from '../../lib/helpers.js';
+import { NotFoundError, UnauthorizedError } from '../../middleware/error-handler.js';
+import { isTwoFactorRequired } from './two-factor-service.js';
+import logger from '../../lib/logger.js';
+import { getConfig } from '../system-config/service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Device sessions and refresh tokens.
+ * Each AuthSession is one signed-in device and its refresh tokens are a rotation family:
+ * every refresh spends the presented token and issues a new one. Presenting a spent token
+ * means a copy is in someone else's hands, so the whole session is revoked.
+ * Access JWTs are short-lived and carry the session id, so authenticate() can refuse them
+ * as soon as the session ends. Sessions last REFRESH_TOKEN_TTL_DAYS (a system setting)
+ * since their last refresh, and never longer than SESSION_MAX_AGE_DAYS since sign-in.
+ */
+
+// Revoked/expired sessions are kept this long for the sessions list and reuse detection
+const SESSION_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a session signed in at createdAt ends if it is refreshed now:
+ * the sliding lifetime from now, cut off at the absolute cap from sign-in
+ */
+const sessionExpiry = async (createdAt, now = new Date()) => {
+  const slidingEnd = now.getTime() + (await getConfig('REFRESH_TOKEN_TTL_DAYS')) * DAY_MS;
+  const absoluteEnd = createdAt.getTime() + (await getConfig('SESSION_MAX_AGE_DAYS')) * DAY_MS;
+  return new Date(Math.min(slidingEnd, absoluteEnd));
+};
+
+const hashRefreshToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const issueRefreshToken = async (sessionId, expiresAt) => {
+  const token = randomBytes(48).toString('base64url');
+  await prisma.refreshToken.create({
+    data: { sessionId, tokenHash: hashRefreshToken(token), expiresAt },
+  });
+  return token;
+};
+
+/**
+ * Sign a user in on a new device
+ * Returns the access token, the first refresh token and the session summary
+ * twoFactorVerified records that the sign-in passed a second factor
+ */
+export const createSession = async (user, { ipAddress, userAgent } = {}, { twoFactorVerified = false } = {}) => {
+  const now = new Date();
+  const expiresAt = await sessionExpiry(now, now);
+
+  const session = await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      createdAt: now,
+      expiresAt,
+      ipAddress,
+      userAgent,
+      twoFactorVerified,
+      lastUsedAt: new Date(),
+    },
+  });
+
+  return {
+    token: generateToken(user.id, user.phoneNumber, user.email, session.id),
+    refreshToken: await issueRefreshToken(session.id, expiresAt),
+    session: {
+      id: session.id,
+      expiresAt,
+    },
+  };
+};
+
+/**
+ * End one session (all of its access and refresh tokens stop working)
+ */
+export const revokeSession = async (sessionId, reason) => {
+  await prisma.authSession.updateMany({
+    where: { id: sessionId, revoked: false },
+    data: { revoked: true, revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+/**
+ * End every session of a user, optionally keeping the caller's own
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const { count } = await prisma.authSession.updateMany({
+    where: {
+      userId,
+      revoked: false,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revoked: true, revokedAt: new Date(), revokedReason: reason },
+  });
+  return count;
+};
+
+/**
+ * Exchange a refresh token for a new access token + refresh token
+ */
+export const rotateRefreshToken = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashRefreshToken(refreshToken) },
+    include: { session: { include: { user: true } } },
+  });
+
+  if (!record) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const { session } = record;
+  const now = new Date();
+
+  if (record.usedAt) {
+    await revokeSession(session.id, 'TOKEN_REUSE');
+    logger.warn({ sessionId: session.id, userId: session.userId }, 'Refresh token reuse detected; session revoked');
+    throw new UnauthorizedError('Session has been revoked, please sign in again');
+  }
+
+  if (session.revoked || record.expiresAt <= now || session.expiresAt <= now || !session.user.isActive) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  // Roles that now require 2FA end password-only sessions at their next refresh
+  if (!session.twoFactorVerified && await isTwoFactorRequired(session.userId)) {
+    await revokeSession(session.id, 'TWO_FACTOR_REQUIRED');
+    throw new UnauthorizedError('Two-factor authentication is required, please sign in again');
+  }
+
+  // Spend the token; losing this race means another request already used it
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: now },
+  });
+  if (count === 0) {
+    await revokeSession(session.id, 'TOKEN_REUSE');
+    logger.warn({ sessionId: session.id, userId: session.userId }, 'Concurrent refresh token use; session revoked');
+    throw new UnauthorizedError('Session has been revoked, please sign in again');
+  }
+
+  const expiresAt = await sessionExpiry(session.createdAt, now);
+  await prisma.authSession.update({
+    where: { id: session.id },
+    data: {
+      expiresAt,
+      lastUsedAt: now,
+      ...(ipAddress && { ipAddress }),
+      ...(userAgent && { userAgent }),
+    },
+  });
+
+  const { user } = session;
+  return {
+    token: generateToken(user.id, user.phoneNumber, user.email, session.id),
+    refreshToken: await issueRefreshToken(session.id, expiresAt),
+    session: {
+      id: session.id,
+      expiresAt,
+    },
+  };
+};
+
+/**
+ * Whether an access token's session is still live
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+
+  const session = await prisma.authSession.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revoked: true, expiresAt: true },
+  });
+
+  return Boolean(session && session.userId === userId && !session.revoked && session.expiresAt > new Date());
+};
+
+/**
+ * The caller's signed-in devices
+ */
+export const listUserSessions = async (userId, currentSessionId) => {
+  const sessions = await prisma.authSession.findMany({
+    where: { userId, revoked: false, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+  return sessions.map((session) => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Sign one of the caller's devices out
+ */
+export const signOutSession = async (userId, sessionId) => {
+  const session = await prisma.authSession.findFirst({
+    where: { id: sessionId, userId, revoked: false },
+    select: { id: true },
+  });
+
+  if (!session) {
+    throw new NotFoundError('Session');
+  }
+
+  await revokeSession(session.id, 'SIGN_OUT');
+  return { id: session.id, revoked: true };
+};
+
+/**
+ * Background job: drop sessions (and their refresh tokens) that ended a while ago
+ */
+export const purgeEndedSessions = async () => {
+  const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * DAY_MS);
+
+  const { count } = await prisma.authSession.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: cutoff } },
+        { revoked: true, revokedAt: { lt: cutoff } },
+      ],
+    },
+  });
+
+  return { removed: count };
+};
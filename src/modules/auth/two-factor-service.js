@@ -0,0 +1,396 @@
+import { createHash, randomBytes } from 'crypto';
+import QRCode from 'qrcode';
+import { getPrismaClient } from '../../lib/prisma.js';
+import { generateTotpSecret, verifyTotp } from '../../lib/totp.js';
+import { comparePassword, activeAssignmentWhere } from '../../lib/helpers.js';
+import {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} from '../../middleware/error-handler.js';
+import { getAdminScope } from '../../middleware/scope-validator.js';
+import { beginAttempt, recordFailure, clearFailures, accountKey } from './lockout-service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * TOTP two-factor authentication (authenticator apps) with single-use backup codes.
+ * Mandatory for anyone whose scope is State or higher, or who holds a role flagged
+ * requiresTwoFactor; optional for everyone else. A correct password then yields a
+ * short-lived challenge instead of a session, and the code completes the sign-in.
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'FCS Registration';
+const CHALLENGE_TTL_MINUTES = 10;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const BACKUP_CODE_COUNT = 10;
+
+// Scope levels below National (which is global) that always require 2FA
+const ENFORCED_LEVELS = ['Area', 'State'];
+
+const hashValue = (value) => createHash('sha256').update(value).digest('hex');
+
+const normaliseBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const invalidChallenge = () => new UnauthorizedError('Sign-in challenge is invalid or has expired, please sign in again');
+
+/**
+ * Whether the user's roles make 2FA mandatory
+ */
+export const isTwoFactorRequired = async (userId) => {
+  const scope = await getAdminScope(userId);
+  if (scope.isGlobal || scope.units.some((unit) => ENFORCED_LEVELS.includes(unit.level))) {
+    return true;
+  }
+
+  const flagged = await prisma.roleAssignment.count({
+    where: {
+      ...activeAssignmentWhere(),
+      member: { authUserId: userId },
+      role: { requiresTwoFactor: true },
+    },
+  });
+  return flagged > 0;
+};
+
+/**
+ * otpauth:// URI plus a QR code data URL for authenticator apps
+ */
+const provisioning = async (user, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email || user.phoneNumber || user.id}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=30`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+};
+
+/**
+ * Replace the user's backup codes; the plain codes are only ever returned here
+ */
+const issueBackupCodes = async (tx, userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+  await tx.twoFactorBackupCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashValue(normaliseBackupCode(code)) })),
+  });
+
+  return codes;
+};
+
+const writeTwoFactorAudit = (tx, userId, enabled, reason) =>
+  tx.auditLog.create({
+    data: {
+      entityType: 'AUTH_USER',
+      entityId: userId,
+      action: 'UPDATE',
+      changes: JSON.stringify({ twoFactorEnabled: enabled }),
+      reason,
+      createdBy: userId,
+    },
+  });
+
+/**
+ * Turn 2FA on once a code from the pending secret has been accepted
+ */
+const activateTwoFactor = (userId, step) =>
+  prisma.$transaction(async (tx) => {
+    await tx.authUser.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: true, twoFactorEnabledAt: new Date(), twoFactorLastStep: step },
+    });
+    await writeTwoFactorAudit(tx, userId, true, 'Two-factor authentication enabled');
+    return issueBackupCodes(tx, userId);
+  });
+
+/**
+ * Accept a TOTP code (each time step once) or an unused backup code
+ * @returns {'TOTP'|'BACKUP_CODE'|null}
+ */
+const consumeSecondFactor = async (user, code) => {
+  const step = verifyTotp(code, user.twoFactorSecret);
+  if (step !== null) {
+    const { count } = await prisma.authUser.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+    return count > 0 ? 'TOTP' : null;
+  }
+
+  const backupCode = await prisma.twoFactorBackupCode.findFirst({
+    where: { userId: user.id, codeHash: hashValue(normaliseBackupCode(code)), usedAt: null },
+  });
+  if (!backupCode) return null;
+
+  const { count } = await prisma.twoFactorBackupCode.updateMany({
+    where: { id: backupCode.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return count > 0 ? 'BACKUP_CODE' : null;
+};
+
+/**
+ * Check a signed-in user's code before a 2FA change. Wrong codes count towards the same
+ * account lockout as sign-in, so these endpoints cannot be used to guess codes either.
+ */
+const assertSecondFactor = async (user, code) => {
+  const throttleKeys = [accountKey(user.id)];
+  await beginAttempt('LOGIN', throttleKeys);
+
+  if (!(await consumeSecondFactor(user, code))) {
+    await recordFailure('LOGIN', throttleKeys, user);
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  await clearFailures('LOGIN', throttleKeys);
+};
+
+const findUser = async (userId) => {
+  const user = await prisma.authUser.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  return user;
+};
+
+/**
+ * Password accepted: hand out a challenge for the second step.
+ * Users who must use 2FA but have not set it up get a secret to enrol with; a pending
+ * secret is shown again until enrolment completes, so an app already set up from an
+ * earlier sign-in keeps working.
+ */
+export const createLoginChallenge = async (user, { ipAddress, userAgent } = {}) => {
+  const purpose = user.twoFactorEnabled ? 'VERIFY' : 'ENROLL';
+  const challengeToken = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+  await prisma.twoFactorChallenge.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashValue(challengeToken),
+      purpose,
+      expiresAt,
+      ipAddress,
+      userAgent,
+    },
+  });
+
+  const response = {
+    twoFactorRequired: true,
+    challengeToken,
+    purpose,
+    expiresAt,
+  };
+
+  if (purpose === 'ENROLL') {
+    let secret = user.twoFactorSecret;
+    if (!secret) {
+      secret = generateTotpSecret();
+      await prisma.authUser.update({
+        where: { id: user.id },
+        data: { twoFactorSecret: secret },
+      });
+    }
+    response.setup = await provisioning(user, secret);
+  }
+
+  return response;
+};
+
+/**
+ * Second login step. Returns the user (and, for first-time enrolment, their backup codes)
+ * once the code checks out; the caller then creates the session.
+ */
+export const completeLoginChallenge = async (challengeToken, code) => {
+  const challenge = await prisma.twoFactorChallenge.findUnique({
+    where: { tokenHash: hashValue(challengeToken) },
+    include: { user: true },
+  });
+
+  const now = new Date();
+  if (!challenge || challenge.usedAt || challenge.expiresAt <= now || challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+    throw invalidChallenge();
+  }
+
+  const { user } = challenge;
+  if (!user.isActive) {
+    throw new UnauthorizedError('Account is inactive');
+  }
+
+  // Wrong codes count towards the same account lockout as wrong passwords
+  const throttleKeys = [accountKey(user.id)];
+  await beginAttempt('LOGIN', throttleKeys);
+
+  let method = null;
+  let enrolStep = null;
+  if (challenge.purpose === 'ENROLL') {
+    enrolStep = user.twoFactorSecret ? verifyTotp(code, user.twoFactorSecret) : null;
+    method = enrolStep !== null ? 'TOTP' : null;
+  } else {
+    method = await consumeSecondFactor(user, code);
+  }
+
+  if (!method) {
+    await prisma.twoFactorChallenge.update({
+      where: { id: challenge.id },
+      data: { attempts: { increment: 1 } },
+    });
+    await recordFailure('LOGIN', throttleKeys, user);
+    throw new UnauthorizedError('Invalid authentication code');
+  }
+
+  // Single use; losing this race means the challenge was already completed
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: now },
+  });
+  if (count === 0) {
+    throw invalidChallenge();
+  }
+
+  await clearFailures('LOGIN', throttleKeys);
+
+  const backupCodes = challenge.purpose === 'ENROLL' ? await activateTwoFactor(user.id, enrolStep) : undefined;
+
+  return { user, method, backupCodes };
+};
+
+/**
+ * The caller's 2FA state
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const user = await findUser(userId);
+
+  const [required, backupCodesRemaining] = await Promise.all([
+    isTwoFactorRequired(userId),
+    prisma.twoFactorBackupCode.count({ where: { userId, usedAt: null } }),
+  ]);
+
+  return {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    required,
+    backupCodesRemaining: user.twoFactorEnabled ? backupCodesRemaining : 0,
+  };
+};
+
+/**
+ * Start enrolment from a signed-in session: new secret, confirmed by enableTwoFactor
+ */
+export const beginTwoFactorSetup = async (userId) => {
+  const user = await findUser(userId);
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  await prisma.authUser.update({
+    where: { id: userId },
+    data: { twoFactorSecret: secret },
+  });
+
+  return provisioning(user, secret);
+};
+
+/**
+ * Confirm enrolment with a code from the app; the current session counts as verified
+ */
+export const enableTwoFactor = async (userId, code, sessionId) => {
+  const user = await findUser(userId);
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(code, user.twoFactorSecret);
+  if (step === null) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  const backupCodes = await activateTwoFactor(userId, step);
+  if (sessionId) {
+    await prisma.authSession.updateMany({
+      where: { id: sessionId, userId },
+      data: { twoFactorVerified: true },
+    });
+  }
+
+  return { enabled: true, backupCodes };
+};
+
+/**
+ * New set of backup codes (the old ones stop working)
+ */
+export const regenerateBackupCodes = async (userId, code) => {
+  const user = await findUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  await assertSecondFactor(user, code);
+
+  const backupCodes = await prisma.$transaction((tx) => issueBackupCodes(tx, userId));
+  return { backupCodes };
+};
+
+/**
+ * Turn 2FA off; refused while the user's roles require it
+ */
+export const disableTwoFactor = async (userId, { password, code }) => {
+  const user = await findUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (await isTwoFactorRequired(userId)) {
+    throw new ForbiddenError('Two-factor authentication is required for your role');
+  }
+
+  if (!(await comparePassword(password, user.passwordHash))) {
+    throw new ValidationError('Current password is incorrect');
+  }
+  await assertSecondFactor(user, code);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.authUser.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+      },
+    });
+    await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+    await writeTwoFactorAudit(tx, userId, false, 'Two-factor authentication disabled');
+  });
+
+  return { enabled: false };
+};
+
+/**
+ * Background job: drop finished and expired sign-in challenges
+ */
+export const purgeTwoFactorChallenges = async () => {
+  const { count } = await prisma.twoFactorChallenge.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { usedAt: { not: null } },
+      ],
+    },
+  });
+
+  return { removed: count };
+};
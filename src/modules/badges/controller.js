@@ -0,0 +1,149 @@
+import {
+  getCertificateTemplate,
+  saveCertificateTemplate,
+  issueEventBadgesNow,
+  listMyBadges,
+  listEventBadges,
+  getCertificateForDownload,
+  verifyBadge,
+  revokeBadge,
+} from './service.js';
+import { generateCertificatePdf } from './pdf-service.js';
+import {
+  certificateTemplateSchema,
+  listBadgesQuerySchema,
+  revokeBadgeSchema,
+} from '../../lib/validation.js';
+
+/**
+ * GET /api/badges/events/:eventId/template
+ */
+export const getCertificateTemplateHandler = async (req, res, next) => {
+  try {
+    const template = await getCertificateTemplate(req.params.eventId, req.userId);
+    res.status(200).json({ data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/badges/events/:eventId/template
+ */
+export const saveCertificateTemplateHandler = async (req, res, next) => {
+  try {
+    const { error, value } = certificateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const template = await saveCertificateTemplate(req.params.eventId, value, req.userId);
+    res.status(200).json({ data: template, message: 'Certificate template saved' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/badges/events/:eventId/issue
+ */
+export const issueEventBadgesHandler = async (req, res, next) => {
+  try {
+    const result = await issueEventBadgesNow(req.params.eventId, req.userId);
+    res.status(200).json({
+      data: result,
+      message: `${result.issued} member(s) issued certificates`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/badges/events/:eventId
+ */
+export const listEventBadgesHandler = async (req, res, next) => {
+  try {
+    const { error, value } = listBadgesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await listEventBadges(req.params.eventId, value, req.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/badges/me
+ */
+export const listMyBadgesHandler = async (req, res, next) => {
+  try {
+    const badges = await listMyBadges(req.userId);
+    res.status(200).json({ data: badges });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/badges/:id/download
+ */
+export const downloadCertificateHandler = async (req, res, next) => {
+  try {
+    const badge = await getCertificateForDownload(req.params.id, req.userId);
+    const pdfBuffer = await generateCertificatePdf(badge);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${badge.member.fcsCode}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/badges/verify/:code
+ */
+export const verifyBadgeHandler = async (req, res, next) => {
+  try {
+    const result = await verifyBadge(req.params.code);
+    res.status(200).json({ data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/badges/:id/revoke
+ */
+export const revokeBadgeHandler = async (req, res, next) => {
+  try {
+    const { error, value } = revokeBadgeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const badge = await revokeBadge(req.params.id, value.reason, req.userId);
+    res.status(200).json({ data: badge, message: 'Certificate revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,145 @@
+import { renderTemplate } from '../../lib/template.js';
+import { drawEventBanner, drawQrCode, renderPdf } from '../registrations/pdf-service.js';
+
+const DEFAULT_TITLE = 'Certificate of Participation';
+const DEFAULT_BODY = 'for participating in {{event.title}}, held from {{event.startDate}} to {{event.endDate}}.';
+
+const formatDate = (date) =>
+    date
+        ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+        : '';
+
+/**
+ * Values for the template's {{placeholders}} (see CERTIFICATE_VARIABLES)
+ */
+const buildCertificateVariables = (badge) => ({
+    member: {
+        firstName: badge.member.firstName,
+        lastName: badge.member.lastName,
+        fullName: `${badge.member.firstName} ${badge.member.lastName}`,
+        fcsCode: badge.member.fcsCode,
+    },
+    event: {
+        title: badge.event.title,
+        startDate: formatDate(badge.event.startDate),
+        endDate: formatDate(badge.event.endDate),
+    },
+    center: { name: badge.centerName || '' },
+    participationMode: badge.participationMode,
+});
+
+/**
+ * Draw one certificate on the current (A4 landscape) page
+ */
+async function drawCertificate(doc, badge) {
+    const width = doc.page.width;
+    const height = doc.page.height;
+    const margin = 50;
+    const template = badge.event.certificateTemplate || {};
+    const accent = template.accentColor || '#1e40af';
+
+    // Background and frame
+    doc.rect(0, 0, width, height).fill('#ffffff');
+
+    // --- BANNER ---
+    const headerHeight = await drawEventBanner(doc, badge.event, { height: 70, imageHeight: 110, color: accent });
+
+    doc.fillColor('#ffffff')
+        .font('Helvetica-Bold')
+        .fontSize(14)
+        .text('FCS NIGERIA', margin, headerHeight / 2 - 7, { align: 'center', width: width - margin * 2 });
+
+    doc.rect(20, headerHeight + 15, width - 40, height - headerHeight - 35)
+        .lineWidth(2)
+        .stroke(accent);
+
+    // --- TITLE ---
+    doc.fillColor(accent)
+        .font('Helvetica-Bold')
+        .fontSize(30)
+        .text((template.title || DEFAULT_TITLE).toUpperCase(), margin, headerHeight + 45, {
+            align: 'center',
+            width: width - margin * 2,
+        });
+
+    doc.moveDown(0.8);
+    doc.fillColor('#475569')
+        .font('Helvetica')
+        .fontSize(13)
+        .text('This is to certify that', { align: 'center', width: width - margin * 2 });
+
+    // --- NAME ---
+    doc.moveDown(0.6);
+    doc.fillColor('#0f172a')
+        .font('Helvetica-Bold')
+        .fontSize(28)
+        .text(`${badge.member.firstName} ${badge.member.lastName}`, { align: 'center', width: width - margin * 2 });
+
+    doc.fillColor('#065f46') // emerald-800
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .text(badge.member.fcsCode, { align: 'center', width: width - margin * 2 });
+
+    // --- BODY ---
+    doc.moveDown(0.8);
+    doc.fillColor('#334155')
+        .font('Helvetica')
+        .fontSize(13)
+        .text(renderTemplate(template.bodyText || DEFAULT_BODY, buildCertificateVariables(badge)), margin + 60, doc.y, {
+            align: 'center',
+            width: width - (margin + 60) * 2,
+        });
+
+    if (badge.centerName) {
+        doc.moveDown(0.4);
+        doc.fillColor('#94a3b8')
+            .fontSize(10)
+            .text(`${badge.centerName} · ${badge.participationMode}`, { align: 'center', width: width - (margin + 60) * 2 });
+    }
+
+    // --- SIGNATORY (BOTTOM LEFT) ---
+    const footerY = height - 130;
+    if (template.signatoryName) {
+        doc.moveTo(margin + 20, footerY + 40).lineTo(margin + 220, footerY + 40).lineWidth(1).stroke('#94a3b8');
+        doc.fillColor('#0f172a')
+            .font('Helvetica-Bold')
+            .fontSize(11)
+            .text(template.signatoryName, margin + 20, footerY + 46, { width: 200, align: 'center' });
+        if (template.signatoryTitle) {
+            doc.fillColor('#64748b')
+                .font('Helvetica')
+                .fontSize(9)
+                .text(template.signatoryTitle, { width: 200, align: 'center' });
+        }
+    }
+
+    // --- DATE (BOTTOM CENTER) ---
+    doc.fillColor('#64748b')
+        .font('Helvetica')
+        .fontSize(9)
+        .text(`Issued ${formatDate(badge.issuedAt)}`, 0, footerY + 60, { align: 'center', width });
+
+    // --- VERIFICATION QR (BOTTOM RIGHT) ---
+    const qrSize = 80;
+    const qrX = width - margin - 20 - qrSize;
+    await drawQrCode(doc, badge.verificationUrl, qrX, footerY, qrSize);
+
+    doc.fillColor('#0f172a')
+        .font('Helvetica-Bold')
+        .fontSize(8)
+        .text(badge.verificationCode, qrX - 30, footerY + qrSize + 4, { width: qrSize + 60, align: 'center' });
+
+    // --- SYSTEM FOOTER ---
+    doc.fillColor('#94a3b8')
+        .font('Helvetica')
+        .fontSize(7)
+        .text(`Verify this certificate at ${badge.verificationUrl}`, 0, height - 14, { align: 'center', width });
+}
+
+/**
+ * Generate a certificate PDF
+ * @param {Object} badge - CERTIFICATE badge with member, event (and its certificateTemplate) and verificationUrl
+ * @returns {Promise<Buffer>} - PDF Buffer
+ */
+export const generateCertificatePdf = async (badge) =>
+    renderPdf([badge], { size: 'A4', layout: 'landscape', margin: 0 }, drawCertificate);
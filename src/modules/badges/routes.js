@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  getCertificateTemplateHandler,
+  saveCertificateTemplateHandler,
+  issueEventBadgesHandler,
+  listEventBadgesHandler,
+  listMyBadgesHandler,
+  downloadCertificateHandler,
+  verifyBadgeHandler,
+  revokeBadgeHandler,
+} from './controller.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/badges/verify/:code - Public: check a certificate is genuine
+router.get('/verify/:code', verifyBadgeHandler);
+
+// GET /api/badges/me - Signed-in member's certificates and badges
+router.get('/me', authenticate, listMyBadgesHandler);
+
+// GET /api/badges/events/:eventId/template - Event certificate template
+router.get('/events/:eventId/template', authenticate, requirePermission('badges:manage'), getCertificateTemplateHandler);
+
+// PUT /api/badges/events/:eventId/template - Create or update the template (enables issuance)
+router.put('/events/:eventId/template', authenticate, requirePermission('badges:manage'), saveCertificateTemplateHandler);
+
+// POST /api/badges/events/:eventId/issue - Issue now to members with verified attendance
+router.post('/events/:eventId/issue', authenticate, requirePermission('badges:manage'), issueEventBadgesHandler);
+
+// GET /api/badges/events/:eventId - Certificates and badges issued for an event
+router.get('/events/:eventId', authenticate, requirePermission('badges:manage'), listEventBadgesHandler);
+
+// GET /api/badges/:id/download - Certificate PDF (own, or any in admin scope)
+router.get('/:id/download', authenticate, downloadCertificateHandler);
+
+// POST /api/badges/:id/revoke - Revoke a certificate or badge
+router.post('/:id/revoke', authenticate, requirePermission('badges:manage'), revokeBadgeHandler);
+
+export default router;
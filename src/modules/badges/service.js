@@ -0,0 +1,369 @@
+import { randomBytes } from 'crypto';
+import { getPrismaClient } from '../../lib/prisma.js';
+import { getPaginationParams, formatPaginatedResponse } from '../../lib/helpers.js';
+import { extractPlaceholders } from '../../lib/template.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../../middleware/error-handler.js';
+import { checkScopeAccess } from '../users/service.js';
+import { sendNotification } from '../notifications/service.js';
+import logger from '../../lib/logger.js';
+import { getConfig } from '../system-config/service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Attendance certificates and digital badges.
+ * An event opts in with a CertificateTemplate; once it has ended, every member with a
+ * verified attendance record is issued a certificate carrying a verification code that
+ * anyone can check at the public verification URL.
+ */
+const CERTIFICATE_VERIFY_BASE_URL = process.env.CERTIFICATE_VERIFY_BASE_URL
+  || process.env.INVITE_BASE_URL
+  || 'https://registration.fcsnigeria.org';
+
+// Placeholders a certificate body may use (see buildCertificateVariables)
+export const CERTIFICATE_VARIABLES = [
+  'member.firstName',
+  'member.lastName',
+  'member.fullName',
+  'member.fcsCode',
+  'event.title',
+  'event.startDate',
+  'event.endDate',
+  'center.name',
+  'participationMode',
+];
+
+const badgeInclude = {
+  member: { select: { id: true, fcsCode: true, firstName: true, lastName: true, authUserId: true } },
+  event: { select: { id: true, title: true, startDate: true, endDate: true, unitId: true } },
+};
+
+export const getVerificationUrl = (badge) =>
+  `${CERTIFICATE_VERIFY_BASE_URL}/verify/${badge.verificationCode}`;
+
+const withVerificationUrl = (badge) => ({
+  ...badge,
+  verificationUrl: badge.verificationCode ? getVerificationUrl(badge) : null,
+});
+
+/**
+ * Code printed on the certificate, e.g. 7F3A-09C1-B24E-5D80
+ */
+const newVerificationCode = () =>
+  randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+
+const normaliseVerificationCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^0-9A-F]/g, '');
+  return compact.length === 16 ? compact.match(/.{4}/g).join('-') : null;
+};
+
+const findEventForAdmin = async (eventId, userId) => {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { certificateTemplate: true },
+  });
+
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  if (!(await checkScopeAccess(userId, event.unitId))) {
+    throw new ForbiddenError('You do not have permission to manage certificates for this event');
+  }
+
+  return event;
+};
+
+/**
+ * Certificate template of an event (null when the event has none)
+ */
+export const getCertificateTemplate = async (eventId, userId) => {
+  const event = await findEventForAdmin(eventId, userId);
+  return event.certificateTemplate;
+};
+
+/**
+ * Create or update an event's certificate template
+ */
+export const saveCertificateTemplate = async (eventId, data, userId) => {
+  await findEventForAdmin(eventId, userId);
+
+  const unknown = extractPlaceholders(data.bodyText)
+    .filter((placeholder) => !CERTIFICATE_VARIABLES.includes(placeholder));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown template variables: ${unknown.join(', ')}`);
+  }
+
+  return prisma.certificateTemplate.upsert({
+    where: { eventId },
+    create: { ...data, eventId, createdBy: userId },
+    update: data,
+  });
+};
+
+/**
+ * Issue certificates (and digital badges, if the template asks for them) to everyone with
+ * verified attendance. Safe to repeat: members who already have one are skipped.
+ * @param {string|null} issuedBy - Admin issuing by hand; null for the background job
+ */
+export const issueEventBadges = async (eventId, issuedBy = null) => {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { certificateTemplate: true },
+  });
+
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  const template = event.certificateTemplate;
+  if (!template || !template.isActive) {
+    throw new ValidationError('This event has no active certificate template');
+  }
+
+  if (event.endDate > new Date()) {
+    throw new ValidationError('Certificates can only be issued after the event has ended');
+  }
+
+  const badgeTypes = template.issueDigitalBadge ? ['CERTIFICATE', 'DIGITAL_BADGE'] : ['CERTIFICATE'];
+
+  const [attendances, existing] = await Promise.all([
+    prisma.attendanceRecord.findMany({
+      where: {
+        eventId,
+        isVerified: true,
+        registration: { status: { not: 'CANCELLED' } },
+      },
+      include: {
+        member: { select: { id: true, firstName: true, email: true, phoneNumber: true } },
+        center: { select: { centerName: true } },
+      },
+    }),
+    prisma.badge.findMany({
+      where: { eventId, badgeType: { in: badgeTypes } },
+      select: { memberId: true, badgeType: true },
+    }),
+  ]);
+
+  const issuedKeys = new Set(existing.map((badge) => `${badge.memberId}:${badge.badgeType}`));
+  const issuedTo = [];
+
+  for (const attendance of attendances) {
+    const missing = badgeTypes.filter((type) => !issuedKeys.has(`${attendance.memberId}:${type}`));
+    if (missing.length === 0) continue;
+
+    const { count } = await prisma.badge.createMany({
+      data: missing.map((badgeType) => ({
+        eventId,
+        memberId: attendance.memberId,
+        badgeType,
+        participationMode: attendance.participationMode,
+        centerName: attendance.center?.centerName || null,
+        verificationCode: newVerificationCode(),
+        issuedBy,
+      })),
+      skipDuplicates: true,
+    });
+
+    if (count > 0) issuedTo.push(attendance.member);
+  }
+
+  for (const member of issuedTo) {
+    try {
+      await sendNotification({
+        recipientId: member.id,
+        recipientEmail: member.email,
+        recipientPhone: member.phoneNumber,
+        eventId,
+        subject: `Your certificate for ${event.title}`,
+        message: `Hello ${member.firstName}, thank you for taking part in ${event.title}. Your certificate of participation is ready to download from your FCS account.`,
+        triggerType: 'CERTIFICATE_ISSUED',
+      });
+    } catch (error) {
+      logger.warn({ err: error, memberId: member.id, eventId }, 'Could not queue certificate notice');
+    }
+  }
+
+  return { eventId, eligible: attendances.length, issued: issuedTo.length };
+};
+
+/**
+ * Admin: issue now instead of waiting for the background job
+ */
+export const issueEventBadgesNow = async (eventId, userId) => {
+  await findEventForAdmin(eventId, userId);
+  return issueEventBadges(eventId, userId);
+};
+
+/**
+ * Background job: issue for events with an active template that ended recently
+ */
+export const issuePendingBadges = async () => {
+  const now = new Date();
+  const since = new Date(now.getTime() - (await getConfig('BADGE_ISSUE_LOOKBACK_DAYS')) * 24 * 60 * 60 * 1000);
+
+  const templates = await prisma.certificateTemplate.findMany({
+    where: { isActive: true, event: { endDate: { gt: since, lte: now } } },
+    select: { eventId: true },
+  });
+
+  let issued = 0;
+  for (const { eventId } of templates) {
+    try {
+      issued += (await issueEventBadges(eventId)).issued;
+    } catch (error) {
+      logger.error({ err: error, eventId }, 'Certificate issuance failed');
+    }
+  }
+
+  return { events: templates.length, issued };
+};
+
+/**
+ * The signed-in member's certificates and badges
+ */
+export const listMyBadges = async (userId) => {
+  const badges = await prisma.badge.findMany({
+    where: {
+      member: { authUserId: userId },
+      badgeType: { in: ['CERTIFICATE', 'DIGITAL_BADGE'] },
+      revokedAt: null,
+    },
+    include: { event: { select: { id: true, title: true, startDate: true, endDate: true } } },
+    orderBy: { issuedAt: 'desc' },
+  });
+
+  return badges.map(withVerificationUrl);
+};
+
+/**
+ * Everything issued for an event
+ */
+export const listEventBadges = async (eventId, query, userId) => {
+  await findEventForAdmin(eventId, userId);
+
+  const { page, limit, badgeType } = query;
+  const { skip, take } = getPaginationParams(page, limit);
+  const where = { eventId, ...(badgeType && { badgeType }) };
+
+  const [badges, total] = await Promise.all([
+    prisma.badge.findMany({
+      where,
+      include: { member: badgeInclude.member },
+      orderBy: { issuedAt: 'desc' },
+      skip,
+      take,
+    }),
+    prisma.badge.count({ where }),
+  ]);
+
+  return formatPaginatedResponse(badges.map(withVerificationUrl), total, parseInt(page || 1), parseInt(limit || 20));
+};
+
+/**
+ * A certificate ready for rendering; members get their own, admins any in their scope
+ */
+export const getCertificateForDownload = async (badgeId, userId) => {
+  const badge = await prisma.badge.findUnique({
+    where: { id: badgeId },
+    include: {
+      member: badgeInclude.member,
+      event: { include: { certificateTemplate: true } },
+    },
+  });
+
+  if (!badge) {
+    throw new NotFoundError('Certificate');
+  }
+
+  if (badge.member.authUserId !== userId && !(await checkScopeAccess(userId, badge.event.unitId))) {
+    throw new ForbiddenError('You do not have permission to download this certificate');
+  }
+
+  if (badge.badgeType !== 'CERTIFICATE') {
+    throw new ValidationError('Only certificates can be downloaded');
+  }
+
+  if (badge.revokedAt) {
+    throw new ValidationError('This certificate has been revoked');
+  }
+
+  return withVerificationUrl(badge);
+};
+
+/**
+ * Public: confirm a certificate or badge is genuine
+ */
+export const verifyBadge = async (code) => {
+  const verificationCode = normaliseVerificationCode(code);
+  const badge = verificationCode && await prisma.badge.findUnique({
+    where: { verificationCode },
+    include: badgeInclude,
+  });
+
+  if (!badge) {
+    throw new NotFoundError('Certificate');
+  }
+
+  return {
+    valid: !badge.revokedAt,
+    status: badge.revokedAt ? 'REVOKED' : 'VALID',
+    verificationCode: badge.verificationCode,
+    badgeType: badge.badgeType,
+    memberName: `${badge.member.firstName} ${badge.member.lastName}`,
+    fcsCode: badge.member.fcsCode,
+    event: {
+      title: badge.event.title,
+      startDate: badge.event.startDate,
+      endDate: badge.event.endDate,
+    },
+    participationMode: badge.participationMode,
+    centerName: badge.centerName,
+    issuedAt: badge.issuedAt,
+    revokedAt: badge.revokedAt,
+  };
+};
+
+/**
+ * Withdraw a certificate or badge; verification then reports it as revoked
+ */
+export const revokeBadge = async (badgeId, reason, userId) => {
+  const badge = await prisma.badge.findUnique({
+    where: { id: badgeId },
+    include: badgeInclude,
+  });
+
+  if (!badge) {
+    throw new NotFoundError('Certificate');
+  }
+
+  if (!(await checkScopeAccess(userId, badge.event.unitId))) {
+    throw new ForbiddenError('You do not have permission to revoke this certificate');
+  }
+
+  if (badge.revokedAt) {
+    throw new ValidationError('This certificate is already revoked');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const revoked = await tx.badge.update({
+      where: { id: badgeId },
+      data: { revokedAt: new Date(), revokedBy: userId, revokedReason: reason },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'BADGE',
+        entityId: badgeId,
+        eventId: badge.eventId,
+        memberId: badge.memberId,
+        action: 'REVOKE',
+        changes: JSON.stringify({ badgeType: badge.badgeType, verificationCode: badge.verificationCode }),
+        reason,
+        createdBy: userId,
+      },
+    });
+
+    return revoked;
+  });
+};
@@ -11,7 +11,7 @@ import {
   getCenterStatisticsHandler,
   deactivateCenterHandler,
 } from './controller.js';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -19,30 +19,30 @@ const router = express.Router();
 router.get('/active', listActiveCentersHandler);
 
 // GET /api/centers/admin/all - List all centers for admin based on scope (MUST be before /:id)
-router.get('/admin/all', authenticate, listAllCentersForAdminHandler);
+router.get('/admin/all', authenticate, requirePermission('centers:read'), listAllCentersForAdminHandler);
 
 // GET /api/centers - List all centers
 router.get('/', authenticate, listCentersHandler);
 
 // POST /api/centers - Create center
-router.post('/', authenticate, createCenterHandler);
+router.post('/', authenticate, requirePermission('centers:create'), createCenterHandler);
 
 // GET /api/centers/:id - Get center details
 router.get('/:id', authenticate, getCenterHandler);
 
 // PUT /api/centers/:id - Update center
-router.put('/:id', authenticate, updateCenterHandler);
+router.put('/:id', authenticate, requirePermission('centers:update'), updateCenterHandler);
 
 // POST /api/centers/:id/admins - Add center admin
-router.post('/:id/admins', authenticate, addCenterAdminHandler);
+router.post('/:id/admins', authenticate, requirePermission('centers:manage_admins'), addCenterAdminHandler);
 
 // DELETE /api/centers/:id/admins/:userId - Remove center admin
-router.delete('/:id/admins/:userId', authenticate, removeCenterAdminHandler);
+router.delete('/:id/admins/:userId', authenticate, requirePermission('centers:manage_admins'), removeCenterAdminHandler);
 
 // GET /api/centers/:id/statistics - Get center statistics
-router.get('/:id/statistics', authenticate, getCenterStatisticsHandler);
+router.get('/:id/statistics', authenticate, requirePermission('centers:read'), getCenterStatisticsHandler);
 
 // DELETE /api/centers/:id - Deactivate center
-router.delete('/:id', authenticate, deactivateCenterHandler);
+router.delete('/:id', authenticate, requirePermission('centers:delete'), deactivateCenterHandler);
 
 export default router;
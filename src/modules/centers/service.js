@@ -12,6 +12,7 @@ import {
 const prisma = getPrismaClient();
 
 import { checkScopeAccess } from '../users/service.js';
+import { promoteFromWaitlist } from '../registrations/service.js';
 
 // ... existing imports
 
@@ -82,6 +83,7 @@ export const createCenter = async (data, userId) => {
       areaId: data.areaId || null,
       zoneId: data.zoneId || null,
       address,
+      capacity: data.capacity ?? null,
       createdBy: userId,
     },
   });
@@ -266,17 +268,27 @@ export const updateCenter = async (centerId, data, userId) => {
     }
   }
 
-  return prisma.eventCenter.update({
+  const updated = await prisma.eventCenter.update({
     where: { id: centerId },
     data: {
       centerName: centerName || center.centerName,
       address: address || center.address,
       isActive: isActive !== undefined ? isActive : center.isActive,
+      capacity: data.capacity !== undefined ? data.capacity : center.capacity,
       stateId: data.stateId !== undefined ? data.stateId : center.stateId,
       areaId: data.areaId !== undefined ? data.areaId : center.areaId,
       zoneId: data.zoneId !== undefined ? data.zoneId : center.zoneId,
     },
   });
+
+  // Raising or removing the capacity opens seats for the waitlist
+  const capacityRaised = data.capacity !== undefined && center.capacity !== null
+    && (data.capacity === null || data.capacity > center.capacity);
+  if (capacityRaised) {
+    await promoteFromWaitlist(centerId, userId);
+  }
+
+  return updated;
 };
 
 /**
@@ -476,10 +488,10 @@ export const listAllCentersForAdmin = async (userId, query = {}) => {
   const { skip, take } = getPaginationParams(page, limit);
 
   // Get user's admin scope
-  const { getAdminScope } = await import('../../middleware/scope-validator.js');
+  const { getAdminScope, getScopeUnitIds } = await import('../../middleware/scope-validator.js');
   const scope = await getAdminScope(userId);
 
-  if (!scope.isGlobal && !scope.unitId) {
+  if (!scope.isGlobal && scope.unitIds.length === 0) {
     throw new ForbiddenError('You do not have admin privileges');
   }
 
@@ -508,10 +520,8 @@ export const listAllCentersForAdmin = async (userId, query = {}) => {
 
   // Apply scope-based filtering
   if (!scope.isGlobal) {
-    // Get all descendant units (including the admin's unit)
-    const { getAllDescendantIds } = await import('../units/service.js');
-    const descendantIds = await getAllDescendantIds(scope.unitId);
-    const allUnitIds = [scope.unitId, ...descendantIds];
+    // Get all descendant units (including each of the admin's units)
+    const allUnitIds = await getScopeUnitIds(scope);
 
     // Filter centers by state (unit) within the admin's scope
     const searchFilter = where.OR;
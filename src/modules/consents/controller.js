@@ -0,0 +1,88 @@
+import {
+  getConsentRequest,
+  respondToConsent,
+  resendConsentRequest,
+  getConsentReport,
+  exportConsentReportToCSV,
+} from './service.js';
+import { consentResponseSchema } from '../../lib/validation.js';
+
+/**
+ * GET /api/consents/:token
+ */
+export const getConsentRequestHandler = async (req, res, next) => {
+  try {
+    const consent = await getConsentRequest(req.params.token);
+    res.status(200).json({ data: consent });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/consents/:token
+ */
+export const respondToConsentHandler = async (req, res, next) => {
+  try {
+    const { error, value } = consentResponseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const consent = await respondToConsent(req.params.token, value, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    res.status(200).json({
+      data: consent,
+      message: consent.status === 'GRANTED'
+        ? 'Thank you. Consent recorded and the registration is confirmed'
+        : 'Thank you. Consent declined and the registration has been cancelled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/consents/:id/resend
+ */
+export const resendConsentHandler = async (req, res, next) => {
+  try {
+    const result = await resendConsentRequest(req.params.id, req.userId);
+    res.status(200).json({
+      data: result,
+      message: result.sent
+        ? 'Consent request sent to the guardian'
+        : 'Consent link renewed but the request could not be queued',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/consents/events/:eventId/report
+ */
+export const getConsentReportHandler = async (req, res, next) => {
+  try {
+    const report = await getConsentReport(req.params.eventId, req.userId);
+
+    if (req.query.format === 'csv') {
+      const csv = await exportConsentReportToCSV(report);
+      const timestamp = new Date().toISOString().split('T')[0];
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="consents-${report.eventId}-${timestamp}.csv"`);
+      return res.send(csv);
+    }
+
+    res.status(200).json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getConsentRequestHandler,
+  respondToConsentHandler,
+  resendConsentHandler,
+  getConsentReportHandler,
+} from './controller.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/consents/events/:eventId/report - Consent status per minor (?format=csv to download)
+router.get('/events/:eventId/report', authenticate, requirePermission('registrations:read'), getConsentReportHandler);
+
+// POST /api/consents/:id/resend - New link to the guardian (older links stop working)
+router.post('/:id/resend', authenticate, requirePermission('registrations:update'), resendConsentHandler);
+
+// GET /api/consents/:token - Public: what the guardian is asked to consent to
+router.get('/:token', getConsentRequestHandler);
+
+// POST /api/consents/:token - Public: guardian grants or declines
+router.post('/:token', respondToConsentHandler);
+
+export default router;
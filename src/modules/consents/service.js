@@ -0,0 +1,417 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { calculateAgeBracket } from '../../lib/helpers.js';
+import { signConsentToken, verifyConsentToken } from '../../lib/consent-token.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../../middleware/error-handler.js';
+import { checkScopeAccess } from '../users/service.js';
+import { assignToBibleStudy } from '../groups/service.js';
+import { sendNotification } from '../notifications/service.js';
+import { cancelRegistration } from '../registrations/service.js';
+import logger from '../../lib/logger.js';
+import { getConfig } from '../system-config/service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Parental consent for minors registering to events with requireParentalConsent.
+ * The registration holds its seat as PENDING_CONSENT while the guardian gets a signed
+ * link; granting confirms it, declining cancels it and frees the seat.
+ */
+const CONSENT_BASE_URL = process.env.CONSENT_BASE_URL || process.env.INVITE_BASE_URL || 'https://registration.fcsnigeria.org';
+export const CONSENT_POLICY_VERSION = process.env.CONSENT_POLICY_VERSION || '1.0';
+
+const MINOR_AGE_BRACKETS = ['0-12', '13-17'];
+
+const consentInclude = {
+  member: {
+    select: { id: true, fcsCode: true, firstName: true, lastName: true },
+  },
+  event: {
+    select: { id: true, title: true, startDate: true, endDate: true, unitId: true },
+  },
+  registration: {
+    select: {
+      id: true,
+      status: true,
+      memberId: true,
+      registeredBy: true,
+      center: { select: { centerName: true } },
+    },
+  },
+};
+
+export const isMinorMember = (member) =>
+  Boolean(member.isMinor) || MINOR_AGE_BRACKETS.includes(calculateAgeBracket(member.dateOfBirth));
+
+/**
+ * Whether registering this member for this event needs a guardian's consent
+ */
+export const requiresParentalConsent = (event, member) =>
+  Boolean(event.settings?.requireParentalConsent) && isMinorMember(member);
+
+/**
+ * Who to ask: a linked guardian with contact details (parents first), else the guardian
+ * fields on the member's own profile
+ */
+const resolveGuardian = async (client, member) => {
+  const links = await client.guardian.findMany({
+    where: { memberId: member.id, guardian: { isActive: true } },
+    include: { guardian: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const contactable = links
+    .filter((link) => link.guardian.email || link.guardian.phoneNumber)
+    .sort((a, b) => Number(b.relationship === 'PARENT') - Number(a.relationship === 'PARENT'));
+
+  if (contactable.length > 0) {
+    const { guardian } = contactable[0];
+    return {
+      guardianMemberId: guardian.id,
+      guardianName: `${guardian.firstName} ${guardian.lastName}`,
+      guardianEmail: guardian.email,
+      guardianPhone: guardian.phoneNumber,
+    };
+  }
+
+  return {
+    guardianMemberId: null,
+    guardianName: member.guardianName || null,
+    guardianEmail: member.guardianEmail || null,
+    guardianPhone: member.guardianPhone || null,
+  };
+};
+
+/**
+ * Record a pending consent for a new PENDING_CONSENT registration (inside its transaction).
+ * Send the request with sendConsentRequest once the transaction has committed.
+ */
+export const openConsentRequest = async (tx, registration, member) => {
+  const guardian = await resolveGuardian(tx, member);
+
+  return tx.parentalConsent.create({
+    data: {
+      registrationId: registration.id,
+      eventId: registration.eventId,
+      memberId: member.id,
+      ...guardian,
+      policyVersion: CONSENT_POLICY_VERSION,
+    },
+  });
+};
+
+const consentLink = (consent) => {
+  const token = signConsentToken({
+    consentId: consent.id,
+    tokenVersion: consent.tokenVersion,
+    expiresAt: consent.event.endDate,
+  });
+  return `${CONSENT_BASE_URL}/consent?token=${token}`;
+};
+
+/**
+ * Queue the consent request (or a reminder) to the guardian.
+ * @returns {Promise<boolean>} false when there is nobody to send it to
+ */
+export const sendConsentRequest = async (consentId, { reminder = false } = {}) => {
+  const consent = await prisma.parentalConsent.findUnique({
+    where: { id: consentId },
+    include: consentInclude,
+  });
+
+  if (!consent || consent.status !== 'PENDING') return false;
+  if (!consent.guardianEmail && !consent.guardianPhone) {
+    logger.warn({ consentId }, 'Parental consent request has no guardian contact');
+    return false;
+  }
+
+  const { member, event } = consent;
+  const childName = `${member.firstName} ${member.lastName}`;
+  const greeting = consent.guardianName ? `Hello ${consent.guardianName}` : 'Hello';
+
+  try {
+    await sendNotification({
+      recipientId: consent.guardianMemberId || undefined,
+      recipientEmail: consent.guardianEmail,
+      recipientPhone: consent.guardianPhone,
+      eventId: event.id,
+      subject: `${reminder ? 'Reminder: ' : ''}Consent needed for ${childName} - ${event.title}`,
+      message: `${greeting}, ${childName} has been registered for ${event.title} (${event.startDate.toDateString()}). As they are under 18, their place is held until a parent or guardian gives consent. Please review and respond here: ${consentLink(consent)}`,
+      triggerType: 'PARENTAL_CONSENT',
+    });
+    return true;
+  } catch (error) {
+    logger.warn({ err: error, consentId }, 'Could not queue parental consent request');
+    return false;
+  }
+};
+
+const findConsentByToken = async (token) => {
+  const result = verifyConsentToken(token);
+  if (!result.valid) {
+    throw new ValidationError(
+      result.reason === 'EXPIRED' ? 'This consent link has expired' : 'Invalid consent link'
+    );
+  }
+
+  const consent = await prisma.parentalConsent.findUnique({
+    where: { id: result.consentId },
+    include: consentInclude,
+  });
+
+  // Resending bumps the version, so older links stop working
+  if (!consent || consent.tokenVersion !== result.tokenVersion) {
+    throw new ValidationError('This consent link is no longer valid; use the most recent one you received');
+  }
+
+  return consent;
+};
+
+const toPublicConsent = (consent) => ({
+  consentId: consent.id,
+  status: consent.status,
+  child: {
+    firstName: consent.member.firstName,
+    lastName: consent.member.lastName,
+  },
+  event: {
+    title: consent.event.title,
+    startDate: consent.event.startDate,
+    endDate: consent.event.endDate,
+    centerName: consent.registration.center?.centerName || null,
+  },
+  guardianName: consent.guardianName,
+  policyVersion: consent.status === 'PENDING' ? CONSENT_POLICY_VERSION : consent.policyVersion,
+  respondedAt: consent.respondedAt,
+});
+
+/**
+ * Public: what the guardian is being asked to consent to
+ */
+export const getConsentRequest = async (token) => toPublicConsent(await findConsentByToken(token));
+
+/**
+ * Public: the guardian's answer. Records who answered, when, from where and against which
+ * policy version; GRANT confirms the registration, DECLINE cancels it.
+ */
+export const respondToConsent = async (token, { decision, guardianName }, { ipAddress, userAgent } = {}) => {
+  const consent = await findConsentByToken(token);
+
+  if (consent.status !== 'PENDING') {
+    throw new ValidationError('This consent request has already been answered');
+  }
+  if (consent.registration.status !== 'PENDING_CONSENT') {
+    throw new ValidationError('This registration is no longer awaiting consent');
+  }
+
+  const granted = decision === 'GRANT';
+
+  await prisma.$transaction(async (tx) => {
+    // Guard against a second answer racing this one
+    const { count } = await tx.parentalConsent.updateMany({
+      where: { id: consent.id, status: 'PENDING', tokenVersion: consent.tokenVersion },
+      data: {
+        status: granted ? 'GRANTED' : 'DECLINED',
+        respondedAt: new Date(),
+        respondedName: guardianName,
+        ipAddress: ipAddress || null,
+        userAgent: userAgent || null,
+        policyVersion: CONSENT_POLICY_VERSION,
+      },
+    });
+    if (count === 0) {
+      throw new ValidationError('This consent request has already been answered');
+    }
+
+    if (granted) {
+      await tx.registration.updateMany({
+        where: { id: consent.registrationId, status: 'PENDING_CONSENT' },
+        data: { status: 'CONFIRMED' },
+      });
+    }
+  });
+
+  if (granted) {
+    try {
+      await assignToBibleStudy(
+        consent.eventId,
+        consent.registrationId,
+        consent.memberId,
+        consent.registration.registeredBy
+      );
+    } catch (error) {
+      console.error(`[AutoAssignment] Failed for registration ${consent.registrationId}:`, error);
+    }
+  } else {
+    // Frees the seat and promotes the waitlist
+    await cancelRegistration(consent.registrationId, 'Parental consent declined', null);
+  }
+
+  return toPublicConsent(await prisma.parentalConsent.findUnique({
+    where: { id: consent.id },
+    include: consentInclude,
+  }));
+};
+
+/**
+ * Send a fresh link (earlier links stop working). Picks up guardian details added since.
+ */
+export const resendConsentRequest = async (consentId, userId) => {
+  const consent = await prisma.parentalConsent.findUnique({
+    where: { id: consentId },
+    include: { ...consentInclude, member: true },
+  });
+
+  if (!consent) {
+    throw new NotFoundError('Parental consent');
+  }
+
+  if (consent.registration.registeredBy !== userId
+    && !(await checkScopeAccess(userId, consent.event.unitId))) {
+    throw new ForbiddenError('You do not have permission to manage consent for this registration');
+  }
+
+  if (consent.status !== 'PENDING' || consent.registration.status !== 'PENDING_CONSENT') {
+    throw new ValidationError('This consent request is no longer pending');
+  }
+
+  const guardian = await resolveGuardian(prisma, consent.member);
+  if (!guardian.guardianEmail && !guardian.guardianPhone) {
+    throw new ValidationError('No guardian email or phone number on record; add one to the member profile first');
+  }
+
+  await prisma.parentalConsent.update({
+    where: { id: consent.id },
+    data: {
+      ...guardian,
+      tokenVersion: { increment: 1 },
+      requestedAt: new Date(),
+      reminderCount: 0,
+      lastReminderAt: null,
+    },
+  });
+
+  const sent = await sendConsentRequest(consent.id);
+  return { consentId: consent.id, sent };
+};
+
+/**
+ * Background job: remind guardians who have not answered yet, up to CONSENT_MAX_REMINDERS times
+ */
+export const sendConsentReminders = async () => {
+  const now = new Date();
+  const [reminderHours, maxReminders] = await Promise.all([
+    getConfig('CONSENT_REMINDER_HOURS'),
+    getConfig('CONSENT_MAX_REMINDERS'),
+  ]);
+  const due = new Date(now.getTime() - reminderHours * 60 * 60 * 1000);
+
+  const pending = await prisma.parentalConsent.findMany({
+    where: {
+      status: 'PENDING',
+      reminderCount: { lt: maxReminders },
+      registration: { status: 'PENDING_CONSENT' },
+      event: { endDate: { gt: now } },
+      OR: [
+        { lastReminderAt: null, requestedAt: { lte: due } },
+        { lastReminderAt: { lte: due } },
+      ],
+    },
+    select: { id: true },
+    take: 200,
+  });
+
+  let sent = 0;
+  for (const { id } of pending) {
+    if (await sendConsentRequest(id, { reminder: true })) sent++;
+
+    // Counted even when undeliverable, so we don't retry every hour
+    await prisma.parentalConsent.update({
+      where: { id },
+      data: { reminderCount: { increment: 1 }, lastReminderAt: now },
+    });
+  }
+
+  return { sent };
+};
+
+/**
+ * Consent status of every minor's registration for an event
+ */
+export const getConsentReport = async (eventId, userId) => {
+  const event = await prisma.event.findUnique({ where: { id: eventId } });
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  if (!(await checkScopeAccess(userId, event.unitId))) {
+    throw new ForbiddenError('You do not have permission to view consent for this event');
+  }
+
+  const consents = await prisma.parentalConsent.findMany({
+    where: { eventId },
+    include: consentInclude,
+    orderBy: { requestedAt: 'asc' },
+  });
+
+  const rows = consents.map((consent) => ({
+    consentId: consent.id,
+    registrationId: consent.registrationId,
+    registrationStatus: consent.registration.status,
+    fcsCode: consent.member.fcsCode,
+    memberName: `${consent.member.firstName} ${consent.member.lastName}`,
+    centerName: consent.registration.center?.centerName || null,
+    status: consent.status,
+    guardianName: consent.guardianName,
+    guardianEmail: consent.guardianEmail,
+    guardianPhone: consent.guardianPhone,
+    hasGuardianContact: Boolean(consent.guardianEmail || consent.guardianPhone),
+    requestedAt: consent.requestedAt,
+    reminderCount: consent.reminderCount,
+    lastReminderAt: consent.lastReminderAt,
+    respondedAt: consent.respondedAt,
+    respondedName: consent.respondedName,
+    ipAddress: consent.ipAddress,
+    policyVersion: consent.policyVersion,
+  }));
+
+  return {
+    eventId,
+    eventTitle: event.title,
+    currentPolicyVersion: CONSENT_POLICY_VERSION,
+    summary: {
+      total: rows.length,
+      pending: rows.filter((row) => row.status === 'PENDING').length,
+      granted: rows.filter((row) => row.status === 'GRANTED').length,
+      declined: rows.filter((row) => row.status === 'DECLINED').length,
+      missingGuardianContact: rows.filter((row) => row.status === 'PENDING' && !row.hasGuardianContact).length,
+    },
+    consents: rows,
+  };
+};
+
+/**
+ * Consent report as CSV
+ */
+export const exportConsentReportToCSV = async (report) => {
+  const { Parser } = await import('json2csv');
+
+  const fields = [
+    { label: 'FCS Code', value: 'fcsCode' },
+    { label: 'Member Name', value: 'memberName' },
+    { label: 'Center', value: 'centerName' },
+    { label: 'Registration Status', value: 'registrationStatus' },
+    { label: 'Consent Status', value: 'status' },
+    { label: 'Guardian Name', value: 'guardianName' },
+    { label: 'Guardian Email', value: 'guardianEmail' },
+    { label: 'Guardian Phone', value: 'guardianPhone' },
+    { label: 'Requested At', value: 'requestedAt' },
+    { label: 'Reminders Sent', value: 'reminderCount' },
+    { label: 'Responded At', value: 'respondedAt' },
+    { label: 'Responded By', value: 'respondedName' },
+    { label: 'IP Address', value: 'ipAddress' },
+    { label: 'Policy Version', value: 'policyVersion' },
+  ];
+
+  const parser = new Parser({ fields });
+  return parser.parse(report.consents);
+};
@@ -12,7 +12,7 @@ import { createEventSchema, updateEventSchema, paginationSchema } from '../../li
 
 import { cloudinaryUploadImage } from '../../lib/cloudinary.js';
 import fs from 'fs';
-import { getAdminScope } from '../../middleware/scope-validator.js';
+import { getAdminScope, resolveScopedUnitFilter } from '../../middleware/scope-validator.js';
 
 /**
  * POST /api/events - Create event
@@ -74,10 +74,10 @@ export const listEventsHandler = async (req, res, next) => {
     const scope = await getAdminScope(req.userId);
     let effectiveUnitId = req.query.unitId;
 
-    if (!scope.isGlobal && scope.unitId) {
-      // Non-global admins default to their own unit
+    if (!scope.isGlobal && scope.unitIds.length > 0) {
+      // Non-global admins default to their own units
       // They can only see events in their hierarchy (own + descendants)
-      effectiveUnitId = scope.unitId;
+      effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
     }
 
     const events = await listEvents({
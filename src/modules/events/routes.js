@@ -9,7 +9,7 @@ import {
   updateEventSettingsHandler,
   deleteEventHandler,
 } from './controller.js';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 
 import { uploadPhoto, eventImgResize } from '../../middleware/upload.js';
 
@@ -19,24 +19,24 @@ const router = express.Router();
 router.get('/', listEventsHandler);
 
 // POST /api/events - Create event
-router.post('/', authenticate, uploadPhoto.single('image'), eventImgResize, createEventHandler);
+router.post('/', authenticate, requirePermission('events:create'), uploadPhoto.single('image'), eventImgResize, createEventHandler);
 
 // GET /api/events/:id - Get event details
 router.get('/:id', getEventHandler);
 
 // PUT /api/events/:id - Update event
-router.put('/:id', authenticate, uploadPhoto.single('image'), eventImgResize, updateEventHandler);
+router.put('/:id', authenticate, requirePermission('events:update'), uploadPhoto.single('image'), eventImgResize, updateEventHandler);
 
 // POST /api/events/:id/publish - Publish event
-router.post('/:id/publish', authenticate, publishEventHandler);
+router.post('/:id/publish', authenticate, requirePermission('events:publish'), publishEventHandler);
 
 // GET /api/events/:id/statistics - Get event stats
-router.get('/:id/statistics', authenticate, getEventStatisticsHandler);
+router.get('/:id/statistics', authenticate, requirePermission('events:read'), getEventStatisticsHandler);
 
 // PUT /api/events/:id/settings - Update event settings
-router.put('/:id/settings', authenticate, updateEventSettingsHandler);
+router.put('/:id/settings', authenticate, requirePermission('events:update'), updateEventSettingsHandler);
 
 // DELETE /api/events/:id - Delete event
-router.delete('/:id', authenticate, deleteEventHandler);
+router.delete('/:id', authenticate, requirePermission('events:delete'), deleteEventHandler);
 
 export default router;
@@ -13,6 +13,7 @@ import {
 import { isWithinScope } from '../../middleware/scope-validator.js';
 import { getAllDescendantIds, getAllAncestorIds } from '../units/service.js';
 import { checkScopeAccess } from '../users/service.js';
+import { ASSIGNMENT_METHODS, BALANCE_DIMENSIONS, resolveMethod } from '../groups/assignment-strategies.js';
 
 const prisma = getPrismaClient();
 
@@ -30,6 +31,8 @@ export const createEvent = async (data, userId) => {
     registrationEnd,
     participationMode,
     imageUrl,
+    seriesKey,
+    language,
   } = data;
 
   // Permission Check (HRBAC: verify scope)
@@ -68,6 +71,8 @@ export const createEvent = async (data, userId) => {
       registrationEnd: new Date(registrationEnd),
       participationMode,
       imageUrl: imageUrl || null,
+      seriesKey: seriesKey || null,
+      language: language || null,
       createdBy: userId,
       isPublished: true, // Auto-publish events on creation
     },
@@ -124,14 +129,15 @@ export const listEvents = async (query) => {
   }
 
   if (unitId) {
-    // Hierarchical Event Visibility
-    const unit = await prisma.unit.findUnique({ where: { id: unitId }, include: { unitType: true } });
-    if (unit && !unit.unitType.name.includes('National')) {
-      const ancestors = await getAllAncestorIds(unitId);
-      const descendants = await getAllDescendantIds(unitId);
-
-      // Visibility Logic: Show events in the unit hierarchy (own + ancestors + descendants)
-      where.unitId = { in: [unitId, ...ancestors, ...descendants] };
+    // Hierarchical Event Visibility (unitId may be a single unit or an admin's scope roots)
+    const units = await prisma.unit.findMany({ where: { id: { in: [].concat(unitId) } }, include: { unitType: true } });
+    if (units.length > 0 && !units.some(unit => unit.unitType.name.includes('National'))) {
+      const unitIds = units.map(unit => unit.id);
+      const ancestors = (await Promise.all(unitIds.map(id => getAllAncestorIds(id)))).flat();
+      const descendants = await getAllDescendantIds(unitIds);
+
+      // Visibility Logic: Show events in each unit's hierarchy (own + ancestors + descendants)
+      where.unitId = { in: [...new Set([...unitIds, ...ancestors, ...descendants])] };
     }
     // If National or unit not found, we show all events (no unitId filter)
   }
@@ -187,6 +193,8 @@ export const updateEvent = async (eventId, data, userId) => {
     registrationEnd,
     participationMode,
     imageUrl,
+    seriesKey,
+    language,
   } = data;
 
   const event = await prisma.event.findUnique({
@@ -227,6 +235,8 @@ export const updateEvent = async (eventId, data, userId) => {
   if (registrationEnd) updateData.registrationEnd = new Date(registrationEnd);
   if (participationMode) updateData.participationMode = participationMode;
   if (imageUrl !== undefined) updateData.imageUrl = imageUrl || null;
+  if (seriesKey !== undefined) updateData.seriesKey = seriesKey || null;
+  if (language !== undefined) updateData.language = language || null;
 
   return prisma.event.update({
     where: { id: eventId },
@@ -348,9 +358,20 @@ export const updateEventSettings = async (eventId, data, userId) => {
     allowSelfRegistration,
     allowThirdPartyRegistration,
     requireParentalConsent,
-    groupAssignmentMethod,
+    groupBalanceBy,
   } = data;
 
+  const groupAssignmentMethod = data.groupAssignmentMethod && resolveMethod(data.groupAssignmentMethod);
+  if (groupAssignmentMethod && !ASSIGNMENT_METHODS.includes(groupAssignmentMethod)) {
+    throw new ValidationError(`groupAssignmentMethod must be one of ${ASSIGNMENT_METHODS.join(', ')}`);
+  }
+  if (
+    groupBalanceBy !== undefined &&
+    (!Array.isArray(groupBalanceBy) || groupBalanceBy.some((dimension) => !BALANCE_DIMENSIONS.includes(dimension)))
+  ) {
+    throw new ValidationError(`groupBalanceBy must be a list of ${BALANCE_DIMENSIONS.join(', ')}`);
+  }
+
   const event = await prisma.event.findUnique({
     where: { id: eventId },
   });
@@ -381,6 +402,7 @@ export const updateEventSettings = async (eventId, data, userId) => {
           allowThirdPartyRegistration !== undefined ? allowThirdPartyRegistration : undefined,
         requireParentalConsent: requireParentalConsent !== undefined ? requireParentalConsent : undefined,
         groupAssignmentMethod: groupAssignmentMethod || undefined,
+        groupBalanceBy: groupBalanceBy || undefined,
       },
     });
   }
@@ -393,6 +415,7 @@ export const updateEventSettings = async (eventId, data, userId) => {
       allowThirdPartyRegistration: allowThirdPartyRegistration !== false,
       requireParentalConsent: requireParentalConsent || false,
       groupAssignmentMethod: groupAssignmentMethod || null,
+      groupBalanceBy: groupBalanceBy || undefined,
     },
   });
 };
@@ -0,0 +1,183 @@
+/**
+ * Group auto-assignment strategies, chosen per event by EventSetting.groupAssignmentMethod.
+ *
+ * Members are placed one at a time. Each group with room is scored by the strategy and the
+ * lowest score wins; ties go to the smaller group, then by name. Nothing is random, so a dry
+ * run proposes exactly what the real run will do. To add a strategy, add it to STRATEGIES.
+ */
+
+export const BALANCE_DIMENSIONS = ['GENDER', 'AGE', 'BRANCH'];
+
+// Age brackets groups are balanced on (upper bound inclusive)
+const AGE_BRACKETS = [
+  [12, 'UNDER_13'],
+  [17, '13_17'],
+  [24, '18_24'],
+  [35, '25_35'],
+  [Infinity, '36_PLUS'],
+];
+
+const PROFILE_KEYS = { GENDER: 'gender', AGE: 'ageBracket', BRANCH: 'branch' };
+
+/**
+ * Age bracket on the given date, from date of birth, else the bracket the member gave
+ */
+const ageBracketOf = (member, at) => {
+  if (!member.dateOfBirth) return member.ageBracket || null;
+
+  const dob = new Date(member.dateOfBirth);
+  let age = at.getFullYear() - dob.getFullYear();
+  if (at.getMonth() < dob.getMonth() || (at.getMonth() === dob.getMonth() && at.getDate() < dob.getDate())) {
+    age--;
+  }
+  return AGE_BRACKETS.find(([upper]) => age <= upper)[1];
+};
+
+/**
+ * What a strategy knows about a member
+ * @param {object} member - with gender, dateOfBirth, ageBracket, branch and unit { name }
+ * @param {Date} eventStart - ages are taken on the event's start date
+ */
+export const toProfile = (registrationId, member, eventStart) => ({
+  registrationId,
+  memberId: member.id,
+  name: `${member.firstName} ${member.lastName}`,
+  gender: member.gender || null,
+  ageBracket: ageBracketOf(member, new Date(eventStart)),
+  branch: member.unit?.name || member.branch || null,
+});
+
+const sameAs = (group, dimension, profile) => {
+  const value = profile[PROFILE_KEYS[dimension]];
+  return value ? group.counts[dimension].get(value) || 0 : 0;
+};
+
+const spread = (group, profile, dimensions) =>
+  dimensions.reduce((total, dimension) => total + sameAs(group, dimension, profile), 0);
+
+export const STRATEGIES = {
+  // Emptiest group first (the original behaviour)
+  LEAST_FULL: {
+    score: () => 0,
+  },
+
+  // Fewest people sharing the member's gender, age bracket and branch
+  BALANCED: {
+    score: (group, profile, { dimensions }) => spread(group, profile, dimensions),
+  },
+
+  // Join the group holding most of the member's branch until it reaches its fair share,
+  // otherwise spread like BALANCED on the remaining dimensions
+  BRANCH_TOGETHER: {
+    order: (profiles) =>
+      [...profiles].sort((a, b) => {
+        if (!a.branch || !b.branch) return (a.branch ? 0 : 1) - (b.branch ? 0 : 1);
+        return a.branch.localeCompare(b.branch);
+      }),
+    score: (group, profile, { dimensions, fairShare }) => {
+      if (group.size >= fairShare) return 1e6 + group.size;
+      const others = dimensions.filter((dimension) => dimension !== 'BRANCH');
+      return spread(group, profile, others) - 1000 * sameAs(group, 'BRANCH', profile);
+    },
+  },
+};
+
+export const ASSIGNMENT_METHODS = ['MANUAL', ...Object.keys(STRATEGIES)];
+
+// Values stored before strategies existed; both filled the emptiest group
+const LEGACY_METHODS = { AUTOMATIC: 'LEAST_FULL', OPTIONAL: 'LEAST_FULL' };
+
+/**
+ * Normalise a stored or requested method; unset means LEAST_FULL
+ */
+export const resolveMethod = (method) => {
+  if (!method) return 'LEAST_FULL';
+  return LEGACY_METHODS[method] || method;
+};
+
+const addToGroup = (group, profile) => {
+  group.size++;
+  for (const dimension of BALANCE_DIMENSIONS) {
+    const value = profile[PROFILE_KEYS[dimension]];
+    if (value) group.counts[dimension].set(value, (group.counts[dimension].get(value) || 0) + 1);
+  }
+};
+
+const countsToObject = (counts) => Object.fromEntries([...counts].sort((a, b) => b[1] - a[1]));
+
+/**
+ * Place members in groups
+ * @param {Array<{id: string, name: string, capacity: ?number, members: object[]}>} groups -
+ *   members are the profiles already in each group
+ * @param {object[]} profiles - members to place (from toProfile)
+ * @param {{method: string, dimensions?: string[]}} options
+ * @returns {{placements: object[], unplaced: object[], distribution: object[]}}
+ */
+export const planAssignments = (groups, profiles, { method, dimensions = BALANCE_DIMENSIONS }) => {
+  const strategy = STRATEGIES[method];
+  if (!strategy) {
+    throw new Error(`Unknown group assignment method: ${method}`);
+  }
+
+  const state = groups.map((group) => {
+    const entry = {
+      id: group.id,
+      name: group.name,
+      capacity: group.capacity ?? null,
+      size: 0,
+      counts: Object.fromEntries(BALANCE_DIMENSIONS.map((dimension) => [dimension, new Map()])),
+    };
+    group.members.forEach((member) => addToGroup(entry, member));
+    return entry;
+  });
+
+  const total = state.reduce((sum, group) => sum + group.size, 0) + profiles.length;
+  const context = {
+    dimensions: dimensions.filter((dimension) => BALANCE_DIMENSIONS.includes(dimension)),
+    fairShare: state.length ? Math.ceil(total / state.length) : 0,
+  };
+
+  const placements = [];
+  const unplaced = [];
+
+  for (const profile of strategy.order ? strategy.order(profiles) : profiles) {
+    let best = null;
+    let bestScore;
+
+    for (const group of state) {
+      if (group.capacity !== null && group.size >= group.capacity) continue;
+
+      const score = strategy.score(group, profile, context);
+      if (
+        !best ||
+        score < bestScore ||
+        (score === bestScore && (group.size < best.size || (group.size === best.size && group.name < best.name)))
+      ) {
+        best = group;
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      unplaced.push(profile);
+      continue;
+    }
+
+    addToGroup(best, profile);
+    placements.push({ ...profile, groupId: best.id, groupName: best.name });
+  }
+
+  return {
+    placements,
+    unplaced,
+    distribution: state.map((group) => ({
+      groupId: group.id,
+      name: group.name,
+      capacity: group.capacity,
+      size: group.size,
+      gender: countsToObject(group.counts.GENDER),
+      ageBracket: countsToObject(group.counts.AGE),
+      branch: countsToObject(group.counts.BRANCH),
+    })),
+  };
+};
@@ -10,6 +10,7 @@ import {
   getGroupStatistics,
   deactivateGroup,
 } from './service.js';
+import { ASSIGNMENT_METHODS } from './assignment-strategies.js';
 import { paginationSchema } from '../../lib/validation.js';
 import Joi from 'joi';
 
@@ -24,7 +25,7 @@ const createGroupSchema = Joi.object({
 const updateGroupSchema = Joi.object({
   name: Joi.string(),
   description: Joi.string().allow(''),
-  capacity: Joi.number().integer().min(1),
+  capacity: Joi.number().integer().min(1).allow(null),
   isActive: Joi.boolean(),
 });
 
@@ -36,6 +37,9 @@ const assignMemberSchema = Joi.object({
 const bulkAssignSchema = Joi.object({
   eventId: Joi.string().required(),
   strategy: Joi.string().valid('manual', 'auto').required(),
+  type: Joi.string().valid('BIBLE_STUDY', 'WORKSHOP', 'BREAKOUT').default('BIBLE_STUDY'), // auto only
+  method: Joi.string().valid(...ASSIGNMENT_METHODS.filter((method) => method !== 'MANUAL')), // auto: overrides the event setting
+  dryRun: Joi.boolean().default(false), // auto: return the proposed placement without saving it
   assignments: Joi.array().items(
     Joi.object({
       groupId: Joi.string(),
@@ -232,12 +236,15 @@ export const bulkAssignHandler = async (req, res, next) => {
       value.eventId,
       value.assignments || [],
       value.strategy,
-      req.user.id
+      req.user.id,
+      { type: value.type, method: value.method, dryRun: value.dryRun }
     );
 
     res.status(200).json({
       data: result,
-      message: `Assigned ${result.assigned} members to groups`,
+      message: result.dryRun
+        ? `Proposed groups for ${result.proposed.length} members (nothing saved)`
+        : `Assigned ${result.assigned} members to groups`,
     });
   } catch (error) {
     next(error);
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import {
   createGroupHandler,
   listGroupsHandler,
@@ -18,7 +18,7 @@ const router = Router();
 /**
  * POST /api/groups
  */
-router.post('/', authenticate, createGroupHandler);
+router.post('/', authenticate, requirePermission('groups:create'), createGroupHandler);
 
 /**
  * GET /api/groups
@@ -33,7 +33,7 @@ router.get('/event/:eventId', authenticate, listGroupsHandler);
 /**
  * POST /api/groups/bulk-assign
  */
-router.post('/bulk-assign', authenticate, bulkAssignHandler);
+router.post('/bulk-assign', authenticate, requirePermission('groups:assign'), bulkAssignHandler);
 
 /**
  * GET /api/groups/:groupId
@@ -43,31 +43,31 @@ router.get('/:groupId', authenticate, getGroupHandler);
 /**
  * PUT /api/groups/:groupId
  */
-router.put('/:groupId', authenticate, updateGroupHandler);
+router.put('/:groupId', authenticate, requirePermission('groups:update'), updateGroupHandler);
 
 /**
  * GET /api/groups/:groupId/members
  */
-router.get('/:groupId/members', authenticate, getGroupMembersHandler);
+router.get('/:groupId/members', authenticate, requirePermission('groups:read'), getGroupMembersHandler);
 
 /**
  * POST /api/groups/:groupId/assign
  */
-router.post('/:groupId/assign', authenticate, assignMemberHandler);
+router.post('/:groupId/assign', authenticate, requirePermission('groups:assign'), assignMemberHandler);
 
 /**
  * DELETE /api/groups/:groupId/members/:memberId
  */
-router.delete('/:groupId/members/:memberId', authenticate, removeMemberHandler);
+router.delete('/:groupId/members/:memberId', authenticate, requirePermission('groups:assign'), removeMemberHandler);
 
 /**
  * GET /api/groups/:groupId/statistics
  */
-router.get('/:groupId/statistics', authenticate, getGroupStatsHandler);
+router.get('/:groupId/statistics', authenticate, requirePermission('groups:read'), getGroupStatsHandler);
 
 /**
  * DELETE /api/groups/:groupId
  */
-router.delete('/:groupId', authenticate, deactivateGroupHandler);
+router.delete('/:groupId', authenticate, requirePermission('groups:delete'), deactivateGroupHandler);
 
 export default router;
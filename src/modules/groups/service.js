@@ -5,14 +5,30 @@ import {
   AppError,
   ForbiddenError
 } from '../../middleware/error-handler.js';
+import { planAssignments, toProfile, resolveMethod } from './assignment-strategies.js';
 
 const prisma = getPrismaClient();
 
+// Registrations in these states don't hold a place, so aren't auto-assigned to groups
+const UNGROUPED_STATUSES = ['PENDING', 'PENDING_CONSENT', 'WAITLISTED', 'CANCELLED'];
+
+// Member fields the assignment strategies balance on
+const profileMemberSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  gender: true,
+  dateOfBirth: true,
+  ageBracket: true,
+  branch: true,
+  unit: { select: { name: true } },
+};
+
 /**
  * Create event group
  */
 export const createGroup = async (data, userId) => {
-  const { eventId, name, type, description } = data;
+  const { eventId, name, type, description, capacity } = data;
 
   // Verify event exists
   const event = await prisma.event.findUnique({
@@ -37,6 +53,7 @@ export const createGroup = async (data, userId) => {
       name,
       type, // BIBLE_STUDY | WORKSHOP | BREAKOUT
       description,
+      capacity: capacity || null,
     },
   });
 
@@ -81,14 +98,12 @@ export const listGroupsByEvent = async (eventId, params = {}) => {
 
   // If listing all groups (no eventId) and user is not global admin, apply scope filtering
   if (!eventId && userId && !isGlobalAdmin) {
-    const { getAdminScope } = await import('../../middleware/scope-validator.js');
-    const { getAllDescendantIds } = await import('../units/service.js');
+    const { getAdminScope, getScopeUnitIds } = await import('../../middleware/scope-validator.js');
 
     const scope = await getAdminScope(userId);
 
-    if (!scope.isGlobal && scope.unitId) {
-      const descendantIds = await getAllDescendantIds(scope.unitId);
-      const userUnitIds = [scope.unitId, ...descendantIds];
+    if (!scope.isGlobal && scope.unitIds.length > 0) {
+      const userUnitIds = await getScopeUnitIds(scope);
 
       where = {
         ...where,
@@ -98,7 +113,7 @@ export const listGroupsByEvent = async (eventId, params = {}) => {
           }
         }
       };
-    } else if (!scope.isGlobal && !scope.unitId) {
+    } else if (!scope.isGlobal && scope.unitIds.length === 0) {
       // No scope = no groups visible
       return {
         groups: [],
@@ -161,13 +176,14 @@ export const updateGroup = async (groupId, data, userId) => {
     }
   }
 
-  const { name, description } = data;
+  const { name, description, capacity } = data;
 
   const updated = await prisma.eventGroup.update({
     where: { id: groupId },
     data: {
       ...(name && { name }),
       ...(description && { description }),
+      ...(capacity !== undefined && { capacity }),
     },
     include: {
       _count: {
@@ -210,11 +226,6 @@ export const assignMemberToGroup = async (groupId, memberId, userId) => {
     }
   }
 
-  // Check capacity - Removed
-  // if (group.capacity && group._count.assignments >= group.capacity) {
-  //   throw new AppError('Group is at full capacity', 400);
-  // }
-
   // Find registration for this member in this event
   const registration = await prisma.registration.findFirst({
     where: {
@@ -236,6 +247,11 @@ export const assignMemberToGroup = async (groupId, memberId, userId) => {
   // Find if we have an assignment of same TYPE
   const sameTypeAssignment = existingAssignments.find(a => a.group.type === group.type);
 
+  // Check capacity (moving within the same group doesn't need a free place)
+  if (group.capacity && group._count.assignments >= group.capacity && sameTypeAssignment?.groupId !== groupId) {
+    throw new AppError('Group is at full capacity', 400);
+  }
+
   if (sameTypeAssignment) {
     // Update existing assignment of same type
     return prisma.groupAssignment.update({
@@ -357,8 +373,12 @@ export const getGroupStatistics = async (groupId) => {
 
 /**
  * Bulk assign members to groups (auto-assignment or manual)
+ * Auto uses the event's groupAssignmentMethod unless options.method overrides it;
+ * with options.dryRun the proposed placement is returned and nothing is saved.
  */
-export const bulkAssignGroups = async (eventId, assignments, strategy = 'manual', userId) => {
+export const bulkAssignGroups = async (eventId, assignments, strategy = 'manual', userId, options = {}) => {
+  const { type = 'BIBLE_STUDY', method, dryRun = false } = options;
+
   if (!userId) throw new AppError('User ID required for bulk assignment', 400);
 
   const event = await prisma.event.findUnique({
@@ -399,32 +419,48 @@ export const bulkAssignGroups = async (eventId, assignments, strategy = 'manual'
       }
     }
   } else if (strategy === 'auto') {
-    // Auto-distribute members to groups evenly
-    const groups = await prisma.eventGroup.findMany({
-      where: { eventId },
-    });
+    // Place everyone holding a place but not yet in a group of this type
+    const settings = await prisma.eventSetting.findUnique({ where: { eventId } });
+    const configured = resolveMethod(method || settings?.groupAssignmentMethod);
+    // MANUAL only stops placement at registration; an explicit auto run still needs a strategy
+    const plannedMethod = configured === 'MANUAL' ? 'LEAST_FULL' : configured;
 
+    const groups = await loadGroupsForPlanning(event, type);
     if (groups.length === 0) {
-      throw new AppError('No active groups found for this event', 400);
+      throw new AppError(`No ${type} groups found for this event`, 400);
     }
 
-    // Find registrations without a group assignment
     const unassignedRegistrations = await prisma.registration.findMany({
       where: {
         eventId,
-        groupAssignments: { none: {} },
+        status: { notIn: UNGROUPED_STATUSES },
+        groupAssignments: { none: { group: { type } } },
       },
+      include: { member: { select: profileMemberSelect } },
+      orderBy: { createdAt: 'asc' },
     });
 
-    let groupIndex = 0;
-    for (const reg of unassignedRegistrations) {
-      const targetGroup = groups[groupIndex % groups.length];
+    const plan = planAssignments(
+      groups,
+      unassignedRegistrations.map((reg) => toProfile(reg.id, reg.member, event.startDate)),
+      { method: plannedMethod, dimensions: settings?.groupBalanceBy }
+    );
+
+    results.method = plannedMethod;
+    results.unplaced = plan.unplaced;
+    results.distribution = plan.distribution;
+
+    if (dryRun) {
+      return { ...results, dryRun: true, proposed: plan.placements };
+    }
+
+    for (const placement of plan.placements) {
       try {
         await prisma.groupAssignment.create({
           data: {
-            groupId: targetGroup.id,
-            registrationId: reg.id,
-            memberId: reg.memberId,
+            groupId: placement.groupId,
+            registrationId: placement.registrationId,
+            memberId: placement.memberId,
             assignedBy: userId
           }
         });
@@ -432,11 +468,10 @@ export const bulkAssignGroups = async (eventId, assignments, strategy = 'manual'
       } catch (error) {
         results.failed++;
         results.errors.push({
-          registrationId: reg.id,
+          registrationId: placement.registrationId,
           error: error.message,
         });
       }
-      groupIndex++;
     }
   }
 
@@ -478,42 +513,91 @@ export const deactivateGroup = async (groupId, userId) => {
 };
 
 /**
- * Assign member to a Bible Study group (Random Balanced Strategy)
+ * Groups of one type with profiles of the members already in them
  */
-export const assignToBibleStudy = async (eventId, registrationId, memberId, userId) => {
-  // 1. Find all Bible Study groups for this event
-  const groups = await prisma.eventGroup.findMany({
-    where: {
-      eventId,
-      type: 'BIBLE_STUDY'
-    },
+const loadGroupsForPlanning = async (event, type, client = prisma) => {
+  const groups = await client.eventGroup.findMany({
+    where: { eventId: event.id, type },
     include: {
-      _count: {
-        select: { assignments: true }
-      }
-    }
+      assignments: { include: { member: { select: profileMemberSelect } } },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  return groups.map(g => ({
+    id: g.id,
+    name: g.name,
+    capacity: g.capacity,
+    members: g.assignments.map(a => toProfile(a.registrationId, a.member, event.startDate)),
+  }));
+};
+
+/**
+ * Row-lock an event's groups of one type for the rest of the transaction, so placements
+ * that read their occupancy run one at a time (ordered by id to avoid deadlocks)
+ */
+const lockGroups = (tx, eventId, type) =>
+  tx.$queryRaw`SELECT "id" FROM "EventGroup" WHERE "eventId" = ${eventId} AND "type" = ${type} ORDER BY "id" FOR UPDATE`;
+
+/**
+ * Assign member to a Bible Study group using the event's groupAssignmentMethod
+ * (nothing happens for MANUAL, or when every group is full).
+ * Planning and the insert run under the groups' lock, so simultaneous registrations
+ * cannot all take a group's last place.
+ */
+export const assignToBibleStudy = async (eventId, registrationId, memberId, userId) => {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { settings: true },
   });
 
-  if (groups.length === 0) {
-    return null; // No bible study groups to assign to
+  if (!event) {
+    throw new NotFoundError('Event not found');
   }
 
-  // 2. Find minimum member count
-  const minCount = Math.min(...groups.map(g => g._count.assignments));
+  const method = resolveMethod(event.settings?.groupAssignmentMethod);
+  if (method === 'MANUAL') {
+    return null;
+  }
 
-  // 3. Filter groups that have the minimum count (candidates for assignment)
-  const candidates = groups.filter(g => g._count.assignments === minCount);
+  return prisma.$transaction(async (tx) => {
+    await lockGroups(tx, eventId, 'BIBLE_STUDY');
 
-  // 4. Pick a random candidate
-  const selectedGroup = candidates[Math.floor(Math.random() * candidates.length)];
+    const existing = await tx.groupAssignment.findFirst({
+      where: { registrationId, group: { type: 'BIBLE_STUDY' } },
+    });
+    if (existing) {
+      return existing;
+    }
 
-  // 5. Create assignment directly
-  return prisma.groupAssignment.create({
-    data: {
-      groupId: selectedGroup.id,
-      registrationId,
-      memberId,
-      assignedBy: userId || 'SYSTEM',
+    const groups = await loadGroupsForPlanning(event, 'BIBLE_STUDY', tx);
+    if (groups.length === 0) {
+      return null; // No bible study groups to assign to
+    }
+
+    const member = await tx.member.findUnique({
+      where: { id: memberId },
+      select: profileMemberSelect,
+    });
+
+    const { placements } = planAssignments(
+      groups,
+      [toProfile(registrationId, member, event.startDate)],
+      { method, dimensions: event.settings?.groupBalanceBy }
+    );
+
+    if (placements.length === 0) {
+      console.warn(`[AutoAssignment] All Bible Study groups are full; registration ${registrationId} left unassigned`);
+      return null;
     }
+
+    return tx.groupAssignment.create({
+      data: {
+        groupId: placements[0].groupId,
+        registrationId,
+        memberId,
+        assignedBy: userId || 'SYSTEM',
+      }
+    });
   });
 };
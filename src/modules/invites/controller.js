@@ -1,9 +1,25 @@
-import { createInvite, verifyInvite, acceptInvite } from './service.js';
+import {
+    createInvite,
+    verifyInvite,
+    acceptInvite,
+    listInvites,
+    resendInvite,
+    revokeInvite
+} from './service.js';
+import { createInviteSchema, acceptInviteSchema, listInvitesQuerySchema } from '../../lib/validation.js';
 
 export const createInviteHandler = async (req, res, next) => {
     try {
-        const invite = await createInvite(req.body, req.userId);
-        res.status(201).json({ data: invite, message: "Invitation sent" });
+        const { error, value } = createInviteSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error.details[0].message } });
+        }
+
+        const invite = await createInvite(value, req.userId);
+        res.status(201).json({
+            data: invite,
+            message: invite.emailSent ? "Invitation sent" : "Invitation created but the email could not be sent. Try resending it"
+        });
     } catch (e) { next(e); }
 };
 
@@ -15,13 +31,50 @@ export const verifyInviteHandler = async (req, res, next) => {
     } catch (e) { next(e); }
 };
 
+/**
+ * POST /api/invites/accept
+ * Works with or without a session: logged-in users are linked, others get an account
+ */
 export const acceptInviteHandler = async (req, res, next) => {
     try {
-        const { id, token } = req.body;
-        // In a real flow, user might need to login/signup here if not already
-        // Assuming user acts anonymously or we merge this with auth flow
-        // For now, let's assume they accept and we return success
-        await acceptInvite(id, token);
-        res.status(200).json({ message: "Invitation accepted" });
+        const { error, value } = acceptInviteSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error.details[0].message } });
+        }
+
+        const result = await acceptInvite(value, req.userId, {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+        });
+        res.status(200).json({ data: result, message: "Invitation accepted" });
+    } catch (e) { next(e); }
+};
+
+export const listInvitesHandler = async (req, res, next) => {
+    try {
+        const { error, value } = listInvitesQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error.details[0].message } });
+        }
+
+        const result = await listInvites(value, req.userId);
+        res.status(200).json(result);
+    } catch (e) { next(e); }
+};
+
+export const resendInviteHandler = async (req, res, next) => {
+    try {
+        const invite = await resendInvite(req.params.id, req.userId);
+        res.status(200).json({
+            data: invite,
+            message: invite.emailSent ? "Invitation resent" : "Invitation renewed but the email could not be sent"
+        });
+    } catch (e) { next(e); }
+};
+
+export const revokeInviteHandler = async (req, res, next) => {
+    try {
+        const invite = await revokeInvite(req.params.id, req.userId);
+        res.status(200).json({ data: invite, message: "Invitation revoked" });
     } catch (e) { next(e); }
 };
@@ -1,16 +1,32 @@
 import express from 'express';
-import { createInviteHandler, verifyInviteHandler, acceptInviteHandler } from './controller.js';
-import { authenticate, authorize } from '../../middleware/auth.js';
+import {
+    createInviteHandler,
+    verifyInviteHandler,
+    acceptInviteHandler,
+    listInvitesHandler,
+    resendInviteHandler,
+    revokeInviteHandler
+} from './controller.js';
+import { authenticate, optional, requirePermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
+// GET /api/invites - List invites (pending by default, scoped to admin's units)
+router.get('/', authenticate, requirePermission('invites:manage'), listInvitesHandler);
+
 // POST /api/invites - Create invite
-router.post('/', authenticate, authorize(['National Admin', 'Regional Admin', 'State Admin', 'Zone Admin', 'Area Admin', 'Branch Admin']), createInviteHandler);
+router.post('/', authenticate, requirePermission('invites:manage'), createInviteHandler);
 
 // GET /api/invites/verify - Verify token
 router.get('/verify', verifyInviteHandler);
 
-// POST /api/invites/accept - Accept invite
-router.post('/accept', acceptInviteHandler);
+// POST /api/invites/accept - Accept invite (logged in, or sign up with firstName/lastName/password)
+router.post('/accept', optional, acceptInviteHandler);
+
+// POST /api/invites/:id/resend - Resend with a fresh link
+router.post('/:id/resend', authenticate, requirePermission('invites:manage'), resendInviteHandler);
+
+// POST /api/invites/:id/revoke - Revoke pending invite
+router.post('/:id/revoke', authenticate, requirePermission('invites:manage'), revokeInviteHandler);
 
 export default router;
@@ -1,59 +1,366 @@
 import { getPrismaClient } from '../../lib/prisma.js';
-import { NotFoundError, ValidationError } from '../../middleware/error-handler.js';
+import { NotFoundError, ValidationError, ForbiddenError, UnauthorizedError } from '../../middleware/error-handler.js';
+import { getAdminScope, isWithinScope, getScopeUnitIds, assertCanGrantRole } from '../../middleware/scope-validator.js';
+import {
+    hashPassword,
+    generateFCSCode,
+    normalizePhoneNumber,
+    getPaginationParams,
+    formatPaginatedResponse,
+} from '../../lib/helpers.js';
+import { sendInviteEmail } from '../../lib/mail.js';
+import { createSession } from '../auth/session-service.js';
+import logger from '../../lib/logger.js';
+import { getConfig } from '../system-config/service.js';
 import { randomBytes } from 'crypto';
 
 const prisma = getPrismaClient();
 
+const INVITE_BASE_URL = process.env.INVITE_BASE_URL || 'https://registration.fcsnigeria.org';
+
+const inviteInclude = {
+    role: true,
+    unit: true,
+    invitedByUser: { include: { members: true } },
+};
+
+const newTokenAndExpiry = async () => ({
+    token: randomBytes(32).toString('hex'),
+    expiresAt: new Date(Date.now() + (await getConfig('INVITE_TTL_HOURS')) * 60 * 60 * 1000),
+});
+
+// The token is only ever delivered by email
+const toInviteResponse = (invite) => {
+    const { token, invitedByUser, ...rest } = invite;
+    return {
+        ...rest,
+        invitedByName: invitedByUser?.members?.[0]
+            ? `${invitedByUser.members[0].firstName} ${invitedByUser.members[0].lastName}`
+            : invitedByUser?.email || null,
+    };
+};
+
+const deliverInvite = async (invite) => {
+    const inviter = invite.invitedByUser?.members?.[0];
+    const result = await sendInviteEmail(invite.email, {
+        link: `${INVITE_BASE_URL}/invite?id=${invite.id}&token=${invite.token}`,
+        roleName: invite.role.name,
+        unitName: invite.unit?.name || 'Organization',
+        inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : 'An administrator',
+        expiresAt: invite.expiresAt,
+    });
+
+    await prisma.invite.update({
+        where: { id: invite.id },
+        data: { lastSentAt: new Date(), sendCount: { increment: 1 } },
+    });
+
+    return !!result?.success;
+};
+
+/**
+ * Org-wide invites need a global admin; unit invites need the unit in scope.
+ * Inviters can always manage their own invites.
+ */
+const assertCanManageInvite = async (invite, userId) => {
+    if (invite.invitedBy === userId) return;
+
+    const scope = await getAdminScope(userId);
+    if (scope.isGlobal) return;
+
+    if (!invite.unitId || !(await isWithinScope(userId, invite.unitId))) {
+        throw new ForbiddenError('You do not have permission to manage this invitation');
+    }
+};
+
+const findInviteWithToken = async (id, token) => {
+    const invite = await prisma.invite.findUnique({ where: { id }, include: inviteInclude });
+
+    if (!invite || invite.token !== token) throw new ValidationError("Invalid invitation");
+    if (invite.status !== 'PENDING') throw new ValidationError("Invitation already used or expired");
+    if (new Date() > invite.expiresAt) throw new ValidationError("Invitation expired");
+
+    return invite;
+};
+
 export const createInvite = async (data, invitedBy) => {
-    const { email, role, unitId } = data;
+    const { role, unitId } = data;
+    const email = data.email.trim().toLowerCase();
 
     // Find Role
     const roleRecord = await prisma.role.findUnique({ where: { name: role } });
     if (!roleRecord) throw new NotFoundError("Role");
+    await assertCanGrantRole(invitedBy, roleRecord);
+
+    if (unitId) {
+        const unit = await prisma.unit.findUnique({ where: { id: unitId } });
+        if (!unit) throw new NotFoundError("Unit");
+    }
+
+    // HRBAC: only invite into units you manage
+    const scope = await getAdminScope(invitedBy);
+    if (!scope.isGlobal) {
+        if (!unitId) throw new ForbiddenError('Only national admins can send organization-wide invitations');
+        if (!(await isWithinScope(invitedBy, unitId))) {
+            throw new ForbiddenError('You do not have permission to invite users to this unit');
+        }
+    }
+
+    const existingAssignment = await prisma.roleAssignment.findFirst({
+        where: {
+            roleId: roleRecord.id,
+            unitId: unitId || null,
+            member: { authUser: { email: { equals: email, mode: 'insensitive' } } },
+            expiresAt: null,
+        },
+    });
+    if (existingAssignment) throw new ValidationError("This user already has the role for this unit");
 
-    const token = randomBytes(32).toString('hex');
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    const pending = await prisma.invite.findFirst({
+        where: {
+            email: { equals: email, mode: 'insensitive' },
+            roleId: roleRecord.id,
+            unitId: unitId || null,
+            status: 'PENDING',
+            expiresAt: { gt: new Date() },
+        },
+    });
+    if (pending) throw new ValidationError("A pending invitation already exists for this email. Resend it instead");
 
-    return prisma.invite.create({
+    const invite = await prisma.invite.create({
         data: {
             email,
             roleId: roleRecord.id,
-            unitId,
+            unitId: unitId || null,
             invitedBy,
-            token,
-            expiresAt
-        }
+            ...(await newTokenAndExpiry()),
+        },
+        include: inviteInclude,
     });
+
+    const emailSent = await deliverInvite(invite);
+
+    return { ...toInviteResponse(invite), emailSent };
 };
 
 export const verifyInvite = async (id, token) => {
-    const invite = await prisma.invite.findUnique({
-        where: { id },
-        include: { unit: true, role: true, invitedByUser: { include: { members: true } } }
-    });
+    const invite = await findInviteWithToken(id, token);
 
-    if (!invite || invite.token !== token) throw new ValidationError("Invalid invitation");
-    if (invite.status !== 'PENDING') throw new ValidationError("Invitation already used or expired");
-    if (new Date() > invite.expiresAt) throw new ValidationError("Invitation expired");
+    const account = await prisma.authUser.findFirst({
+        where: { email: { equals: invite.email, mode: 'insensitive' } },
+        select: { id: true },
+    });
 
     return {
+        email: invite.email,
         role: invite.role.name,
         unitName: invite.unit?.name || 'Organization',
-        inviterName: invite.invitedByUser.members[0]?.firstName || 'Admin'
+        inviterName: invite.invitedByUser.members[0]?.firstName || 'Admin',
+        expiresAt: invite.expiresAt,
+        accountExists: !!account
     };
 };
 
-export const acceptInvite = async (id, token) => {
+/**
+ * Accept an invitation.
+ * Logged-in users (userId) are linked directly; their account email must match the invite.
+ * Anyone else gets a new account, which is why profile fields are required then.
+ * client ({ ipAddress, userAgent }) describes the device a new account is signed in on.
+ */
+export const acceptInvite = async (data, userId = null, client = {}) => {
+    const { id, token, firstName, lastName, password, phoneNumber } = data;
+    const invite = await findInviteWithToken(id, token);
+
+    let authUser = null;
+    if (userId) {
+        authUser = await prisma.authUser.findUnique({ where: { id: userId }, include: { members: true } });
+        if (!authUser) throw new UnauthorizedError('User not found');
+        // Accounts without an email (phone sign-up) can't show they own the invited address
+        if (!authUser.email || authUser.email.toLowerCase() !== invite.email.toLowerCase()) {
+            throw new ForbiddenError('This invitation was sent to a different email address');
+        }
+    } else {
+        const existing = await prisma.authUser.findFirst({
+            where: { email: { equals: invite.email, mode: 'insensitive' } },
+        });
+        if (existing) throw new UnauthorizedError('An account already exists for this email. Log in to accept the invitation');
+        if (!firstName || !lastName || !password) {
+            throw new ValidationError('firstName, lastName and password are required to create your account');
+        }
+    }
+
+    const needsMember = !authUser?.members?.length;
+    if (needsMember && (!firstName || !lastName)) {
+        throw new ValidationError('firstName and lastName are required to complete your profile');
+    }
+
+    const normalizedPhone = phoneNumber ? normalizePhoneNumber(phoneNumber) : null;
+    if (!authUser && normalizedPhone) {
+        const phoneTaken = await prisma.authUser.findUnique({ where: { phoneNumber: normalizedPhone } });
+        if (phoneTaken) throw new ValidationError('User with this phone number already exists');
+    }
+
+    const passwordHash = authUser ? null : await hashPassword(password);
+
+    const result = await prisma.$transaction(async (tx) => {
+        const user = authUser || await tx.authUser.create({
+            data: {
+                email: invite.email,
+                phoneNumber: normalizedPhone,
+                passwordHash,
+                // Following the emailed link proves the address; the phone number is unverified
+                emailVerified: true,
+                phoneVerified: false,
+            },
+        });
+
+        const member = needsMember
+            ? await tx.member.create({
+                data: {
+                    fcsCode: generateFCSCode(),
+                    authUserId: user.id,
+                    firstName,
+                    lastName,
+                    email: invite.email,
+                    phoneNumber: normalizedPhone || user.phoneNumber || null,
+                    signupSource: 'INVITE',
+                    consentTimestamp: new Date(),
+                },
+            })
+            : authUser.members[0];
+
+        const existingAssignment = await tx.roleAssignment.findFirst({
+            where: { memberId: member.id, roleId: invite.roleId, unitId: invite.unitId },
+        });
+
+        // Invites grant permanently, so an existing temporary grant loses its expiry
+        const roleAssignment = existingAssignment
+            ? await tx.roleAssignment.update({
+                where: { id: existingAssignment.id },
+                data: { expiresAt: null, eventId: null, expiryNoticeSentAt: null },
+            })
+            : await tx.roleAssignment.create({
+                data: {
+                    memberId: member.id,
+                    roleId: invite.roleId,
+                    unitId: invite.unitId,
+                    assignedBy: invite.invitedBy,
+                    managedBy: invite.invitedBy,
+                },
+            });
+
+        // Claim last so a concurrent accept rolls this one back
+        const { count } = await tx.invite.updateMany({
+            where: { id, token, status: 'PENDING', expiresAt: { gt: new Date() } },
+            data: { status: 'ACCEPTED', acceptedAt: new Date(), acceptedBy: user.id },
+        });
+        if (count === 0) throw new ValidationError("Invitation already used or expired");
+
+        return { user, member, roleAssignment };
+    });
+
+    const response = {
+        role: invite.role.name,
+        unitId: invite.unitId,
+        unitName: invite.unit?.name || 'Organization',
+        memberId: result.member.id,
+        roleAssignmentId: result.roleAssignment.id,
+        accountCreated: !authUser,
+    };
+
+    // New accounts are signed in straight away
+    if (!authUser) {
+        const { token, refreshToken, session } = await createSession(result.user, client);
+        response.token = token;
+        response.refreshToken = refreshToken;
+        response.session = session;
+    }
+
+    return response;
+};
+
+export const listInvites = async (query, userId) => {
+    const { status, unitId, search, page, limit } = query;
+    const { skip, take } = getPaginationParams(page, limit);
+
+    const where = { status };
+    if (status === 'PENDING') where.expiresAt = { gt: new Date() };
+    if (search) where.email = { contains: search, mode: 'insensitive' };
+
+    const scope = await getAdminScope(userId);
+    if (unitId) {
+        if (!scope.isGlobal && !(await isWithinScope(userId, unitId))) {
+            throw new ForbiddenError('You do not have permission to view invitations for this unit');
+        }
+        where.unitId = unitId;
+    } else if (!scope.isGlobal) {
+        where.OR = [{ unitId: { in: await getScopeUnitIds(scope) } }, { invitedBy: userId }];
+    }
+
+    const [invites, total] = await Promise.all([
+        prisma.invite.findMany({
+            where,
+            skip,
+            take,
+            include: inviteInclude,
+            orderBy: { createdAt: 'desc' },
+        }),
+        prisma.invite.count({ where }),
+    ]);
+
+    return formatPaginatedResponse(invites.map(toInviteResponse), total, page, limit);
+};
+
+/**
+ * Resend with a fresh token and expiry; expired invites are reopened
+ */
+export const resendInvite = async (id, userId) => {
     const invite = await prisma.invite.findUnique({ where: { id } });
-    if (!invite || invite.token !== token) throw new ValidationError("Invalid");
+    if (!invite) throw new NotFoundError("Invitation");
+    if (!['PENDING', 'EXPIRED'].includes(invite.status)) {
+        throw new ValidationError(`Cannot resend an invitation that is ${invite.status.toLowerCase()}`);
+    }
 
-    // Update status
-    await prisma.invite.update({
+    await assertCanManageInvite(invite, userId);
+
+    const updated = await prisma.invite.update({
         where: { id },
-        data: { status: 'ACCEPTED', acceptedAt: new Date() }
+        data: { status: 'PENDING', ...(await newTokenAndExpiry()) },
+        include: inviteInclude,
+    });
+
+    const emailSent = await deliverInvite(updated);
+
+    return { ...toInviteResponse(updated), emailSent };
+};
+
+export const revokeInvite = async (id, userId) => {
+    const invite = await prisma.invite.findUnique({ where: { id } });
+    if (!invite) throw new NotFoundError("Invitation");
+    if (invite.status !== 'PENDING') {
+        throw new ValidationError(`Cannot revoke an invitation that is ${invite.status.toLowerCase()}`);
+    }
+
+    await assertCanManageInvite(invite, userId);
+
+    const updated = await prisma.invite.update({
+        where: { id },
+        data: { status: 'REVOKED', revokedAt: new Date(), revokedBy: userId },
+        include: inviteInclude,
+    });
+
+    return toInviteResponse(updated);
+};
+
+/**
+ * Background job: mark lapsed pending invites as expired
+ */
+export const expireInvites = async () => {
+    const { count } = await prisma.invite.updateMany({
+        where: { status: 'PENDING', expiresAt: { lte: new Date() } },
+        data: { status: 'EXPIRED' },
     });
 
-    // TODO: Actually link to a user. This part typically requires the user to currently be logged in
-    // or part of a registration flow. 
-    // For this pass, we just mark as accepted.
+    if (count > 0) logger.info(`Expired ${count} pending invitation(s)`);
+    return { expired: count };
 };
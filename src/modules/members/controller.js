@@ -11,8 +11,17 @@ import {
   searchMembers,
   getMemberByAuthId,
 } from './service.js';
-import { getAdminScope } from '../../middleware/scope-validator.js';
-import { createMemberSchema, updateMemberSchema, paginationSchema } from '../../lib/validation.js';
+import { getAdminScope, resolveScopedUnitFilter } from '../../middleware/scope-validator.js';
+import { importMembers, getMemberImport, exportImportResultToCSV } from './import-service.js';
+import { findDuplicateCandidates, mergeMembers } from './duplicate-service.js';
+import {
+  createMemberSchema,
+  updateMemberSchema,
+  memberImportSchema,
+  memberDuplicatesQuerySchema,
+  mergeMembersSchema,
+  paginationSchema,
+} from '../../lib/validation.js';
 import getPrismaClient from '../../lib/prisma.js';
 const prisma = getPrismaClient();
 import { cloudinaryUploadImage } from '../../lib/cloudinary.js';
@@ -116,7 +125,7 @@ export const listMembersHandler = async (req, res, next) => {
     let effectiveUnitId = req.query.unitId;
 
     if (!scope.isGlobal) {
-      effectiveUnitId = scope.unitId;
+      effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
     }
 
     const members = await listMembers({
@@ -375,3 +384,122 @@ export const searchMembersHandler = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * POST /api/members/import
+ * Multipart upload (field "file"); dryRun defaults to true
+ */
+export const importMembersHandler = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'file is required (.csv or .xlsx)',
+        },
+      });
+    }
+
+    const { error, value } = memberImportSchema.validate({ ...req.body, ...req.query });
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await importMembers(req.file, value, req.userId);
+    res.status(value.dryRun ? 200 : 201).json({
+      data: result,
+      message: value.dryRun
+        ? `Dry run complete: ${result.summary.validRows} of ${result.summary.totalRows} rows can be imported`
+        : `Import complete: ${result.summary.createdRows} members created`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/members/imports/:importId
+ */
+export const getMemberImportHandler = async (req, res, next) => {
+  try {
+    const memberImport = await getMemberImport(req.params.importId, req.userId);
+    res.status(200).json({
+      data: memberImport,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/members/imports/:importId/result
+ */
+export const downloadImportResultHandler = async (req, res, next) => {
+  try {
+    const csv = await exportImportResultToCSV(req.params.importId, req.userId);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="member-import-${req.params.importId}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/members/duplicates
+ */
+export const findDuplicatesHandler = async (req, res, next) => {
+  try {
+    const { error, value } = memberDuplicatesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    // Enforce Scope with new scope-validator
+    const scope = await getAdminScope(req.userId);
+    if (!scope.isGlobal) {
+      value.unitId = await resolveScopedUnitFilter(scope, value.unitId);
+    }
+
+    const duplicates = await findDuplicateCandidates({ ...value, adminScope: scope });
+    res.status(200).json(duplicates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/members/duplicates/merge
+ */
+export const mergeMembersHandler = async (req, res, next) => {
+  try {
+    const { error, value } = mergeMembersSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await mergeMembers(value.survivorId, value.duplicateId, value.reason, req.userId);
+    res.status(200).json({
+      data: result,
+      message: `Member ${result.mergedFcsCode} merged into ${result.member.fcsCode}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,503 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { normalizePhoneNumber } from '../../lib/helpers.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../../middleware/error-handler.js';
+import { getAdminScope } from '../../middleware/scope-validator.js';
+import { getMemberScopeWhere } from './service.js';
+import { promoteFromWaitlist } from '../registrations/service.js';
+
+const prisma = getPrismaClient();
+
+const DEFAULT_MIN_SCORE = 50;
+const MAX_BLOCK_SIZE = 200;
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+const SCORE_WEIGHTS = {
+  phone: 40,
+  email: 30,
+  name: 30,
+  dateOfBirth: 25,
+  branch: 10,
+};
+
+// Registration kept when both members registered for the same event
+const REGISTRATION_STATUS_RANK = ['CHECKED_IN', 'CONFIRMED', 'PENDING', 'PENDING_CONSENT', 'WAITLISTED', 'CANCELLED'];
+const SEAT_HOLDING_STATUSES = ['PENDING', 'PENDING_CONSENT', 'CONFIRMED', 'CHECKED_IN'];
+
+// Profile fields copied from the merged member when the survivor has none
+const FILLABLE_FIELDS = [
+  'otherNames', 'preferredName', 'email', 'phoneNumber', 'whatsappNumber', 'dateOfBirth',
+  'gender', 'maritalStatus', 'street', 'department', 'occupation', 'placeOfWork',
+  'institutionName', 'institutionType', 'level', 'course', 'graduationYear',
+  'membershipCategory', 'yearJoined', 'state', 'zone', 'branch', 'branchId',
+  'preferredContactMethod', 'preferredLanguage', 'emergencyContactName', 'emergencyContactPhone',
+  'ageBracket', 'guardianName', 'guardianPhone', 'guardianEmail', 'guardianRelationship', 'profilePhotoUrl',
+];
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Levenshtein similarity between 0 and 1
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Best name match, allowing first and last names entered the wrong way round
+ */
+const nameSimilarity = (a, b) => {
+  const first = similarity(a.first + a.last, b.first + b.last);
+  const swapped = similarity(a.first + a.last, b.last + b.first);
+  return Math.max(first, swapped);
+};
+
+const memberPhones = (member) =>
+  [member.phoneNumber, member.whatsappNumber].filter(Boolean).map((phone) => normalizePhoneNumber(phone));
+
+const dayKey = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+/**
+ * Score how likely two members are the same person
+ */
+const scorePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  if (a.phones.some((phone) => b.phones.includes(phone))) {
+    score += SCORE_WEIGHTS.phone;
+    reasons.push('phone');
+  }
+
+  if (a.email && a.email === b.email) {
+    score += SCORE_WEIGHTS.email;
+    reasons.push('email');
+  }
+
+  const nameScore = nameSimilarity(a.name, b.name);
+  if (nameScore >= NAME_SIMILARITY_THRESHOLD) {
+    score += Math.round(SCORE_WEIGHTS.name * nameScore);
+    reasons.push(nameScore === 1 ? 'name' : `name (${Math.round(nameScore * 100)}% similar)`);
+  }
+
+  if (a.dob && a.dob === b.dob) {
+    score += SCORE_WEIGHTS.dateOfBirth;
+    reasons.push('dateOfBirth');
+  }
+
+  if ((a.branchId && a.branchId === b.branchId) || (a.branch && a.branch === b.branch)) {
+    score += SCORE_WEIGHTS.branch;
+    reasons.push('branch');
+  }
+
+  return { score, reasons };
+};
+
+/**
+ * Blocking keys so only plausible pairs are compared
+ */
+const blockingKeys = (candidate) => {
+  const { name } = candidate;
+  const keys = candidate.phones.map((phone) => `phone:${phone}`);
+  if (candidate.email) keys.push(`email:${candidate.email}`);
+  if (candidate.dob) keys.push(`dob:${candidate.dob}`);
+  if (name.last && name.first) {
+    keys.push(`name:${name.last}|${name.first[0]}`);
+    keys.push(`name:${name.first}|${name.last[0]}`);
+  }
+  return keys;
+};
+
+const toCandidate = (member) => ({
+  member,
+  phones: memberPhones(member),
+  email: member.email ? member.email.toLowerCase() : null,
+  name: { first: normalizeName(member.firstName), last: normalizeName(member.lastName) },
+  dob: dayKey(member.dateOfBirth),
+  branchId: member.branchId || null,
+  branch: member.branch ? member.branch.trim().toLowerCase() : null,
+});
+
+/**
+ * Prefer the member with a login, then more registrations, then the older record
+ */
+const suggestSurvivor = (a, b) => {
+  if (!!a.authUserId !== !!b.authUserId) return a.authUserId ? a.id : b.id;
+  if (a.registrationCount !== b.registrationCount) {
+    return a.registrationCount > b.registrationCount ? a.id : b.id;
+  }
+  return new Date(a.createdAt) <= new Date(b.createdAt) ? a.id : b.id;
+};
+
+/**
+ * Find likely duplicate member pairs
+ */
+export const findDuplicateCandidates = async (query = {}) => {
+  const { unitId, adminScope, state, branchId, minScore = DEFAULT_MIN_SCORE, limit = 50 } = query;
+
+  const where = {
+    isActive: true,
+    ...(state && { state: { equals: state, mode: 'insensitive' } }),
+    ...(branchId && { branchId }),
+    ...(await getMemberScopeWhere(unitId, adminScope)),
+  };
+
+  const members = await prisma.member.findMany({
+    where,
+    select: {
+      id: true,
+      fcsCode: true,
+      authUserId: true,
+      firstName: true,
+      lastName: true,
+      otherNames: true,
+      email: true,
+      phoneNumber: true,
+      whatsappNumber: true,
+      dateOfBirth: true,
+      gender: true,
+      state: true,
+      branch: true,
+      branchId: true,
+      signupSource: true,
+      createdAt: true,
+    },
+  });
+
+  const candidates = members.map(toCandidate);
+  const blocks = new Map();
+  candidates.forEach((candidate, index) => {
+    blockingKeys(candidate).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+  });
+
+  const pairs = new Map();
+  blocks.forEach((indexes) => {
+    // Very large blocks (e.g. a shared office line) say nothing useful about identity
+    if (indexes.length < 2 || indexes.length > MAX_BLOCK_SIZE) return;
+
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = candidates[indexes[i]];
+        const b = candidates[indexes[j]];
+        const pairKey = [a.member.id, b.member.id].sort().join(':');
+        if (pairs.has(pairKey)) continue;
+
+        const { score, reasons } = scorePair(a, b);
+        pairs.set(pairKey, score >= minScore ? { score, reasons, members: [a.member, b.member] } : null);
+      }
+    }
+  });
+
+  const matches = [...pairs.values()]
+    .filter(Boolean)
+    .sort((x, y) => y.score - x.score);
+  const page = matches.slice(0, limit);
+
+  const memberIds = [...new Set(page.flatMap((match) => match.members.map((member) => member.id)))];
+  const registrationCounts = await prisma.registration.groupBy({
+    by: ['memberId'],
+    where: { memberId: { in: memberIds } },
+    _count: { _all: true },
+  });
+  const countByMember = new Map(registrationCounts.map((row) => [row.memberId, row._count._all]));
+
+  return {
+    data: page.map((match) => {
+      const [a, b] = match.members.map((member) => ({
+        ...member,
+        registrationCount: countByMember.get(member.id) || 0,
+      }));
+      return {
+        score: match.score,
+        reasons: match.reasons,
+        suggestedSurvivorId: suggestSurvivor(a, b),
+        members: [a, b],
+      };
+    }),
+    total: matches.length,
+    scanned: members.length,
+  };
+};
+
+const statusRank = (registration) => {
+  const rank = REGISTRATION_STATUS_RANK.indexOf(registration.status);
+  return rank === -1 ? REGISTRATION_STATUS_RANK.length : rank;
+};
+
+/**
+ * Pick which of two registrations for the same event survives.
+ * A checked-in registration always wins so attendance is never lost.
+ */
+const pickRegistration = (survivorRegistration, duplicateRegistration) => {
+  if (!!survivorRegistration.attendance !== !!duplicateRegistration.attendance) {
+    return survivorRegistration.attendance ? survivorRegistration : duplicateRegistration;
+  }
+  if (statusRank(survivorRegistration) !== statusRank(duplicateRegistration)) {
+    return statusRank(survivorRegistration) < statusRank(duplicateRegistration)
+      ? survivorRegistration
+      : duplicateRegistration;
+  }
+  return survivorRegistration;
+};
+
+/**
+ * Re-point registrations, resolving @@unique([eventId, memberId]) conflicts
+ */
+const mergeRegistrations = async (tx, survivorId, duplicateId, summary) => {
+  const include = { attendance: true, groupAssignments: true };
+  const [survivorRegistrations, duplicateRegistrations] = await Promise.all([
+    tx.registration.findMany({ where: { memberId: survivorId }, include }),
+    tx.registration.findMany({ where: { memberId: duplicateId }, include }),
+  ]);
+  const survivorByEvent = new Map(survivorRegistrations.map((registration) => [registration.eventId, registration]));
+
+  for (const registration of duplicateRegistrations) {
+    const existing = survivorByEvent.get(registration.eventId);
+
+    if (!existing) {
+      await tx.registration.update({
+        where: { id: registration.id },
+        data: { memberId: survivorId },
+      });
+      summary.registrationsMoved += 1;
+      continue;
+    }
+
+    const keep = pickRegistration(existing, registration);
+    const drop = keep === existing ? registration : existing;
+
+    // Carry over group placements the kept registration lacks
+    const keptGroups = new Set(keep.groupAssignments.map((assignment) => assignment.groupId));
+    for (const assignment of drop.groupAssignments) {
+      if (keptGroups.has(assignment.groupId)) continue;
+      await tx.groupAssignment.update({
+        where: { id: assignment.id },
+        data: { registrationId: keep.id, memberId: survivorId },
+      });
+    }
+
+    // Keep the correction history; corrections of the dropped check-in lose their record link
+    await tx.attendanceCorrection.updateMany({
+      where: { registrationId: drop.id },
+      data: { registrationId: keep.id },
+    });
+
+    await tx.registration.delete({ where: { id: drop.id } });
+    if (keep === registration) {
+      await tx.registration.update({
+        where: { id: registration.id },
+        data: { memberId: survivorId },
+      });
+    }
+
+    if (drop.centerId && SEAT_HOLDING_STATUSES.includes(drop.status)) {
+      summary.freedCenterIds.add(drop.centerId);
+    }
+    summary.registrationConflicts.push({
+      eventId: registration.eventId,
+      keptRegistrationId: keep.id,
+      removedRegistrationId: drop.id,
+      removedStatus: drop.status,
+    });
+  }
+};
+
+/**
+ * Re-point guardian links, dropping ones the survivor already has or that would point at itself
+ */
+const mergeGuardians = async (tx, survivorId, duplicateId, summary) => {
+  const [links, survivorLinks] = await Promise.all([
+    tx.guardian.findMany({ where: { OR: [{ memberId: duplicateId }, { guardianId: duplicateId }] } }),
+    tx.guardian.findMany({ where: { OR: [{ memberId: survivorId }, { guardianId: survivorId }] } }),
+  ]);
+  const existing = new Set(survivorLinks.map((link) => `${link.memberId}:${link.guardianId}`));
+
+  for (const link of links) {
+    const memberId = link.memberId === duplicateId ? survivorId : link.memberId;
+    const guardianId = link.guardianId === duplicateId ? survivorId : link.guardianId;
+    const key = `${memberId}:${guardianId}`;
+
+    if (memberId === guardianId || existing.has(key)) {
+      await tx.guardian.delete({ where: { id: link.id } });
+      continue;
+    }
+
+    await tx.guardian.update({ where: { id: link.id }, data: { memberId, guardianId } });
+    existing.add(key);
+    summary.guardiansMoved += 1;
+  }
+};
+
+/**
+ * Re-point role assignments, keeping the longer-lived one on @@unique([memberId, roleId, unitId]) clashes
+ */
+const mergeRoleAssignments = async (tx, survivorId, duplicateId, summary) => {
+  const [assignments, survivorAssignments] = await Promise.all([
+    tx.roleAssignment.findMany({ where: { memberId: duplicateId } }),
+    tx.roleAssignment.findMany({ where: { memberId: survivorId } }),
+  ]);
+
+  for (const assignment of assignments) {
+    const clash = survivorAssignments.find(
+      (existing) => existing.roleId === assignment.roleId && existing.unitId === assignment.unitId
+    );
+
+    if (!clash) {
+      await tx.roleAssignment.update({ where: { id: assignment.id }, data: { memberId: survivorId } });
+      summary.roleAssignmentsMoved += 1;
+      continue;
+    }
+
+    const outlives = clash.expiresAt && (!assignment.expiresAt || assignment.expiresAt > clash.expiresAt);
+    if (outlives) {
+      await tx.roleAssignment.update({ where: { id: clash.id }, data: { expiresAt: assignment.expiresAt } });
+    }
+    await tx.roleAssignment.delete({ where: { id: assignment.id } });
+  }
+};
+
+/**
+ * Merge a duplicate member into a survivor.
+ * Every relation is re-pointed in one transaction, the survivor keeps its fcsCode
+ * and blank profile fields are filled from the duplicate before it is deleted.
+ */
+export const mergeMembers = async (survivorId, duplicateId, reason, userId) => {
+  if (survivorId === duplicateId) {
+    throw new ValidationError('A member cannot be merged into itself');
+  }
+
+  // Both members must be in the caller's scope, as in duplicate detection
+  const scope = await getAdminScope(userId);
+  if (!scope.isGlobal) {
+    const inScope = scope.unitIds.length === 0 ? 0 : await prisma.member.count({
+      where: { id: { in: [survivorId, duplicateId] }, ...(await getMemberScopeWhere(scope.unitIds)) },
+    });
+    if (inScope < 2) {
+      throw new ForbiddenError('You can only merge members within your scope');
+    }
+  }
+
+  const summary = {
+    registrationsMoved: 0,
+    registrationConflicts: [],
+    guardiansMoved: 0,
+    roleAssignmentsMoved: 0,
+    freedCenterIds: new Set(),
+  };
+
+  const result = await prisma.$transaction(async (tx) => {
+    const [survivor, duplicate] = await Promise.all([
+      tx.member.findUnique({ where: { id: survivorId } }),
+      tx.member.findUnique({ where: { id: duplicateId } }),
+    ]);
+    if (!survivor) throw new NotFoundError('Surviving member');
+    if (!duplicate) throw new NotFoundError('Duplicate member');
+
+    await mergeRegistrations(tx, survivorId, duplicateId, summary);
+
+    // One certificate per event and type: keep the survivor's where both have one
+    const survivorBadges = await tx.badge.findMany({
+      where: { memberId: survivorId },
+      select: { eventId: true, badgeType: true },
+    });
+    if (survivorBadges.length > 0) {
+      await tx.badge.deleteMany({ where: { memberId: duplicateId, OR: survivorBadges } });
+    }
+
+    // Rows that carry memberId alongside their registration
+    const [attendance, groupAssignments, badges, notifications, auditLogs, consents] = await Promise.all([
+      tx.attendanceRecord.updateMany({ where: { memberId: duplicateId }, data: { memberId: survivorId } }),
+      tx.groupAssignment.updateMany({ where: { memberId: duplicateId }, data: { memberId: survivorId } }),
+      tx.badge.updateMany({ where: { memberId: duplicateId }, data: { memberId: survivorId } }),
+      tx.notification.updateMany({ where: { recipientId: duplicateId }, data: { recipientId: survivorId } }),
+      tx.auditLog.updateMany({ where: { memberId: duplicateId }, data: { memberId: survivorId } }),
+      tx.parentalConsent.updateMany({ where: { memberId: duplicateId }, data: { memberId: survivorId } }),
+    ]);
+
+    // Consents the duplicate answered (or was asked for) as a guardian
+    await tx.parentalConsent.updateMany({
+      where: { guardianMemberId: duplicateId },
+      data: { guardianMemberId: survivorId },
+    });
+
+    await mergeGuardians(tx, survivorId, duplicateId, summary);
+    await mergeRoleAssignments(tx, survivorId, duplicateId, summary);
+
+    const filled = {};
+    FILLABLE_FIELDS.forEach((field) => {
+      if ((survivor[field] === null || survivor[field] === '') && duplicate[field] !== null && duplicate[field] !== '') {
+        filled[field] = duplicate[field];
+      }
+    });
+    if (!survivor.authUserId && duplicate.authUserId) {
+      filled.authUserId = duplicate.authUserId;
+    }
+
+    await tx.member.delete({ where: { id: duplicateId } });
+    const merged = await tx.member.update({
+      where: { id: survivorId },
+      data: filled,
+    });
+
+    const report = {
+      mergedMemberId: duplicate.id,
+      mergedFcsCode: duplicate.fcsCode,
+      filledFields: Object.keys(filled),
+      registrationsMoved: summary.registrationsMoved,
+      registrationConflicts: summary.registrationConflicts,
+      attendanceMoved: attendance.count,
+      groupAssignmentsMoved: groupAssignments.count,
+      badgesMoved: badges.count,
+      parentalConsentsMoved: consents.count,
+      notificationsMoved: notifications.count,
+      auditLogsMoved: auditLogs.count,
+      guardiansMoved: summary.guardiansMoved,
+      roleAssignmentsMoved: summary.roleAssignmentsMoved,
+      // Both had logins: the duplicate's login no longer has a member profile
+      unlinkedAuthUserId: survivor.authUserId && duplicate.authUserId ? duplicate.authUserId : null,
+    };
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'MEMBER',
+        entityId: survivorId,
+        memberId: survivorId,
+        action: 'MERGE',
+        changes: JSON.stringify({ ...report, merged: duplicate }),
+        reason: reason || null,
+        createdBy: userId,
+      },
+    });
+
+    return { member: merged, ...report };
+  }, { timeout: 30000 });
+
+  // A dropped duplicate registration may have released a seat
+  for (const centerId of summary.freedCenterIds) {
+    try {
+      await promoteFromWaitlist(centerId, userId);
+    } catch (error) {
+      console.error(`[Waitlist] Promotion failed for center ${centerId}:`, error);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,587 @@
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { getPrismaClient } from '../../lib/prisma.js';
+import {
+  generateFCSCode,
+  normalizePhoneNumber,
+  calculateAgeBracket,
+} from '../../lib/helpers.js';
+import { createMemberSchema } from '../../lib/validation.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../../middleware/error-handler.js';
+import { getAdminScope, isUnitInScope, canManageUser } from '../../middleware/scope-validator.js';
+
+const prisma = getPrismaClient();
+
+const IMPORT_CHUNK_SIZE = 100;
+const MAX_IMPORT_ROWS = 5000;
+
+const MEMBER_FIELDS = Object.keys(createMemberSchema.describe().keys);
+const PHONE_FIELDS = ['phoneNumber', 'whatsappNumber', 'emergencyContactPhone', 'guardianPhone'];
+const EMAIL_FIELDS = ['email', 'guardianEmail'];
+const ENUM_FIELDS = ['gender', 'maritalStatus', 'institutionType', 'membershipCategory', 'preferredContactMethod'];
+const NUMBER_FIELDS = ['graduationYear', 'yearJoined'];
+
+/**
+ * Column headings seen on state registers, keyed by normalised heading.
+ * Every createMemberSchema field also matches its own name.
+ */
+const HEADER_ALIASES = {
+  ...Object.fromEntries(MEMBER_FIELDS.map((field) => [field.toLowerCase(), field])),
+  givenname: 'firstName',
+  forename: 'firstName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  middlename: 'otherNames',
+  othername: 'otherNames',
+  nickname: 'preferredName',
+  emailaddress: 'email',
+  phone: 'phoneNumber',
+  phoneno: 'phoneNumber',
+  mobile: 'phoneNumber',
+  mobilenumber: 'phoneNumber',
+  telephone: 'phoneNumber',
+  gsm: 'phoneNumber',
+  gsmno: 'phoneNumber',
+  whatsapp: 'whatsappNumber',
+  whatsappno: 'whatsappNumber',
+  dob: 'dateOfBirth',
+  birthdate: 'dateOfBirth',
+  birthday: 'dateOfBirth',
+  sex: 'gender',
+  school: 'institutionName',
+  institution: 'institutionName',
+  class: 'level',
+  yearofgraduation: 'graduationYear',
+  category: 'membershipCategory',
+  yearofjoining: 'yearJoined',
+  area: 'zone',
+  nextofkin: 'emergencyContactName',
+  nextofkinphone: 'emergencyContactPhone',
+  parentname: 'guardianName',
+  parentphone: 'guardianPhone',
+  parentemail: 'guardianEmail',
+};
+
+const ENUM_ALIASES = {
+  gender: { M: 'MALE', F: 'FEMALE' },
+  maritalStatus: { S: 'SINGLE', M: 'MARRIED' },
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Unwrap ExcelJS rich text, hyperlink and formula cells
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * Accept ISO dates, Excel dates and day-first dates (DD/MM/YYYY) from paper registers
+ */
+const toIsoDate = (value) => {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+
+  const text = String(value);
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  return text;
+};
+
+/**
+ * Spreadsheets drop the leading zero from numbers typed as 0803...
+ */
+const cleanPhone = (value) => {
+  const cleaned = String(value).replace(/[\s\-().]/g, '');
+  return /^[789]\d{9}$/.test(cleaned) ? `0${cleaned}` : cleaned;
+};
+
+/**
+ * Turn a spreadsheet row into createMemberSchema input
+ */
+const mapRow = (cells, columns, defaults) => {
+  const data = {};
+
+  columns.forEach(({ index, field }) => {
+    let value = cellValue(cells[index]);
+    if (value === undefined) return;
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (!value) return;
+    }
+
+    if (PHONE_FIELDS.includes(field)) {
+      value = cleanPhone(value);
+    } else if (EMAIL_FIELDS.includes(field)) {
+      value = String(value).toLowerCase();
+    } else if (ENUM_FIELDS.includes(field)) {
+      const upper = String(value).toUpperCase().replace(/[\s-]+/g, '_');
+      value = ENUM_ALIASES[field]?.[upper] || upper;
+    } else if (NUMBER_FIELDS.includes(field)) {
+      value = /^\d+$/.test(String(value)) ? Number(value) : value;
+    } else if (field === 'dateOfBirth') {
+      value = toIsoDate(value);
+    } else if (value instanceof Date) {
+      value = value.toISOString();
+    } else {
+      value = String(value);
+    }
+
+    data[field] = value;
+  });
+
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (value && data[field] === undefined) {
+      data[field] = value;
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Read the first worksheet of a CSV or XLSX upload
+ */
+const readWorksheet = async (buffer, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    if (path.extname(fileName).toLowerCase() === '.xlsx') {
+      await workbook.xlsx.load(buffer);
+      return workbook.worksheets[0];
+    }
+
+    // Keep every CSV cell as text so phone numbers keep their leading zero
+    return await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+  } catch (error) {
+    throw new ValidationError(`Could not read ${fileName}: ${error.message}`);
+  }
+};
+
+/**
+ * Parse the upload into header mapping and data rows
+ */
+const parseSpreadsheet = async (buffer, fileName) => {
+  const worksheet = await readWorksheet(buffer, fileName);
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new ValidationError('The file has no data rows');
+  }
+
+  const columns = [];
+  const ignoredColumns = [];
+  worksheet.getRow(1).eachCell((cell, index) => {
+    const header = String(cellValue(cell.value) ?? '').trim();
+    const field = HEADER_ALIASES[normalizeHeader(header)];
+
+    if (field && !columns.some((column) => column.field === field)) {
+      columns.push({ index, header, field });
+    } else if (header) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  const missing = ['firstName', 'lastName'].filter(
+    (field) => !columns.some((column) => column.field === field)
+  );
+  if (missing.length) {
+    throw new ValidationError(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const cells = row.values;
+    const hasData = columns.some(({ index }) => {
+      const value = cellValue(cells[index]);
+      return value !== undefined && String(value).trim() !== '';
+    });
+    if (hasData) rows.push({ rowNumber, cells });
+  });
+
+  if (!rows.length) {
+    throw new ValidationError('The file has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and upload each part`);
+  }
+
+  return { columns, ignoredColumns, rows };
+};
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Keys used to spot the same person twice
+ */
+const duplicateKeys = (member) => {
+  const keys = [];
+  if (member.phoneNumber) keys.push(['phone', normalizePhoneNumber(member.phoneNumber)]);
+  if (member.email) keys.push(['email', member.email.toLowerCase()]);
+  if (member.dateOfBirth) {
+    keys.push([
+      'name+dateOfBirth',
+      `${member.firstName.toLowerCase()}|${member.lastName.toLowerCase()}|${dayKey(member.dateOfBirth)}`,
+    ]);
+  }
+  return keys;
+};
+
+/**
+ * Existing members matching any row in the chunk by phone, email or name + DOB
+ */
+const findExistingMembers = async (rows) => {
+  const conditions = [];
+
+  // Stored numbers predate normalisation, so match every local spelling
+  const phones = rows
+    .filter((row) => row.data.phoneNumber)
+    .flatMap((row) => {
+      const local = row.data.phoneNumber.replace(/^\+234/, '');
+      return [`+234${local}`, `234${local}`, `0${local}`];
+    });
+  if (phones.length) conditions.push({ phoneNumber: { in: phones } });
+
+  rows.forEach(({ data }) => {
+    if (data.email) {
+      conditions.push({ email: { equals: data.email, mode: 'insensitive' } });
+    }
+    if (data.dateOfBirth) {
+      const start = new Date(`${dayKey(data.dateOfBirth)}T00:00:00.000Z`);
+      conditions.push({
+        firstName: { equals: data.firstName, mode: 'insensitive' },
+        lastName: { equals: data.lastName, mode: 'insensitive' },
+        dateOfBirth: { gte: start, lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) },
+      });
+    }
+  });
+
+  if (!conditions.length) return new Map();
+
+  const members = await prisma.member.findMany({
+    where: { OR: conditions },
+    select: { id: true, fcsCode: true, firstName: true, lastName: true, email: true, phoneNumber: true, dateOfBirth: true },
+  });
+
+  const index = new Map();
+  members.forEach((member) => {
+    duplicateKeys(member).forEach(([type, key]) => {
+      if (!index.has(`${type}:${key}`)) index.set(`${type}:${key}`, member);
+    });
+  });
+  return index;
+};
+
+/**
+ * Reserve FCS codes that are unused in the database and within the batch
+ */
+const allocateFcsCodes = async (count) => {
+  const codes = new Set();
+
+  while (codes.size < count) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.size) {
+      const code = generateFCSCode();
+      if (!codes.has(code)) candidates.add(code);
+    }
+
+    const taken = await prisma.member.findMany({
+      where: { fcsCode: { in: [...candidates] } },
+      select: { fcsCode: true },
+    });
+    const takenCodes = new Set(taken.map((member) => member.fcsCode));
+    candidates.forEach((code) => {
+      if (!takenCodes.has(code)) codes.add(code);
+    });
+  }
+
+  return [...codes];
+};
+
+const isMinorFor = (dateOfBirth) => {
+  if (!dateOfBirth) return false;
+  const age = new Date().getFullYear() - new Date(dateOfBirth).getFullYear();
+  return age < 18;
+};
+
+/**
+ * Build Member create data from a validated row
+ */
+const toMemberData = (data, fcsCode) => {
+  const member = { fcsCode, signupSource: 'IMPORT' };
+
+  MEMBER_FIELDS.forEach((field) => {
+    const value = data[field];
+    member[field] = value === undefined || value === '' ? null : value;
+  });
+
+  member.ageBracket = calculateAgeBracket(data.dateOfBirth) || data.ageBracket || null;
+  member.isMinor = isMinorFor(data.dateOfBirth);
+
+  return member;
+};
+
+const summarize = (results) => ({
+  totalRows: results.length,
+  validRows: results.filter((row) => ['VALID', 'CREATED'].includes(row.status)).length,
+  createdRows: results.filter((row) => row.status === 'CREATED').length,
+  duplicateRows: results.filter((row) => row.status === 'DUPLICATE').length,
+  errorRows: results.filter((row) => ['INVALID', 'FAILED'].includes(row.status)).length,
+});
+
+/**
+ * Validate every row and flag duplicates against the database and earlier rows.
+ * Importers without global scope may only add members to branches inside their scope.
+ */
+const analyseRows = async (rows, columns, defaults, scope) => {
+  const results = rows.map(({ rowNumber, cells }) => {
+    const input = mapRow(cells, columns, defaults);
+    const { error, value } = createMemberSchema.validate(input, { abortEarly: false });
+
+    const result = {
+      row: rowNumber,
+      status: error ? 'INVALID' : 'VALID',
+      firstName: input.firstName || '',
+      lastName: input.lastName || '',
+      phoneNumber: input.phoneNumber || '',
+      email: input.email || '',
+      errors: error ? error.details.map((detail) => detail.message) : [],
+    };
+
+    if (!error) {
+      PHONE_FIELDS.forEach((field) => {
+        if (value[field]) value[field] = normalizePhoneNumber(value[field]);
+      });
+      result.phoneNumber = value.phoneNumber || '';
+      result.data = value;
+    }
+
+    return result;
+  });
+
+  const valid = results.filter((row) => row.status === 'VALID');
+
+  // branchId is a foreign key, so unknown units would fail a whole chunk
+  const branchIds = [...new Set(valid.map((row) => row.data.branchId).filter(Boolean))];
+  if (branchIds.length) {
+    const units = await prisma.unit.findMany({
+      where: { id: { in: branchIds } },
+      select: { id: true },
+    });
+    const knownUnits = new Set(units.map((unit) => unit.id));
+    valid.forEach((row) => {
+      if (row.data.branchId && !knownUnits.has(row.data.branchId)) {
+        row.status = 'INVALID';
+        row.errors.push(`Unknown branchId "${row.data.branchId}"`);
+      }
+    });
+  }
+
+  if (!scope.isGlobal) {
+    const inScope = new Map();
+    for (const branchId of branchIds) {
+      inScope.set(branchId, await isUnitInScope(scope, branchId));
+    }
+
+    valid.filter((row) => row.status === 'VALID').forEach((row) => {
+      if (!row.data.branchId) {
+        row.status = 'INVALID';
+        row.errors.push('branchId is required');
+      } else if (!inScope.get(row.data.branchId)) {
+        row.status = 'INVALID';
+        row.errors.push(`branchId "${row.data.branchId}" is outside your scope`);
+      }
+    });
+  }
+
+  const seenInFile = new Map();
+  const candidates = valid.filter((row) => row.status === 'VALID');
+
+  for (let i = 0; i < candidates.length; i += IMPORT_CHUNK_SIZE) {
+    const chunk = candidates.slice(i, i + IMPORT_CHUNK_SIZE);
+    const existing = await findExistingMembers(chunk);
+
+    chunk.forEach((row) => {
+      const keys = duplicateKeys(row.data);
+
+      const dbMatch = keys.find(([type, key]) => existing.has(`${type}:${key}`));
+      if (dbMatch) {
+        const member = existing.get(`${dbMatch[0]}:${dbMatch[1]}`);
+        row.status = 'DUPLICATE';
+        row.matchedOn = dbMatch[0];
+        row.duplicateOf = { memberId: member.id, fcsCode: member.fcsCode };
+        return;
+      }
+
+      const fileMatch = keys.find(([type, key]) => seenInFile.has(`${type}:${key}`));
+      if (fileMatch) {
+        row.status = 'DUPLICATE';
+        row.matchedOn = fileMatch[0];
+        row.duplicateOf = { row: seenInFile.get(`${fileMatch[0]}:${fileMatch[1]}`) };
+        return;
+      }
+
+      keys.forEach(([type, key]) => seenInFile.set(`${type}:${key}`, row.row));
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Create the valid rows in chunks; a failed chunk is reported and the rest continue
+ */
+const commitRows = async (results) => {
+  const valid = results.filter((row) => row.status === 'VALID');
+
+  for (let i = 0; i < valid.length; i += IMPORT_CHUNK_SIZE) {
+    const chunk = valid.slice(i, i + IMPORT_CHUNK_SIZE);
+
+    try {
+      const codes = await allocateFcsCodes(chunk.length);
+      const members = await prisma.$transaction(
+        chunk.map((row, index) =>
+          prisma.member.create({
+            data: toMemberData(row.data, codes[index]),
+            select: { id: true, fcsCode: true },
+          })
+        )
+      );
+
+      chunk.forEach((row, index) => {
+        row.status = 'CREATED';
+        row.memberId = members[index].id;
+        row.fcsCode = members[index].fcsCode;
+      });
+    } catch (error) {
+      console.error(`Member import chunk starting at row ${chunk[0].row} failed:`, error.message);
+      chunk.forEach((row) => {
+        row.status = 'FAILED';
+        row.errors.push(`Could not save this batch of rows: ${error.message}`);
+      });
+    }
+  }
+};
+
+/**
+ * Import members from a CSV/XLSX upload.
+ * Dry runs validate and report without writing members.
+ */
+export const importMembers = async (file, options, userId) => {
+  const { dryRun = true, ...defaults } = options;
+
+  const scope = await getAdminScope(userId);
+  if (defaults.branchId && !(await isUnitInScope(scope, defaults.branchId))) {
+    throw new ForbiddenError('You cannot import members into this branch');
+  }
+
+  const { columns, ignoredColumns, rows } = await parseSpreadsheet(file.buffer, file.originalname);
+
+  const memberImport = await prisma.memberImport.create({
+    data: {
+      fileName: file.originalname,
+      dryRun,
+      totalRows: rows.length,
+      createdBy: userId || null,
+    },
+  });
+
+  try {
+    const results = await analyseRows(rows, columns, defaults, scope);
+
+    if (!dryRun) {
+      await commitRows(results);
+    }
+
+    const report = results.map(({ data, ...row }) => row);
+    const summary = summarize(report);
+
+    await prisma.memberImport.update({
+      where: { id: memberImport.id },
+      data: {
+        ...summary,
+        status: 'COMPLETED',
+        results: report,
+        completedAt: new Date(),
+      },
+    });
+
+    return {
+      importId: memberImport.id,
+      fileName: file.originalname,
+      dryRun,
+      columns: columns.map(({ header, field }) => ({ header, field })),
+      ignoredColumns,
+      summary,
+      rows: report,
+    };
+  } catch (error) {
+    await prisma.memberImport.update({
+      where: { id: memberImport.id },
+      data: { status: 'FAILED', completedAt: new Date() },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get an import with its per-row report.
+ * Visible to whoever ran it and to admins whose scope covers theirs.
+ */
+export const getMemberImport = async (importId, userId) => {
+  const memberImport = await prisma.memberImport.findUnique({
+    where: { id: importId },
+  });
+
+  if (!memberImport) {
+    throw new NotFoundError('Member import');
+  }
+
+  if (memberImport.createdBy !== userId
+    && !(memberImport.createdBy && await canManageUser(userId, memberImport.createdBy))) {
+    throw new ForbiddenError('You do not have permission to view this import');
+  }
+
+  return memberImport;
+};
+
+/**
+ * Export an import's per-row report to CSV
+ */
+export const exportImportResultToCSV = async (importId, userId) => {
+  const { Parser } = await import('json2csv');
+  const memberImport = await getMemberImport(importId, userId);
+
+  const rows = (memberImport.results || []).map((row) => ({
+    'Row': row.row,
+    'Status': row.status,
+    'First Name': row.firstName,
+    'Last Name': row.lastName,
+    'Phone': row.phoneNumber,
+    'Email': row.email,
+    'FCS Code': row.fcsCode || '',
+    'Member ID': row.memberId || '',
+    'Matched On': row.matchedOn || '',
+    'Duplicate Of': row.duplicateOf
+      ? row.duplicateOf.fcsCode || `Row ${row.duplicateOf.row}`
+      : '',
+    'Errors': (row.errors || []).join('; '),
+  }));
+
+  const parser = new Parser({
+    fields: ['Row', 'Status', 'First Name', 'Last Name', 'Phone', 'Email', 'FCS Code', 'Member ID', 'Matched On', 'Duplicate Of', 'Errors'],
+  });
+  return parser.parse(rows);
+};
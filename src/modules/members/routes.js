@@ -11,9 +11,14 @@ import {
   deactivateMemberHandler,
   searchMembersHandler,
   updateProfileHandler,
+  importMembersHandler,
+  getMemberImportHandler,
+  downloadImportResultHandler,
+  findDuplicatesHandler,
+  mergeMembersHandler,
 } from './controller.js';
-import { authenticate } from '../../middleware/auth.js';
-import { uploadPhoto, eventImgResize } from '../../middleware/upload.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { uploadPhoto, uploadSpreadsheet, eventImgResize } from '../../middleware/upload.js';
 
 const router = express.Router();
 
@@ -31,16 +36,57 @@ const profileUpdateTimeout = (req, res, next) => {
 };
 
 // GET /api/members/search - Search members (MUST be before /:id)
-router.get('/search', authenticate, searchMembersHandler);
+router.get('/search', authenticate, requirePermission('members:read'), searchMembersHandler);
 
 // GET /api/members - List all members
-router.get('/', authenticate, listMembersHandler);
+router.get('/', authenticate, requirePermission('members:read'), listMembersHandler);
 
 // POST /api/members - Create member
-router.post('/', authenticate, uploadPhoto.single('image'), eventImgResize, createMemberHandler);
+router.post('/', authenticate, requirePermission('members:create'), uploadPhoto.single('image'), eventImgResize, createMemberHandler);
+
+// POST /api/members/import - Bulk import from CSV/XLSX (dry run unless dryRun=false)
+router.post(
+  '/import',
+  authenticate,
+  requirePermission('members:import'),
+  uploadSpreadsheet.single('file'),
+  importMembersHandler
+);
+
+// GET /api/members/imports/:importId - Import summary and per-row report (MUST be before /:id)
+router.get(
+  '/imports/:importId',
+  authenticate,
+  requirePermission('members:import'),
+  getMemberImportHandler
+);
+
+// GET /api/members/imports/:importId/result - Download per-row result CSV
+router.get(
+  '/imports/:importId/result',
+  authenticate,
+  requirePermission('members:import'),
+  downloadImportResultHandler
+);
+
+// GET /api/members/duplicates - Likely duplicate member pairs (MUST be before /:id)
+router.get(
+  '/duplicates',
+  authenticate,
+  requirePermission('members:read'),
+  findDuplicatesHandler
+);
+
+// POST /api/members/duplicates/merge - Merge a duplicate into the surviving member
+router.post(
+  '/duplicates/merge',
+  authenticate,
+  requirePermission('members:merge'),
+  mergeMembersHandler
+);
 
 // GET /api/members/code/:code - Get member by FCS code (MUST be before /:id)
-router.get('/code/:code', authenticate, getMemberByCodeHandler);
+router.get('/code/:code', authenticate, requirePermission('members:read'), getMemberByCodeHandler);
 
 // PUT /api/members/profile - Update own profile (MUST be before /:id)
 // Extended timeout for image upload
@@ -50,7 +96,7 @@ router.put('/profile', authenticate, profileUpdateTimeout, uploadPhoto.single('i
 router.get('/:id', authenticate, getMemberHandler);
 
 // PUT /api/members/:id - Update member
-router.put('/:id', authenticate, uploadPhoto.single('image'), eventImgResize, updateMemberHandler);
+router.put('/:id', authenticate, requirePermission('members:update'), uploadPhoto.single('image'), eventImgResize, updateMemberHandler);
 
 // GET /api/members/:id/attendance-summary - Get member attendance
 router.get('/:id/attendance-summary', authenticate, getAttendanceSummaryHandler);
@@ -62,6 +108,6 @@ router.post('/:id/guardians', authenticate, addGuardianHandler);
 router.delete('/:id/guardians/:guardianId', authenticate, removeGuardianHandler);
 
 // DELETE /api/members/:id - Deactivate member
-router.delete('/:id', authenticate, deactivateMemberHandler);
+router.delete('/:id', authenticate, requirePermission('members:delete'), deactivateMemberHandler);
 
 export default router;
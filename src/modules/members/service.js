@@ -10,14 +10,29 @@ import {
   NotFoundError,
   ForbiddenError,
 } from '../../middleware/error-handler.js';
+import { getSubtreeIds } from '../units/service.js';
+import { getAdminScope, isUnitInScope } from '../../middleware/scope-validator.js';
 
 const prisma = getPrismaClient();
 
 /**
  * Create a new member
+ * Admins without global scope must place the member in a branch inside their scope.
  */
 export const createMember = async (data, userId) => {
-  const { firstName, lastName, email, phoneNumber, dateOfBirth, gender, maritalStatus, occupation, state, department } = data;
+  const { firstName, lastName, email, phoneNumber, dateOfBirth, gender, maritalStatus, occupation, state, department, branchId } = data;
+
+  if (branchId) {
+    const unit = await prisma.unit.findUnique({ where: { id: branchId }, select: { id: true } });
+    if (!unit) {
+      throw new NotFoundError('Branch');
+    }
+  }
+
+  const scope = await getAdminScope(userId);
+  if (!scope.isGlobal && (!branchId || !(await isUnitInScope(scope, branchId)))) {
+    throw new ForbiddenError('You can only create members in a branch within your scope');
+  }
 
   // Check if member with phone already exists
   if (phoneNumber) {
@@ -43,6 +58,7 @@ export const createMember = async (data, userId) => {
       occupation: occupation || null,
       department: department || null,
       state: state || null,
+      branchId: branchId || null,
     },
   });
 
@@ -122,6 +138,22 @@ export const getMemberByAuthId = async (authUserId) => {
   return member;
 };
 
+/**
+ * Member filter for an admin's unit scope
+ * Members belong to the unit subtree their branchId sits in; the free-text
+ * state/zone/branch fields are display-only. Accepts one unit or several.
+ * Only global scope sees everyone, including members not yet linked to a branch;
+ * holding a role at the National unit is not enough.
+ */
+export const getMemberScopeWhere = async (unitId, scope = null) => {
+  const unitIds = [].concat(unitId || []);
+  if (unitIds.length === 0) {
+    return !scope || scope.isGlobal ? {} : { id: { in: [] } };
+  }
+
+  return { branchId: { in: await getSubtreeIds(unitIds) } };
+};
+
 /**
  * List all members with pagination and filters
  */
@@ -192,26 +224,7 @@ export const listMembers = async (query) => {
   }
 
   // Scope Enforcement Logic
-  if (query.unitId) {
-    const scopeUnit = await prisma.unit.findUnique({
-      where: { id: query.unitId },
-      include: { unitType: true }
-    });
-
-    if (scopeUnit && scopeUnit.unitType) {
-      const typeName = scopeUnit.unitType.name.toLowerCase();
-      // Match unit name to member fields
-      // This relies on matching names (e.g. Unit 'Lagos' => Member.state 'Lagos')
-      if (typeName.includes('state')) {
-        where.state = { contains: scopeUnit.name, mode: 'insensitive' };
-      } else if (typeName.includes('zone')) {
-        where.zone = { contains: scopeUnit.name, mode: 'insensitive' };
-      } else if (typeName.includes('branch')) {
-        where.branch = { contains: scopeUnit.name, mode: 'insensitive' };
-      }
-      // If National, no filter needed (unless we want to filter by country/region if added)
-    }
-  }
+  Object.assign(where, await getMemberScopeWhere(query.unitId, query.adminScope));
 
   const [members, total] = await Promise.all([
     prisma.member.findMany({
@@ -251,7 +264,7 @@ export const updateMember = async (memberId, data) => {
     institutionName, institutionType, level, course, graduationYear,
     membershipCategory, yearJoined,
     state, zone, branch, branchId,
-    preferredContactMethod,
+    preferredContactMethod, preferredLanguage,
     emergencyContactName, emergencyContactPhone,
     ageBracket,
     guardianName, guardianPhone, guardianEmail, guardianRelationship,
@@ -310,6 +323,7 @@ export const updateMember = async (memberId, data) => {
   if (branchId !== undefined) updateData.branchId = branchId;
 
   if (preferredContactMethod !== undefined) updateData.preferredContactMethod = preferredContactMethod;
+  if (preferredLanguage !== undefined) updateData.preferredLanguage = preferredLanguage || null;
   if (emergencyContactName !== undefined) updateData.emergencyContactName = emergencyContactName;
   if (emergencyContactPhone !== undefined) updateData.emergencyContactPhone = emergencyContactPhone;
 
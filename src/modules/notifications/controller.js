@@ -11,7 +11,19 @@ import {
   triggerEventReminderNotifications,
   markNotificationAsDelivered,
   updateNotificationTrigger,
+  getDeadLetterNotifications,
+  retryFailedNotifications,
+  getTriggerDeliveries,
 } from './service.js';
+import {
+  createTemplate,
+  listTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  TEMPLATE_VARIABLES,
+} from './template-service.js';
 import { paginationSchema } from '../../lib/validation.js';
 import Joi from 'joi';
 
@@ -20,21 +32,52 @@ const createTriggerSchema = Joi.object({
   triggerType: Joi.string()
     .valid('REGISTRATION', 'GROUP_ASSIGNMENT', 'CENTER_ASSIGNMENT', 'EVENT_REMINDER')
     .required(),
-  deliveryMethod: Joi.string().valid('EMAIL', 'SMS', 'PUSH').required(),
+  deliveryMethod: Joi.string().valid('EMAIL', 'SMS', 'WHATSAPP').required(),
   templateId: Joi.string(),
   recipientType: Joi.string().valid('MEMBER', 'PARENT', 'ADMIN').required(),
+  offsetMinutes: Joi.number().integer().min(0).when('triggerType', {
+    is: 'EVENT_REMINDER',
+    otherwise: Joi.forbidden(),
+  }),
 });
 
 const sendNotificationSchema = Joi.object({
   recipientId: Joi.string(),
   recipientEmail: Joi.string().email(),
   recipientPhone: Joi.string(),
-  deliveryMethod: Joi.string().valid('EMAIL', 'SMS', 'PUSH').required(),
+  deliveryMethod: Joi.string().valid('EMAIL', 'SMS', 'WHATSAPP').required(),
   subject: Joi.string().required(),
   message: Joi.string().required(),
   triggerType: Joi.string(),
 });
 
+const templateSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  triggerType: Joi.string()
+    .valid('REGISTRATION', 'GROUP_ASSIGNMENT', 'CENTER_ASSIGNMENT', 'EVENT_REMINDER', 'GENERAL')
+    .required(),
+  channel: Joi.string().valid('EMAIL', 'SMS', 'WHATSAPP').required(),
+  eventId: Joi.string().allow(null),
+  language: Joi.string().max(10),
+  subject: Joi.string().allow('', null),
+  body: Joi.string().required(),
+  isActive: Joi.boolean(),
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().max(100),
+  language: Joi.string().max(10),
+  subject: Joi.string().allow('', null),
+  body: Joi.string(),
+  isActive: Joi.boolean(),
+}).min(1);
+
+const retryFailedSchema = Joi.object({
+  eventId: Joi.string(),
+  triggerType: Joi.string(),
+  notificationIds: Joi.array().items(Joi.string()),
+}).or('eventId', 'triggerType', 'notificationIds');
+
 /**
  * POST /api/notifications/triggers
  */
@@ -92,24 +135,64 @@ export const getTriggerHandler = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/notifications/triggers/:triggerId/deliveries
+ */
+export const getTriggerDeliveriesHandler = async (req, res, next) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const deliveries = await getTriggerDeliveries(req.params.triggerId, {
+      ...value,
+      status: req.query.status,
+    });
+
+    res.status(200).json({
+      data: deliveries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * PUT /api/notifications/triggers/:triggerId
  */
 export const updateTriggerHandler = async (req, res, next) => {
   try {
-    const { isActive } = req.body;
+    const { isActive, offsetMinutes, templateId } = req.body;
+
+    if (isActive === undefined && offsetMinutes === undefined && templateId === undefined) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'isActive, offsetMinutes or templateId is required',
+        },
+      });
+    }
 
-    if (isActive === undefined) {
+    if (offsetMinutes !== undefined && offsetMinutes !== null
+      && (!Number.isInteger(offsetMinutes) || offsetMinutes < 0)) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'isActive is required',
+          message: 'offsetMinutes must be a non-negative integer',
         },
       });
     }
 
     const trigger = await updateNotificationTrigger(req.params.triggerId, {
       isActive,
+      offsetMinutes,
+      templateId,
     });
 
     res.status(200).json({
@@ -121,6 +204,132 @@ export const updateTriggerHandler = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/notifications/templates
+ */
+export const createTemplateHandler = async (req, res, next) => {
+  try {
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const template = await createTemplate(value, req.userId);
+    res.status(201).json({
+      data: template,
+      message: 'Notification template created',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notifications/templates
+ */
+export const listTemplatesHandler = async (req, res, next) => {
+  try {
+    const templates = await listTemplates({
+      eventId: req.query.eventId,
+      triggerType: req.query.triggerType,
+      channel: req.query.channel,
+      language: req.query.language,
+      includeInactive: req.query.includeInactive,
+    });
+
+    res.status(200).json({
+      data: templates,
+      variables: TEMPLATE_VARIABLES,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notifications/templates/:templateId
+ */
+export const getTemplateHandler = async (req, res, next) => {
+  try {
+    const template = await getTemplateById(req.params.templateId);
+    res.status(200).json({
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/notifications/templates/:templateId
+ */
+export const updateTemplateHandler = async (req, res, next) => {
+  try {
+    const { error, value } = updateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const template = await updateTemplate(req.params.templateId, value, req.userId);
+    res.status(200).json({
+      data: template,
+      message: 'Notification template updated',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/notifications/templates/:templateId
+ */
+export const deleteTemplateHandler = async (req, res, next) => {
+  try {
+    const result = await deleteTemplate(req.params.templateId, req.userId);
+    res.status(200).json({
+      data: result,
+      message: 'Notification template deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notifications/templates/:templateId/preview
+ */
+export const previewTemplateHandler = async (req, res, next) => {
+  try {
+    const { registrationId } = req.body;
+
+    if (!registrationId) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'registrationId is required',
+        },
+      });
+    }
+
+    const preview = await previewTemplate(req.params.templateId, registrationId, req.userId);
+    res.status(200).json({
+      data: preview,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/notifications/send
  */
@@ -210,6 +419,61 @@ export const getHistoryHandler = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/notifications/dead-letter
+ */
+export const getDeadLetterHandler = async (req, res, next) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const deadLetters = await getDeadLetterNotifications({
+      ...value,
+      eventId: req.query.eventId,
+      triggerType: req.query.triggerType,
+      deliveryMethod: req.query.deliveryMethod,
+    });
+
+    res.status(200).json({
+      data: deadLetters,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notifications/retry
+ */
+export const retryFailedHandler = async (req, res, next) => {
+  try {
+    const { error, value } = retryFailedSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const result = await retryFailedNotifications(value);
+    res.status(200).json({
+      data: result,
+      message: `Requeued ${result.requeued} notifications`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * PUT /api/notifications/:notificationId/delivered
  */
@@ -0,0 +1,139 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { resolveDeliveryChannels, deliverWithFallback } from '../../lib/channels/index.js';
+
+const prisma = getPrismaClient();
+
+const BATCH_SIZE = parseInt(process.env.NOTIFICATION_WORKER_BATCH_SIZE || '50');
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS || '60000');
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const STALE_LOCK_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped, with jitter
+ */
+export const getBackoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+/**
+ * Release jobs left in PROCESSING by a worker that died mid-send
+ */
+const releaseStaleJobs = async () => {
+  const { count } = await prisma.notification.updateMany({
+    where: {
+      status: 'PROCESSING',
+      lockedAt: { lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    data: { status: 'PENDING', lockedAt: null },
+  });
+
+  return count;
+};
+
+/**
+ * Claim due jobs. SKIP LOCKED lets several workers poll without
+ * picking up the same notification.
+ */
+const claimJobs = async (limit) => {
+  return prisma.$queryRaw`
+    UPDATE "Notification"
+    SET "status" = 'PROCESSING', "lockedAt" = NOW(), "attempts" = "attempts" + 1
+    WHERE "id" IN (
+      SELECT "id" FROM "Notification"
+      WHERE "status" = 'PENDING' AND "nextAttemptAt" <= NOW()
+      ORDER BY "nextAttemptAt" ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+};
+
+/**
+ * Deliver a single claimed job and record the outcome
+ */
+const processJob = async (job) => {
+  let preferred = null;
+  let whatsapp = null;
+
+  if (job.recipientId) {
+    const member = await prisma.member.findUnique({
+      where: { id: job.recipientId },
+      select: { whatsappNumber: true, preferredContactMethod: true },
+    });
+    preferred = member?.preferredContactMethod || null;
+    whatsapp = member?.whatsappNumber || null;
+  }
+
+  const channels = resolveDeliveryChannels({
+    requested: job.deliveryMethod,
+    preferred,
+    email: job.recipientEmail,
+    phone: job.recipientPhone,
+    whatsapp,
+  });
+
+  try {
+    const channelContent = job.channelContent || {};
+    const { delivered, failures } = await deliverWithFallback(
+      channels,
+      { subject: job.subject, message: job.message },
+      channelContent
+    );
+
+    // Record the channel that actually delivered (and the text it carried), and any that failed first
+    await prisma.notification.update({
+      where: { id: job.id },
+      data: {
+        ...channelContent[delivered.channel],
+        status: 'SENT',
+        sentAt: new Date(),
+        lockedAt: null,
+        deliveryMethod: delivered.channel,
+        failureReason: failures.length
+          ? failures.map((f) => `${f.channel}: ${f.error}`).join('; ')
+          : null,
+      },
+    });
+
+    return 'sent';
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    await prisma.notification.update({
+      where: { id: job.id },
+      data: exhausted
+        ? { status: 'FAILED', lockedAt: null, failureReason: error.message }
+        : {
+            status: 'PENDING',
+            lockedAt: null,
+            failureReason: error.message,
+            nextAttemptAt: new Date(Date.now() + getBackoffDelay(job.attempts)),
+          },
+    });
+
+    console.error(
+      `[Worker] Notification ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed:`,
+      error.message
+    );
+    return exhausted ? 'failed' : 'retrying';
+  }
+};
+
+/**
+ * Worker loop tick - process due notification jobs
+ */
+export const processNotificationQueue = async () => {
+  const released = await releaseStaleJobs();
+  const jobs = await claimJobs(BATCH_SIZE);
+
+  const summary = { released, claimed: jobs.length, sent: 0, retrying: 0, failed: 0 };
+
+  for (const job of jobs) {
+    const outcome = await processJob(job);
+    summary[outcome] += 1;
+  }
+
+  return summary;
+};
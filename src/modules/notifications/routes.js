@@ -1,13 +1,22 @@
 import { Router } from 'express';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import {
   createTriggerHandler,
   listTriggersHandler,
   getTriggerHandler,
+  getTriggerDeliveriesHandler,
   updateTriggerHandler,
+  createTemplateHandler,
+  listTemplatesHandler,
+  getTemplateHandler,
+  updateTemplateHandler,
+  deleteTemplateHandler,
+  previewTemplateHandler,
   sendNotificationHandler,
   sendBatchHandler,
   getHistoryHandler,
+  getDeadLetterHandler,
+  retryFailedHandler,
   markDeliveredHandler,
   triggerRegistrationHandler,
   triggerCenterAssignmentHandler,
@@ -20,38 +29,113 @@ const router = Router();
 /**
  * POST /api/notifications/triggers
  */
-router.post('/triggers', authenticate, createTriggerHandler);
+router.post('/triggers', authenticate, requirePermission('notifications:manage'), createTriggerHandler);
 
 /**
  * GET /api/notifications/triggers/event/:eventId
  */
-router.get('/triggers/event/:eventId', authenticate, listTriggersHandler);
+router.get('/triggers/event/:eventId', authenticate, requirePermission('notifications:manage'), listTriggersHandler);
 
 /**
  * GET /api/notifications/triggers/:triggerId
  */
-router.get('/triggers/:triggerId', authenticate, getTriggerHandler);
+router.get('/triggers/:triggerId', authenticate, requirePermission('notifications:manage'), getTriggerHandler);
+
+/**
+ * GET /api/notifications/triggers/:triggerId/deliveries
+ * Which registrations a scheduled reminder has been sent to
+ */
+router.get('/triggers/:triggerId/deliveries', authenticate, requirePermission('notifications:manage'), getTriggerDeliveriesHandler);
 
 /**
  * PUT /api/notifications/triggers/:triggerId
  */
-router.put('/triggers/:triggerId', authenticate, updateTriggerHandler);
+router.put('/triggers/:triggerId', authenticate, requirePermission('notifications:manage'), updateTriggerHandler);
+
+/**
+ * POST /api/notifications/templates
+ * eventId set = override for that event; omitted = default template
+ */
+router.post(
+  '/templates',
+  authenticate,
+  requirePermission('notifications:manage'),
+  createTemplateHandler
+);
+
+/**
+ * GET /api/notifications/templates
+ */
+router.get('/templates', authenticate, requirePermission('notifications:manage'), listTemplatesHandler);
+
+/**
+ * GET /api/notifications/templates/:templateId
+ */
+router.get('/templates/:templateId', authenticate, requirePermission('notifications:manage'), getTemplateHandler);
+
+/**
+ * PUT /api/notifications/templates/:templateId
+ */
+router.put(
+  '/templates/:templateId',
+  authenticate,
+  requirePermission('notifications:manage'),
+  updateTemplateHandler
+);
+
+/**
+ * DELETE /api/notifications/templates/:templateId
+ */
+router.delete(
+  '/templates/:templateId',
+  authenticate,
+  requirePermission('notifications:manage'),
+  deleteTemplateHandler
+);
+
+/**
+ * POST /api/notifications/templates/:templateId/preview
+ * Render a template against a real registration
+ */
+router.post('/templates/:templateId/preview', authenticate, requirePermission('notifications:manage'), previewTemplateHandler);
 
 /**
  * POST /api/notifications/send
  */
-router.post('/send', authenticate, sendNotificationHandler);
+router.post('/send', authenticate, requirePermission('notifications:send'), sendNotificationHandler);
 
 /**
  * POST /api/notifications/send-batch
  */
-router.post('/send-batch', authenticate, sendBatchHandler);
+router.post('/send-batch', authenticate, requirePermission('notifications:send'), sendBatchHandler);
 
 /**
  * GET /api/notifications/history
  */
 router.get('/history', authenticate, getHistoryHandler);
 
+/**
+ * GET /api/notifications/dead-letter
+ * Notifications that failed after all retry attempts
+ */
+router.get(
+  '/dead-letter',
+  authenticate,
+  requirePermission('notifications:manage'),
+  getDeadLetterHandler
+);
+
+/**
+ * POST /api/notifications/retry
+ * Requeue failed notifications by event, trigger type or id
+ */
+router.post(
+  '/retry',
+  authenticate,
+  requirePermission('notifications:manage'),
+  retryFailedHandler
+);
+
 /**
  * PUT /api/notifications/:notificationId/delivered
  */
@@ -77,12 +161,13 @@ router.post(
 router.post(
   '/trigger-group-assignment/:registrationId',
   authenticate,
+  requirePermission('notifications:send'),
   triggerGroupAssignmentHandler
 );
 
 /**
  * POST /api/notifications/trigger-event-reminder/:eventId
  */
-router.post('/trigger-event-reminder/:eventId', authenticate, triggerEventReminderHandler);
+router.post('/trigger-event-reminder/:eventId', authenticate, requirePermission('notifications:send'), triggerEventReminderHandler);
 
 export default router;
@@ -1,6 +1,14 @@
 import { getPrismaClient } from '../../lib/prisma.js';
-import { NotFoundError, AppError } from '../../middleware/error-handler.js';
+import { NotFoundError, AppError, ValidationError } from '../../middleware/error-handler.js';
 import { getEffectiveScope } from '../users/service.js';
+import { resolveDeliveryChannels } from '../../lib/channels/index.js';
+import {
+  getTemplateById,
+  resolveTemplate,
+  renderNotificationTemplate,
+  buildRegistrationVariables,
+  registrationTemplateInclude,
+} from './template-service.js';
 
 const prisma = getPrismaClient();
 
@@ -11,9 +19,10 @@ export const createNotificationTrigger = async (data) => {
   const {
     eventId,
     triggerType, // REGISTRATION | GROUP_ASSIGNMENT | CENTER_ASSIGNMENT | EVENT_REMINDER
-    deliveryMethod, // EMAIL | SMS | PUSH
+    deliveryMethod, // EMAIL | SMS | WHATSAPP
     templateId,
     recipientType, // MEMBER | PARENT | ADMIN
+    offsetMinutes, // EVENT_REMINDER: minutes before event start
     isActive = true,
   } = data;
 
@@ -26,6 +35,10 @@ export const createNotificationTrigger = async (data) => {
     throw new NotFoundError('Event not found');
   }
 
+  if (templateId) {
+    await getTemplateById(templateId);
+  }
+
   const trigger = await prisma.notificationTrigger.create({
     data: {
       eventId,
@@ -33,6 +46,7 @@ export const createNotificationTrigger = async (data) => {
       deliveryMethod,
       templateId,
       recipientType,
+      offsetMinutes: offsetMinutes ?? null,
       isActive,
       createdAt: new Date(),
     },
@@ -78,92 +92,105 @@ export const listNotificationTriggers = async (eventId, query = {}) => {
 };
 
 /**
- * Send notification (email/SMS)
+ * Send notification (email/SMS/WhatsApp)
+ * Honours the recipient member's preferred contact method when known
  */
 export const sendNotification = async (data) => {
   const {
     recipientId,
-    recipientEmail,
-    recipientPhone,
-    deliveryMethod, // EMAIL | SMS | PUSH
-    subject,
-    message,
+    deliveryMethod, // EMAIL | SMS | WHATSAPP
+    templateId,
     templateData = {},
     triggerType,
   } = data;
 
-  // Create notification record
+  let { recipientEmail, recipientPhone, subject, message } = data;
+  let whatsappNumber = null;
+  let preferredContactMethod = null;
+  let language = null;
+
+  if (recipientId) {
+    const member = await prisma.member.findUnique({
+      where: { id: recipientId },
+      select: {
+        email: true,
+        phoneNumber: true,
+        whatsappNumber: true,
+        preferredContactMethod: true,
+        preferredLanguage: true,
+      },
+    });
+
+    if (member) {
+      recipientEmail = recipientEmail || member.email;
+      recipientPhone = recipientPhone || member.phoneNumber;
+      whatsappNumber = member.whatsappNumber;
+      preferredContactMethod = member.preferredContactMethod;
+      language = member.preferredLanguage;
+    }
+  }
+
+  const channels = resolveDeliveryChannels({
+    requested: deliveryMethod,
+    preferred: preferredContactMethod,
+    email: recipientEmail,
+    phone: recipientPhone,
+    whatsapp: whatsappNumber,
+  });
+
+  if (channels.length === 0) {
+    throw new ValidationError('Recipient has no email or phone number to notify');
+  }
+
+  // Render from a stored template when one applies (trigger template, event override, default).
+  // The worker falls back through the channels, so each one gets its own rendering.
+  const channelContent = {};
+  if (templateId || Object.keys(templateData).length > 0) {
+    for (const { channel } of channels) {
+      const template = await resolveTemplate({
+        templateId,
+        eventId: data.eventId,
+        triggerType,
+        channel,
+        language,
+      });
+
+      if (template) {
+        const rendered = renderNotificationTemplate(template, templateData);
+        channelContent[channel] = { subject: rendered.subject || subject, message: rendered.message };
+      }
+    }
+  }
+
+  // subject/message hold the first channel's text, and are used for channels without a template
+  const primary = channelContent[channels[0].channel];
+  if (primary) {
+    ({ subject, message } = primary);
+  }
+
+  // Create notification record (queued as a PENDING job)
   const notification = await prisma.notification.create({
     data: {
       eventId: data.eventId,
       recipientId,
-      recipientEmail,
-      recipientPhone,
-      deliveryMethod,
+      recipientEmail: recipientEmail || null,
+      recipientPhone: recipientPhone || null,
+      deliveryMethod: channels[0].channel,
       subject,
       message,
+      channelContent: Object.keys(channelContent).length > 0 ? channelContent : undefined,
       templateData,
       triggerType: triggerType || 'GENERAL',
       status: 'PENDING',
+      nextAttemptAt: new Date(),
       createdAt: new Date(),
     },
   });
 
-  // Queue for actual sending (integration with email/SMS providers)
-  await queueNotificationJob(notification.id, {
-    recipientEmail,
-    recipientPhone,
-    deliveryMethod,
-    subject,
-    message,
-  });
-
+  // Delivery happens in the notification worker (see queue.js)
   return notification;
 };
 
-import { sendMail } from '../../lib/mail.js';
-
-/**
- * Queue notification job (background worker)
- */
-const queueNotificationJob = async (id, data) => {
-  // Execute asynchronously 
-  setTimeout(async () => {
-    try {
-      console.log(`[Worker] Processing notification ${id} (${data.deliveryMethod})`);
-
-      let sentResult = null;
-      if (data.deliveryMethod === 'EMAIL') {
-        sentResult = await sendMail({
-          to: data.recipientEmail,
-          subject: data.subject,
-          text: data.message,
-          html: data.message.replace(/\n/g, '<br/>'),
-        });
-      }
-
-      // Update status to SENT
-      await prisma.notification.update({
-        where: { id },
-        data: {
-          status: 'SENT',
-          sentAt: new Date(),
-        }
-      });
-      console.log(`[Worker] Notification ${id} sent successfully`);
-    } catch (error) {
-      console.error(`[Worker] Failed to send notification ${id}:`, error);
-      await prisma.notification.update({
-        where: { id },
-        data: {
-          status: 'FAILED',
-          failureReason: error.message,
-        }
-      });
-    }
-  }, 0);
-};
-
 /**
  * Send batch notifications
  */
@@ -230,7 +257,7 @@ export const getNotificationHistory = async (query = {}) => {
   // Enforce recipient check for non-admins
   if (userId) {
     const scope = await getEffectiveScope(userId);
-    if (!scope.isGlobal && !scope.unitId) {
+    if (!scope.isGlobal && scope.unitIds.length === 0) {
       // Basic User: fetch their member record
       const member = await prisma.member.findFirst({
         where: { authUserId: userId },
@@ -287,16 +314,90 @@ export const getNotificationHistory = async (query = {}) => {
   };
 };
 
+/**
+ * Get dead-lettered notifications (failed after all retry attempts)
+ */
+export const getDeadLetterNotifications = async (query = {}) => {
+  const { page = 1, limit = 50, eventId, triggerType, deliveryMethod } = query;
+  const skip = (page - 1) * limit;
+
+  const where = {
+    status: 'FAILED',
+    ...(eventId && { eventId }),
+    ...(triggerType && { triggerType }),
+    ...(deliveryMethod && { deliveryMethod }),
+  };
+
+  const [notifications, total] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        member: {
+          select: {
+            firstName: true,
+            lastName: true,
+            fcsCode: true,
+          },
+        },
+        event: {
+          select: {
+            title: true,
+          },
+        },
+      },
+    }),
+    prisma.notification.count({ where }),
+  ]);
+
+  return {
+    data: notifications,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Requeue failed notifications by event, trigger type or id
+ */
+export const retryFailedNotifications = async (filters = {}) => {
+  const { eventId, triggerType, notificationIds } = filters;
+
+  if (!eventId && !triggerType && !notificationIds?.length) {
+    throw new ValidationError('Provide eventId, triggerType or notificationIds to retry');
+  }
+
+  const { count } = await prisma.notification.updateMany({
+    where: {
+      status: 'FAILED',
+      ...(eventId && { eventId }),
+      ...(triggerType && { triggerType }),
+      ...(notificationIds?.length && { id: { in: notificationIds } }),
+    },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lockedAt: null,
+    },
+  });
+
+  return { requeued: count };
+};
+
 /**
  * Trigger registration notifications
  */
 export const triggerRegistrationNotifications = async (registrationId) => {
   const registration = await prisma.registration.findUnique({
     where: { id: registrationId },
-    include: {
-      member: true,
-      event: true,
-    },
+    include: registrationTemplateInclude,
   });
 
   if (!registration) {
@@ -315,12 +416,14 @@ export const triggerRegistrationNotifications = async (registrationId) => {
       const notification = await sendNotification({
         recipientId: registration.member.id,
         recipientEmail: registration.member.email,
-        recipientPhone: registration.member.phoneNumber || registration.member.whatsappNumber,
+        recipientPhone: registration.member.phoneNumber,
         deliveryMethod: trigger.deliveryMethod,
         subject: `Registration Confirmed - ${registration.event.title}`,
         message: `Your registration for ${registration.event.title} has been confirmed.`,
         triggerType: 'REGISTRATION',
         eventId: registration.event.id,
+        templateId: trigger.templateId,
+        templateData: buildRegistrationVariables(registration),
       });
 
       results.push({
@@ -346,11 +449,7 @@ export const triggerRegistrationNotifications = async (registrationId) => {
 export const triggerCenterAssignmentNotifications = async (registrationId) => {
   const registration = await prisma.registration.findUnique({
     where: { id: registrationId },
-    include: {
-      member: true,
-      event: true,
-      center: true,
-    },
+    include: registrationTemplateInclude,
   });
 
   if (!registration) {
@@ -372,12 +471,14 @@ export const triggerCenterAssignmentNotifications = async (registrationId) => {
       const notification = await sendNotification({
         recipientId: registration.member.id,
         recipientEmail: registration.member.email,
-        recipientPhone: registration.member.phoneNumber || registration.member.whatsappNumber,
+        recipientPhone: registration.member.phoneNumber,
         deliveryMethod: trigger.deliveryMethod,
         subject: `Center Assignment - ${registration.event.title}`,
         message: `You have been assigned to ${registration.center.centerName} for ${registration.event.title}.`,
         triggerType: 'CENTER_ASSIGNMENT',
         eventId: registration.event.id,
+        templateId: trigger.templateId,
+        templateData: buildRegistrationVariables(registration),
       });
 
       results.push({
@@ -403,18 +504,16 @@ export const triggerCenterAssignmentNotifications = async (registrationId) => {
 export const triggerGroupAssignmentNotifications = async (registrationId) => {
   const registration = await prisma.registration.findUnique({
     where: { id: registrationId },
-    include: {
-      member: true,
-      event: true,
-      group: true,
-    },
+    include: registrationTemplateInclude,
   });
 
   if (!registration) {
     throw new NotFoundError('Registration not found');
   }
 
-  if (!registration.group) {
+  const group = registration.groupAssignments[0]?.group;
+
+  if (!group) {
     return { message: 'No group assigned' };
   }
 
@@ -429,12 +528,14 @@ export const triggerGroupAssignmentNotifications = async (registrationId) => {
       const notification = await sendNotification({
         recipientId: registration.member.id,
         recipientEmail: registration.member.email,
-        recipientPhone: registration.member.phoneNumber || registration.member.whatsappNumber,
+        recipientPhone: registration.member.phoneNumber,
         deliveryMethod: trigger.deliveryMethod,
         subject: `Group Assignment - ${registration.event.title}`,
-        message: `You have been assigned to ${registration.group.name} for ${registration.event.title}.`,
+        message: `You have been assigned to ${group.name} for ${registration.event.title}.`,
         triggerType: 'GROUP_ASSIGNMENT',
         eventId: registration.event.id,
+        templateId: trigger.templateId,
+        templateData: buildRegistrationVariables(registration),
       });
 
       results.push({
@@ -454,6 +555,16 @@ export const triggerGroupAssignmentNotifications = async (registrationId) => {
   return results;
 };
 
+/**
+ * Reminder text for an event
+ */
+const buildReminderMessage = (event) =>
+  `This is a reminder that ${event.title} is coming up on ${event.startDate.toDateString()}.`;
+
+// Only registrations holding a confirmed seat are reminded. Waitlisted members are
+// reminded once promoted; minors awaiting a guardian get consent reminders instead.
+const NOT_REMINDED_STATUSES = ['CANCELLED', 'WAITLISTED', 'PENDING_CONSENT'];
+
 /**
  * Trigger event reminder notifications
  */
@@ -466,15 +577,16 @@ export const triggerEventReminderNotifications = async (eventId) => {
     throw new NotFoundError('Event not found');
   }
 
-  // Get all registrations for event
+  // Get all active registrations for event
   const registrations = await prisma.registration.findMany({
-    where: { eventId },
-    include: { member: true },
+    where: { eventId, status: { notIn: NOT_REMINDED_STATUSES } },
+    include: registrationTemplateInclude,
   });
 
-  const triggers = await listNotificationTriggers(eventId, {
+  // Scheduled reminders (with an offset) fire on their own
+  const triggers = (await listNotificationTriggers(eventId, {
     triggerType: 'EVENT_REMINDER',
-  });
+  })).filter((trigger) => trigger.offsetMinutes === null);
 
   const results = [];
 
@@ -484,12 +596,14 @@ export const triggerEventReminderNotifications = async (eventId) => {
         const notification = await sendNotification({
           recipientId: registration.member.id,
           recipientEmail: registration.member.email,
-          recipientPhone: registration.member.phoneNumber || registration.member.whatsappNumber,
+          recipientPhone: registration.member.phoneNumber,
           deliveryMethod: trigger.deliveryMethod,
           subject: `Reminder: ${event.title}`,
-          message: `This is a reminder that ${event.title} is coming up on ${event.startDate}.`,
+          message: buildReminderMessage(event),
           triggerType: 'EVENT_REMINDER',
           eventId: event.id,
+          templateId: trigger.templateId,
+          templateData: buildRegistrationVariables({ ...registration, event }),
         });
 
         results.push({
@@ -514,6 +628,139 @@ export const triggerEventReminderNotifications = async (eventId) => {
   };
 };
 
+/**
+ * Fire due scheduled reminders (scheduler tick)
+ * Each trigger fires once per registration; the delivery row is the claim,
+ * so concurrent workers never send the same reminder twice.
+ */
+export const processScheduledReminders = async () => {
+  const now = new Date();
+  const batchSize = parseInt(process.env.REMINDER_BATCH_SIZE || '500');
+
+  const triggers = await prisma.notificationTrigger.findMany({
+    where: {
+      triggerType: 'EVENT_REMINDER',
+      isActive: true,
+      offsetMinutes: { not: null },
+      event: { startDate: { gt: now } },
+    },
+    include: { event: true },
+  });
+
+  const summary = { triggers: 0, queued: 0, skipped: 0 };
+
+  for (const trigger of triggers) {
+    const fireAt = new Date(trigger.event.startDate.getTime() - trigger.offsetMinutes * 60 * 1000);
+    if (fireAt > now) continue;
+
+    summary.triggers += 1;
+
+    const registrations = await prisma.registration.findMany({
+      where: {
+        eventId: trigger.eventId,
+        status: { notIn: NOT_REMINDED_STATUSES },
+        // People who registered after this reminder was due don't get it late
+        createdAt: { lte: fireAt },
+        triggerDeliveries: { none: { triggerId: trigger.id } },
+      },
+      take: batchSize,
+      include: registrationTemplateInclude,
+    });
+
+    for (const registration of registrations) {
+      let delivery;
+      try {
+        delivery = await prisma.notificationTriggerDelivery.create({
+          data: {
+            triggerId: trigger.id,
+            registrationId: registration.id,
+            status: 'QUEUED',
+          },
+        });
+      } catch (error) {
+        // Already claimed by another worker
+        if (error.code === 'P2002') continue;
+        throw error;
+      }
+
+      try {
+        const notification = await sendNotification({
+          recipientId: registration.member.id,
+          recipientEmail: registration.member.email,
+          recipientPhone: registration.member.phoneNumber,
+          deliveryMethod: trigger.deliveryMethod,
+          subject: `Reminder: ${trigger.event.title}`,
+          message: buildReminderMessage(trigger.event),
+          triggerType: 'EVENT_REMINDER',
+          eventId: trigger.eventId,
+          templateId: trigger.templateId,
+          templateData: buildRegistrationVariables(registration),
+        });
+
+        await prisma.notificationTriggerDelivery.update({
+          where: { id: delivery.id },
+          data: { notificationId: notification.id },
+        });
+        summary.queued += 1;
+      } catch (error) {
+        await prisma.notificationTriggerDelivery.update({
+          where: { id: delivery.id },
+          data: { status: 'SKIPPED', reason: error.message },
+        });
+        summary.skipped += 1;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Get scheduled reminder deliveries for a trigger
+ */
+export const getTriggerDeliveries = async (triggerId, query = {}) => {
+  const { page = 1, limit = 50, status } = query;
+  const skip = (page - 1) * limit;
+
+  await getNotificationTrigger(triggerId);
+
+  const where = {
+    triggerId,
+    ...(status && { status }),
+  };
+
+  const [deliveries, total] = await Promise.all([
+    prisma.notificationTriggerDelivery.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        registration: {
+          select: {
+            status: true,
+            member: { select: { firstName: true, lastName: true, fcsCode: true } },
+          },
+        },
+        notification: {
+          select: { status: true, deliveryMethod: true, sentAt: true, failureReason: true },
+        },
+      },
+    }),
+    prisma.notificationTriggerDelivery.count({ where }),
+  ]);
+
+  return {
+    data: deliveries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
 /**
  * Mark notification as read/delivered
  */
@@ -541,12 +788,18 @@ export const updateNotificationTrigger = async (triggerId, data) => {
     throw new NotFoundError('Notification trigger not found');
   }
 
-  const { isActive } = data;
+  const { isActive, offsetMinutes, templateId } = data;
+
+  if (templateId) {
+    await getTemplateById(templateId);
+  }
 
   const updated = await prisma.notificationTrigger.update({
     where: { id: triggerId },
     data: {
       ...(isActive !== undefined && { isActive }),
+      ...(offsetMinutes !== undefined && { offsetMinutes }),
+      ...(templateId !== undefined && { templateId }),
     },
   });
 
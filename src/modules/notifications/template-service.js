@@ -0,0 +1,297 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { renderTemplate, extractPlaceholders } from '../../lib/template.js';
+import { NotFoundError, ValidationError, ForbiddenError } from '../../middleware/error-handler.js';
+import { getAdminScope, isWithinScope } from '../../middleware/scope-validator.js';
+
+const prisma = getPrismaClient();
+
+// Templates are written in this language unless another is given
+export const DEFAULT_TEMPLATE_LANGUAGE = 'en';
+
+/**
+ * Variables available to templates
+ */
+export const TEMPLATE_VARIABLES = [
+  'member.firstName',
+  'member.lastName',
+  'member.fullName',
+  'member.preferredName',
+  'member.fcsCode',
+  'event.title',
+  'event.startDate',
+  'event.endDate',
+  'event.startTime',
+  'event.registrationEnd',
+  'center.name',
+  'center.address',
+  'group.name',
+  'registration.id',
+  'registration.status',
+];
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+    : '';
+
+const formatTime = (date) =>
+  date ? new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '';
+
+/**
+ * Reject placeholders that no registration can fill
+ */
+const validatePlaceholders = (...templates) => {
+  const unknown = templates
+    .flatMap((template) => extractPlaceholders(template))
+    .filter((placeholder) => !TEMPLATE_VARIABLES.includes(placeholder));
+
+  if (unknown.length) {
+    throw new ValidationError(`Unknown template variables: ${[...new Set(unknown)].join(', ')}`);
+  }
+};
+
+/**
+ * Build template variables for a registration
+ */
+export const buildRegistrationVariables = (registration) => {
+  const { member, event } = registration;
+  const center = registration.center || registration.participation?.center || null;
+  const group = registration.groupAssignments?.[0]?.group || null;
+
+  return {
+    member: {
+      firstName: member.firstName,
+      lastName: member.lastName,
+      fullName: `${member.firstName} ${member.lastName}`,
+      preferredName: member.preferredName || member.firstName,
+      fcsCode: member.fcsCode,
+    },
+    event: {
+      title: event.title,
+      startDate: formatDate(event.startDate),
+      endDate: formatDate(event.endDate),
+      startTime: formatTime(event.startDate),
+      registrationEnd: formatDate(event.registrationEnd),
+    },
+    center: center ? { name: center.centerName, address: center.address } : {},
+    group: group ? { name: group.name } : {},
+    registration: {
+      id: registration.id,
+      status: registration.status,
+    },
+  };
+};
+
+/**
+ * Registration include needed to build template variables
+ */
+export const registrationTemplateInclude = {
+  member: true,
+  event: true,
+  center: true,
+  participation: { include: { center: true } },
+  groupAssignments: { include: { group: true }, orderBy: { assignedAt: 'desc' } },
+};
+
+/**
+ * Pick the template for a notification.
+ * An explicit templateId wins. Otherwise the language is the member's, else the event's,
+ * and an event override beats the default in that language before falling back to the
+ * default language.
+ */
+export const resolveTemplate = async ({ templateId, eventId, triggerType, channel, language }) => {
+  if (templateId) {
+    const template = await prisma.notificationTemplate.findUnique({
+      where: { id: templateId },
+    });
+    if (template?.isActive) return template;
+  }
+
+  if (!triggerType || !channel) return null;
+
+  const candidates = await prisma.notificationTemplate.findMany({
+    where: {
+      triggerType,
+      channel,
+      isActive: true,
+      OR: eventId ? [{ eventId }, { eventId: null }] : [{ eventId: null }],
+    },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  let wanted = language;
+  if (!wanted && eventId) {
+    const event = await prisma.event.findUnique({ where: { id: eventId }, select: { language: true } });
+    wanted = event?.language;
+  }
+
+  for (const lang of [...new Set([wanted || DEFAULT_TEMPLATE_LANGUAGE, DEFAULT_TEMPLATE_LANGUAGE])]) {
+    const template = candidates.find((t) => eventId && t.eventId === eventId && t.language === lang)
+      || candidates.find((t) => t.eventId === null && t.language === lang);
+    if (template) return template;
+  }
+
+  return null;
+};
+
+/**
+ * Default templates apply everywhere, so only national administrators manage them;
+ * an event's overrides belong to admins whose scope covers the event's unit
+ */
+const assertCanManageTemplates = async (userId, eventId) => {
+  const event = eventId
+    ? await prisma.event.findUnique({ where: { id: eventId }, select: { unitId: true } })
+    : null;
+  if (eventId && !event) {
+    throw new NotFoundError('Event');
+  }
+
+  const scope = await getAdminScope(userId);
+  if (scope.isGlobal) return;
+
+  if (!event) {
+    throw new ForbiddenError('Only national administrators can manage default templates');
+  }
+  if (!(await isWithinScope(userId, event.unitId))) {
+    throw new ForbiddenError('You do not have permission to manage templates for this event');
+  }
+};
+
+/**
+ * Render a template with variables
+ */
+export const renderNotificationTemplate = (template, variables) => ({
+  subject: renderTemplate(template.subject, variables),
+  message: renderTemplate(template.body, variables),
+});
+
+/**
+ * Create template
+ */
+export const createTemplate = async (data, userId) => {
+  const { name, triggerType, channel, eventId, language, subject, body, isActive = true } = data;
+
+  validatePlaceholders(subject, body);
+  await assertCanManageTemplates(userId, eventId);
+
+  return prisma.notificationTemplate.create({
+    data: {
+      name,
+      triggerType,
+      channel,
+      eventId: eventId || null,
+      language: language || DEFAULT_TEMPLATE_LANGUAGE,
+      subject: subject || null,
+      body,
+      isActive,
+      createdBy: userId || null,
+    },
+  });
+};
+
+/**
+ * Get template
+ */
+export const getTemplateById = async (templateId) => {
+  const template = await prisma.notificationTemplate.findUnique({
+    where: { id: templateId },
+    include: { event: { select: { id: true, title: true } } },
+  });
+
+  if (!template) {
+    throw new NotFoundError('Notification template');
+  }
+
+  return template;
+};
+
+/**
+ * List templates
+ * With eventId, returns the event's overrides together with the defaults they replace
+ */
+export const listTemplates = async (query = {}) => {
+  const { eventId, triggerType, channel, language, includeInactive } = query;
+
+  const where = {
+    ...(triggerType && { triggerType }),
+    ...(channel && { channel }),
+    ...(language && { language }),
+    ...(includeInactive !== 'true' && { isActive: true }),
+    ...(eventId ? { OR: [{ eventId }, { eventId: null }] } : { eventId: null }),
+  };
+
+  return prisma.notificationTemplate.findMany({
+    where,
+    orderBy: [{ triggerType: 'asc' }, { channel: 'asc' }, { updatedAt: 'desc' }],
+  });
+};
+
+/**
+ * Update template
+ */
+export const updateTemplate = async (templateId, data, userId) => {
+  const template = await getTemplateById(templateId);
+  await assertCanManageTemplates(userId, template.eventId);
+
+  const subject = data.subject !== undefined ? data.subject : template.subject;
+  const body = data.body !== undefined ? data.body : template.body;
+  validatePlaceholders(subject, body);
+
+  return prisma.notificationTemplate.update({
+    where: { id: templateId },
+    data: {
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.language !== undefined && { language: data.language }),
+      ...(data.subject !== undefined && { subject: data.subject }),
+      ...(data.body !== undefined && { body: data.body }),
+      ...(data.isActive !== undefined && { isActive: data.isActive }),
+    },
+  });
+};
+
+/**
+ * Delete template (triggers using it fall back to the defaults)
+ */
+export const deleteTemplate = async (templateId, userId) => {
+  const template = await getTemplateById(templateId);
+  await assertCanManageTemplates(userId, template.eventId);
+
+  await prisma.notificationTemplate.delete({
+    where: { id: templateId },
+  });
+
+  return { id: templateId, deleted: true };
+};
+
+/**
+ * Preview a template rendered against a real registration.
+ * The registration must be one the caller can see, and from the template's event if it has one.
+ */
+export const previewTemplate = async (templateId, registrationId, userId) => {
+  const template = await getTemplateById(templateId);
+
+  const registration = await prisma.registration.findUnique({
+    where: { id: registrationId },
+    include: registrationTemplateInclude,
+  });
+
+  if (!registration) {
+    throw new NotFoundError('Registration');
+  }
+
+  if (template.eventId && registration.eventId !== template.eventId) {
+    throw new ValidationError('Registration is not for this template\'s event');
+  }
+  if (!(await isWithinScope(userId, registration.event.unitId))) {
+    throw new ForbiddenError('You do not have permission to preview this registration');
+  }
+
+  const variables = buildRegistrationVariables(registration);
+
+  return {
+    templateId: template.id,
+    channel: template.channel,
+    ...renderNotificationTemplate(template, variables),
+    variables,
+  };
+};
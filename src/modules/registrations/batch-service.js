@@ -0,0 +1,411 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { generateFCSCode, normalizePhoneNumber, calculateAgeBracket } from '../../lib/helpers.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../../middleware/error-handler.js';
+import { checkScopeAccess } from '../users/service.js';
+import { getAdminScope, isUnitInScope } from '../../middleware/scope-validator.js';
+import { isRegistrationOpen } from '../events/service.js';
+import { assignToBibleStudy } from '../groups/service.js';
+import {
+  isMinorMember,
+  requiresParentalConsent,
+  openConsentRequest,
+  sendConsentRequest,
+} from '../consents/service.js';
+import {
+  SEAT_HOLDING_STATUSES,
+  countOccupiedSeats,
+  lockCenter,
+  getWaitlistPosition,
+  registrationDetailInclude,
+} from './service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Family / group registration: several members (existing or new) registered for one
+ * event in a single transaction. Everything is validated up front and either every
+ * entry is registered or none is. New children are linked to their guardian in the
+ * batch, and the batch's tags come out as one PDF.
+ */
+const memberLabel = (member) => `${member.firstName} ${member.lastName}`;
+
+/**
+ * Member columns for an inline new-member payload (validated by createMemberSchema)
+ */
+const newMemberData = (payload) => {
+  const data = Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => [key, value === '' ? null : value])
+  );
+
+  for (const key of ['phoneNumber', 'whatsappNumber', 'emergencyContactPhone', 'guardianPhone']) {
+    if (data[key]) data[key] = normalizePhoneNumber(data[key]);
+  }
+
+  const dateOfBirth = data.dateOfBirth ? new Date(data.dateOfBirth) : null;
+  return {
+    ...data,
+    fcsCode: generateFCSCode(),
+    dateOfBirth,
+    ageBracket: data.ageBracket || calculateAgeBracket(dateOfBirth),
+    isMinor: isMinorMember({ dateOfBirth }),
+    signupSource: 'BATCH',
+    consentTimestamp: new Date(),
+  };
+};
+
+/**
+ * Resolve and check every entry; returns the plan or throws one ValidationError listing
+ * every problem (error.details = [{ index, message }])
+ */
+const planBatch = async (data, userId, event) => {
+  const { eventId, members: entries } = data;
+  const problems = [];
+  const fail = (index, message) => problems.push({ index, message });
+
+  const existingIds = entries.filter((entry) => entry.memberId).map((entry) => entry.memberId);
+  const [existingMembers, registrar, alreadyRegistered] = await Promise.all([
+    prisma.member.findMany({
+      where: { id: { in: existingIds } },
+      include: { guardians: { select: { guardianId: true } } },
+    }),
+    prisma.member.findFirst({ where: { authUserId: userId }, select: { id: true, branchId: true } }),
+    prisma.registration.findMany({
+      where: { eventId, memberId: { in: existingIds } },
+      select: { memberId: true },
+    }),
+  ]);
+  const membersById = new Map(existingMembers.map((member) => [member.id, member]));
+  const registeredIds = new Set(alreadyRegistered.map((registration) => registration.memberId));
+
+  // Inline phone numbers must be new, including within the batch
+  const newPhones = entries
+    .map((entry) => entry.newMember?.phoneNumber && normalizePhoneNumber(entry.newMember.phoneNumber))
+    .filter(Boolean);
+  const takenPhones = new Set(
+    (await prisma.member.findMany({
+      where: { phoneNumber: { in: newPhones } },
+      select: { phoneNumber: true },
+    })).map((member) => member.phoneNumber)
+  );
+
+  // New members may join an existing branch within the registrar's scope, or the
+  // registrar's own branch (a parent adding their child); branchId is a foreign key
+  const newBranchIds = [...new Set(entries.map((entry) => entry.newMember?.branchId).filter(Boolean))];
+  const usableBranches = new Map();
+  if (newBranchIds.length) {
+    const [units, scope] = await Promise.all([
+      prisma.unit.findMany({ where: { id: { in: newBranchIds } }, select: { id: true } }),
+      getAdminScope(userId),
+    ]);
+    const knownUnits = new Set(units.map((unit) => unit.id));
+    for (const branchId of newBranchIds) {
+      if (!knownUnits.has(branchId)) {
+        usableBranches.set(branchId, `Unknown branchId "${branchId}"`);
+      } else if (branchId !== registrar?.branchId && !(await isUnitInScope(scope, branchId))) {
+        usableBranches.set(branchId, `branchId "${branchId}" is outside your scope`);
+      }
+    }
+  }
+
+  const settings = event.settings || {};
+  const hasEventScope = settings.allowThirdPartyRegistration === false
+    ? await checkScopeAccess(userId, event.unitId)
+    : true;
+
+  // Centers referenced anywhere in the batch
+  const centerIds = [...new Set(entries.map((entry) => entry.centerId || data.centerId).filter(Boolean))];
+  const centers = await prisma.eventCenter.findMany({ where: { id: { in: centerIds } } });
+  const centersById = new Map(centers.map((center) => [center.id, center]));
+
+  const seenMemberIds = new Set();
+  const seenPhones = new Set();
+  const plan = entries.map((entry, index) => {
+    const centerId = entry.centerId || data.centerId || null;
+    const participationMode = entry.participationMode || data.participationMode || 'ONLINE';
+    let member = null;
+
+    if (entry.memberId) {
+      member = membersById.get(entry.memberId);
+      if (!member) {
+        fail(index, 'Member not found');
+      } else {
+        if (!member.isActive) fail(index, `${memberLabel(member)} is not an active member`);
+        if (registeredIds.has(member.id)) fail(index, `${memberLabel(member)} is already registered for this event`);
+        if (seenMemberIds.has(member.id)) fail(index, `${memberLabel(member)} appears more than once`);
+        seenMemberIds.add(member.id);
+      }
+    } else {
+      const phone = entry.newMember.phoneNumber && normalizePhoneNumber(entry.newMember.phoneNumber);
+      if (phone && (takenPhones.has(phone) || seenPhones.has(phone))) {
+        fail(index, 'Member with this phone number already exists');
+      }
+      if (phone) seenPhones.add(phone);
+
+      const branchProblem = usableBranches.get(entry.newMember.branchId);
+      if (branchProblem) fail(index, branchProblem);
+    }
+
+    if ((participationMode === 'ONSITE' || participationMode === 'HYBRID') && !centerId) {
+      fail(index, 'Center is required for on-site or hybrid participation');
+    }
+    if (centerId) {
+      const center = centersById.get(centerId);
+      if (!center || !center.isActive || center.eventId !== eventId) {
+        fail(index, 'Selected center is not available');
+      }
+    }
+
+    if (entry.guardianIndex !== undefined && (entry.guardianIndex === index || !entries[entry.guardianIndex])) {
+      fail(index, 'guardianIndex must point to another entry in this batch');
+    }
+
+    return { index, entry, member, centerId, participationMode };
+  });
+
+  const batchMemberIds = new Set(plan.map((item) => item.member?.id).filter(Boolean));
+  const isMinorEntry = (item) => {
+    if (item.member) return isMinorMember(item.member);
+    return Boolean(item.entry.newMember) && isMinorMember({ dateOfBirth: item.entry.newMember.dateOfBirth });
+  };
+
+  for (const item of plan) {
+    const { index, entry, member } = item;
+    if (entry.memberId && !member) continue; // Already reported
+    const label = member ? memberLabel(member) : memberLabel(entry.newMember);
+    const guardianEntry = entry.guardianIndex !== undefined ? plan[entry.guardianIndex] : null;
+    const linkedGuardianIds = member ? member.guardians.map((link) => link.guardianId) : [];
+
+    // Who may register whom
+    const isSelf = member?.authUserId === userId;
+    const isWard = (registrar && linkedGuardianIds.includes(registrar.id))
+      || (registrar && guardianEntry?.member?.id === registrar.id);
+    if (isSelf && settings.allowSelfRegistration === false) {
+      fail(index, 'Self-registration is not enabled for this event');
+    }
+    if (!isSelf && !isWard && !hasEventScope) {
+      fail(index, `You do not have permission to register ${label} for this event`);
+    }
+
+    // Minors need a guardian who is part of the batch (or is the person registering)
+    if (settings.requireParentalConsent && isMinorEntry(item)) {
+      const guardianPresent = (guardianEntry && !isMinorEntry(guardianEntry))
+        || linkedGuardianIds.some((id) => batchMemberIds.has(id) || id === registrar?.id);
+      if (!guardianPresent) {
+        fail(index, `${label} is a minor; include their parent or guardian in this registration`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new ValidationError(
+      `${problems.length} problem(s) found; nothing was registered`
+    );
+    error.details = problems;
+    throw error;
+  }
+
+  return plan;
+};
+
+/**
+ * Register a family or group for an event, all-or-nothing.
+ * Centers without room for every entry assigned to them reject the batch, unless
+ * waitlistIfFull is set, in which case that center's entries are waitlisted together.
+ */
+export const createRegistrationBatch = async (data, userId) => {
+  const { eventId, label, waitlistIfFull } = data;
+
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { settings: true },
+  });
+
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  if (!isRegistrationOpen(event)) {
+    throw new ValidationError('Registration window is closed for this event');
+  }
+
+  const plan = await planBatch(data, userId, event);
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Seats per center; locks are taken in a fixed order so concurrent batches can't deadlock
+    const seatsWanted = new Map();
+    plan.filter((item) => item.centerId).forEach((item) => {
+      seatsWanted.set(item.centerId, (seatsWanted.get(item.centerId) || 0) + 1);
+    });
+
+    const waitlistedCenters = new Set();
+    for (const centerId of [...seatsWanted.keys()].sort()) {
+      await lockCenter(tx, centerId);
+      const center = await tx.eventCenter.findUnique({ where: { id: centerId } });
+      if (center.capacity === null) continue;
+
+      const available = center.capacity - await countOccupiedSeats(tx, centerId);
+      if (available < seatsWanted.get(centerId)) {
+        if (!waitlistIfFull) {
+          throw new ValidationError(
+            `${center.centerName} has ${Math.max(available, 0)} seat(s) left for ${seatsWanted.get(centerId)} people; nothing was registered`
+          );
+        }
+        waitlistedCenters.add(centerId);
+      }
+    }
+
+    const batch = await tx.registrationBatch.create({
+      data: { eventId, label: label || null, registeredBy: userId },
+    });
+
+    // New members first, so guardian links can point at them
+    let membersCreated = 0;
+    const members = [];
+    for (const item of plan) {
+      if (item.member) {
+        members[item.index] = item.member;
+      } else {
+        members[item.index] = await tx.member.create({ data: newMemberData(item.entry.newMember) });
+        membersCreated++;
+      }
+    }
+    const memberIds = members.map((member) => member.id);
+
+    let guardianLinksCreated = 0;
+    for (const item of plan) {
+      if (item.entry.guardianIndex === undefined) continue;
+
+      const memberId = memberIds[item.index];
+      const guardianId = memberIds[item.entry.guardianIndex];
+      const existing = await tx.guardian.findUnique({
+        where: { memberId_guardianId: { memberId, guardianId } },
+      });
+      if (!existing) {
+        await tx.guardian.create({
+          data: { memberId, guardianId, relationship: item.entry.relationship || 'PARENT' },
+        });
+        guardianLinksCreated++;
+      }
+    }
+
+    const now = new Date();
+    const registrations = [];
+    const consents = [];
+    for (const item of plan) {
+      const member = members[item.index];
+      let status = requiresParentalConsent(event, member) ? 'PENDING_CONSENT' : 'CONFIRMED';
+      // Waitlisted minors are asked for consent when promoted, as for single registrations
+      if (item.centerId && waitlistedCenters.has(item.centerId)) status = 'WAITLISTED';
+
+      const registration = await tx.registration.create({
+        data: {
+          eventId,
+          memberId: member.id,
+          centerId: item.centerId,
+          registeredBy: userId,
+          attendanceIntent: data.attendanceIntent || 'CONFIRMED',
+          status,
+          waitlistedAt: status === 'WAITLISTED' ? now : null,
+          batchId: batch.id,
+          participation: {
+            create: {
+              participationMode: item.participationMode,
+              centerId: item.centerId,
+              assignedBy: userId,
+            },
+          },
+        },
+        include: { member: { select: { fcsCode: true, firstName: true, lastName: true } } },
+      });
+      registrations.push({ index: item.index, registration });
+
+      // Guardian links above are in place, so the request goes to the batch's guardian
+      if (status === 'PENDING_CONSENT') {
+        consents.push(await openConsentRequest(tx, registration, member));
+      }
+    }
+
+    return { batch, registrations, consents, membersCreated, guardianLinksCreated };
+  });
+
+  for (const consent of result.consents) {
+    await sendConsentRequest(consent.id);
+  }
+
+  // Group assignment for confirmed entries, as for single registrations
+  for (const { registration } of result.registrations) {
+    if (registration.status !== 'CONFIRMED') continue;
+    try {
+      await assignToBibleStudy(eventId, registration.id, registration.memberId, userId);
+    } catch (error) {
+      console.error(`[AutoAssignment] Failed for registration ${registration.id}:`, error);
+    }
+  }
+
+  const entries = await Promise.all(result.registrations.map(async ({ index, registration }) => ({
+    index,
+    registrationId: registration.id,
+    memberId: registration.memberId,
+    fcsCode: registration.member.fcsCode,
+    name: memberLabel(registration.member),
+    status: registration.status,
+    centerId: registration.centerId,
+    ...(registration.status === 'WAITLISTED' && { waitlistPosition: await getWaitlistPosition(registration) }),
+  })));
+
+  return {
+    batchId: result.batch.id,
+    eventId,
+    label: result.batch.label,
+    total: entries.length,
+    confirmed: entries.filter((entry) => entry.status === 'CONFIRMED').length,
+    waitlisted: entries.filter((entry) => entry.status === 'WAITLISTED').length,
+    pendingConsent: entries.filter((entry) => entry.status === 'PENDING_CONSENT').length,
+    membersCreated: result.membersCreated,
+    guardianLinksCreated: result.guardianLinksCreated,
+    registrations: entries,
+  };
+};
+
+/**
+ * Batch with its registrations; visible to whoever registered it and admins over the event's unit
+ */
+export const getRegistrationBatch = async (batchId, userId) => {
+  const batch = await prisma.registrationBatch.findUnique({
+    where: { id: batchId },
+    include: {
+      event: { select: { id: true, title: true, unitId: true } },
+      registrations: {
+        include: registrationDetailInclude,
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+
+  if (!batch) {
+    throw new NotFoundError('Registration batch');
+  }
+
+  if (batch.registeredBy !== userId && !(await checkScopeAccess(userId, batch.event.unitId))) {
+    throw new ForbiddenError('You do not have permission to view this registration batch');
+  }
+
+  return batch;
+};
+
+/**
+ * Registrations of a batch that should get a tag (cancelled, waitlisted and
+ * awaiting-consent entries don't)
+ */
+export const getBatchTagRegistrations = async (batchId, userId) => {
+  const batch = await getRegistrationBatch(batchId, userId);
+  const registrations = batch.registrations.filter((registration) =>
+    SEAT_HOLDING_STATUSES.includes(registration.status) && registration.status !== 'PENDING_CONSENT'
+  );
+
+  if (registrations.length === 0) {
+    throw new ValidationError('No registrations in this batch are due a tag');
+  }
+
+  return { batch, registrations };
+};
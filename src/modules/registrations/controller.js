@@ -13,9 +13,11 @@ import {
   getGlobalRegistrationsStats,
   markAttendance,
   exportRegistrationsToCSV,
+  getCenterWaitlist,
 } from './service.js';
-import { createRegistrationSchema, assignCenterSchema, paginationSchema } from '../../lib/validation.js';
-import { getAdminScope } from '../../middleware/scope-validator.js';
+import { createRegistrationBatch, getRegistrationBatch, getBatchTagRegistrations } from './batch-service.js';
+import { createRegistrationSchema, createRegistrationBatchSchema, assignCenterSchema, paginationSchema } from '../../lib/validation.js';
+import { getAdminScope, resolveScopedUnitFilter } from '../../middleware/scope-validator.js';
 
 /**
  * POST /api/registrations
@@ -35,13 +37,76 @@ export const createRegistrationHandler = async (req, res, next) => {
     const registration = await createRegistration(value, req.userId);
     res.status(201).json({
       data: registration,
-      message: 'Registration created successfully',
+      message: registration.status === 'WAITLISTED'
+        ? `Center is full. Added to the waitlist at position ${registration.waitlistPosition}`
+        : registration.status === 'PENDING_CONSENT'
+          ? 'Registration created and awaiting parental consent'
+          : 'Registration created successfully',
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * POST /api/registrations/batch
+ * Family / group registration, all-or-nothing
+ */
+export const createRegistrationBatchHandler = async (req, res, next) => {
+  try {
+    const { error, value } = createRegistrationBatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const summary = await createRegistrationBatch(value, req.userId);
+    res.status(201).json({
+      data: summary,
+      message: summary.waitlisted > 0
+        ? `${summary.total} registered; ${summary.waitlisted} added to the waitlist`
+        : `${summary.total} registered successfully`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/registrations/batches/:batchId
+ */
+export const getRegistrationBatchHandler = async (req, res, next) => {
+  try {
+    const batch = await getRegistrationBatch(req.params.batchId, req.userId);
+    res.status(200).json({
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/registrations/batches/:batchId/tags-pdf
+ * One PDF with a tag per registration in the batch
+ */
+export const downloadBatchTagsHandler = async (req, res, next) => {
+  try {
+    const { batch, registrations } = await getBatchTagRegistrations(req.params.batchId, req.userId);
+    const pdfBuffer = await generateBatchTagsPdf(registrations);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=tags-${batch.id}.pdf`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * GET /api/registrations
  */
@@ -63,9 +128,9 @@ export const listRegistrationsHandler = async (req, res, next) => {
     if (!scope.isGlobal) {
       // If eventId is provided, we assume the user has access to the event (or is performing a check-in)
       // and we do NOT restrict by unit scope. This allows Center Admins to check in members for National events.
-      // Otherwise, restrict to user's unit and descendants.
+      // Otherwise, restrict to the user's units and their descendants.
       if (!req.query.eventId) {
-        effectiveUnitId = scope.unitId;
+        effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
       }
     }
 
@@ -320,7 +385,7 @@ export const getGlobalRegistrationsStatsHandler = async (req, res, next) => {
     let effectiveUnitId = req.query.unitId;
     if (!scope.isGlobal) {
       if (!eventId) {
-        effectiveUnitId = scope.unitId;
+        effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
       }
     }
 
@@ -354,7 +419,21 @@ export const markAttendanceHandler = async (req, res, next) => {
   }
 };
 
-import { generateTagPdf } from './pdf-service.js';
+/**
+ * GET /api/registrations/center/:centerId/waitlist
+ */
+export const getCenterWaitlistHandler = async (req, res, next) => {
+  try {
+    const waitlist = await getCenterWaitlist(req.params.centerId, req.userId);
+    res.status(200).json({
+      data: waitlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+import { generateTagPdf, generateBatchTagsPdf } from './pdf-service.js';
 
 /**
  * GET /api/registrations/:id/tag-pdf
@@ -404,7 +483,7 @@ export const exportRegistrationsHandler = async (req, res, next) => {
     let effectiveUnitId = req.query.unitId;
     if (!scope.isGlobal) {
       if (!req.query.eventId) {
-        effectiveUnitId = scope.unitId;
+        effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
       }
     }
 
@@ -2,11 +2,12 @@ import PDFDocument from 'pdfkit';
 import QRCode from 'qrcode';
 import fs from 'fs';
 import path from 'path';
+import { signTagToken, getTagTokenExpiry } from '../../lib/tag-token.js';
 
 /**
  * Helper to fetch image buffer from URL
  */
-async function getImageBuffer(url) {
+export async function getImageBuffer(url) {
     try {
         const response = await fetch(url);
         if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
@@ -19,202 +20,235 @@ async function getImageBuffer(url) {
 }
 
 /**
- * Generate Event Tag PDF
- * @param {Object} registration - Registration object with member, event, and participation details
+ * Full-width header across the top of the page: the event banner image under a dark
+ * overlay, or a plain colour block when there is none
+ * @returns {Promise<number>} - Height used
+ */
+export async function drawEventBanner(doc, event, { height = 60, imageHeight = 80, color = '#1e40af' } = {}) {
+    const width = doc.page.width;
+
+    if (event?.imageUrl) {
+        const bannerBuffer = await getImageBuffer(event.imageUrl);
+        if (bannerBuffer) {
+            doc.image(bannerBuffer, 0, 0, { width: width, height: imageHeight, cover: [width, imageHeight] });
+            // Add a dark overlay to make white text readable
+            doc.rect(0, 0, width, imageHeight).fillColor('#000000', 0.4).fill();
+            return imageHeight;
+        }
+    }
+
+    doc.rect(0, 0, width, height).fill(color); // blue-800 by default
+    return height;
+}
+
+/**
+ * Draw a QR code (black on white) with its top-left corner at x, y
+ */
+export async function drawQrCode(doc, data, x, y, size) {
+    const qrImage = await QRCode.toDataURL(data, {
+        margin: 1,
+        color: {
+            dark: '#000000',
+            light: '#ffffff'
+        }
+    });
+
+    doc.image(qrImage, x, y, { width: size });
+}
+
+/**
+ * Render one page per item into a PDF buffer
+ * @param {Object[]} items - One entry per page
+ * @param {Object} pageOptions - pdfkit page options (size, layout, margin)
+ * @param {Function} drawPage - async (doc, item) => void, draws the current page
  * @returns {Promise<Buffer>} - PDF Buffer
  */
-export const generateTagPdf = async (registration) => {
+export const renderPdf = (items, pageOptions, drawPage) => {
     return new Promise(async (resolve, reject) => {
         try {
-            // DEBUG: Log registration data
-            console.log('=== PDF GENERATION DEBUG ===');
-            console.log('Registration ID:', registration?.id);
-            console.log('Member:', {
-                fcsCode: registration?.member?.fcsCode,
-                firstName: registration?.member?.firstName,
-                lastName: registration?.member?.lastName,
-                profilePhotoUrl: registration?.member?.profilePhotoUrl
-            });
-            console.log('Event:', {
-                title: registration?.event?.title,
-                startDate: registration?.event?.startDate,
-                imageUrl: registration?.event?.imageUrl
-            });
-            console.log('Participation:', {
-                mode: registration?.participation?.participationMode,
-                center: registration?.participation?.center?.centerName
-            });
-            console.log('Group Assignments:', registration?.groupAssignments);
-            console.log('=== END DEBUG ===');
-
             const doc = new PDFDocument({
-                size: 'A6', // Standard tag size (105 x 148 mm)
-                margin: 0,
+                ...pageOptions,
+                autoFirstPage: false,
             });
 
             const buffers = [];
             doc.on('data', buffers.push.bind(buffers));
             doc.on('end', () => resolve(Buffer.concat(buffers)));
 
-            // --- PAGE SETUP ---
-            const width = doc.page.width;
-            const height = doc.page.height;
-            const margin = 20;
-
-            // Background
-            doc.rect(0, 0, width, height).fill('#ffffff');
-
-            // --- BANNER IMAGE ---
-            let headerHeight = 60;
-            if (registration.event?.imageUrl) {
-                const bannerBuffer = await getImageBuffer(registration.event.imageUrl);
-                if (bannerBuffer) {
-                    headerHeight = 80;
-                    doc.image(bannerBuffer, 0, 0, { width: width, height: headerHeight, cover: [width, headerHeight] });
-                    // Add a dark overlay to make white text readable
-                    doc.rect(0, 0, width, headerHeight).fillColor('#000000', 0.4).fill();
-                } else {
-                    doc.rect(0, 0, width, headerHeight).fill('#1e40af'); // Fallback blue
-                }
-            } else {
-                doc.rect(0, 0, width, headerHeight).fill('#1e40af'); // blue-800
-            }
-
-            // --- LOGO (TOP LEFT) ---
-            // Using placeholder for now or if I can find a reliable path
-            doc.fillColor('#ffffff')
-                .font('Helvetica-Bold')
-                .fontSize(10)
-                .text('FCS NIGERIA', 15, 15);
-
-            // --- EVENT TITLE & DATE (TOP RIGHT) ---
-            const eventTitle = (registration.event?.title || 'FCS EVENT').toUpperCase();
-            doc.fillColor('#ffffff')
-                .font('Helvetica-Bold')
-                .fontSize(12)
-                .text(eventTitle, margin, 15, { align: 'right', width: width - margin * 2 });
-
-            const eventDate = registration.event?.startDate
-                ? new Date(registration.event.startDate).toLocaleDateString('en-GB')
-                : '';
-            doc.font('Helvetica')
-                .fontSize(8)
-                .text(eventDate, margin, 32, { align: 'right', width: width - margin * 2 });
-
-            // --- PROFILE IMAGE ---
-            const profileY = headerHeight + 20;
-            const profileSize = 70;
-            const centerX = width / 2;
-
-            if (registration.member?.profilePhotoUrl) {
-                const photoBuffer = await getImageBuffer(registration.member.profilePhotoUrl);
-                if (photoBuffer) {
-                    // Draw circular clip or just square for simplicity first
-                    doc.save();
-                    doc.circle(centerX, profileY + profileSize / 2, profileSize / 2).clip();
-                    doc.image(photoBuffer, centerX - profileSize / 2, profileY, { width: profileSize, height: profileSize, cover: [profileSize, profileSize] });
-                    doc.restore();
-                } else {
-                    // Placeholder circle
-                    doc.circle(centerX, profileY + profileSize / 2, profileSize / 2).fill('#f3f4f6');
-                    doc.fillColor('#9ca3af').fontSize(20).text('?', centerX - 5, profileY + 25);
-                }
-            } else {
-                // Placeholder circle
-                doc.circle(centerX, profileY + profileSize / 2, profileSize / 2).fill('#f3f4f6');
-                doc.fillColor('#9ca3af').fontSize(20).text('?', centerX - 5, profileY + 25);
+            for (const item of items) {
+                doc.addPage(pageOptions);
+                await drawPage(doc, item);
             }
 
-            // --- NAME ---
-            const firstName = (registration.member?.firstName || '').toUpperCase();
-            const lastName = (registration.member?.lastName || '').toUpperCase();
+            doc.end();
 
-            doc.fillColor('#0f172a')
-                .font('Helvetica-Bold')
-                .fontSize(18)
-                .text(lastName, 0, profileY + profileSize + 10, { align: 'center' });
+        } catch (error) {
+            console.error('PDF Generation Error:', error);
+            reject(error);
+        }
+    });
+};
 
-            doc.font('Helvetica')
-                .fontSize(14)
-                .text(firstName, { align: 'center' });
+/**
+ * Draw one tag on the current page
+ */
+async function drawTag(doc, registration) {
+    // --- PAGE SETUP ---
+    const width = doc.page.width;
+    const height = doc.page.height;
+    const margin = 20;
+
+    // Background
+    doc.rect(0, 0, width, height).fill('#ffffff');
+
+    // --- BANNER IMAGE ---
+    const headerHeight = await drawEventBanner(doc, registration.event);
+
+    // --- LOGO (TOP LEFT) ---
+    // Using placeholder for now or if I can find a reliable path
+    doc.fillColor('#ffffff')
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .text('FCS NIGERIA', 15, 15);
+
+    // --- EVENT TITLE & DATE (TOP RIGHT) ---
+    const eventTitle = (registration.event?.title || 'FCS EVENT').toUpperCase();
+    doc.fillColor('#ffffff')
+        .font('Helvetica-Bold')
+        .fontSize(12)
+        .text(eventTitle, margin, 15, { align: 'right', width: width - margin * 2 });
+
+    const eventDate = registration.event?.startDate
+        ? new Date(registration.event.startDate).toLocaleDateString('en-GB')
+        : '';
+    doc.font('Helvetica')
+        .fontSize(8)
+        .text(eventDate, margin, 32, { align: 'right', width: width - margin * 2 });
+
+    // --- PROFILE IMAGE ---
+    const profileY = headerHeight + 20;
+    const profileSize = 70;
+    const centerX = width / 2;
+
+    if (registration.member?.profilePhotoUrl) {
+        const photoBuffer = await getImageBuffer(registration.member.profilePhotoUrl);
+        if (photoBuffer) {
+            // Draw circular clip or just square for simplicity first
+            doc.save();
+            doc.circle(centerX, profileY + profileSize / 2, profileSize / 2).clip();
+            doc.image(photoBuffer, centerX - profileSize / 2, profileY, { width: profileSize, height: profileSize, cover: [profileSize, profileSize] });
+            doc.restore();
+        } else {
+            // Placeholder circle
+            doc.circle(centerX, profileY + profileSize / 2, profileSize / 2).fill('#f3f4f6');
+            doc.fillColor('#9ca3af').fontSize(20).text('?', centerX - 5, profileY + 25);
+        }
+    } else {
+        // Placeholder circle
+        doc.circle(centerX, profileY + profileSize / 2, profileSize / 2).fill('#f3f4f6');
+        doc.fillColor('#9ca3af').fontSize(20).text('?', centerX - 5, profileY + 25);
+    }
 
-            // --- VENUE / CENTER LABEL ---
-            const mode = (registration.participation?.participationMode || 'ONSITE').toUpperCase();
-            const center = registration.participation?.center?.centerName || '';
+    // --- NAME ---
+    const firstName = (registration.member?.firstName || '').toUpperCase();
+    const lastName = (registration.member?.lastName || '').toUpperCase();
 
-            doc.moveDown(0.5);
+    doc.fillColor('#0f172a')
+        .font('Helvetica-Bold')
+        .fontSize(18)
+        .text(lastName, 0, profileY + profileSize + 10, { align: 'center' });
 
-            // Show venue/center section if center exists
-            if (center) {
-                doc.font('Helvetica')
-                    .fontSize(7)
-                    .fillColor('#94a3b8') // gray-400
-                    .text('VENUE / CENTER', { align: 'center' });
+    doc.font('Helvetica')
+        .fontSize(14)
+        .text(firstName, { align: 'center' });
 
-                doc.font('Helvetica-Bold')
-                    .fontSize(10)
-                    .fillColor('#0f172a') // slate-900
-                    .text(center, { align: 'center', width: width - 40 });
+    // --- VENUE / CENTER LABEL ---
+    const mode = (registration.participation?.participationMode || 'ONSITE').toUpperCase();
+    const center = registration.participation?.center?.centerName || '';
 
-                doc.moveDown(0.3);
-            }
+    doc.moveDown(0.5);
 
-            // Show participation mode
-            doc.font('Helvetica-Bold')
-                .fontSize(10)
-                .fillColor('#10b981') // emerald-500
-                .text(mode, { align: 'center' });
-
-            // --- GROUPS (Bible Study / Workshop / Seminar) ---
-            if (registration.groupAssignments && registration.groupAssignments.length > 0) {
-                doc.moveDown(0.5);
-                registration.groupAssignments.forEach((assignment) => {
-                    if (assignment.group) {
-                        const group = assignment.group;
-                        const yPos = doc.y;
-                        doc.rect(20, yPos, width - 40, 18).fill('#f1f5f9');
-                        doc.fillColor('#475569')
-                            .font('Helvetica-Bold')
-                            .fontSize(8)
-                            .text(`${group.type}: ${group.name}`, 25, yPos + 5, { align: 'center', width: width - 50 });
-                        doc.moveDown(0.4);
-                    }
-                });
-            }
+    // Show venue/center section if center exists
+    if (center) {
+        doc.font('Helvetica')
+            .fontSize(7)
+            .fillColor('#94a3b8') // gray-400
+            .text('VENUE / CENTER', { align: 'center' });
 
-            // --- QR CODE ---
-            // Encode only the fcsCode — plain text, directly searchable by the kiosk/registrar scanner
-            const qrData = registration.member?.fcsCode || registration.id;
+        doc.font('Helvetica-Bold')
+            .fontSize(10)
+            .fillColor('#0f172a') // slate-900
+            .text(center, { align: 'center', width: width - 40 });
 
-            const qrImage = await QRCode.toDataURL(qrData, {
-                margin: 1,
-                color: {
-                    dark: '#000000',
-                    light: '#ffffff'
-                }
-            });
+        doc.moveDown(0.3);
+    }
 
-            const qrSize = 80;
-            const qrY = height - qrSize - 35;
-            doc.image(qrImage, (width - qrSize) / 2, qrY, { width: qrSize });
+    // Show participation mode
+    doc.font('Helvetica-Bold')
+        .fontSize(10)
+        .fillColor('#10b981') // emerald-500
+        .text(mode, { align: 'center' });
+
+    // --- GROUPS (Bible Study / Workshop / Seminar) ---
+    if (registration.groupAssignments && registration.groupAssignments.length > 0) {
+        doc.moveDown(0.5);
+        registration.groupAssignments.forEach((assignment) => {
+            if (assignment.group) {
+                const group = assignment.group;
+                const yPos = doc.y;
+                doc.rect(20, yPos, width - 40, 18).fill('#f1f5f9');
+                doc.fillColor('#475569')
+                    .font('Helvetica-Bold')
+                    .fontSize(8)
+                    .text(`${group.type}: ${group.name}`, 25, yPos + 5, { align: 'center', width: width - 50 });
+                doc.moveDown(0.4);
+            }
+        });
+    }
 
-            // --- FCS CODE (Beautifully Styled) ---
-            doc.fillColor('#065f46') // emerald-800
-                .font('Helvetica-Bold')
-                .fontSize(10)
-                .text(registration.member?.fcsCode || '', 0, qrY + qrSize + 2, { align: 'center' });
+    // --- QR CODE ---
+    // Signed tag token, checked by POST /api/attendance/scan; the fcsCode is printed below for manual lookup
+    const qrData = signTagToken({
+        registrationId: registration.id,
+        eventId: registration.eventId,
+        expiresAt: getTagTokenExpiry(registration.event),
+    });
 
-            // --- SYSTEM FOOTER ---
-            doc.fillColor('#94a3b8')
-                .font('Helvetica')
-                .fontSize(6)
-                .text('FCS Registration System', 0, height - 15, { align: 'center' });
+    const qrSize = 80;
+    const qrY = height - qrSize - 35;
+    await drawQrCode(doc, qrData, (width - qrSize) / 2, qrY, qrSize);
+
+    // --- FCS CODE (Beautifully Styled) ---
+    doc.fillColor('#065f46') // emerald-800
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .text(registration.member?.fcsCode || '', 0, qrY + qrSize + 2, { align: 'center' });
+
+    // --- SYSTEM FOOTER ---
+    doc.fillColor('#94a3b8')
+        .font('Helvetica')
+        .fontSize(6)
+        .text('FCS Registration System', 0, height - 15, { align: 'center' });
+}
 
-            doc.end();
+/**
+ * Render tags into one PDF, one A6 page per registration
+ */
+const renderTags = (registrations) =>
+    renderPdf(registrations, { size: 'A6', margin: 0 }, drawTag); // Standard tag size (105 x 148 mm)
 
-        } catch (error) {
-            console.error('PDF Generation Error:', error);
-            reject(error);
-        }
-    });
+/**
+ * Generate Event Tag PDF
+ * @param {Object} registration - Registration object with member, event, and participation details
+ * @returns {Promise<Buffer>} - PDF Buffer
+ */
+export const generateTagPdf = async (registration) => {
+    return renderTags([registration]);
 };
+
+/**
+ * Generate one PDF holding the tags of a whole batch (family / group registration)
+ * @param {Object[]} registrations - Registrations shaped like generateTagPdf's input
+ * @returns {Promise<Buffer>} - PDF Buffer
+ */
+export const generateBatchTagsPdf = async (registrations) => renderTags(registrations);
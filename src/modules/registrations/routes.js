@@ -15,36 +15,52 @@ import {
   markAttendanceHandler,
   downloadTagHandler,
   exportRegistrationsHandler,
+  getCenterWaitlistHandler,
+  createRegistrationBatchHandler,
+  getRegistrationBatchHandler,
+  downloadBatchTagsHandler,
 } from './controller.js';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
 // GET /api/registrations - List registrations
-router.get('/', authenticate, listRegistrationsHandler);
+router.get('/', authenticate, requirePermission('registrations:read'), listRegistrationsHandler);
 
 // POST /api/registrations - Create registration
 router.post('/', authenticate, createRegistrationHandler);
 
+// POST /api/registrations/batch - Register a family or group in one transaction
+router.post('/batch', authenticate, createRegistrationBatchHandler);
+
+// GET /api/registrations/batches/:batchId - Batch summary (MUST be before /:id)
+router.get('/batches/:batchId', authenticate, getRegistrationBatchHandler);
+
+// GET /api/registrations/batches/:batchId/tags-pdf - Combined tags for a batch (MUST be before /:id)
+router.get('/batches/:batchId/tags-pdf', authenticate, downloadBatchTagsHandler);
+
 // GET /api/registrations/event/:eventId - Get event registrations (MUST be before /:id)
-router.get('/event/:eventId', authenticate, getEventRegistrationsHandler);
+router.get('/event/:eventId', authenticate, requirePermission('registrations:read'), getEventRegistrationsHandler);
 
 // GET /api/registrations/member/:memberId - Get member registrations (MUST be before /:id)
 router.get('/member/:memberId', authenticate, getMemberRegistrationsHandler);
 
 // GET /api/registrations/stats - Get registrar statistics (MUST be before /:id)
 // Query params: eventId (required), centerId (optional)
-router.get('/stats', authenticate, getRegistrarStatisticsHandler);
+router.get('/stats', authenticate, requirePermission('registrations:read'), getRegistrarStatisticsHandler);
 
 // GET /api/registrations/stats/summary - Get global registration statistics (MUST be before /:id)
-router.get('/stats/summary', authenticate, getGlobalRegistrationsStatsHandler);
+router.get('/stats/summary', authenticate, requirePermission('registrations:read'), getGlobalRegistrationsStatsHandler);
 
 // GET /api/registrations/export/csv - Export registrations as CSV (MUST be before /:id)
-router.get('/export/csv', authenticate, exportRegistrationsHandler);
+router.get('/export/csv', authenticate, requirePermission('registrations:export'), exportRegistrationsHandler);
 
 // GET /api/registrations/check/:eventId/:memberId - Check registration status (MUST be before /:id)
 router.get('/check/:eventId/:memberId', authenticate, checkRegistrationStatusHandler);
 
+// GET /api/registrations/center/:centerId/waitlist - Center waitlist in queue order (MUST be before /:id)
+router.get('/center/:centerId/waitlist', authenticate, requirePermission('registrations:read'), getCenterWaitlistHandler);
+
 // GET /api/registrations/:id - Get registration details
 // GET /api/registrations/:id - Get registration details
 router.get('/:id', authenticate, getRegistrationHandler);
@@ -53,16 +69,16 @@ router.get('/:id', authenticate, getRegistrationHandler);
 router.get('/:id/tag-pdf', authenticate, downloadTagHandler);
 
 // PUT /api/registrations/:id/status - Update registration status
-router.put('/:id/status', authenticate, updateRegistrationStatusHandler);
+router.put('/:id/status', authenticate, requirePermission('registrations:update'), updateRegistrationStatusHandler);
 
 // POST /api/registrations/:id/attendance - Mark attendance
-router.post('/:id/attendance', authenticate, markAttendanceHandler);
+router.post('/:id/attendance', authenticate, requirePermission('attendance:check_in'), markAttendanceHandler);
 
 // POST /api/registrations/:id/assign-center - Assign center to registration
 router.post('/:id/assign-center', authenticate, assignCenterHandler);
 
 // POST /api/registrations/:id/assign-group - Assign group to registration
-router.post('/:id/assign-group', authenticate, assignGroupHandler);
+router.post('/:id/assign-group', authenticate, requirePermission('registrations:update'), assignGroupHandler);
 
 // DELETE /api/registrations/:id - Cancel registration
 router.delete('/:id', authenticate, cancelRegistrationHandler);
@@ -4,7 +4,7 @@ import {
   formatPaginatedResponse,
 } from '../../lib/helpers.js';
 import { checkScopeAccess } from '../users/service.js';
-import { getAllDescendantIds } from '../units/service.js';
+import { getSubtreeIds } from '../units/service.js';
 import {
   ValidationError,
   NotFoundError,
@@ -12,9 +12,41 @@ import {
 } from '../../middleware/error-handler.js';
 import { isRegistrationOpen } from '../events/service.js';
 import { assignToBibleStudy } from '../groups/service.js';
+import { sendNotification } from '../notifications/service.js';
+import { assertCanCheckIn } from '../attendance/service.js';
+import {
+  buildRegistrationVariables,
+  registrationTemplateInclude,
+} from '../notifications/template-service.js';
+import {
+  requiresParentalConsent,
+  openConsentRequest,
+  sendConsentRequest,
+} from '../consents/service.js';
 
 const prisma = getPrismaClient();
 
+// Registration statuses that hold a seat at a center
+export const SEAT_HOLDING_STATUSES = ['PENDING', 'PENDING_CONSENT', 'CONFIRMED', 'CHECKED_IN'];
+
+/**
+ * Count registrations holding a seat at a center
+ */
+export const countOccupiedSeats = (client, centerId, excludeRegistrationId) =>
+  client.registration.count({
+    where: {
+      centerId,
+      status: { in: SEAT_HOLDING_STATUSES },
+      ...(excludeRegistrationId && { id: { not: excludeRegistrationId } }),
+    },
+  });
+
+/**
+ * Lock a center row until the transaction ends, so seats are handed out one at a time
+ */
+export const lockCenter = (tx, centerId) =>
+  tx.$queryRaw`SELECT "id" FROM "EventCenter" WHERE "id" = ${centerId} FOR UPDATE`;
+
 /**
  * Create registration
  */
@@ -90,58 +122,89 @@ export const createRegistration = async (data, userId) => {
     if (!center || !center.isActive) {
       throw new ValidationError('Selected center is not available');
     }
+  }
 
-    // Check capacity
-    if (center.capacity) {
-      const registrationCount = await prisma.registration.count({
-        where: { centerId },
-      });
-      if (registrationCount >= center.capacity) {
-        throw new ValidationError('Center has reached maximum capacity');
+  // Minors wait for a guardian's consent when the event asks for it
+  const needsConsent = requiresParentalConsent(event, member);
+
+  // Create registration, joining the waitlist if the center is full
+  const { registration, consent } = await prisma.$transaction(async (tx) => {
+    let status = needsConsent ? 'PENDING_CONSENT' : 'CONFIRMED';
+
+    if (centerId) {
+      await lockCenter(tx, centerId);
+      const center = await tx.eventCenter.findUnique({ where: { id: centerId } });
+
+      if (center.capacity !== null) {
+        const occupied = await countOccupiedSeats(tx, centerId);
+        if (occupied >= center.capacity) {
+          status = 'WAITLISTED';
+        }
       }
     }
-  }
 
-  // Create registration
-  const registration = await prisma.registration.create({
-    data: {
-      eventId,
-      memberId,
-      centerId: centerId || null,
-      registeredBy: userId,
-      attendanceIntent: data.attendanceIntent || 'CONFIRMED',
-      status: 'CONFIRMED',
-      participation: {
-        create: {
-          participationMode: finalParticipationMode,
-          centerId: centerId || null,
-          assignedBy: userId,
+    const created = await tx.registration.create({
+      data: {
+        eventId,
+        memberId,
+        centerId: centerId || null,
+        registeredBy: userId,
+        attendanceIntent: data.attendanceIntent || 'CONFIRMED',
+        status,
+        waitlistedAt: status === 'WAITLISTED' ? new Date() : null,
+        participation: {
+          create: {
+            participationMode: finalParticipationMode,
+            centerId: centerId || null,
+            assignedBy: userId,
+          },
         },
       },
-    },
-    include: {
-      participation: true,
-      member: {
-        select: {
-          fcsCode: true,
-          firstName: true,
-          lastName: true,
+      include: {
+        participation: true,
+        member: {
+          select: {
+            fcsCode: true,
+            firstName: true,
+            lastName: true,
+          },
         },
-      },
-      event: {
-        select: {
-          title: true,
-          participationMode: true,
+        event: {
+          select: {
+            title: true,
+            participationMode: true,
+          },
         },
-      },
-      groupAssignments: {
-        include: {
-          group: true,
+        groupAssignments: {
+          include: {
+            group: true,
+          },
         },
       },
-    },
+    });
+
+    return {
+      registration: created,
+      consent: status === 'PENDING_CONSENT' ? await openConsentRequest(tx, created, member) : null,
+    };
   });
 
+  // Group assignment waits until a waitlisted registration is promoted
+  if (registration.status === 'WAITLISTED') {
+    return {
+      ...registration,
+      waitlistPosition: await getWaitlistPosition(registration),
+    };
+  }
+
+  // ...or until the guardian has consented
+  if (consent) {
+    return {
+      ...registration,
+      consentRequestSent: await sendConsentRequest(consent.id),
+    };
+  }
+
   // Auto-assign to Bible Study if available
   try {
     await assignToBibleStudy(eventId, registration.id, memberId, userId);
@@ -153,59 +216,62 @@ export const createRegistration = async (data, userId) => {
   return registration;
 };
 
-/**
- * Get registration by ID
- */
-export const getRegistrationById = async (registrationId, userId) => {
-  const registration = await prisma.registration.findUnique({
-    where: { id: registrationId },
+// Everything the registration view and the tag PDF need
+export const registrationDetailInclude = {
+  member: {
+    select: {
+      id: true,
+      authUserId: true, // Added for ownership check
+      fcsCode: true,
+      firstName: true,
+      lastName: true,
+      phoneNumber: true,
+      email: true,
+      profilePhotoUrl: true,
+    },
+  },
+  event: {
+    select: {
+      id: true,
+      title: true,
+      participationMode: true,
+      startDate: true,
+      endDate: true,
+      imageUrl: true,
+      unitId: true, // Added for scope check
+    },
+  },
+  participation: {
     include: {
-      member: {
+      center: {
         select: {
           id: true,
-          authUserId: true, // Added for ownership check
-          fcsCode: true,
-          firstName: true,
-          lastName: true,
-          phoneNumber: true,
-          email: true,
-          profilePhotoUrl: true,
+          centerName: true,
+          address: true,
         },
       },
-      event: {
+    },
+  },
+  groupAssignments: {
+    include: {
+      group: {
         select: {
           id: true,
-          title: true,
-          participationMode: true,
-          startDate: true,
-          endDate: true,
-          imageUrl: true,
-          unitId: true, // Added for scope check
-        },
-      },
-      participation: {
-        include: {
-          center: {
-            select: {
-              id: true,
-              centerName: true,
-              address: true,
-            },
-          },
-        },
-      },
-      groupAssignments: {
-        include: {
-          group: {
-            select: {
-              id: true,
-              name: true,
-              type: true,
-            },
-          },
+          name: true,
+          type: true,
         },
       },
     },
+  },
+};
+
+/**
+ * Get registration by ID
+ */
+export const getRegistrationById = async (registrationId, userId) => {
+  const registration = await prisma.registration.findUnique({
+    where: { id: registrationId },
+    include: registrationDetailInclude,
   });
 
   if (!registration) {
@@ -226,7 +292,10 @@ export const getRegistrationById = async (registrationId, userId) => {
     }
   }
 
-  return registration;
+  return {
+    ...registration,
+    waitlistPosition: await getWaitlistPosition(registration),
+  };
 };
 
 /**
@@ -249,8 +318,8 @@ export const listRegistrations = async (query) => {
   }
 
   if (unitId) {
-    const descendants = await getAllDescendantIds(unitId);
-    const allUnitIds = [unitId, ...descendants];
+    // unitId may be a single unit or an admin's scope roots
+    const allUnitIds = await getSubtreeIds(unitId);
 
     // If we're filtering by unit, we also want to allow registrars to see their OWN registrations
     // even if they were for events in a different unit (relevant for the Registration Tray)
@@ -375,12 +444,18 @@ export const listRegistrations = async (query) => {
 };
 
 /**
- * Update registration status
+ * Update registration status.
+ * WAITLISTED and PENDING_CONSENT are only ever set by the seat and consent flows; confirming
+ * needs any parental consent granted, and taking a seat back needs room at the center.
  */
 export const updateRegistrationStatus = async (registrationId, status, reason, userId) => {
   const registration = await prisma.registration.findUnique({
     where: { id: registrationId },
-    include: { event: true },
+    include: {
+      event: { include: { settings: true } },
+      member: true,
+      parentalConsent: true,
+    },
   });
 
   if (!registration) {
@@ -392,17 +467,46 @@ export const updateRegistrationStatus = async (registrationId, status, reason, u
     if (!hasAccess) throw new ForbiddenError('You do not have permission to update this registration');
   }
 
-  const updateData = { status };
+  if (status === 'WAITLISTED' || status === 'PENDING_CONSENT') {
+    throw new ValidationError(`${status} is set automatically and cannot be assigned by hand`);
+  }
+
+  if (status === 'CONFIRMED' && owesParentalConsent(registration)) {
+    throw new ValidationError('This registration is awaiting parental consent');
+  }
+
+  const updateData = { status, waitlistedAt: null };
 
   if (status === 'CANCELLED') {
     updateData.cancelledAt = new Date();
     updateData.cancellationReason = reason || null;
   }
 
-  return prisma.registration.update({
-    where: { id: registrationId },
-    data: updateData,
+  const heldSeat = SEAT_HOLDING_STATUSES.includes(registration.status);
+  const holdsSeat = SEAT_HOLDING_STATUSES.includes(status);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (registration.centerId && holdsSeat && !heldSeat) {
+      await lockCenter(tx, registration.centerId);
+      const center = await tx.eventCenter.findUnique({ where: { id: registration.centerId } });
+
+      if (center?.capacity != null
+        && (await countOccupiedSeats(tx, registration.centerId, registrationId)) >= center.capacity) {
+        throw new ValidationError('Center has reached maximum capacity');
+      }
+    }
+
+    return tx.registration.update({
+      where: { id: registrationId },
+      data: updateData,
+    });
   });
+
+  if (registration.centerId && heldSeat && !holdsSeat) {
+    await promoteWaitlistSafely(registration.centerId, userId);
+  }
+
+  return updated;
 };
 
 /**
@@ -411,7 +515,12 @@ export const updateRegistrationStatus = async (registrationId, status, reason, u
 export const assignCenter = async (registrationId, centerId, participationMode, userId) => {
   const registration = await prisma.registration.findUnique({
     where: { id: registrationId },
-    include: { participation: true, event: true },
+    include: {
+      participation: true,
+      event: { include: { settings: true } },
+      member: true,
+      parentalConsent: true,
+    },
   });
 
   if (!registration) {
@@ -423,31 +532,49 @@ export const assignCenter = async (registrationId, centerId, participationMode,
     if (!hasAccess) throw new ForbiddenError('You do not have permission to update this registration');
   }
 
-  // Verify center exists and is active
-  const center = await prisma.eventCenter.findUnique({
-    where: { id: centerId },
-  });
+  // Seats are counted and taken under the center's lock, as for new registrations
+  const seat = await prisma.$transaction(async (tx) => {
+    await lockCenter(tx, centerId);
+    const center = await tx.eventCenter.findUnique({
+      where: { id: centerId },
+    });
 
-  if (!center || !center.isActive) {
-    throw new ValidationError('Center is not available');
-  }
+    // Verify center exists, is active and belongs to the registration's event
+    if (!center || !center.isActive || center.eventId !== registration.eventId) {
+      throw new ValidationError('Center is not available');
+    }
 
-  // Check capacity
-  if (center.capacity) {
-    const registrationCount = await prisma.registration.count({
-      where: { centerId },
-    });
-    if (registrationCount >= center.capacity) {
-      throw new ValidationError('Center has reached maximum capacity');
+    // Check capacity
+    if (center.capacity !== null) {
+      const occupied = await countOccupiedSeats(tx, centerId, registrationId);
+      if (occupied >= center.capacity) {
+        throw new ValidationError('Center has reached maximum capacity');
+      }
     }
-  }
 
-  // Update registration center
-  await prisma.registration.update({
-    where: { id: registrationId },
-    data: { centerId },
+    // Update registration center (a waitlisted registration moved to a center with room takes a seat)
+    if (registration.status === 'WAITLISTED') {
+      return takeSeat(tx, registration, { centerId });
+    }
+
+    await tx.registration.update({
+      where: { id: registrationId },
+      data: { centerId },
+    });
+    return null;
   });
 
+  // Moving off a center frees a seat there
+  const previousCenterId = registration.centerId;
+  if (previousCenterId && previousCenterId !== centerId
+    && SEAT_HOLDING_STATUSES.includes(registration.status)) {
+    await promoteWaitlistSafely(previousCenterId, userId);
+  }
+
+  if (seat) {
+    await settleSeat({ ...registration, ...seat }, userId);
+  }
+
   // Update or create participation
   if (registration.participation) {
     return prisma.registrationParticipation.update({
@@ -565,14 +692,228 @@ export const cancelRegistration = async (registrationId, reason, userId) => {
     throw new ValidationError('Registration is already cancelled');
   }
 
-  return prisma.registration.update({
+  const cancelled = await prisma.registration.update({
     where: { id: registrationId },
     data: {
       status: 'CANCELLED',
       cancelledAt: new Date(),
       cancellationReason: reason || null,
+      waitlistedAt: null,
     },
   });
+
+  // Hand the freed seat to the next person on the waitlist
+  if (registration.centerId && SEAT_HOLDING_STATUSES.includes(registration.status)) {
+    await promoteWaitlistSafely(registration.centerId, userId);
+  }
+
+  return cancelled;
+};
+
+/**
+ * Queue position of a waitlisted registration (1 = next in line)
+ */
+export const getWaitlistPosition = async (registration) => {
+  if (registration.status !== 'WAITLISTED') {
+    return null;
+  }
+
+  const ahead = await prisma.registration.count({
+    where: {
+      centerId: registration.centerId,
+      status: 'WAITLISTED',
+      waitlistedAt: { lt: registration.waitlistedAt },
+    },
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Get the waitlist for a center, in queue order
+ */
+export const getCenterWaitlist = async (centerId, userId) => {
+  const center = await prisma.eventCenter.findUnique({
+    where: { id: centerId },
+    include: { event: { select: { unitId: true } } },
+  });
+
+  if (!center) {
+    throw new NotFoundError('Center');
+  }
+
+  // Permission Check: unit admins over the event, or this center's own admins
+  const [hasAccess, centerAdmin] = await Promise.all([
+    checkScopeAccess(userId, center.event.unitId),
+    prisma.centerAdmin.findFirst({ where: { centerId, userId }, select: { id: true } }),
+  ]);
+  if (!hasAccess && !centerAdmin) {
+    throw new ForbiddenError('You do not have permission to view this center\'s waitlist');
+  }
+
+  const [occupied, waitlist] = await Promise.all([
+    countOccupiedSeats(prisma, centerId),
+    prisma.registration.findMany({
+      where: { centerId, status: 'WAITLISTED' },
+      orderBy: { waitlistedAt: 'asc' },
+      include: {
+        member: {
+          select: {
+            fcsCode: true,
+            firstName: true,
+            lastName: true,
+            phoneNumber: true,
+            email: true,
+          },
+        },
+      },
+    }),
+  ]);
+
+  return {
+    centerId,
+    centerName: center.centerName,
+    capacity: center.capacity,
+    occupied,
+    waitlist: waitlist.map((registration, index) => ({
+      ...registration,
+      waitlistPosition: index + 1,
+    })),
+  };
+};
+
+/**
+ * Promote waitlisted registrations into free seats at a center
+ */
+export const promoteFromWaitlist = async (centerId, userId) => {
+  const promoted = await prisma.$transaction(async (tx) => {
+    await lockCenter(tx, centerId);
+    const center = await tx.eventCenter.findUnique({ where: { id: centerId } });
+
+    if (!center || !center.isActive) {
+      return [];
+    }
+
+    let take;
+    if (center.capacity !== null) {
+      take = center.capacity - (await countOccupiedSeats(tx, centerId));
+      if (take <= 0) return [];
+    }
+
+    const next = await tx.registration.findMany({
+      where: { centerId, status: 'WAITLISTED' },
+      orderBy: { waitlistedAt: 'asc' },
+      take,
+      include: {
+        member: true,
+        event: { include: { settings: true } },
+        parentalConsent: true,
+      },
+    });
+
+    const moved = [];
+    for (const registration of next) {
+      moved.push({ ...registration, ...(await takeSeat(tx, registration)) });
+    }
+
+    return moved;
+  });
+
+  for (const registration of promoted) {
+    await settleSeat(registration, userId);
+  }
+
+  return promoted;
+};
+
+/**
+ * Whether a minor's registration still waits on their guardian's consent
+ * (needs member, event.settings and parentalConsent loaded)
+ */
+const owesParentalConsent = (registration) =>
+  requiresParentalConsent(registration.event, registration.member)
+  && registration.parentalConsent?.status !== 'GRANTED';
+
+/**
+ * Give a waitlisted registration its seat, inside the center's transaction.
+ * Minors still owing consent hold the seat as PENDING_CONSENT until their guardian answers.
+ * @returns {Promise<{ status: string, consentId: string|null }>}
+ */
+const takeSeat = async (tx, registration, data = {}) => {
+  const needsConsent = owesParentalConsent(registration);
+  const status = needsConsent ? 'PENDING_CONSENT' : 'CONFIRMED';
+
+  await tx.registration.update({
+    where: { id: registration.id },
+    data: { ...data, status, waitlistedAt: null },
+  });
+
+  const consent = needsConsent
+    ? registration.parentalConsent || await openConsentRequest(tx, registration, registration.member)
+    : null;
+  return { status, consentId: consent?.id || null };
+};
+
+/**
+ * Once the seat is committed: ask for consent, or assign groups and tell the member
+ */
+const settleSeat = async (registration, userId) => {
+  if (registration.status === 'PENDING_CONSENT') {
+    await sendConsentRequest(registration.consentId);
+    return;
+  }
+
+  try {
+    await assignToBibleStudy(
+      registration.eventId,
+      registration.id,
+      registration.memberId,
+      userId || registration.registeredBy
+    );
+  } catch (error) {
+    console.error(`[AutoAssignment] Failed for registration ${registration.id}:`, error);
+  }
+
+  try {
+    await notifyWaitlistPromotion(registration.id);
+  } catch (error) {
+    console.error(`[Waitlist] Promotion notice failed for ${registration.id}:`, error.message);
+  }
+};
+
+/**
+ * Promote from the waitlist without failing the caller
+ */
+const promoteWaitlistSafely = async (centerId, userId) => {
+  try {
+    await promoteFromWaitlist(centerId, userId);
+  } catch (error) {
+    console.error(`[Waitlist] Promotion failed for center ${centerId}:`, error);
+  }
+};
+
+/**
+ * Tell a member their waitlisted registration is now confirmed
+ */
+const notifyWaitlistPromotion = async (registrationId) => {
+  const registration = await prisma.registration.findUnique({
+    where: { id: registrationId },
+    include: registrationTemplateInclude,
+  });
+
+  const { member, event, center } = registration;
+
+  return sendNotification({
+    recipientId: member.id,
+    recipientEmail: member.email,
+    recipientPhone: member.phoneNumber,
+    deliveryMethod: member.preferredContactMethod || 'EMAIL',
+    subject: `You're in! - ${event.title}`,
+    message: `Good news! A place has opened up at ${center?.centerName || 'your center'} for ${event.title}. Your registration is now confirmed.`,
+    triggerType: 'WAITLIST_PROMOTION',
+    eventId: event.id,
+    templateData: buildRegistrationVariables(registration),
+  });
 };
 
 /**
@@ -695,6 +1036,8 @@ export const checkRegistrationStatus = async (eventId, memberId) => {
   if (existingRegistration) {
     return {
       isRegistered: true,
+      isWaitlisted: existingRegistration.status === 'WAITLISTED',
+      waitlistPosition: await getWaitlistPosition(existingRegistration),
       registration: existingRegistration,
       message: `This member is already registered for ${existingRegistration.event.title}`
     };
@@ -767,12 +1110,11 @@ export const getGlobalRegistrationsStats = async (query = {}) => {
   }
 
   if (unitId) {
-    const descendants = await getAllDescendantIds(unitId);
-    const allUnitIds = [unitId, ...descendants];
+    const allUnitIds = await getSubtreeIds(unitId);
     where.event = { unitId: { in: allUnitIds } };
   }
 
-  const [total, confirmed, pending, checkedIn] = await Promise.all([
+  const [total, confirmed, pending, pendingConsent, checkedIn] = await Promise.all([
     prisma.registration.count({ where }),
     // Confirmed are those with CONFIRMED status who HAVEN'T checked in yet
     prisma.registration.count({
@@ -783,6 +1125,7 @@ export const getGlobalRegistrationsStats = async (query = {}) => {
       }
     }),
     prisma.registration.count({ where: { ...where, status: 'PENDING' } }),
+    prisma.registration.count({ where: { ...where, status: 'PENDING_CONSENT' } }),
     // Checked in are those with either the status or an actual attendance record
     prisma.registration.count({
       where: {
@@ -799,6 +1142,7 @@ export const getGlobalRegistrationsStats = async (query = {}) => {
     total,
     confirmed,
     pending,
+    pendingConsent,
     checkedIn
   };
 };
@@ -817,6 +1161,8 @@ export const markAttendance = async (registrationId, method, userId) => {
     throw new NotFoundError('Registration');
   }
 
+  assertCanCheckIn(registration);
+
   // Permission check?
   // Ideally checks if userId (Registrar) has access to this event/center.
   // We'll rely on controller to pass userId and assume Basic Role checks are done there or globally.
@@ -836,6 +1182,7 @@ export const markAttendance = async (registrationId, method, userId) => {
         participationMode: registration.participation?.participationMode || 'ONSITE', // Fallback
         checkInMethod: method || 'MANUAL',
         checkInTime: new Date(),
+        statusBeforeCheckIn: registration.status,
       }
     });
   }
@@ -5,9 +5,16 @@ import {
   getStateAnalytics,
   exportEventReport,
   getDashboardSummary,
+  getRegistrationTrend,
+  getCheckInTrend,
+  getEditionComparison,
 } from './service.js';
-import { paginationSchema } from '../../lib/validation.js';
-import { getAdminScope } from '../../middleware/scope-validator.js';
+import {
+  paginationSchema,
+  checkInTrendQuerySchema,
+  editionComparisonQuerySchema,
+} from '../../lib/validation.js';
+import { getAdminScope, resolveScopedUnitFilter } from '../../middleware/scope-validator.js';
 
 /**
  * GET /api/reports/dashboard
@@ -18,7 +25,7 @@ export const getDashboardHandler = async (req, res, next) => {
     let effectiveUnitId = req.query.unitId;
 
     if (!scope.isGlobal) {
-      effectiveUnitId = scope.unitId;
+      effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
     }
 
     const summary = await getDashboardSummary({
@@ -114,3 +121,65 @@ export const getStateAnalyticsHandler = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * GET /api/reports/events/:eventId/trends/registrations
+ */
+export const getRegistrationTrendHandler = async (req, res, next) => {
+  try {
+    const trend = await getRegistrationTrend(req.params.eventId);
+    res.status(200).json({
+      data: trend,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/reports/events/:eventId/trends/check-ins
+ */
+export const getCheckInTrendHandler = async (req, res, next) => {
+  try {
+    const { error, value } = checkInTrendQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const trend = await getCheckInTrend(req.params.eventId, value);
+    res.status(200).json({
+      data: trend,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/reports/events/:eventId/trends/compare
+ */
+export const getEditionComparisonHandler = async (req, res, next) => {
+  try {
+    const { error, value } = editionComparisonQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const comparison = await getEditionComparison(req.params.eventId, value);
+    res.status(200).json({
+      data: comparison,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import {
   getDashboardHandler,
   getEventAnalyticsHandler,
@@ -7,26 +7,38 @@ import {
   getCenterAnalyticsHandler,
   getMemberAttendanceReportHandler,
   getStateAnalyticsHandler,
+  getRegistrationTrendHandler,
+  getCheckInTrendHandler,
+  getEditionComparisonHandler,
 } from './controller.js';
 
 const router = Router();
 
 // GET /api/reports/dashboard - Dashboard summary (key metrics)
-router.get('/dashboard', authenticate, getDashboardHandler);
+router.get('/dashboard', authenticate, requirePermission('reports:read'), getDashboardHandler);
 
 // GET /api/reports/events/:eventId/analytics - Event analytics
-router.get('/events/:eventId/analytics', authenticate, getEventAnalyticsHandler);
+router.get('/events/:eventId/analytics', authenticate, requirePermission('reports:read'), getEventAnalyticsHandler);
+
+// GET /api/reports/events/:eventId/trends/registrations - Daily registration velocity (from snapshots)
+router.get('/events/:eventId/trends/registrations', authenticate, requirePermission('reports:read'), getRegistrationTrendHandler);
+
+// GET /api/reports/events/:eventId/trends/check-ins - Cumulative check-ins by hour
+router.get('/events/:eventId/trends/check-ins', authenticate, requirePermission('reports:read'), getCheckInTrendHandler);
+
+// GET /api/reports/events/:eventId/trends/compare - Compare with prior editions (same seriesKey)
+router.get('/events/:eventId/trends/compare', authenticate, requirePermission('reports:read'), getEditionComparisonHandler);
 
 // GET /api/reports/events/:eventId/export - Export event report
-router.get('/events/:eventId/export', authenticate, exportEventReportHandler);
+router.get('/events/:eventId/export', authenticate, requirePermission('reports:export'), exportEventReportHandler);
 
 // GET /api/reports/centers/:centerId/analytics - Center analytics
-router.get('/centers/:centerId/analytics', authenticate, getCenterAnalyticsHandler);
+router.get('/centers/:centerId/analytics', authenticate, requirePermission('reports:read'), getCenterAnalyticsHandler);
 
 // GET /api/reports/members/:memberId/attendance - Member attendance report
-router.get('/members/:memberId/attendance', authenticate, getMemberAttendanceReportHandler);
+router.get('/members/:memberId/attendance', authenticate, requirePermission('reports:read'), getMemberAttendanceReportHandler);
 
 // GET /api/reports/states/analytics - State-wise analytics
-router.get('/states/analytics', authenticate, getStateAnalyticsHandler);
+router.get('/states/analytics', authenticate, requirePermission('reports:read'), getStateAnalyticsHandler);
 
 export default router;
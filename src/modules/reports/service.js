@@ -1,6 +1,8 @@
 import { getPrismaClient } from '../../lib/prisma.js';
-import { AppError, NotFoundError } from '../../middleware/error-handler.js';
+import { AppError, NotFoundError, ValidationError } from '../../middleware/error-handler.js';
 import { calculateAttendanceRate } from '../../lib/helpers.js';
+import { getMemberScopeWhere } from '../members/service.js';
+import { DAY_MS, startOfUtcDay } from './snapshot-service.js';
 
 const prisma = getPrismaClient();
 
@@ -481,23 +483,21 @@ export const getDashboardSummary = async (query = {}) => {
   let eventWhere = { isPublished: true };
   let isNational = false;
 
-  if (query.unitId) {
-    const scopeUnit = await prisma.unit.findUnique({
-      where: { id: query.unitId },
+  // unitId may be a single unit or an admin's scope roots
+  const scopeUnitIds = [].concat(query.unitId || []);
+  if (scopeUnitIds.length > 0) {
+    const scopeUnits = await prisma.unit.findMany({
+      where: { id: { in: scopeUnitIds } },
       include: { unitType: true }
     });
-    if (scopeUnit && scopeUnit.unitType) {
-      const typeName = scopeUnit.unitType.name.toLowerCase();
-      if (typeName.includes('national')) {
-        isNational = true;
-      } else {
-        if (typeName.includes('state')) memberWhere.state = { contains: scopeUnit.name, mode: 'insensitive' };
-        else if (typeName.includes('zone')) memberWhere.zone = { contains: scopeUnit.name, mode: 'insensitive' };
-        else if (typeName.includes('branch')) memberWhere.branch = { contains: scopeUnit.name, mode: 'insensitive' };
-        eventWhere.unitId = query.unitId;
-      }
+    if (scopeUnits.some(unit => unit.unitType?.name.toLowerCase().includes('national'))) {
+      isNational = true;
+    } else if (scopeUnits.length > 0) {
+      Object.assign(memberWhere, await getMemberScopeWhere(scopeUnitIds));
+      eventWhere.unitId = { in: scopeUnits.map(unit => unit.id) };
     }
   }
+  const scopedEventWhere = query.unitId && !isNational ? { event: { unitId: { in: scopeUnitIds } } } : {};
 
   // 1. Core Metrics & Trends
   const [
@@ -515,13 +515,13 @@ export const getDashboardSummary = async (query = {}) => {
     prisma.registration.count({
       where: {
         createdAt: { gte: thisMonthStart },
-        ...(query.unitId && !isNational && { event: { unitId: query.unitId } })
+        ...scopedEventWhere
       }
     }),
     prisma.registration.count({
       where: {
         createdAt: { gte: lastMonthStart, lte: lastMonthEnd },
-        ...(query.unitId && !isNational && { event: { unitId: query.unitId } })
+        ...scopedEventWhere
       }
     }),
   ]);
@@ -536,7 +536,7 @@ export const getDashboardSummary = async (query = {}) => {
   const checkedInToday = await prisma.attendanceRecord.count({
     where: {
       checkInTime: { gte: todayStart },
-      ...(query.unitId && !isNational && { event: { unitId: query.unitId } })
+      ...scopedEventWhere
     }
   });
 
@@ -599,3 +599,214 @@ export const getDashboardSummary = async (query = {}) => {
     } : null,
   };
 };
+
+// ============================================================
+// TRENDS (daily figures come from AnalyticsSnapshot, written by snapshot-service)
+// ============================================================
+
+const TREND_EVENT_SELECT = {
+  id: true,
+  title: true,
+  seriesKey: true,
+  registrationStart: true,
+  registrationEnd: true,
+  startDate: true,
+  endDate: true,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const findTrendEvent = async (eventId) => {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    select: TREND_EVENT_SELECT,
+  });
+
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  return event;
+};
+
+/**
+ * Days from the event's first day (negative while registration is still running)
+ */
+const getDayOffset = (snapshotDate, startDate) =>
+  Math.round((snapshotDate.getTime() - startOfUtcDay(startDate).getTime()) / DAY_MS);
+
+const toTrendPoint = (snapshot, event) => ({
+  date: snapshot.snapshotDate.toISOString().slice(0, 10),
+  dayOffset: getDayOffset(snapshot.snapshotDate, event.startDate),
+  newRegistrations: snapshot.newRegistrations,
+  cancelledRegistrations: snapshot.cancelledRegistrations,
+  totalRegistrations: snapshot.totalRegistrations,
+  newAttendance: snapshot.newAttendance,
+  totalAttendance: snapshot.totalAttendance,
+  onlineAttendance: snapshot.onlineAttendance,
+  onsiteAttendance: snapshot.onsiteAttendance,
+  attendanceRate: snapshot.attendanceRate,
+});
+
+const percentChange = (current, previous) =>
+  previous > 0 ? parseFloat((((current - previous) / previous) * 100).toFixed(1)) : null;
+
+/**
+ * Registration velocity: one point per UTC day from registration opening
+ */
+export const getRegistrationTrend = async (eventId) => {
+  const event = await findTrendEvent(eventId);
+
+  const snapshots = await prisma.analyticsSnapshot.findMany({
+    where: { eventId },
+    orderBy: { snapshotDate: 'asc' },
+  });
+
+  const series = snapshots.map((snapshot) => toTrendPoint(snapshot, event));
+
+  return {
+    event,
+    series,
+    latest: series.length > 0 ? series[series.length - 1] : null,
+  };
+};
+
+/**
+ * Check-ins per hour (UTC) with a running total, computed live from attendance records
+ */
+export const getCheckInTrend = async (eventId, { centerId } = {}) => {
+  const event = await findTrendEvent(eventId);
+
+  if (centerId) {
+    const eventCenter = await prisma.eventCenter.findFirst({ where: { id: centerId, eventId } });
+    if (!eventCenter) {
+      throw new NotFoundError('Center');
+    }
+  }
+
+  const center = centerId || null;
+  const rows = await prisma.$queryRaw`
+    SELECT date_trunc('hour', "checkInTime") AS "hour",
+           COUNT(*)::int AS "checkIns",
+           COUNT(*) FILTER (WHERE "participationMode" = 'ONLINE')::int AS "online",
+           COUNT(*) FILTER (WHERE "participationMode" = 'ONSITE')::int AS "onsite"
+    FROM "AttendanceRecord"
+    WHERE "eventId" = ${eventId}
+      AND (${center}::text IS NULL OR "centerId" = ${center})
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  // Fill quiet hours with zeros so the running total plots as a continuous line
+  const byHour = new Map(rows.map((row) => [new Date(row.hour).getTime(), row]));
+  const series = [];
+  let cumulative = 0;
+
+  if (rows.length > 0) {
+    const first = new Date(rows[0].hour).getTime();
+    const last = new Date(rows[rows.length - 1].hour).getTime();
+
+    for (let hour = first; hour <= last; hour += HOUR_MS) {
+      const row = byHour.get(hour);
+      const checkIns = row ? row.checkIns : 0;
+      cumulative += checkIns;
+      series.push({
+        hour: new Date(hour).toISOString(),
+        checkIns,
+        online: row ? row.online : 0,
+        onsite: row ? row.onsite : 0,
+        cumulative,
+      });
+    }
+  }
+
+  return {
+    event,
+    centerId: center,
+    totalCheckIns: cumulative,
+    series,
+  };
+};
+
+/**
+ * Compare an event with earlier editions sharing its seriesKey, aligned by days from
+ * each edition's start date
+ */
+export const getEditionComparison = async (eventId, { editions = 3 } = {}) => {
+  const event = await findTrendEvent(eventId);
+
+  if (!event.seriesKey) {
+    throw new ValidationError('Set a seriesKey on this event (and its earlier editions) to compare them');
+  }
+
+  const previous = await prisma.event.findMany({
+    where: {
+      seriesKey: event.seriesKey,
+      id: { not: event.id },
+      startDate: { lt: event.startDate },
+    },
+    orderBy: { startDate: 'desc' },
+    take: editions,
+    select: TREND_EVENT_SELECT,
+  });
+
+  const snapshots = await prisma.analyticsSnapshot.findMany({
+    where: { eventId: { in: [event.id, ...previous.map((edition) => edition.id)] } },
+    orderBy: { snapshotDate: 'asc' },
+  });
+
+  const snapshotsByEvent = snapshots.reduce((acc, snapshot) => {
+    if (!acc.has(snapshot.eventId)) acc.set(snapshot.eventId, []);
+    acc.get(snapshot.eventId).push(snapshot);
+    return acc;
+  }, new Map());
+
+  const buildEdition = (edition) => {
+    const series = (snapshotsByEvent.get(edition.id) || []).map((snapshot) => {
+      const point = toTrendPoint(snapshot, edition);
+      return {
+        date: point.date,
+        dayOffset: point.dayOffset,
+        totalRegistrations: point.totalRegistrations,
+        totalAttendance: point.totalAttendance,
+        attendanceRate: point.attendanceRate,
+      };
+    });
+
+    return {
+      id: edition.id,
+      title: edition.title,
+      startDate: edition.startDate,
+      endDate: edition.endDate,
+      latest: series.length > 0 ? series[series.length - 1] : null,
+      series,
+    };
+  };
+
+  const current = buildEdition(event);
+
+  // How each earlier edition stood on the same day relative to its start
+  const previousEditions = previous.map((edition) => {
+    const built = buildEdition(edition);
+    const atSameOffset = current.latest
+      ? built.series.findLast((point) => point.dayOffset <= current.latest.dayOffset) || null
+      : null;
+
+    return {
+      ...built,
+      atSameOffset,
+      registrationChangePercent: atSameOffset
+        ? percentChange(current.latest.totalRegistrations, atSameOffset.totalRegistrations)
+        : null,
+      attendanceChangePercent: atSameOffset
+        ? percentChange(current.latest.totalAttendance, atSameOffset.totalAttendance)
+        : null,
+    };
+  });
+
+  return {
+    seriesKey: event.seriesKey,
+    current,
+    previous: previousEditions,
+  };
+};
@@ -0,0 +1,146 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import logger from '../../lib/logger.js';
+import { NotFoundError } from '../../middleware/error-handler.js';
+import { calculateAttendanceRate } from '../../lib/helpers.js';
+
+const prisma = getPrismaClient();
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of the given date (snapshots are keyed by UTC day)
+ */
+export const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Write (or refresh) one event's snapshot for one UTC day.
+ * Every figure is derived from createdAt / cancelledAt / checkInTime, so any past
+ * day can be rebuilt later with the same result.
+ */
+export const snapshotEventDay = async (eventId, day) => {
+  const snapshotDate = startOfUtcDay(day);
+  const dayEnd = new Date(snapshotDate.getTime() + DAY_MS);
+  const during = { gte: snapshotDate, lt: dayEnd };
+
+  const [
+    registered,
+    cancelled,
+    newRegistrations,
+    cancelledRegistrations,
+    onlineAttendance,
+    onsiteAttendance,
+    newAttendance,
+  ] = await Promise.all([
+    prisma.registration.count({ where: { eventId, createdAt: { lt: dayEnd } } }),
+    prisma.registration.count({ where: { eventId, createdAt: { lt: dayEnd }, cancelledAt: { lt: dayEnd } } }),
+    prisma.registration.count({ where: { eventId, createdAt: during } }),
+    prisma.registration.count({ where: { eventId, cancelledAt: during } }),
+    prisma.attendanceRecord.count({ where: { eventId, participationMode: 'ONLINE', checkInTime: { lt: dayEnd } } }),
+    prisma.attendanceRecord.count({ where: { eventId, participationMode: 'ONSITE', checkInTime: { lt: dayEnd } } }),
+    prisma.attendanceRecord.count({ where: { eventId, checkInTime: during } }),
+  ]);
+
+  const totalRegistrations = registered - cancelled;
+  const totalAttendance = onlineAttendance + onsiteAttendance;
+
+  const data = {
+    totalRegistrations,
+    newRegistrations,
+    cancelledRegistrations,
+    totalAttendance,
+    newAttendance,
+    onlineAttendance,
+    onsiteAttendance,
+    attendanceRate: calculateAttendanceRate(totalAttendance, totalRegistrations),
+  };
+
+  return prisma.analyticsSnapshot.upsert({
+    where: { eventId_snapshotDate: { eventId, snapshotDate } },
+    create: { eventId, snapshotDate, ...data },
+    update: data,
+  });
+};
+
+/**
+ * First and last UTC day worth a snapshot: from registration opening (or the first
+ * registration, if earlier) to the event's last day, capped at today
+ */
+const getSnapshotRange = async (event) => {
+  const first = await prisma.registration.findFirst({
+    where: { eventId: event.id },
+    orderBy: { createdAt: 'asc' },
+    select: { createdAt: true },
+  });
+
+  const opened = first && first.createdAt < event.registrationStart ? first.createdAt : event.registrationStart;
+  const now = new Date();
+
+  return {
+    from: startOfUtcDay(opened),
+    to: startOfUtcDay(event.endDate < now ? event.endDate : now),
+  };
+};
+
+/**
+ * Rebuild every daily snapshot for an event (used by the backfill script)
+ * @returns {Promise<{eventId: string, days: number}>}
+ */
+export const backfillEventSnapshots = async (eventId) => {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    select: { id: true, registrationStart: true, endDate: true },
+  });
+
+  if (!event) {
+    throw new NotFoundError('Event');
+  }
+
+  const { from, to } = await getSnapshotRange(event);
+
+  let days = 0;
+  for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    await snapshotEventDay(event.id, day);
+    days++;
+  }
+
+  return { eventId: event.id, days };
+};
+
+/**
+ * Background job: refresh today's and yesterday's snapshots for every event whose
+ * registration has opened and which ended no more than a day ago. Yesterday is
+ * rewritten so late check-ins and cancellations from just before midnight are kept.
+ */
+export const writeDailySnapshots = async () => {
+  const now = new Date();
+  const today = startOfUtcDay(now);
+  const yesterday = new Date(today.getTime() - DAY_MS);
+
+  const events = await prisma.event.findMany({
+    where: {
+      registrationStart: { lte: now },
+      endDate: { gte: yesterday },
+    },
+    select: { id: true, registrationStart: true, endDate: true },
+  });
+
+  let written = 0;
+  for (const event of events) {
+    try {
+      const { from, to } = await getSnapshotRange(event);
+      for (const day of [yesterday, today]) {
+        if (day < from || day > to) continue;
+        await snapshotEventDay(event.id, day);
+        written++;
+      }
+    } catch (error) {
+      logger.error({ err: error, eventId: event.id }, 'Analytics snapshot failed');
+    }
+  }
+
+  return { events: events.length, written };
+};
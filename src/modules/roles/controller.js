@@ -13,21 +13,28 @@ import {
   deactivateRole,
   getPermissionGroups,
 } from './service.js';
+import {
+  grantTemporaryRole,
+  listDelegations,
+  revokeDelegation,
+} from './delegation-service.js';
 import { paginationSchema } from '../../lib/validation.js';
 import Joi from 'joi';
 
 const createRoleSchema = Joi.object({
   name: Joi.string().required(),
   description: Joi.string(),
-  permissions: Joi.array().items(Joi.string()).required(),
-  unitScope: Joi.boolean(),
+  isGlobal: Joi.boolean().default(false),
+  requiresTwoFactor: Joi.boolean().default(false),
+  permissions: Joi.array().items(Joi.string()).unique().required(),
 });
 
 const updateRoleSchema = Joi.object({
   name: Joi.string(),
   description: Joi.string(),
-  permissions: Joi.array().items(Joi.string()),
-  isActive: Joi.boolean(),
+  isGlobal: Joi.boolean(),
+  requiresTwoFactor: Joi.boolean(),
+  permissions: Joi.array().items(Joi.string()).unique(),
 });
 
 const assignRoleSchema = Joi.object({
@@ -35,6 +42,24 @@ const assignRoleSchema = Joi.object({
   unitId: Joi.string(),
 });
 
+// Either an event (expires when it ends) or an explicit expiry
+const grantDelegationSchema = Joi.object({
+  userId: Joi.string().required(),
+  role: Joi.string().required(),
+  unitId: Joi.string(),
+  eventId: Joi.string(),
+  expiresAt: Joi.date().iso(),
+  reason: Joi.string().max(500),
+}).or('eventId', 'expiresAt');
+
+const listDelegationsSchema = Joi.object({
+  eventId: Joi.string(),
+  unitId: Joi.string(),
+  includeExpired: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
 /**
  * POST /api/roles
  */
@@ -50,7 +75,7 @@ export const createRoleHandler = async (req, res, next) => {
       });
     }
 
-    const role = await createRole(value);
+    const role = await createRole(value, req.userId);
     res.status(201).json({
       data: role,
       message: 'Role created successfully',
@@ -133,7 +158,7 @@ export const updateRoleHandler = async (req, res, next) => {
       });
     }
 
-    const role = await updateRole(req.params.roleId, value);
+    const role = await updateRole(req.params.roleId, value, req.userId);
     res.status(200).json({
       data: role,
       message: 'Role updated successfully',
@@ -289,3 +314,65 @@ export const getPermissionGroupsHandler = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * POST /api/roles/delegations
+ */
+export const grantDelegationHandler = async (req, res, next) => {
+  try {
+    const { error, value } = grantDelegationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const delegation = await grantTemporaryRole(value, req.userId);
+    res.status(201).json({
+      data: delegation,
+      message: 'Temporary role granted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/roles/delegations
+ */
+export const listDelegationsHandler = async (req, res, next) => {
+  try {
+    const { error, value } = listDelegationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const delegations = await listDelegations(value, req.userId);
+    res.status(200).json(delegations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/roles/delegations/:assignmentId
+ */
+export const revokeDelegationHandler = async (req, res, next) => {
+  try {
+    const result = await revokeDelegation(req.params.assignmentId, req.userId, req.body?.reason);
+    res.status(200).json({
+      data: result,
+      message: 'Temporary role revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
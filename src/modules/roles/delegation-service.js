@@ -0,0 +1,252 @@
+import { getPrismaClient } from '../../lib/prisma.js';
+import { NotFoundError, ValidationError, ForbiddenError } from '../../middleware/error-handler.js';
+import { getAdminScope, isWithinScope, getScopeUnitIds, assertCanGrantRole } from '../../middleware/scope-validator.js';
+import { sendNotification } from '../notifications/service.js';
+import { getPaginationParams, formatPaginatedResponse } from '../../lib/helpers.js';
+import logger from '../../lib/logger.js';
+import { getConfig } from '../system-config/service.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Time-boxed role grants ("delegations"): a RoleAssignment with expiresAt set.
+ * Expired grants stop counting immediately (see activeAssignmentWhere) and are
+ * removed by the daily sweep; holders are warned before they lapse.
+ */
+
+const delegationInclude = {
+  role: { select: { id: true, name: true } },
+  unit: { select: { id: true, name: true } },
+  event: { select: { id: true, title: true, endDate: true } },
+  member: {
+    select: { id: true, firstName: true, lastName: true, email: true, phoneNumber: true, authUserId: true },
+  },
+};
+
+const writeAssignmentAudit = (tx, assignment, action, createdBy, reason, changes = {}) =>
+  tx.auditLog.create({
+    data: {
+      entityType: 'ROLE_ASSIGNMENT',
+      entityId: assignment.id,
+      memberId: assignment.memberId,
+      eventId: assignment.eventId || null,
+      unitId: assignment.unitId || null,
+      action,
+      changes: JSON.stringify({
+        roleId: assignment.roleId,
+        unitId: assignment.unitId,
+        expiresAt: assignment.expiresAt,
+        ...changes,
+      }),
+      reason: reason || null,
+      createdBy,
+    },
+  });
+
+const assertCanDelegate = async (userId, unitId) => {
+  const scope = await getAdminScope(userId);
+  if (scope.isGlobal) return;
+
+  if (!unitId || !(await isWithinScope(userId, unitId))) {
+    throw new ForbiddenError('You do not have permission to assign roles to this unit');
+  }
+};
+
+/**
+ * Grant a role until a fixed time, or for the duration of an event
+ * (event end + ROLE_DELEGATION_GRACE_HOURS). Defaults the unit to the event's unit.
+ */
+export const grantTemporaryRole = async (data, grantedBy) => {
+  const { userId, role, eventId, reason } = data;
+  let { unitId, expiresAt } = data;
+
+  const roleRecord = await prisma.role.findUnique({ where: { name: role } });
+  if (!roleRecord) throw new NotFoundError('Role');
+  await assertCanGrantRole(grantedBy, roleRecord);
+
+  const member = await prisma.member.findFirst({ where: { authUserId: userId } });
+  if (!member) throw new NotFoundError('User does not have a linked member profile');
+
+  if (eventId) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      select: { id: true, unitId: true, endDate: true },
+    });
+    if (!event) throw new NotFoundError('Event');
+
+    unitId = unitId || event.unitId;
+    if (!expiresAt) {
+      const graceHours = await getConfig('ROLE_DELEGATION_GRACE_HOURS');
+      expiresAt = new Date(new Date(event.endDate).getTime() + graceHours * 60 * 60 * 1000);
+    }
+  }
+
+  expiresAt = new Date(expiresAt);
+  if (expiresAt <= new Date()) {
+    throw new ValidationError('Expiry must be in the future');
+  }
+
+  await assertCanDelegate(grantedBy, unitId);
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.roleAssignment.findFirst({
+      where: { memberId: member.id, roleId: roleRecord.id, unitId: unitId || null },
+    });
+
+    if (existing && !existing.expiresAt) {
+      throw new ValidationError('User already holds this role permanently for this unit');
+    }
+
+    const assignment = existing
+      ? await tx.roleAssignment.update({
+          where: { id: existing.id },
+          data: { expiresAt, eventId: eventId || null, expiryNoticeSentAt: null, assignedBy: grantedBy },
+          include: delegationInclude,
+        })
+      : await tx.roleAssignment.create({
+          data: {
+            memberId: member.id,
+            roleId: roleRecord.id,
+            unitId: unitId || null,
+            eventId: eventId || null,
+            expiresAt,
+            assignedBy: grantedBy,
+            managedBy: grantedBy,
+          },
+          include: delegationInclude,
+        });
+
+    await writeAssignmentAudit(tx, assignment, 'GRANT', grantedBy, reason, {
+      role: roleRecord.name,
+      ...(existing && { previousExpiresAt: existing.expiresAt }),
+    });
+
+    return assignment;
+  });
+};
+
+/**
+ * Temporary grants visible to the caller (their units' subtrees, or all for global admins)
+ */
+export const listDelegations = async (query, userId) => {
+  const { eventId, unitId, includeExpired, page, limit } = query;
+  const { skip, take } = getPaginationParams(page, limit);
+
+  const where = { expiresAt: includeExpired ? { not: null } : { gt: new Date() } };
+  if (eventId) where.eventId = eventId;
+
+  const scope = await getAdminScope(userId);
+  if (unitId) {
+    if (!scope.isGlobal && !(await isWithinScope(userId, unitId))) {
+      throw new ForbiddenError('You do not have permission to view this unit');
+    }
+    where.unitId = unitId;
+  } else if (!scope.isGlobal) {
+    where.unitId = { in: await getScopeUnitIds(scope) };
+  }
+
+  const [delegations, total] = await Promise.all([
+    prisma.roleAssignment.findMany({
+      where,
+      include: delegationInclude,
+      orderBy: { expiresAt: 'asc' },
+      skip,
+      take,
+    }),
+    prisma.roleAssignment.count({ where }),
+  ]);
+
+  return formatPaginatedResponse(delegations, total, page, limit);
+};
+
+/**
+ * End a temporary grant early
+ */
+export const revokeDelegation = async (assignmentId, userId, reason) => {
+  const assignment = await prisma.roleAssignment.findUnique({ where: { id: assignmentId } });
+  if (!assignment || !assignment.expiresAt) throw new NotFoundError('Delegation');
+
+  await assertCanDelegate(userId, assignment.unitId);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.roleAssignment.delete({ where: { id: assignmentId } });
+    await writeAssignmentAudit(tx, assignment, 'REVOKE', userId, reason);
+  });
+
+  return { id: assignmentId, revoked: true };
+};
+
+/**
+ * Background job: delete expired grants, one audit row each, recorded as done by SYSTEM
+ */
+export const sweepExpiredRoleAssignments = async () => {
+  const expired = await prisma.roleAssignment.findMany({
+    where: { expiresAt: { lte: new Date() } },
+    take: 500,
+  });
+
+  let removed = 0;
+  for (const assignment of expired) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        const { count } = await tx.roleAssignment.deleteMany({
+          where: { id: assignment.id, expiresAt: { lte: new Date() } },
+        });
+        if (count === 0) return; // Extended or revoked in the meantime
+
+        await writeAssignmentAudit(tx, assignment, 'EXPIRE', 'SYSTEM', 'Temporary role expired');
+        removed++;
+      });
+    } catch (error) {
+      logger.error({ err: error, assignmentId: assignment.id }, 'Failed to remove expired role assignment');
+    }
+  }
+
+  return { removed };
+};
+
+/**
+ * Background job: warn holders whose temporary role lapses within ROLE_EXPIRY_NOTICE_HOURS
+ */
+export const sendRoleExpiryNotices = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + (await getConfig('ROLE_EXPIRY_NOTICE_HOURS')) * 60 * 60 * 1000);
+
+  const expiring = await prisma.roleAssignment.findMany({
+    where: {
+      expiresAt: { gt: now, lte: horizon },
+      expiryNoticeSentAt: null,
+    },
+    include: delegationInclude,
+    take: 200,
+  });
+
+  let sent = 0;
+  for (const assignment of expiring) {
+    const { member, role, unit, event } = assignment;
+    const scopeLabel = event?.title || unit?.name || 'FCS';
+
+    try {
+      await sendNotification({
+        recipientId: member.id,
+        recipientEmail: member.email,
+        recipientPhone: member.phoneNumber,
+        eventId: assignment.eventId || undefined,
+        subject: `Your ${role.name} access is ending`,
+        message: `Hello ${member.firstName}, your ${role.name} access for ${scopeLabel} ends on ${assignment.expiresAt.toUTCString()}. Contact your administrator if you still need it.`,
+        triggerType: 'ROLE_EXPIRY',
+      });
+      sent++;
+    } catch (error) {
+      // No contact details; still mark it so we don't retry every hour
+      logger.warn({ err: error, assignmentId: assignment.id }, 'Could not queue role expiry notice');
+    }
+
+    await prisma.roleAssignment.update({
+      where: { id: assignment.id },
+      data: { expiryNoticeSentAt: now },
+    });
+  }
+
+  return { sent };
+};
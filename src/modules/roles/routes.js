@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, requirePermission, requireSelfOrPermission } from '../../middleware/auth.js';
 import {
   createRoleHandler,
   listRolesHandler,
@@ -14,6 +14,9 @@ import {
   getUserPermissionsHandler,
   checkPermissionHandler,
   getPermissionGroupsHandler,
+  grantDelegationHandler,
+  listDelegationsHandler,
+  revokeDelegationHandler,
 } from './controller.js';
 
 const router = Router();
@@ -21,32 +24,48 @@ const router = Router();
 /**
  * POST /api/roles
  */
-router.post('/', authenticate, createRoleHandler);
+router.post('/', authenticate, requirePermission('roles:manage'), createRoleHandler);
 
 /**
  * GET /api/roles
  */
-router.get('/', authenticate, listRolesHandler);
+router.get('/', authenticate, requirePermission('roles:read'), listRolesHandler);
 
 /**
  * POST /api/roles/init (MUST be before /:roleId)
  */
-router.post('/init', authenticate, initPredefinedRolesHandler);
+router.post('/init', authenticate, requirePermission('roles:manage'), initPredefinedRolesHandler);
 
 /**
  * GET /api/roles/permissions/groups (MUST be before /:roleId)
  */
-router.get('/permissions/groups', authenticate, getPermissionGroupsHandler);
+router.get('/permissions/groups', authenticate, requirePermission('roles:read'), getPermissionGroupsHandler);
+
+/**
+ * POST /api/roles/delegations (MUST be before /:roleId)
+ * Grant a role until a date or for the duration of an event
+ */
+router.post('/delegations', authenticate, requirePermission('roles:assign'), grantDelegationHandler);
+
+/**
+ * GET /api/roles/delegations (MUST be before /:roleId)
+ */
+router.get('/delegations', authenticate, requirePermission('roles:read'), listDelegationsHandler);
+
+/**
+ * DELETE /api/roles/delegations/:assignmentId (MUST be before /:roleId)
+ */
+router.delete('/delegations/:assignmentId', authenticate, requirePermission('roles:revoke'), revokeDelegationHandler);
 
 /**
  * GET /api/roles/users/:userId (MUST be before /:roleId)
  */
-router.get('/users/:userId', authenticate, getUserRolesHandler);
+router.get('/users/:userId', authenticate, requireSelfOrPermission('userId', 'roles:read'), getUserRolesHandler);
 
 /**
  * GET /api/roles/users/:userId/permissions (MUST be before /:roleId)
  */
-router.get('/users/:userId/permissions', authenticate, getUserPermissionsHandler);
+router.get('/users/:userId/permissions', authenticate, requireSelfOrPermission('userId', 'roles:read'), getUserPermissionsHandler);
 
 /**
  * POST /api/roles/users/:userId/permissions/:permission/check (MUST be before /:roleId)
@@ -54,37 +73,38 @@ router.get('/users/:userId/permissions', authenticate, getUserPermissionsHandler
 router.post(
   '/users/:userId/permissions/:permission/check',
   authenticate,
+  requireSelfOrPermission('userId', 'roles:read'),
   checkPermissionHandler
 );
 
 /**
  * GET /api/roles/:roleId
  */
-router.get('/:roleId', authenticate, getRoleHandler);
+router.get('/:roleId', authenticate, requirePermission('roles:read'), getRoleHandler);
 
 /**
  * PUT /api/roles/:roleId
  */
-router.put('/:roleId', authenticate, updateRoleHandler);
+router.put('/:roleId', authenticate, requirePermission('roles:manage'), updateRoleHandler);
 
 /**
  * DELETE /api/roles/:roleId
  */
-router.delete('/:roleId', authenticate, deactivateRoleHandler);
+router.delete('/:roleId', authenticate, requirePermission('roles:manage'), deactivateRoleHandler);
 
 /**
  * GET /api/roles/:roleId/users
  */
-router.get('/:roleId/users', authenticate, getRoleUsersHandler);
+router.get('/:roleId/users', authenticate, requirePermission('roles:read'), getRoleUsersHandler);
 
 /**
  * POST /api/roles/:roleId/users/:userId
  */
-router.post('/:roleId/users/:userId', authenticate, assignRoleHandler);
+router.post('/:roleId/users/:userId', authenticate, requirePermission('roles:assign'), assignRoleHandler);
 
 /**
  * DELETE /api/roles/:roleId/users/:userId
  */
-router.delete('/:roleId/users/:userId', authenticate, removeRoleHandler);
+router.delete('/:roleId/users/:userId', authenticate, requirePermission('roles:revoke'), removeRoleHandler);
 
 export default router;
@@ -1,13 +1,60 @@
 import { getPrismaClient } from '../../lib/prisma.js';
-import { NotFoundError, AppError, ForbiddenError } from '../../middleware/error-handler.js';
+import { NotFoundError, AppError, ForbiddenError, ValidationError } from '../../middleware/error-handler.js';
+import {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  parsePermission,
+  isKnownPermission,
+} from '../../lib/permissions.js';
+import { activeAssignmentWhere } from '../../lib/helpers.js';
+import { getAdminScope, isWithinScope, assertCanGrantRole } from '../../middleware/scope-validator.js';
+import logger from '../../lib/logger.js';
 
 const prisma = getPrismaClient();
 
+const CENTER_ADMIN_ROLE = 'Center Admin';
+
+const roleInclude = {
+  permissions: { select: { name: true }, orderBy: { name: 'asc' } },
+  _count: {
+    select: { roleAssignments: true },
+  },
+};
+
+const toRoleResponse = (role) => ({
+  ...role,
+  permissions: role.permissions?.map((p) => p.name) || [],
+});
+
+const assertKnownPermissions = (permissions = []) => {
+  const unknown = permissions.filter((name) => !isKnownPermission(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Global roles confer national scope and requiresTwoFactor decides who must use 2FA,
+ * so only national administrators may set or change either flag
+ */
+const assertCanSetRoleFlags = async (userId) => {
+  const scope = await getAdminScope(userId);
+  if (!scope.isGlobal) {
+    throw new ForbiddenError('Only national administrators can make a role global or change its two-factor requirement');
+  }
+};
+
 /**
  * Create role
  */
-export const createRole = async (data) => {
-  const { name, description, permissions, unitScope } = data;
+export const createRole = async (data, userId) => {
+  const { name, description, isGlobal = false, requiresTwoFactor = false, permissions = [] } = data;
+  assertKnownPermissions(permissions);
+
+  if (isGlobal || requiresTwoFactor) {
+    await assertCanSetRoleFlags(userId);
+  }
 
   // Check if role exists
   const existing = await prisma.role.findUnique({
@@ -22,13 +69,14 @@ export const createRole = async (data) => {
     data: {
       name,
       description,
-      permissions,
-      unitScope, // Can be null (global) or unitId (scoped to unit)
-      isActive: true,
+      isGlobal,
+      requiresTwoFactor,
+      permissions: { connect: permissions.map((permission) => ({ name: permission })) },
     },
+    include: roleInclude,
   });
 
-  return role;
+  return toRoleResponse(role);
 };
 
 /**
@@ -37,40 +85,31 @@ export const createRole = async (data) => {
 export const getRoleById = async (roleId) => {
   const role = await prisma.role.findUnique({
     where: { id: roleId },
-    include: {
-      _count: {
-        select: { users: true },
-      },
-    },
+    include: roleInclude,
   });
 
   if (!role) {
     throw new NotFoundError('Role not found');
   }
 
-  return role;
+  return toRoleResponse(role);
 };
 
 /**
  * List roles
  */
 export const listRoles = async (query = {}) => {
-  const { page = 1, limit = 50, search, isActive = true } = query;
+  const { page = 1, limit = 50, search } = query;
   const skip = (page - 1) * limit;
 
   const where = {
-    ...(isActive !== null && { isActive }),
     ...(search && { name: { contains: search, mode: 'insensitive' } }),
   };
 
   const [roles, total] = await Promise.all([
     prisma.role.findMany({
       where,
-      include: {
-        _count: {
-          select: { users: true },
-        },
-      },
+      include: roleInclude,
       orderBy: { name: 'asc' },
       skip,
       take: limit,
@@ -79,7 +118,7 @@ export const listRoles = async (query = {}) => {
   ]);
 
   return {
-    data: roles,
+    data: roles.map(toRoleResponse),
     pagination: {
       page,
       limit,
@@ -92,7 +131,7 @@ export const listRoles = async (query = {}) => {
 /**
  * Update role
  */
-export const updateRole = async (roleId, data) => {
+export const updateRole = async (roleId, data, userId) => {
   const role = await prisma.role.findUnique({
     where: { id: roleId },
   });
@@ -101,24 +140,29 @@ export const updateRole = async (roleId, data) => {
     throw new NotFoundError('Role not found');
   }
 
-  const { name, description, permissions, isActive } = data;
+  const { name, description, isGlobal, requiresTwoFactor, permissions } = data;
+  if (permissions) assertKnownPermissions(permissions);
+
+  const flagsChange = (isGlobal !== undefined && isGlobal !== role.isGlobal)
+    || (requiresTwoFactor !== undefined && requiresTwoFactor !== role.requiresTwoFactor);
+  if (flagsChange) {
+    await assertCanSetRoleFlags(userId);
+  }
 
   const updated = await prisma.role.update({
     where: { id: roleId },
     data: {
       ...(name && { name }),
       ...(description && { description }),
-      ...(permissions && { permissions }),
-      ...(isActive !== undefined && { isActive }),
-    },
-    include: {
-      _count: {
-        select: { users: true },
-      },
+      ...(isGlobal !== undefined && { isGlobal }),
+      ...(requiresTwoFactor !== undefined && { requiresTwoFactor }),
+      // Replaces the whole set
+      ...(permissions && { permissions: { set: permissions.map((permission) => ({ name: permission })) } }),
     },
+    include: roleInclude,
   });
 
-  return updated;
+  return toRoleResponse(updated);
 };
 
 /**
@@ -133,6 +177,14 @@ export const assignRoleToUser = async (userId, roleId, unitId = null, assignedBy
   if (!user) throw new NotFoundError('User not found');
   if (!role) throw new NotFoundError('Role not found');
 
+  await assertCanGrantRole(assignedByUserId, role);
+
+  // HRBAC: only assign roles in units you manage
+  const scope = await getAdminScope(assignedByUserId);
+  if (!scope.isGlobal && (!unitId || !(await isWithinScope(assignedByUserId, unitId)))) {
+    throw new ForbiddenError('You do not have permission to assign roles to this unit');
+  }
+
   // If role has unitScope, verify unit exists
   if (role.unitScope && unitId) {
     const unit = await prisma.unit.findUnique({
@@ -290,37 +342,98 @@ export const getRoleUsers = async (roleId, query = {}) => {
  * Check user permission
  */
 export const checkUserPermission = async (userId, permission) => {
-  const assignments = await prisma.roleAssignment.findMany({
-    where: { member: { authUserId: userId } },
-    include: { role: true },
-  });
-
-  for (const assignment of assignments) {
-    if (assignment.role.permissions.includes(permission)) {
-      return true;
-    }
-  }
-
-  return false;
+  const permissions = await getUserPermissions(userId);
+  return permissions.includes(permission);
 };
 
 /**
  * Get user permissions (aggregate all roles)
  */
 export const getUserPermissions = async (userId) => {
-  const assignments = await prisma.roleAssignment.findMany({
-    where: { member: { authUserId: userId } },
-    include: { role: true },
+  if (!userId) return [];
+
+  // Center admins (CenterAdmin rows) get whatever the Center Admin role grants
+  const centerAdminCount = await prisma.centerAdmin.count({ where: { userId } });
+  const roleFilters = [{ roleAssignments: { some: { member: { authUserId: userId }, ...activeAssignmentWhere() } } }];
+  if (centerAdminCount > 0) roleFilters.push({ name: CENTER_ADMIN_ROLE });
+
+  // Deactivated roles stop granting, even to members still assigned them
+  const permissions = await prisma.permission.findMany({
+    where: {
+      roles: { some: { isActive: true, OR: roleFilters } },
+    },
+    select: { name: true },
+    orderBy: { name: 'asc' },
   });
 
-  const permissions = new Set();
-  assignments.forEach((a) => {
-    if (Array.isArray(a.role.permissions)) {
-      a.role.permissions.forEach((p) => permissions.add(p));
-    }
+  return permissions.map((p) => p.name);
+};
+
+/**
+ * Upsert the permission catalogue and give predefined roles their defaults: all of them
+ * when a role is found with no permissions, otherwise only permissions the catalogue
+ * gained since the last sync, so ones an admin took away stay away. Safe to run on every start.
+ */
+export const syncPermissions = async () => {
+  for (const name of ALL_PERMISSIONS) {
+    const { module, action } = parsePermission(name);
+    await prisma.permission.upsert({
+      where: { name },
+      update: { description: PERMISSIONS[name], module, action },
+      create: { name, description: PERMISSIONS[name], module, action },
+    });
+  }
+
+  // Center admin rights hang off this role, so it must exist
+  await prisma.role.upsert({
+    where: { name: CENTER_ADMIN_ROLE },
+    update: {},
+    create: { name: CENTER_ADMIN_ROLE, description: 'Event Center administrator', isSystem: true },
+  });
+
+  const added = new Set(
+    (await prisma.permission.findMany({
+      where: { name: { in: ALL_PERMISSIONS }, defaultsGrantedAt: null },
+      select: { name: true },
+    })).map((permission) => permission.name)
+  );
+
+  const roles = await prisma.role.findMany({
+    where: { name: { in: Object.keys(DEFAULT_ROLE_PERMISSIONS) } },
+    include: { _count: { select: { permissions: true } } },
   });
 
-  return Array.from(permissions);
+  const seeded = [];
+  const extended = [];
+  for (const role of roles) {
+    const isEmpty = role._count.permissions === 0;
+    const grant = DEFAULT_ROLE_PERMISSIONS[role.name].filter((name) => isEmpty || added.has(name));
+    if (grant.length === 0) continue;
+
+    await prisma.role.update({
+      where: { id: role.id },
+      data: {
+        permissions: { connect: grant.map((name) => ({ name })) },
+      },
+    });
+    (isEmpty ? seeded : extended).push(role.name);
+  }
+
+  if (added.size > 0) {
+    await prisma.permission.updateMany({
+      where: { name: { in: [...added] } },
+      data: { defaultsGrantedAt: new Date() },
+    });
+  }
+
+  if (seeded.length > 0) {
+    logger.info(`Granted default permissions to: ${seeded.join(', ')}`);
+  }
+  if (extended.length > 0) {
+    logger.info(`Granted new permissions ${[...added].join(', ')} to: ${extended.join(', ')}`);
+  }
+
+  return { permissions: ALL_PERMISSIONS.length, seededRoles: seeded, extendedRoles: extended };
 };
 
 /**
@@ -328,66 +441,27 @@ export const getUserPermissions = async (userId) => {
  */
 export const createPredefinedRoles = async () => {
   const roles = [
-    {
-      name: 'National Admin',
-      description: 'National level administrator',
-      permissions: ['manage_national', 'view_all', 'manage_users', 'manage_events'],
-      unitScope: true,
-    },
-    {
-      name: 'Regional Admin',
-      description: 'Regional level administrator',
-      permissions: ['manage_region', 'view_region', 'manage_users', 'manage_events'],
-      unitScope: true,
-    },
-    {
-      name: 'State Admin',
-      description: 'State level administrator',
-      permissions: ['manage_state', 'view_state', 'manage_users', 'manage_events'],
-      unitScope: true,
-    },
-    {
-      name: 'Zone Admin',
-      description: 'Zonal level administrator',
-      permissions: ['manage_zone', 'view_zone', 'manage_users', 'manage_events'],
-      unitScope: true,
-    },
-    {
-      name: 'Area Admin',
-      description: 'Area level administrator',
-      permissions: ['manage_area', 'view_area', 'manage_users', 'manage_events'],
-      unitScope: true,
-    },
-    {
-      name: 'Branch Admin',
-      description: 'Branch/Local level administrator',
-      permissions: ['manage_branch', 'view_branch', 'manage_users', 'manage_events'],
-      unitScope: true,
-    },
-    {
-      name: 'Registrar',
-      description: 'Authorized to register members and confirm attendance',
-      permissions: ['create_members', 'edit_members', 'view_members', 'check_in_members', 'check_out_members', 'verify_attendance', 'view_events'],
-      unitScope: true,
-    },
-    {
-      name: 'Unit Leader',
-      description: 'Generic Unit Leader',
-      permissions: ['manage_unit', 'view_unit'],
-      unitScope: true,
-    },
-    {
-      name: 'Viewer',
-      description: 'View-only access',
-      permissions: ['view_events', 'view_members'],
-      unitScope: false,
-    },
+    { name: 'National Admin', description: 'National level administrator', isGlobal: true },
+    { name: 'Regional Admin', description: 'Regional level administrator' },
+    { name: 'State Admin', description: 'State level administrator' },
+    { name: 'Zone Admin', description: 'Zonal level administrator' },
+    { name: 'Area Admin', description: 'Area level administrator' },
+    { name: 'Branch Admin', description: 'Branch/Local level administrator' },
+    { name: 'Center Admin', description: 'Event Center administrator' },
+    { name: 'Registrar', description: 'Authorized to register members and confirm attendance' },
+    { name: 'Unit Leader', description: 'Generic Unit Leader' },
+    { name: 'Viewer', description: 'View-only access' },
   ];
 
+  await syncPermissions();
+
   const created = [];
   for (const roleData of roles) {
     try {
-      const role = await createRole(roleData);
+      const role = await createRole({
+        ...roleData,
+        permissions: DEFAULT_ROLE_PERMISSIONS[roleData.name],
+      });
       created.push(role);
     } catch (error) {
       // Role might already exist
@@ -424,44 +498,11 @@ export const deactivateRole = async (roleId) => {
  * Get permission groups (for UI/documentation)
  */
 export const getPermissionGroups = () => {
-  return {
-    events: [
-      'view_events',
-      'create_events',
-      'edit_events',
-      'delete_events',
-      'publish_events',
-    ],
-    members: [
-      'view_members',
-      'create_members',
-      'edit_members',
-      'delete_members',
-      'manage_unit_members',
-    ],
-    attendance: [
-      'check_in_members',
-      'check_out_members',
-      'verify_attendance',
-      'view_attendance',
-      'generate_attendance_codes',
-      'sync_offline_data',
-    ],
-    reports: [
-      'view_reports',
-      'view_audit_logs',
-      'export_data',
-    ],
-    administration: [
-      'manage_users',
-      'manage_roles',
-      'manage_centers',
-      'manage_units',
-    ],
-    groups: [
-      'create_groups',
-      'assign_groups',
-      'manage_group_members',
-    ],
-  };
+  const groups = {};
+  for (const name of ALL_PERMISSIONS) {
+    const { module } = parsePermission(name);
+    groups[module] = groups[module] || [];
+    groups[module].push({ name, description: PERMISSIONS[name] });
+  }
+  return groups;
 };
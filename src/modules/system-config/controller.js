@@ -0,0 +1,70 @@
+import { listConfig, getConfigEntry, setConfig, resetConfig } from './service.js';
+import { updateSystemConfigSchema, resetSystemConfigSchema } from '../../lib/validation.js';
+
+/**
+ * GET /api/system-config
+ */
+export const listConfigHandler = async (req, res, next) => {
+  try {
+    const settings = await listConfig();
+    res.status(200).json({ data: settings });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/system-config/:key
+ */
+export const getConfigHandler = async (req, res, next) => {
+  try {
+    const setting = await getConfigEntry(req.params.key);
+    res.status(200).json({ data: setting });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/system-config/:key
+ */
+export const setConfigHandler = async (req, res, next) => {
+  try {
+    const { error, value } = updateSystemConfigSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const setting = await setConfig(req.params.key, value.value, { reason: value.reason }, req.userId);
+    res.status(200).json({ data: setting, message: `${setting.key} updated` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/system-config/:key
+ */
+export const resetConfigHandler = async (req, res, next) => {
+  try {
+    const { error, value } = resetSystemConfigSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.details[0].message,
+        },
+      });
+    }
+
+    const setting = await resetConfig(req.params.key, value, req.userId);
+    res.status(200).json({ data: setting, message: `${setting.key} reset to ${setting.source} value` });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  listConfigHandler,
+  getConfigHandler,
+  setConfigHandler,
+  resetConfigHandler,
+} from './controller.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requireGlobalScope } from '../../middleware/scope-validator.js';
+
+const router = express.Router();
+
+// GET /api/system-config - Every runtime setting with its effective value
+router.get('/', authenticate, requireGlobalScope, listConfigHandler);
+
+// GET /api/system-config/:key - One setting
+router.get('/:key', authenticate, requireGlobalScope, getConfigHandler);
+
+// PUT /api/system-config/:key - Override a setting
+router.put('/:key', authenticate, requireGlobalScope, setConfigHandler);
+
+// DELETE /api/system-config/:key - Remove the override (environment or default applies again)
+router.delete('/:key', authenticate, requireGlobalScope, resetConfigHandler);
+
+export default router;
@@ -0,0 +1,245 @@
+import Joi from 'joi';
+import { getPrismaClient } from '../../lib/prisma.js';
+import logger from '../../lib/logger.js';
+import { NotFoundError, ValidationError } from '../../middleware/error-handler.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Runtime settings that national admins can change without a redeploy.
+ * Each key resolves, in order, to its SystemConfig row, the environment variable of the
+ * same name, then the default below. Rows are cached per process for CACHE_TTL_MS; a change
+ * made here clears this process's cache at once and reaches other instances within the TTL.
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+const TYPES = {
+  integer: {
+    parse: (raw) => (/^-?\d+$/.test(String(raw).trim()) ? parseInt(raw, 10) : undefined),
+    schema: (definition) => Joi.number().integer().min(definition.min).max(definition.max),
+  },
+};
+
+const integer = (fallback, min, max, description) => ({ type: 'integer', fallback, min, max, description });
+
+export const CONFIG_DEFINITIONS = {
+  OTP_EXPIRY_MINUTES: integer(10, 1, 60, 'Minutes a one-time sign-in code stays valid'),
+  OTP_MAX_ATTEMPTS: integer(5, 1, 20, 'Wrong guesses before a one-time code is discarded'),
+  REFRESH_TOKEN_TTL_DAYS: integer(7, 1, 365, 'Days a signed-in session lasts since its last refresh'),
+  SESSION_MAX_AGE_DAYS: integer(30, 1, 365, 'Days a session can last since sign-in, however often it is refreshed'),
+  AUTH_MAX_FAILED_ATTEMPTS: integer(5, 1, 100, 'Failed sign-ins or code checks before a lockout'),
+  AUTH_FAILURE_WINDOW_MINUTES: integer(15, 1, 1440, 'Failures older than this many minutes are forgotten'),
+  AUTH_LOCKOUT_MINUTES: integer(15, 1, 1440, 'Minutes a lockout lasts'),
+  INVITE_TTL_HOURS: integer(24, 1, 720, 'Hours an admin invitation can be accepted'),
+  ATTENDANCE_CODE_WINDOW_SECONDS: integer(60, 15, 3600, 'Default rotation period of session attendance codes'),
+  ATTENDANCE_SYNC_KEY_TTL_HOURS: integer(72, 1, 720, 'Hours offline sync idempotency keys are kept'),
+  ROLE_DELEGATION_GRACE_HOURS: integer(24, 0, 720, 'Hours event-based role grants outlast the event'),
+  ROLE_EXPIRY_NOTICE_HOURS: integer(24, 1, 720, 'Hours before a temporary role lapses that its holder is warned'),
+  CONSENT_REMINDER_HOURS: integer(24, 1, 720, 'Hours between parental consent reminders'),
+  CONSENT_MAX_REMINDERS: integer(3, 0, 20, 'Parental consent reminders sent before giving up'),
+  BADGE_ISSUE_LOOKBACK_DAYS: integer(30, 1, 365, 'Days after an event ends that certificates are still issued automatically'),
+  AUDIT_RETENTION_DAYS: integer(365, 30, 3650, 'Days audit logs are kept by the retention cleanup'),
+};
+
+const getDefinition = (key) => {
+  const definition = CONFIG_DEFINITIONS[key];
+  if (!definition) {
+    throw new NotFoundError('Setting');
+  }
+  return definition;
+};
+
+const schemaFor = (key, definition) => TYPES[definition.type].schema(definition).label(key);
+
+/**
+ * Parse and range-check a stored or environment value; undefined when unusable
+ */
+const parseValue = (key, definition, raw) => {
+  const value = TYPES[definition.type].parse(raw);
+  if (value === undefined) return undefined;
+  return schemaFor(key, definition).validate(value).error ? undefined : value;
+};
+
+// Unusable values are reported once each, not on every read
+const reported = new Set();
+const reportUnusable = (key, value, origin) => {
+  if (reported.has(`${origin}:${key}:${value}`)) return;
+  reported.add(`${origin}:${key}:${value}`);
+  logger.warn({ key, value, origin }, 'Ignoring out-of-range system setting');
+};
+
+/**
+ * Effective value of a setting and where it came from ("database" | "environment" | "default")
+ */
+const resolve = (key, rows) => {
+  const definition = CONFIG_DEFINITIONS[key];
+
+  const row = rows.get(key);
+  if (row) {
+    const value = parseValue(key, definition, row.value);
+    if (value !== undefined) return { value, source: 'database', row };
+    reportUnusable(key, row.value, 'database');
+  }
+
+  const env = process.env[key];
+  if (env !== undefined && env !== '') {
+    const value = parseValue(key, definition, env);
+    if (value !== undefined) return { value, source: 'environment' };
+    reportUnusable(key, env, 'environment');
+  }
+
+  return { value: definition.fallback, source: 'default' };
+};
+
+let cache = null;
+let loading = null;
+let generation = 0;
+
+const loadRows = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.rows;
+  }
+
+  if (!loading) {
+    const loadGeneration = generation;
+    loading = prisma.systemConfig
+      .findMany({ where: { key: { in: Object.keys(CONFIG_DEFINITIONS) } } })
+      .then((rows) => {
+        const byKey = new Map(rows.map((row) => [row.key, row]));
+        // A change made while this was loading has already cleared the cache; don't refill it with older rows
+        if (loadGeneration === generation) {
+          cache = { rows: byKey, loadedAt: Date.now() };
+        }
+        return byKey;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+};
+
+/**
+ * Drop cached rows so the next read goes to the database
+ */
+export const invalidateConfigCache = () => {
+  generation++;
+  cache = null;
+};
+
+/**
+ * Current value of a setting, typed per its definition
+ * Usage: const ttlHours = await getConfig('INVITE_TTL_HOURS');
+ */
+export const getConfig = async (key) => {
+  if (!CONFIG_DEFINITIONS[key]) {
+    throw new Error(`Unknown system setting: ${key}`);
+  }
+  return resolve(key, await loadRows()).value;
+};
+
+const toEntry = (key, resolved) => {
+  const definition = CONFIG_DEFINITIONS[key];
+  return {
+    key,
+    value: resolved.value,
+    source: resolved.source,
+    defaultValue: resolve(key, new Map()).value,
+    type: definition.type,
+    min: definition.min,
+    max: definition.max,
+    description: definition.description,
+    updatedAt: resolved.row?.updatedAt || null,
+    updatedBy: resolved.row?.updatedBy || null,
+  };
+};
+
+/**
+ * Every setting with its effective value (read fresh, not from the cache)
+ */
+export const listConfig = async () => {
+  const rows = await prisma.systemConfig.findMany({
+    where: { key: { in: Object.keys(CONFIG_DEFINITIONS) } },
+  });
+  const byKey = new Map(rows.map((row) => [row.key, row]));
+
+  return Object.keys(CONFIG_DEFINITIONS).map((key) => toEntry(key, resolve(key, byKey)));
+};
+
+/**
+ * One setting with its effective value
+ */
+export const getConfigEntry = async (key) => {
+  getDefinition(key);
+  const row = await prisma.systemConfig.findUnique({ where: { key } });
+  return toEntry(key, resolve(key, new Map(row ? [[key, row]] : [])));
+};
+
+/**
+ * Override a setting; the change is audited and applies immediately on this instance
+ */
+export const setConfig = async (key, value, { reason } = {}, userId) => {
+  const definition = getDefinition(key);
+
+  const { error, value: parsed } = schemaFor(key, definition).validate(value);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.systemConfig.findUnique({ where: { key } });
+    const previous = resolve(key, new Map(existing ? [[key, existing]] : []));
+
+    await tx.systemConfig.upsert({
+      where: { key },
+      create: { key, value: String(parsed), description: definition.description, updatedBy: userId },
+      update: { value: String(parsed), updatedBy: userId },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'SYSTEM_CONFIG',
+        entityId: key,
+        action: 'UPDATE',
+        changes: JSON.stringify({ from: previous.value, fromSource: previous.source, to: parsed }),
+        reason: reason || null,
+        createdBy: userId,
+      },
+    });
+  });
+
+  invalidateConfigCache();
+  return getConfigEntry(key);
+};
+
+/**
+ * Remove an override so the environment variable or default applies again
+ */
+export const resetConfig = async (key, { reason } = {}, userId) => {
+  getDefinition(key);
+
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.systemConfig.findUnique({ where: { key } });
+    if (!existing) return;
+
+    const previous = resolve(key, new Map([[key, existing]]));
+    const next = resolve(key, new Map());
+
+    await tx.systemConfig.delete({ where: { key } });
+
+    await tx.auditLog.create({
+      data: {
+        entityType: 'SYSTEM_CONFIG',
+        entityId: key,
+        action: 'DELETE',
+        changes: JSON.stringify({ from: previous.value, to: next.value, toSource: next.source }),
+        reason: reason || null,
+        createdBy: userId,
+      },
+    });
+  });
+
+  invalidateConfigCache();
+  return getConfigEntry(key);
+};
@@ -33,7 +33,7 @@ const updateUnitSchema = Joi.object({
 });
 
 import { getEffectiveScope } from '../users/service.js';
-import { getAllDescendantIds } from './service.js';
+import { getScopeUnitIds } from '../../middleware/scope-validator.js';
 
 /**
  * POST /api/units
@@ -82,19 +82,11 @@ export const listUnitsHandler = async (req, res, next) => {
     let allowedIds = undefined;
     if (req.userId) {
       const scope = await getEffectiveScope(req.userId);
-      console.log(`🔍 [DEBUG] Enforcing scope for Unit List: isAdmin=${!scope.isGlobal}, unitId=${scope.unitId}`);
 
       if (!scope.isGlobal) {
-        if (!scope.unitId) {
-          // Admin with no unit assigned should see nothing
-          allowedIds = [];
-        } else {
-          const descendants = await getAllDescendantIds(scope.unitId);
-          allowedIds = [scope.unitId, ...descendants];
-        }
+        // Every assigned unit and its descendants; admin with no unit assigned sees nothing
+        allowedIds = await getScopeUnitIds(scope);
       }
-    } else {
-      console.log('🔍 [DEBUG] Unit list requested by Guest/Unauthenticated user');
     }
 
     const result = await listUnits({
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate, optional } from '../../middleware/auth.js';
+import { authenticate, optional, requirePermission } from '../../middleware/auth.js';
 import {
   createUnitHandler,
   listUnitsHandler,
@@ -19,7 +19,7 @@ const router = Router();
 /**
  * POST /api/units
  */
-router.post('/', authenticate, createUnitHandler);
+router.post('/', authenticate, requirePermission('units:create'), createUnitHandler);
 
 /**
  * GET /api/units
@@ -40,7 +40,7 @@ router.get('/:unitId', authenticate, getUnitHandler);
 /**
  * PUT /api/units/:unitId
  */
-router.put('/:unitId', authenticate, updateUnitHandler);
+router.put('/:unitId', authenticate, requirePermission('units:update'), updateUnitHandler);
 
 /**
  * GET /api/units/:unitId/children
@@ -50,26 +50,26 @@ router.get('/:unitId/children', authenticate, getChildUnitsHandler);
 /**
  * GET /api/units/:unitId/members
  */
-router.get('/:unitId/members', authenticate, getUnitMembersHandler);
+router.get('/:unitId/members', authenticate, requirePermission('units:read'), getUnitMembersHandler);
 
 /**
  * POST /api/units/:unitId/members/:memberId
  */
-router.post('/:unitId/members/:memberId', authenticate, addMemberHandler);
+router.post('/:unitId/members/:memberId', authenticate, requirePermission('units:manage_members'), addMemberHandler);
 
 /**
  * DELETE /api/units/:unitId/members/:memberId
  */
-router.delete('/:unitId/members/:memberId', authenticate, removeMemberHandler);
+router.delete('/:unitId/members/:memberId', authenticate, requirePermission('units:manage_members'), removeMemberHandler);
 
 /**
  * GET /api/units/:unitId/statistics
  */
-router.get('/:unitId/statistics', authenticate, getUnitStatsHandler);
+router.get('/:unitId/statistics', authenticate, requirePermission('units:read'), getUnitStatsHandler);
 
 /**
  * DELETE /api/units/:unitId
  */
-router.delete('/:unitId', authenticate, deactivateUnitHandler);
+router.delete('/:unitId', authenticate, requirePermission('units:delete'), deactivateUnitHandler);
 
 export default router;
@@ -21,11 +21,11 @@ const UNIT_LEVELS = {
 };
 
 /**
- * Get all descendant unit IDs (looking down)
+ * Get all descendant unit IDs (looking down) of one unit or several
  */
 export const getAllDescendantIds = async (unitId) => {
   const allIds = [];
-  let currentLevelIds = [unitId];
+  let currentLevelIds = [].concat(unitId);
 
   while (currentLevelIds.length > 0) {
     const children = await prisma.unit.findMany({
@@ -41,6 +41,18 @@ export const getAllDescendantIds = async (unitId) => {
   return allIds;
 };
 
+/**
+ * Get unit IDs together with all their descendants, de-duplicated.
+ * Accepts a single ID or an array (e.g. an admin's scope roots).
+ */
+export const getSubtreeIds = async (unitIds) => {
+  const roots = [].concat(unitIds).filter(Boolean);
+  if (roots.length === 0) return [];
+
+  const descendants = await getAllDescendantIds(roots);
+  return [...new Set([...roots, ...descendants])];
+};
+
 /**
  * Get all ancestor unit IDs (looking up)
  */
@@ -6,7 +6,9 @@ import {
     getEffectiveScope,
     updateUserProfile,
 } from './service.js';
+import { unlockAccount } from '../auth/lockout-service.js';
 import { paginationSchema } from '../../lib/validation.js';
+import { resolveScopedUnitFilter } from '../../middleware/scope-validator.js';
 
 export const updateProfileHandler = async (req, res, next) => {
     try {
@@ -38,12 +40,10 @@ export const listUsersHandler = async (req, res, next) => {
     try {
         // Enforce Scope
         const scope = await getEffectiveScope(req.userId);
-        let effectiveUnitId = req.query.unitId;
 
+        // Non-global admins are restricted to their scope; a requested unit inside it narrows the list
+        const effectiveUnitId = await resolveScopedUnitFilter(scope, req.query.unitId);
         if (!scope.isGlobal) {
-            // For non-global admins, restrict to their scope
-            // TODO: Allow drill-down if requested unit is a valid descendant
-            effectiveUnitId = scope.unitId;
             console.log(`🔒 [SECURITY] Enforcing scope for User ${req.userId}: ${effectiveUnitId} (${scope.level})`);
         }
 
@@ -107,3 +107,16 @@ export const getUserByIdHandler = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * POST /api/users/:id/unlock
+ * Lift a sign-in/OTP lockout before it expires
+ */
+export const unlockUserHandler = async (req, res, next) => {
+    try {
+        const result = await unlockAccount(req.params.id, req.userId, req.body?.reason);
+        res.status(200).json({ message: "User unlocked successfully", data: result });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -5,9 +5,10 @@ import {
     getUserByIdHandler,
     updateProfileHandler,
     updateUserHandler,
+    unlockUserHandler,
 } from './controller.js';
 import express from 'express';
-import { authenticate, authorize } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -15,18 +16,21 @@ const router = express.Router();
 router.put('/profile', authenticate, updateProfileHandler);
 
 // GET /api/users - List users with filters (role, unitId)
-router.get('/', authenticate, authorize(['National Admin', 'Area Admin', 'State Admin', 'Zone Admin', 'Branch Admin', 'Registrar']), listUsersHandler);
+router.get('/', authenticate, requirePermission('users:read'), listUsersHandler);
 
 // GET /api/users/:id - Get user details
-router.get('/:id', authenticate, authorize(['National Admin', 'Area Admin', 'State Admin', 'Zone Admin', 'Branch Admin', 'Registrar']), getUserByIdHandler);
+router.get('/:id', authenticate, requirePermission('users:read'), getUserByIdHandler);
 
 // PUT /api/users/:id - Update user details (for admins)
-router.put('/:id', authenticate, authorize(['National Admin', 'Area Admin', 'State Admin', 'Zone Admin', 'Branch Admin']), updateUserHandler);
+router.put('/:id', authenticate, requirePermission('users:update'), updateUserHandler);
+
+// POST /api/users/:id/unlock - Clear a sign-in/OTP lockout
+router.post('/:id/unlock', authenticate, requirePermission('users:update'), unlockUserHandler);
 
 // PUT /api/users/:id/roles - Assign/Update user role
-router.put('/:id/roles', authenticate, authorize(['National Admin', 'Area Admin', 'State Admin', 'Zone Admin', 'Branch Admin']), assignUserRoleHandler);
+router.put('/:id/roles', authenticate, requirePermission('roles:assign'), assignUserRoleHandler);
 
 // DELETE /api/users/:id/roles/:role - Revoke user role
-router.delete('/:id/roles/:role', authenticate, authorize(['National Admin', 'Area Admin', 'State Admin', 'Zone Admin']), revokeUserRoleHandler);
+router.delete('/:id/roles/:role', authenticate, requirePermission('roles:revoke'), revokeUserRoleHandler);
 
 export default router;
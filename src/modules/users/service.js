@@ -1,7 +1,9 @@
 import { getPrismaClient } from '../../lib/prisma.js';
 import { NotFoundError, ValidationError, ForbiddenError } from '../../middleware/error-handler.js';
-import { getAllDescendantIds } from '../units/service.js';
-import { getAdminScope, canManageUser, isWithinScope } from '../../middleware/scope-validator.js';
+import { getSubtreeIds } from '../units/service.js';
+import { getAdminScope, canManageUser, isWithinScope, assertCanGrantRole } from '../../middleware/scope-validator.js';
+import { activeAssignmentWhere } from '../../lib/helpers.js';
+import { getAccountLock } from '../auth/lockout-service.js';
 
 const prisma = getPrismaClient();
 
@@ -12,22 +14,12 @@ const prisma = getPrismaClient();
 export const getEffectiveScope = async (userId) => getAdminScope(userId);
 
 
-export const checkScopeAccess = async (userId, targetUnitId) => {
-    if (!targetUnitId) return true;
-    const scope = await getEffectiveScope(userId);
-    if (scope.isGlobal) return true;
-    if (!scope.unitId) return false;
-
-    if (scope.unitId === targetUnitId) return true;
-
-    const descendants = await getAllDescendantIds(scope.unitId);
-    return descendants.includes(targetUnitId);
-};
+export const checkScopeAccess = async (userId, targetUnitId) => isWithinScope(userId, targetUnitId);
 
 export const listUsers = async ({ role, unitId, search }) => {
 
-    // Define criteria for the Role Assignment itself
-    const roleAssignmentWhere = {};
+    // Define criteria for the Role Assignment itself (expired grants don't count)
+    const roleAssignmentWhere = { ...activeAssignmentWhere() };
 
     if (role) {
         if (role.toLowerCase() === 'admin') {
@@ -38,17 +30,17 @@ export const listUsers = async ({ role, unitId, search }) => {
     }
 
     if (unitId) {
-        // Check if unit is National (Global Scope)
-        const scopeUnit = await prisma.unit.findUnique({
-            where: { id: unitId },
+        // unitId may be a single unit or an admin's scope roots
+        // Check if any of them is National (Global Scope)
+        const scopeUnits = await prisma.unit.findMany({
+            where: { id: { in: [].concat(unitId) } },
             include: { unitType: true }
         });
 
-        const isNational = scopeUnit?.unitType?.name?.includes('National') || scopeUnit?.name?.includes('National');
+        const isNational = scopeUnits.some(unit => unit.unitType?.name?.includes('National') || unit.name?.includes('National'));
 
         if (!isNational) {
-            const unitIds = [unitId, ...(await getAllDescendantIds(unitId))];
-            roleAssignmentWhere.unitId = { in: unitIds };
+            roleAssignmentWhere.unitId = { in: await getSubtreeIds(unitId) };
         }
         // If National, we do NOT restrict unitId, allowing all assignments.
     }
@@ -99,6 +91,7 @@ export const listUsers = async ({ role, unitId, search }) => {
             members: {
                 include: {
                     roleAssignments: {
+                        where: activeAssignmentWhere(),
                         include: {
                             role: true,
                             unit: { include: { unitType: true } }
@@ -141,6 +134,9 @@ export const assignUserRole = async (targetUserId, roleName, unitId, assignedByU
         throw new NotFoundError(`Role ${roleName}`);
     }
 
+    // A global role (e.g. National Admin) would lift the assignee to national scope
+    await assertCanGrantRole(assignedByUserId, role);
+
     // 2. Verify scope access (HRBAC: Can assignedByUserId assign to this unit?)
     if (unitId) {
         // Check if admin is within scope of the target unit
@@ -184,6 +180,13 @@ export const assignUserRole = async (targetUserId, roleName, unitId, assignedByU
         });
 
         if (existing) {
+            // A permanent assignment supersedes a temporary one
+            if (existing.expiresAt) {
+                return tx.roleAssignment.update({
+                    where: { id: existing.id },
+                    data: { expiresAt: null, eventId: null, expiryNoticeSentAt: null }
+                });
+            }
             console.log('✅ [SERVICE] Assignment already exists, returning existing');
             return existing;
         }
@@ -238,6 +241,7 @@ export const getUserById = async (userId) => {
             members: {
                 include: {
                     roleAssignments: {
+                        where: activeAssignmentWhere(),
                         include: {
                             role: true,
                             unit: { include: { unitType: true } }
@@ -265,11 +269,13 @@ export const getUserById = async (userId) => {
             role: ra.role.name,
             unitId: ra.unitId,
             unitName: ra.unit?.name,
-            level: ra.unit?.unitType?.name
+            level: ra.unit?.unitType?.name,
+            expiresAt: ra.expiresAt
         })),
         level: allAssignments[0]?.unit?.unitType?.name || 'Unknown',
         unitId: allAssignments[0]?.unitId,
         memberCode: member?.fcsCode || '',
+        lockedUntil: await getAccountLock(user.id),
     };
 };
 
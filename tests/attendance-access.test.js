@@ -0,0 +1,111 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Members are only checked in by admins of the event's unit or by the admins of the
+// center they are checked in at, whether live, from a scan or from an offline batch
+
+const tx = {
+  attendanceSyncKey: { create: jest.fn(), update: jest.fn() },
+  registration: { findUnique: jest.fn() },
+  attendanceRecord: { findFirst: jest.fn(), create: jest.fn() },
+};
+
+const prisma = {
+  registration: { findUnique: jest.fn(), update: jest.fn() },
+  attendanceRecord: { findFirst: jest.fn(), create: jest.fn() },
+  eventCenter: { findUnique: jest.fn() },
+  centerAdmin: { findMany: jest.fn() },
+  member: { findFirst: jest.fn() },
+  attendanceSyncKey: { deleteMany: jest.fn(), findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+jest.unstable_mockModule('../src/modules/system-config/service.js', () => ({
+  getConfig: async (key) => ({ ATTENDANCE_SYNC_KEY_TTL_HOURS: 72 })[key],
+}));
+
+const { checkIn, bulkSyncAttendance } = await import('../src/modules/attendance/service.js');
+const { ForbiddenError } = await import('../src/middleware/error-handler.js');
+
+const EVENT = { id: 'event-1', unitId: 'state-1' };
+
+const REGISTRATION = {
+  id: 'reg-1',
+  eventId: 'event-1',
+  memberId: 'member-1',
+  centerId: 'center-1',
+  status: 'CONFIRMED',
+  participation: { participationMode: 'ONSITE', centerId: 'center-1' },
+  event: EVENT,
+};
+
+const adminOfCenters = (...centerIds) => {
+  prisma.centerAdmin.findMany.mockResolvedValue(centerIds.map((centerId) => ({ centerId })));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  // No unit roles, so access comes from center admin rows alone
+  prisma.member.findFirst.mockResolvedValue(null);
+  adminOfCenters('center-1');
+  prisma.registration.findUnique.mockResolvedValue(REGISTRATION);
+  prisma.eventCenter.findUnique.mockImplementation(async ({ where }) => ({ id: where.id, eventId: 'event-1' }));
+  prisma.attendanceRecord.findFirst.mockResolvedValue(null);
+  prisma.attendanceRecord.create.mockImplementation(async ({ data }) => ({ id: 'attendance-1', ...data }));
+  tx.attendanceSyncKey.create.mockResolvedValue({ id: 'sync-1' });
+  tx.registration.findUnique.mockResolvedValue(REGISTRATION);
+  tx.attendanceRecord.findFirst.mockResolvedValue(null);
+  tx.attendanceRecord.create.mockImplementation(async ({ data }) => ({ id: 'attendance-1', ...data }));
+});
+
+describe('checkIn', () => {
+  const request = { eventId: 'event-1', registrationId: 'reg-1', checkInMethod: 'MANUAL' };
+
+  it('lets a center admin check in members at their center', async () => {
+    await expect(checkIn({ ...request, centerId: 'center-1' }, 'admin-1')).resolves.toMatchObject({ id: 'attendance-1' });
+  });
+
+  it('falls back to the registration\'s center', async () => {
+    await expect(checkIn(request, 'admin-1')).resolves.toMatchObject({ centerId: 'center-1' });
+  });
+
+  it('refuses a center admin at another center', async () => {
+    adminOfCenters('center-2');
+
+    await expect(checkIn({ ...request, centerId: 'center-1' }, 'admin-2')).rejects.toThrow(ForbiddenError);
+    expect(prisma.attendanceRecord.create).not.toHaveBeenCalled();
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('bulkSyncAttendance', () => {
+  const record = {
+    idempotencyKey: 'key-1',
+    eventId: 'event-1',
+    registrationId: 'reg-1',
+    checkInMethod: 'QR',
+    checkInTime: new Date().toISOString(),
+  };
+
+  it('syncs check-ins at the syncing admin\'s center', async () => {
+    const result = await bulkSyncAttendance({ records: [record] }, 'admin-1');
+
+    expect(result.synced).toBe(1);
+  });
+
+  it('rejects check-ins at a center the syncing admin does not manage', async () => {
+    adminOfCenters('center-2');
+
+    const result = await bulkSyncAttendance({ records: [record, { ...record, idempotencyKey: 'key-2' }] }, 'admin-2');
+
+    expect(result.failed).toBe(2);
+    expect(result.errors[0].error).toMatch(/check members in here/);
+    expect(tx.attendanceRecord.create).not.toHaveBeenCalled();
+    expect(prisma.centerAdmin.findMany).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,91 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Session codes belong to admins whose scope covers the event's unit and to the
+// center's own admins, whatever their role is called
+
+const prisma = {
+  event: { findUnique: jest.fn() },
+  eventCenter: { findUnique: jest.fn() },
+  centerAdmin: { findMany: jest.fn() },
+  attendanceCode: { create: jest.fn(), findUnique: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+  member: { findFirst: jest.fn() },
+  unit: { findUnique: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const {
+  generateAttendanceCode,
+  listAttendanceCodes,
+  endAttendanceCode,
+} = await import('../src/modules/attendance/service.js');
+const { ForbiddenError } = await import('../src/middleware/error-handler.js');
+
+const EVENTS = {
+  'event-1': { id: 'event-1', unitId: 'branch-1', endDate: new Date(Date.now() + 86400000) },
+  'event-2': { id: 'event-2', unitId: 'branch-2', endDate: new Date(Date.now() + 86400000) },
+};
+
+// A branch admin by unit assignment, under a custom role name
+const BRANCH_ADMIN = {
+  id: 'member-1',
+  roleAssignments: [
+    { role: { name: 'Branch Coordinator', isGlobal: false }, unitId: 'branch-1', unit: { unitType: { name: 'Branch' } } },
+  ],
+};
+
+const start = (eventId, centerId) =>
+  generateAttendanceCode({ eventId, centerId, windowSeconds: 60 }, 'user');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.unit.findUnique.mockResolvedValue({ parentId: null });
+  prisma.event.findUnique.mockImplementation(async ({ where }) => EVENTS[where.id] || null);
+  prisma.eventCenter.findUnique.mockImplementation(async ({ where }) => ({ id: where.id, eventId: 'event-2' }));
+  prisma.attendanceCode.create.mockImplementation(async ({ data }) => ({ id: 'code-1', ...data }));
+  prisma.centerAdmin.findMany.mockResolvedValue([]);
+  prisma.member.findFirst.mockResolvedValue(null);
+});
+
+describe('session codes', () => {
+  it('lets an admin start codes for events in their unit', async () => {
+    prisma.member.findFirst.mockResolvedValue(BRANCH_ADMIN);
+    await expect(start('event-1')).resolves.toMatchObject({ eventId: 'event-1' });
+  });
+
+  it('refuses an admin for events outside their unit', async () => {
+    prisma.member.findFirst.mockResolvedValue(BRANCH_ADMIN);
+    await expect(start('event-2')).rejects.toThrow(ForbiddenError);
+    await expect(listAttendanceCodes('event-2', 'user')).rejects.toThrow(ForbiddenError);
+    expect(prisma.attendanceCode.create).not.toHaveBeenCalled();
+  });
+
+  it('limits a center admin to their own center', async () => {
+    prisma.centerAdmin.findMany.mockResolvedValue([{ centerId: 'center-a' }]);
+
+    await expect(start('event-2', 'center-a')).resolves.toMatchObject({ centerId: 'center-a' });
+    await expect(start('event-2', 'center-b')).rejects.toThrow(ForbiddenError);
+    await expect(start('event-2')).rejects.toThrow(ForbiddenError);
+
+    prisma.attendanceCode.findMany.mockResolvedValue([]);
+    await listAttendanceCodes('event-2', 'user');
+    expect(prisma.attendanceCode.findMany.mock.calls[0][0].where.centerId).toEqual({ in: ['center-a'] });
+  });
+
+  it('refuses to end another center\'s code', async () => {
+    prisma.centerAdmin.findMany.mockResolvedValue([{ centerId: 'center-a' }]);
+    prisma.attendanceCode.findUnique.mockResolvedValue({
+      id: 'code-2',
+      codeType: 'SESSION',
+      centerId: 'center-b',
+      event: EVENTS['event-2'],
+    });
+
+    await expect(endAttendanceCode('code-2', 'user')).rejects.toThrow(ForbiddenError);
+    expect(prisma.attendanceCode.update).not.toHaveBeenCalled();
+  });
+});
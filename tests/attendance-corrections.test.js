@@ -0,0 +1,120 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Corrections can only be requested within the requester's centers or scope, and voiding
+// a check-in puts the registration back where it was rather than confirming it
+
+const tx = {
+  attendanceCorrection: { updateMany: jest.fn(), update: jest.fn() },
+  attendanceRecord: { delete: jest.fn() },
+  registration: { findUnique: jest.fn(), update: jest.fn() },
+  auditLog: { create: jest.fn() },
+};
+
+const prisma = {
+  attendanceRecord: { findUnique: jest.fn() },
+  attendanceCorrection: { findFirst: jest.fn(), findUnique: jest.fn(), create: jest.fn() },
+  centerAdmin: { findMany: jest.fn() },
+  member: { findFirst: jest.fn() },
+  unit: { findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+jest.unstable_mockModule('../src/modules/notifications/service.js', () => ({
+  sendNotification: jest.fn(),
+}));
+
+const {
+  requestAttendanceCorrection,
+  approveAttendanceCorrection,
+} = await import('../src/modules/attendance/correction-service.js');
+const { ForbiddenError } = await import('../src/middleware/error-handler.js');
+
+const EVENT = { id: 'event-1', unitId: 'branch-1', title: 'Retreat' };
+
+const attendance = (statusBeforeCheckIn) => ({
+  id: 'attendance-1',
+  centerId: 'center-a',
+  checkInTime: new Date('2026-10-01T09:00:00Z'),
+  statusBeforeCheckIn,
+});
+
+const voidRequest = { attendanceId: 'attendance-1', correctionType: 'STATUS', newValue: 'VOID', reason: 'Wrong member' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.unit.findUnique.mockResolvedValue({ parentId: null });
+  prisma.member.findFirst.mockResolvedValue(null);
+  prisma.centerAdmin.findMany.mockResolvedValue([]);
+  prisma.attendanceRecord.findUnique.mockResolvedValue({
+    ...attendance('CONFIRMED'),
+    registration: { id: 'reg-1', eventId: 'event-1', status: 'CHECKED_IN', event: EVENT },
+  });
+  tx.attendanceCorrection.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe('requestAttendanceCorrection', () => {
+  it('refuses requesters who neither run the center nor cover the event', async () => {
+    prisma.centerAdmin.findMany.mockResolvedValue([{ centerId: 'center-b' }]);
+
+    await expect(requestAttendanceCorrection(voidRequest, 'user')).rejects.toThrow(ForbiddenError);
+    expect(prisma.attendanceCorrection.create).not.toHaveBeenCalled();
+  });
+
+  it('accepts a request from the center\'s admin', async () => {
+    prisma.centerAdmin.findMany.mockResolvedValue([{ centerId: 'center-a' }]);
+
+    await requestAttendanceCorrection(voidRequest, 'user');
+    expect(prisma.attendanceCorrection.create.mock.calls[0][0].data).toMatchObject({
+      centerId: 'center-a',
+      oldValue: 'PRESENT',
+      newValue: 'VOID',
+    });
+  });
+});
+
+describe('approving a VOID', () => {
+  const approve = async (registrationStatus, statusBeforeCheckIn) => {
+    prisma.centerAdmin.findMany.mockResolvedValue([{ centerId: 'center-a' }]);
+    prisma.attendanceCorrection.findUnique.mockResolvedValue({
+      id: 'correction-1',
+      status: 'PENDING',
+      correctedBy: 'requester',
+      correctionType: 'STATUS',
+      oldValue: 'PRESENT',
+      newValue: 'VOID',
+      registrationId: 'reg-1',
+      eventId: 'event-1',
+      centerId: 'center-a',
+      event: EVENT,
+      registration: { member: { firstName: 'Ada', lastName: 'Obi', fcsCode: 'FCS-1' } },
+    });
+    tx.registration.findUnique.mockResolvedValue({
+      id: 'reg-1',
+      memberId: 'member-1',
+      status: registrationStatus,
+      attendance: attendance(statusBeforeCheckIn),
+    });
+
+    await approveAttendanceCorrection('correction-1', {}, 'reviewer');
+  };
+
+  it('restores the status held before check-in', async () => {
+    await approve('CHECKED_IN', 'PENDING');
+
+    expect(tx.attendanceRecord.delete).toHaveBeenCalledWith({ where: { id: 'attendance-1' } });
+    expect(tx.registration.update).toHaveBeenCalledWith({ where: { id: 'reg-1' }, data: { status: 'PENDING' } });
+  });
+
+  it('leaves a registration cancelled since check-in alone', async () => {
+    await approve('CANCELLED', 'CONFIRMED');
+
+    expect(tx.attendanceRecord.delete).toHaveBeenCalled();
+    expect(tx.registration.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Offline scans are judged by the kiosk's clock, so that clock is only trusted up to the
+// server's receive time and back as far as sync keys are kept
+
+const HOUR = 60 * 60 * 1000;
+
+const tx = {
+  attendanceSyncKey: { create: jest.fn(), update: jest.fn() },
+  registration: { findUnique: jest.fn() },
+  attendanceRecord: { findFirst: jest.fn(), create: jest.fn() },
+};
+
+const prisma = {
+  attendanceSyncKey: { deleteMany: jest.fn(), findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+jest.unstable_mockModule('../src/modules/system-config/service.js', () => ({
+  getConfig: async (key) => ({ ATTENDANCE_SYNC_KEY_TTL_HOURS: 72 })[key],
+}));
+
+const { bulkSyncAttendance } = await import('../src/modules/attendance/service.js');
+const { signTagToken } = await import('../src/lib/tag-token.js');
+
+const scan = (overrides) => ({
+  idempotencyKey: 'key-1',
+  eventId: 'event-1',
+  checkInMethod: 'QR',
+  qrToken: signTagToken({ registrationId: 'reg-1', eventId: 'event-1', expiresAt: new Date(Date.now() + HOUR) }),
+  checkInTime: new Date(Date.now() - HOUR).toISOString(),
+  ...overrides,
+});
+
+const sync = (record) => bulkSyncAttendance({ records: [record] }, 'kiosk-user');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tx.attendanceSyncKey.create.mockResolvedValue({ id: 'sync-1' });
+  tx.registration.findUnique.mockResolvedValue({
+    id: 'reg-1',
+    eventId: 'event-1',
+    memberId: 'member-1',
+    status: 'CONFIRMED',
+    event: { id: 'event-1', unitId: null },
+  });
+  tx.attendanceRecord.findFirst.mockResolvedValue(null);
+  tx.attendanceRecord.create.mockImplementation(async ({ data }) => ({ id: 'attendance-1', ...data }));
+});
+
+describe('bulkSyncAttendance', () => {
+  it('accepts a token scanned offline before it expired', async () => {
+    const expiresAt = new Date(Date.now() - HOUR);
+    const checkInTime = new Date(Date.now() - 2 * HOUR).toISOString();
+    const token = signTagToken({ registrationId: 'reg-1', eventId: 'event-1', expiresAt });
+
+    const result = await sync(scan({ qrToken: token, checkInTime }));
+
+    expect(result.synced).toBe(1);
+    expect(tx.attendanceRecord.create.mock.calls[0][0].data.checkInTime).toEqual(new Date(checkInTime));
+  });
+
+  it('refuses a scan time older than sync keys are kept, so stale tokens cannot be revived', async () => {
+    const expiresAt = new Date(Date.now() - 80 * HOUR);
+    const checkInTime = new Date(Date.now() - 90 * HOUR).toISOString();
+    const token = signTagToken({ registrationId: 'reg-1', eventId: 'event-1', expiresAt });
+
+    const result = await sync(scan({ qrToken: token, checkInTime }));
+
+    expect(result.errors).toEqual([
+      { idempotencyKey: 'key-1', error: 'checkInTime is older than offline scans are accepted' },
+    ]);
+    expect(tx.attendanceRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a scan time in the future', async () => {
+    const result = await sync(scan({ checkInTime: new Date(Date.now() + HOUR).toISOString() }));
+
+    expect(result.errors[0].error).toBe('checkInTime is in the future');
+  });
+
+  it('caps a slightly fast kiosk clock at the time the batch arrived', async () => {
+    const before = Date.now();
+    await sync(scan({ checkInTime: new Date(Date.now() + 60 * 1000).toISOString() }));
+
+    const stored = tx.attendanceRecord.create.mock.calls[0][0].data.checkInTime.getTime();
+    expect(stored).toBeGreaterThanOrEqual(before);
+    expect(stored).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('refuses a waitlisted registration like a live scan', async () => {
+    tx.registration.findUnique.mockResolvedValue({ id: 'reg-1', eventId: 'event-1', status: 'WAITLISTED' });
+
+    const result = await sync(scan());
+
+    expect(result.errors[0].error).toBe('Registration is waitlisted');
+    expect(tx.attendanceRecord.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Scheduled reminders fire once per trigger and registration: the delivery row is the
+// claim, so a second worker (or tick) never sends the same reminder again
+
+const HOUR = 60 * 60 * 1000;
+
+const prisma = {
+  notificationTrigger: { findMany: jest.fn() },
+  registration: { findMany: jest.fn() },
+  notificationTriggerDelivery: { create: jest.fn(), update: jest.fn() },
+  member: { findUnique: jest.fn() },
+  notification: { create: jest.fn() },
+  notificationTemplate: { findMany: jest.fn() },
+  event: { findUnique: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { processScheduledReminders } = await import('../src/modules/notifications/service.js');
+
+const EVENT = { id: 'event-1', title: 'Easter Retreat' };
+
+const trigger = (offsetMinutes, startsIn) => ({
+  id: `trigger-${offsetMinutes}`,
+  eventId: 'event-1',
+  deliveryMethod: 'EMAIL',
+  offsetMinutes,
+  event: { ...EVENT, startDate: new Date(Date.now() + startsIn) },
+});
+
+const registration = (id, email = `${id}@example.com`) => ({
+  id,
+  status: 'CONFIRMED',
+  member: { id: `member-${id}`, firstName: 'Ada', lastName: 'Obi', fcsCode: 'FCS-1', email },
+  event: { ...EVENT, startDate: new Date() },
+});
+
+const ONE_DAY_BEFORE = 24 * 60;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.member.findUnique.mockResolvedValue(null);
+  prisma.notificationTemplate.findMany.mockResolvedValue([]);
+  prisma.notificationTriggerDelivery.create.mockImplementation(async ({ data }) => ({
+    id: `delivery-${data.registrationId}`,
+    ...data,
+  }));
+  prisma.notification.create.mockImplementation(async ({ data }) => ({
+    id: `notification-${data.recipientId}`,
+    ...data,
+  }));
+});
+
+describe('processScheduledReminders', () => {
+  it('queues one reminder per registration once the trigger is due', async () => {
+    prisma.notificationTrigger.findMany.mockResolvedValue([trigger(ONE_DAY_BEFORE, 23 * HOUR)]);
+    prisma.registration.findMany.mockResolvedValue([registration('reg-1'), registration('reg-2')]);
+
+    const summary = await processScheduledReminders();
+
+    expect(summary).toMatchObject({ triggers: 1, queued: 2, skipped: 0 });
+    expect(prisma.notification.create).toHaveBeenCalledTimes(2);
+    expect(prisma.notificationTriggerDelivery.update).toHaveBeenCalledWith({
+      where: { id: 'delivery-reg-1' },
+      data: { notificationId: 'notification-member-reg-1' },
+    });
+  });
+
+  it('renders the event\'s reminder template for each member', async () => {
+    prisma.notificationTrigger.findMany.mockResolvedValue([trigger(ONE_DAY_BEFORE, 23 * HOUR)]);
+    prisma.registration.findMany.mockResolvedValue([registration('reg-1')]);
+    prisma.notificationTemplate.findMany.mockResolvedValue([
+      {
+        id: 'template-1',
+        eventId: 'event-1',
+        language: 'en',
+        isActive: true,
+        subject: null,
+        body: 'See you tomorrow, {{member.firstName}}',
+      },
+    ]);
+
+    await processScheduledReminders();
+
+    expect(prisma.notification.create.mock.calls[0][0].data.message).toBe('See you tomorrow, Ada');
+  });
+
+  it('only reminds registrations made before the reminder was due', async () => {
+    prisma.notificationTrigger.findMany.mockResolvedValue([trigger(ONE_DAY_BEFORE, 23 * HOUR)]);
+    prisma.registration.findMany.mockResolvedValue([]);
+
+    await processScheduledReminders();
+
+    const { createdAt } = prisma.registration.findMany.mock.calls[0][0].where;
+    expect(Date.now() - createdAt.lte.getTime()).toBeGreaterThanOrEqual(HOUR - 1000);
+    expect(Date.now() - createdAt.lte.getTime()).toBeLessThanOrEqual(HOUR + 1000);
+  });
+
+  it('leaves triggers that are not due yet alone', async () => {
+    prisma.notificationTrigger.findMany.mockResolvedValue([trigger(ONE_DAY_BEFORE, 72 * HOUR)]);
+
+    const summary = await processScheduledReminders();
+
+    expect(summary.triggers).toBe(0);
+    expect(prisma.registration.findMany).not.toHaveBeenCalled();
+  });
+
+  it('does not send a reminder another worker already claimed', async () => {
+    prisma.notificationTrigger.findMany.mockResolvedValue([trigger(ONE_DAY_BEFORE, 23 * HOUR)]);
+    prisma.registration.findMany.mockResolvedValue([registration('reg-1')]);
+    prisma.notificationTriggerDelivery.create.mockRejectedValue(
+      Object.assign(new Error('Unique constraint failed'), { code: 'P2002' })
+    );
+
+    const summary = await processScheduledReminders();
+
+    expect(summary.queued).toBe(0);
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  it('records a reminder it cannot send as skipped', async () => {
+    prisma.notificationTrigger.findMany.mockResolvedValue([trigger(ONE_DAY_BEFORE, 23 * HOUR)]);
+    prisma.registration.findMany.mockResolvedValue([registration('reg-1', null)]);
+
+    const summary = await processScheduledReminders();
+
+    expect(summary.skipped).toBe(1);
+    expect(prisma.notificationTriggerDelivery.update).toHaveBeenCalledWith({
+      where: { id: 'delivery-reg-1' },
+      data: { status: 'SKIPPED', reason: 'Recipient has no email or phone number to notify' },
+    });
+  });
+});
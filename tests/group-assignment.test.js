@@ -0,0 +1,74 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Automatic Bible Study placement reads group occupancy under a lock on the event's
+// groups, so simultaneous registrations cannot all take a group's last place
+
+const tx = {
+  $queryRaw: jest.fn(),
+  groupAssignment: { findFirst: jest.fn(), create: jest.fn() },
+  eventGroup: { findMany: jest.fn() },
+  member: { findUnique: jest.fn() },
+};
+
+const prisma = {
+  event: { findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { assignToBibleStudy } = await import('../src/modules/groups/service.js');
+
+const group = (id, capacity, taken) => ({
+  id,
+  name: id,
+  capacity,
+  assignments: Array.from({ length: taken }, (_, index) => ({
+    registrationId: `reg-${id}-${index}`,
+    member: { id: `member-${id}-${index}`, firstName: 'A', lastName: 'B' },
+  })),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.event.findUnique.mockResolvedValue({ id: 'event-1', startDate: new Date(), settings: null });
+  tx.$queryRaw.mockResolvedValue([]);
+  tx.groupAssignment.findFirst.mockResolvedValue(null);
+  tx.groupAssignment.create.mockImplementation(async ({ data }) => ({ id: 'assignment-1', ...data }));
+  tx.eventGroup.findMany.mockResolvedValue([group('group-a', 2, 1)]);
+  tx.member.findUnique.mockResolvedValue({ id: 'member-1', firstName: 'Ada', lastName: 'Obi' });
+});
+
+describe('assignToBibleStudy', () => {
+  it('locks the event\'s groups before reading their occupancy', async () => {
+    const assignment = await assignToBibleStudy('event-1', 'reg-1', 'member-1');
+
+    expect(assignment).toMatchObject({ groupId: 'group-a', assignedBy: 'SYSTEM' });
+    const [lockedAt] = tx.$queryRaw.mock.invocationCallOrder;
+    expect(lockedAt).toBeLessThan(tx.groupAssignment.findFirst.mock.invocationCallOrder[0]);
+    expect(lockedAt).toBeLessThan(tx.eventGroup.findMany.mock.invocationCallOrder[0]);
+    const [sql, eventId, type] = tx.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).toMatch(/FOR UPDATE/);
+    expect([eventId, type]).toEqual(['event-1', 'BIBLE_STUDY']);
+  });
+
+  it('leaves the registration unassigned once the last place is taken', async () => {
+    tx.eventGroup.findMany.mockResolvedValue([group('group-a', 2, 2)]);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(assignToBibleStudy('event-1', 'reg-1', 'member-1')).resolves.toBeNull();
+    expect(tx.groupAssignment.create).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('does nothing for events that assign groups by hand', async () => {
+    prisma.event.findUnique.mockResolvedValue({ id: 'event-1', settings: { groupAssignmentMethod: 'MANUAL' } });
+
+    await expect(assignToBibleStudy('event-1', 'reg-1', 'member-1')).resolves.toBeNull();
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// An invitation grants its role once, to the address it was sent to, while it is pending
+// and unexpired; a concurrent second accept is rolled back
+
+const HOUR = 60 * 60 * 1000;
+
+const prisma = {
+  systemConfig: { findMany: jest.fn(async () => []) },
+  invite: { findUnique: jest.fn(), updateMany: jest.fn() },
+  authUser: { findUnique: jest.fn(), findFirst: jest.fn(), create: jest.fn() },
+  member: { create: jest.fn() },
+  roleAssignment: { findFirst: jest.fn(), create: jest.fn() },
+  authSession: { create: jest.fn() },
+  refreshToken: { create: jest.fn() },
+  $transaction: jest.fn((callback) => callback(prisma)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+jest.unstable_mockModule('../src/lib/mail.js', () => ({
+  sendInviteEmail: jest.fn(async () => ({ success: true })),
+  sendMail: jest.fn(),
+  sendOtp: jest.fn(),
+  sendPasswordOtp: jest.fn(),
+}));
+
+const { acceptInvite, expireInvites } = await import('../src/modules/invites/service.js');
+const { ValidationError, ForbiddenError, UnauthorizedError } = await import('../src/middleware/error-handler.js');
+
+const INVITE = {
+  id: 'invite-1',
+  token: 'secret-token',
+  email: 'ada@example.com',
+  status: 'PENDING',
+  roleId: 'role-registrar',
+  unitId: 'branch-1',
+  invitedBy: 'inviter',
+  role: { name: 'Registrar' },
+  unit: { name: 'Ikeja Branch' },
+  invitedByUser: { members: [] },
+};
+
+const NEW_ACCOUNT = {
+  id: 'invite-1',
+  token: 'secret-token',
+  firstName: 'Ada',
+  lastName: 'Obi',
+  password: 'Str0ng!pass',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.invite.findUnique.mockResolvedValue({ ...INVITE, expiresAt: new Date(Date.now() + HOUR) });
+  prisma.invite.updateMany.mockResolvedValue({ count: 1 });
+  prisma.authUser.findFirst.mockResolvedValue(null);
+  prisma.authUser.findUnique.mockResolvedValue(null);
+  prisma.authUser.create.mockImplementation(async ({ data }) => ({ id: 'user-new', ...data }));
+  prisma.member.create.mockImplementation(async ({ data }) => ({ id: 'member-new', ...data }));
+  prisma.roleAssignment.findFirst.mockResolvedValue(null);
+  prisma.roleAssignment.create.mockImplementation(async ({ data }) => ({ id: 'assignment-1', ...data }));
+  prisma.authSession.create.mockImplementation(async ({ data }) => ({ id: 'session-1', ...data }));
+});
+
+describe('acceptInvite', () => {
+  it('creates the account and grants the invited role at the invited unit', async () => {
+    const result = await acceptInvite(NEW_ACCOUNT);
+
+    expect(prisma.roleAssignment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ memberId: 'member-new', roleId: 'role-registrar', unitId: 'branch-1' }),
+    });
+    expect(result).toMatchObject({ accountCreated: true, role: 'Registrar', roleAssignmentId: 'assignment-1' });
+    expect(result.refreshToken).toEqual(expect.any(String));
+  });
+
+  it('verifies the invited email but not the phone number given with it', async () => {
+    await acceptInvite({ ...NEW_ACCOUNT, phoneNumber: '08031234567' });
+
+    expect(prisma.authUser.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ email: 'ada@example.com', emailVerified: true, phoneVerified: false }),
+    });
+  });
+
+  it('refuses a wrong token', async () => {
+    await expect(acceptInvite({ ...NEW_ACCOUNT, token: 'guessed' })).rejects.toThrow(ValidationError);
+    expect(prisma.roleAssignment.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses an expired invitation', async () => {
+    prisma.invite.findUnique.mockResolvedValue({ ...INVITE, expiresAt: new Date(Date.now() - HOUR) });
+
+    await expect(acceptInvite(NEW_ACCOUNT)).rejects.toThrow('Invitation expired');
+  });
+
+  it('refuses a logged-in user whose email is not the invited one', async () => {
+    prisma.authUser.findUnique.mockResolvedValue({ id: 'user-2', email: 'someone@example.com', members: [] });
+
+    await expect(acceptInvite({ id: 'invite-1', token: 'secret-token' }, 'user-2')).rejects.toThrow(ForbiddenError);
+    expect(prisma.roleAssignment.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a logged-in user whose account has no email', async () => {
+    prisma.authUser.findUnique.mockResolvedValue({ id: 'user-2', email: null, phoneNumber: '+2348031234567', members: [] });
+
+    await expect(acceptInvite({ id: 'invite-1', token: 'secret-token' }, 'user-2')).rejects.toThrow(ForbiddenError);
+    expect(prisma.roleAssignment.create).not.toHaveBeenCalled();
+  });
+
+  it('links a logged-in user whose email matches, ignoring case', async () => {
+    prisma.authUser.findUnique.mockResolvedValue({
+      id: 'user-2',
+      email: 'Ada@Example.com',
+      members: [{ id: 'member-2' }],
+    });
+
+    const result = await acceptInvite({ id: 'invite-1', token: 'secret-token' }, 'user-2');
+
+    expect(result).toMatchObject({ accountCreated: false, memberId: 'member-2' });
+    expect(prisma.authUser.create).not.toHaveBeenCalled();
+  });
+
+  it('sends people with an account to log in instead of creating another', async () => {
+    prisma.authUser.findFirst.mockResolvedValue({ id: 'user-existing' });
+
+    await expect(acceptInvite(NEW_ACCOUNT)).rejects.toThrow(UnauthorizedError);
+  });
+
+  it('fails the second of two concurrent accepts', async () => {
+    prisma.invite.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(acceptInvite(NEW_ACCOUNT)).rejects.toThrow('Invitation already used or expired');
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('expireInvites', () => {
+  it('expires pending invitations past their expiry', async () => {
+    prisma.invite.updateMany.mockResolvedValue({ count: 3 });
+
+    await expect(expireInvites()).resolves.toEqual({ expired: 3 });
+    expect(prisma.invite.updateMany).toHaveBeenCalledWith({
+      where: { status: 'PENDING', expiresAt: { lte: expect.any(Date) } },
+      data: { status: 'EXPIRED' },
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Failed sign-ins are counted per key inside a sliding window; the fifth failure locks the
+// key for fifteen minutes and tells the owner, and locked keys are refused up front
+
+const MINUTE = 60 * 1000;
+
+const prisma = {
+  systemConfig: { findMany: jest.fn(async () => []) },
+  authThrottle: { findMany: jest.fn(), findUnique: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const sendThroughChannel = jest.fn(async () => ({ success: true }));
+jest.unstable_mockModule('../src/lib/channels/index.js', () => ({ sendThroughChannel }));
+
+const {
+  beginAttempt,
+  recordFailure,
+  identifierKey,
+} = await import('../src/modules/auth/lockout-service.js');
+
+const KEY = identifierKey('Ada@Example.com');
+
+const throttle = (failedCount, lastFailedMinutesAgo, lockedUntil = null) => ({
+  key: KEY,
+  kind: 'LOGIN',
+  failedCount,
+  lastFailedAt: new Date(Date.now() - lastFailedMinutesAgo * MINUTE),
+  lockedUntil,
+});
+
+const upserted = () => prisma.authThrottle.upsert.mock.calls[0][0].update;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.authThrottle.findMany.mockResolvedValue([]);
+  prisma.authThrottle.findUnique.mockResolvedValue(null);
+});
+
+describe('identifierKey', () => {
+  it('treats differently written forms of the same identifier as one key', () => {
+    expect(identifierKey(' ADA@example.com ')).toBe(KEY);
+    expect(identifierKey('0803 123 4567')).toBe(identifierKey('+2348031234567'));
+  });
+});
+
+describe('recordFailure', () => {
+  it('counts failures without locking below the limit', async () => {
+    prisma.authThrottle.findUnique.mockResolvedValue(throttle(3, 1));
+
+    const { lockedUntil } = await recordFailure('LOGIN', [KEY], { email: 'ada@example.com' });
+
+    expect(lockedUntil).toBeNull();
+    expect(upserted()).toMatchObject({ failedCount: 4, lockedUntil: null });
+    expect(sendThroughChannel).not.toHaveBeenCalled();
+  });
+
+  it('locks for fifteen minutes on the fifth failure and notifies the owner', async () => {
+    prisma.authThrottle.findUnique.mockResolvedValue(throttle(4, 1));
+
+    const { lockedUntil } = await recordFailure('LOGIN', [KEY], { email: 'ada@example.com' });
+
+    expect(upserted().failedCount).toBe(5);
+    expect(lockedUntil.getTime() - Date.now()).toBeGreaterThan(14 * MINUTE);
+    expect(lockedUntil.getTime() - Date.now()).toBeLessThanOrEqual(15 * MINUTE);
+    expect(sendThroughChannel).toHaveBeenCalledWith('EMAIL', expect.objectContaining({ to: 'ada@example.com' }));
+  });
+
+  it('starts counting afresh once the failure window has passed', async () => {
+    prisma.authThrottle.findUnique.mockResolvedValue(throttle(4, 20));
+
+    await recordFailure('LOGIN', [KEY]);
+
+    expect(upserted()).toMatchObject({ failedCount: 1, lockedUntil: null });
+  });
+
+  it('starts counting afresh after an earlier lock has run out', async () => {
+    prisma.authThrottle.findUnique.mockResolvedValue(throttle(5, 1, new Date(Date.now() - MINUTE)));
+
+    await recordFailure('LOGIN', [KEY]);
+
+    expect(upserted()).toMatchObject({ failedCount: 1, lockedUntil: null });
+  });
+});
+
+describe('beginAttempt', () => {
+  it('refuses a locked key before any credentials are checked', async () => {
+    const lockedUntil = new Date(Date.now() + 10 * MINUTE);
+    prisma.authThrottle.findMany.mockResolvedValue([throttle(5, 1, lockedUntil)]);
+
+    await expect(beginAttempt('LOGIN', [KEY])).rejects.toMatchObject({
+      status: 429,
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil,
+    });
+  });
+
+  it('lets the first few failures through without a delay', async () => {
+    prisma.authThrottle.findMany.mockResolvedValue([throttle(2, 1)]);
+
+    await expect(beginAttempt('LOGIN', [KEY])).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,101 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Importers without global scope can only add members to branches inside their scope, and
+// an import's report is only visible to whoever ran it and the admins above them
+
+const prisma = {
+  memberImport: { create: jest.fn(), update: jest.fn(), findUnique: jest.fn() },
+  unit: { findMany: jest.fn() },
+  member: { findMany: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const getAdminScope = jest.fn();
+const isUnitInScope = jest.fn(async (scope, unitId) => scope.isGlobal || scope.unitIds.includes(unitId));
+const canManageUser = jest.fn();
+jest.unstable_mockModule('../src/middleware/scope-validator.js', () => ({ getAdminScope, isUnitInScope, canManageUser }));
+
+const { importMembers, getMemberImport } = await import('../src/modules/members/import-service.js');
+const { ForbiddenError } = await import('../src/middleware/error-handler.js');
+
+const BRANCH_SCOPE = { isGlobal: false, unitIds: ['branch-1'] };
+
+const upload = (...lines) => ({
+  originalname: 'register.csv',
+  buffer: Buffer.from(['firstName,lastName,phoneNumber,branchId', ...lines].join('\n')),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getAdminScope.mockResolvedValue(BRANCH_SCOPE);
+  prisma.memberImport.create.mockResolvedValue({ id: 'import-1' });
+  prisma.unit.findMany.mockImplementation(async ({ where }) => where.id.in.map((id) => ({ id })));
+  prisma.member.findMany.mockResolvedValue([]);
+});
+
+describe('importMembers', () => {
+  it('rejects rows for branches outside the importer\'s scope', async () => {
+    const result = await importMembers(upload(
+      'Ada,Obi,08031234567,branch-1',
+      'Tunde,Bello,08031234568,branch-2'
+    ), {}, 'user-1');
+
+    expect(result.rows.map((row) => row.status)).toEqual(['VALID', 'INVALID']);
+    expect(result.rows[1].errors).toEqual(['branchId "branch-2" is outside your scope']);
+  });
+
+  it('requires a branch from importers without global scope', async () => {
+    const result = await importMembers(upload('Ada,Obi,08031234567,'), {}, 'user-1');
+
+    expect(result.rows[0]).toMatchObject({ status: 'INVALID', errors: ['branchId is required'] });
+  });
+
+  it('fills rows from a default branch inside the importer\'s scope', async () => {
+    const result = await importMembers(upload('Ada,Obi,08031234567,'), { branchId: 'branch-1' }, 'user-1');
+
+    expect(result.rows[0].status).toBe('VALID');
+  });
+
+  it('refuses a default branch outside the importer\'s scope', async () => {
+    await expect(importMembers(upload('Ada,Obi,08031234567,'), { branchId: 'branch-2' }, 'user-1'))
+      .rejects.toThrow(ForbiddenError);
+    expect(prisma.memberImport.create).not.toHaveBeenCalled();
+  });
+
+  it('lets global importers leave the branch out', async () => {
+    getAdminScope.mockResolvedValue({ isGlobal: true, unitIds: [] });
+
+    const result = await importMembers(upload('Ada,Obi,08031234567,'), {}, 'user-1');
+
+    expect(result.rows[0].status).toBe('VALID');
+  });
+});
+
+describe('getMemberImport', () => {
+  beforeEach(() => {
+    prisma.memberImport.findUnique.mockResolvedValue({ id: 'import-1', createdBy: 'user-1' });
+  });
+
+  it('shows an import to whoever ran it', async () => {
+    await expect(getMemberImport('import-1', 'user-1')).resolves.toMatchObject({ id: 'import-1' });
+    expect(canManageUser).not.toHaveBeenCalled();
+  });
+
+  it('shows an import to admins whose scope covers the importer', async () => {
+    canManageUser.mockResolvedValue(true);
+
+    await expect(getMemberImport('import-1', 'user-2')).resolves.toMatchObject({ id: 'import-1' });
+    expect(canManageUser).toHaveBeenCalledWith('user-2', 'user-1');
+  });
+
+  it('hides an import from everyone else', async () => {
+    canManageUser.mockResolvedValue(false);
+
+    await expect(getMemberImport('import-1', 'user-2')).rejects.toThrow(ForbiddenError);
+  });
+});
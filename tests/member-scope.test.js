@@ -0,0 +1,86 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Members are created in, and listed from, the branches inside an admin's scope; only
+// global scope reaches members outside every branch
+
+const prisma = {
+  unit: { findUnique: jest.fn() },
+  member: { findFirst: jest.fn(), create: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const getAdminScope = jest.fn();
+const isUnitInScope = jest.fn(async (scope, unitId) => scope.isGlobal || scope.unitIds.includes(unitId));
+jest.unstable_mockModule('../src/middleware/scope-validator.js', () => ({ getAdminScope, isUnitInScope }));
+
+const getSubtreeIds = jest.fn(async (unitIds) => [...unitIds, 'branch-1']);
+jest.unstable_mockModule('../src/modules/units/service.js', () => ({ getSubtreeIds }));
+
+const { createMember, getMemberScopeWhere } = await import('../src/modules/members/service.js');
+const { ForbiddenError, NotFoundError } = await import('../src/middleware/error-handler.js');
+
+const GLOBAL_SCOPE = { isGlobal: true, unitIds: [] };
+const ZONE_SCOPE = { isGlobal: false, unitIds: ['zone-1'] };
+const NEW_MEMBER = { firstName: 'Ada', lastName: 'Obi', phoneNumber: '08031234567' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getAdminScope.mockResolvedValue(ZONE_SCOPE);
+  prisma.unit.findUnique.mockImplementation(async ({ where }) => ({ id: where.id }));
+  prisma.member.findFirst.mockResolvedValue(null);
+  prisma.member.create.mockImplementation(async ({ data }) => ({ id: 'member-1', ...data }));
+});
+
+describe('createMember', () => {
+  it('saves the branch the member belongs to', async () => {
+    const member = await createMember({ ...NEW_MEMBER, branchId: 'zone-1' }, 'admin-1');
+
+    expect(member.branchId).toBe('zone-1');
+  });
+
+  it('refuses a branch outside the admin\'s scope', async () => {
+    await expect(createMember({ ...NEW_MEMBER, branchId: 'zone-2' }, 'admin-1')).rejects.toThrow(ForbiddenError);
+    expect(prisma.member.create).not.toHaveBeenCalled();
+  });
+
+  it('requires a branch from admins without global scope', async () => {
+    await expect(createMember(NEW_MEMBER, 'admin-1')).rejects.toThrow(ForbiddenError);
+  });
+
+  it('refuses a branch that does not exist', async () => {
+    prisma.unit.findUnique.mockResolvedValue(null);
+
+    await expect(createMember({ ...NEW_MEMBER, branchId: 'missing' }, 'admin-1')).rejects.toThrow(NotFoundError);
+  });
+
+  it('lets global admins leave the branch out', async () => {
+    getAdminScope.mockResolvedValue(GLOBAL_SCOPE);
+
+    const member = await createMember(NEW_MEMBER, 'admin-1');
+
+    expect(member.branchId).toBeNull();
+  });
+});
+
+describe('getMemberScopeWhere', () => {
+  it('limits a unit filter to members of its branches', async () => {
+    await expect(getMemberScopeWhere('national-unit', ZONE_SCOPE)).resolves.toEqual({
+      branchId: { in: ['national-unit', 'branch-1'] },
+    });
+  });
+
+  it('shows everyone to global scope', async () => {
+    await expect(getMemberScopeWhere(undefined, GLOBAL_SCOPE)).resolves.toEqual({});
+  });
+
+  it('shows no one to a scope without units', async () => {
+    await expect(getMemberScopeWhere(undefined, { isGlobal: false, unitIds: [] })).resolves.toEqual({
+      id: { in: [] },
+    });
+  });
+});
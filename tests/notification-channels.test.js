@@ -0,0 +1,94 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// A notification is rendered for every channel it may go out on, so when the worker falls
+// back from one channel to the next, the message sent is that channel's template
+
+const prisma = {
+  member: { findUnique: jest.fn() },
+  notificationTemplate: { findUnique: jest.fn(), findMany: jest.fn() },
+  notification: { create: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  event: { findUnique: jest.fn() },
+  $queryRaw: jest.fn(),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { sendNotification } = await import('../src/modules/notifications/service.js');
+const { processNotificationQueue } = await import('../src/modules/notifications/queue.js');
+const { setProvider } = await import('../src/lib/channels/index.js');
+
+const TEMPLATES = [
+  { id: 'sms', channel: 'SMS', language: 'en', eventId: null, isActive: true, subject: null, body: 'Hi {{member.firstName}}, you are in' },
+  { id: 'email', channel: 'EMAIL', language: 'en', eventId: null, isActive: true, subject: 'Welcome', body: '<p>Dear {{member.firstName}}, you are registered.</p>' },
+];
+
+const sms = { name: 'test-sms', send: jest.fn() };
+const email = { name: 'test-email', send: jest.fn() };
+setProvider('SMS', sms);
+setProvider('EMAIL', email);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.member.findUnique.mockResolvedValue({ email: 'ada@example.com', phoneNumber: '08031234567', preferredContactMethod: 'SMS' });
+  prisma.notificationTemplate.findMany.mockImplementation(async ({ where }) =>
+    TEMPLATES.filter((template) => template.channel === where.channel));
+  prisma.notification.create.mockImplementation(async ({ data }) => ({ id: 'notification-1', ...data }));
+  prisma.notification.updateMany.mockResolvedValue({ count: 0 });
+  sms.send.mockRejectedValue(new Error('gateway down'));
+  email.send.mockResolvedValue({ messageId: 'message-1' });
+});
+
+describe('sendNotification', () => {
+  it('renders the template of every channel the recipient can be reached on', async () => {
+    const notification = await sendNotification({
+      recipientId: 'member-1',
+      triggerType: 'REGISTRATION',
+      subject: 'Registered',
+      message: 'You are registered',
+      templateData: { member: { firstName: 'Ada' } },
+    });
+
+    expect(notification).toMatchObject({ deliveryMethod: 'SMS', message: 'Hi Ada, you are in' });
+    expect(notification.channelContent).toEqual({
+      SMS: { subject: 'Registered', message: 'Hi Ada, you are in' },
+      EMAIL: { subject: 'Welcome', message: '<p>Dear Ada, you are registered.</p>' },
+    });
+  });
+});
+
+describe('processNotificationQueue', () => {
+  it('sends the fallback channel its own rendering', async () => {
+    prisma.member.findUnique.mockResolvedValue({ preferredContactMethod: 'SMS', whatsappNumber: null });
+    prisma.$queryRaw.mockResolvedValue([{
+      id: 'notification-1',
+      recipientId: 'member-1',
+      recipientEmail: 'ada@example.com',
+      recipientPhone: '08031234567',
+      deliveryMethod: 'SMS',
+      subject: 'Registered',
+      message: 'Hi Ada, you are in',
+      channelContent: {
+        SMS: { subject: 'Registered', message: 'Hi Ada, you are in' },
+        EMAIL: { subject: 'Welcome', message: '<p>Dear Ada, you are registered.</p>' },
+      },
+      attempts: 1,
+      maxAttempts: 5,
+    }]);
+
+    await expect(processNotificationQueue()).resolves.toMatchObject({ sent: 1 });
+
+    expect(email.send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ada@example.com',
+      subject: 'Welcome',
+      message: '<p>Dear Ada, you are registered.</p>',
+    }));
+    expect(prisma.notification.update).toHaveBeenCalledWith({
+      where: { id: 'notification-1' },
+      data: expect.objectContaining({ status: 'SENT', deliveryMethod: 'EMAIL', subject: 'Welcome' }),
+    });
+  });
+});
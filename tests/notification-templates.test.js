@@ -0,0 +1,146 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Templates are chosen in the reader's language, and only admins whose scope covers
+// an event can change or preview its templates; defaults belong to national admins
+
+const prisma = {
+  notificationTemplate: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  event: { findUnique: jest.fn() },
+  registration: { findUnique: jest.fn() },
+  member: { findFirst: jest.fn() },
+  unit: { findUnique: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const {
+  resolveTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+} = await import('../src/modules/notifications/template-service.js');
+const { ForbiddenError, ValidationError } = await import('../src/middleware/error-handler.js');
+
+const template = (id, eventId, language) => ({ id, eventId, language, isActive: true, body: id });
+
+const NATIONAL = { id: 'm-national', roleAssignments: [{ role: { isGlobal: true }, unitId: null }] };
+const BRANCH = {
+  id: 'm-branch',
+  roleAssignments: [{ role: { isGlobal: false }, unitId: 'branch-1', unit: { id: 'branch-1', unitType: { name: 'Branch' } } }],
+};
+
+const actingAs = (member) => prisma.member.findFirst.mockResolvedValue(member);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.unit.findUnique.mockResolvedValue({ parentId: null });
+  prisma.event.findUnique.mockImplementation(async ({ where }) => ({
+    'event-1': { unitId: 'branch-1', language: 'yo' },
+    'event-2': { unitId: 'branch-2', language: null },
+  })[where.id] || null);
+});
+
+describe('resolveTemplate', () => {
+  const lookup = (args) => resolveTemplate({ triggerType: 'REGISTRATION', channel: 'SMS', ...args });
+
+  it('prefers the member language over an event override in the default language', async () => {
+    prisma.notificationTemplate.findMany.mockResolvedValue([
+      template('event-en', 'event-1', 'en'),
+      template('default-ha', null, 'ha'),
+    ]);
+    await expect(lookup({ eventId: 'event-1', language: 'ha' })).resolves.toMatchObject({ id: 'default-ha' });
+  });
+
+  it('uses the event language when the member has none', async () => {
+    prisma.notificationTemplate.findMany.mockResolvedValue([
+      template('default-en', null, 'en'),
+      template('event-yo', 'event-1', 'yo'),
+    ]);
+    await expect(lookup({ eventId: 'event-1' })).resolves.toMatchObject({ id: 'event-yo' });
+  });
+
+  it('falls back to the default language, event override first', async () => {
+    prisma.notificationTemplate.findMany.mockResolvedValue([
+      template('default-en', null, 'en'),
+      template('event-en', 'event-1', 'en'),
+      template('default-fr', null, 'fr'),
+    ]);
+    await expect(lookup({ eventId: 'event-1', language: 'ha' })).resolves.toMatchObject({ id: 'event-en' });
+  });
+
+  it('never sends a template in an unrelated language', async () => {
+    prisma.notificationTemplate.findMany.mockResolvedValue([template('default-fr', null, 'fr')]);
+    await expect(lookup({ language: 'ha' })).resolves.toBeNull();
+  });
+});
+
+describe('template management', () => {
+  const data = { name: 'Confirmation', triggerType: 'REGISTRATION', channel: 'SMS', body: 'Hi {{member.firstName}}' };
+
+  it('keeps default templates to national admins', async () => {
+    actingAs(BRANCH);
+    await expect(createTemplate(data, 'user')).rejects.toThrow(ForbiddenError);
+
+    prisma.notificationTemplate.findUnique.mockResolvedValue(template('default-en', null, 'en'));
+    await expect(updateTemplate('default-en', { body: 'Hello' }, 'user')).rejects.toThrow(ForbiddenError);
+    await expect(deleteTemplate('default-en', 'user')).rejects.toThrow(ForbiddenError);
+    expect(prisma.notificationTemplate.update).not.toHaveBeenCalled();
+    expect(prisma.notificationTemplate.delete).not.toHaveBeenCalled();
+
+    actingAs(NATIONAL);
+    await createTemplate(data, 'user');
+    expect(prisma.notificationTemplate.create).toHaveBeenCalled();
+  });
+
+  it('lets a unit admin manage templates only for events in their scope', async () => {
+    actingAs(BRANCH);
+    await createTemplate({ ...data, eventId: 'event-1' }, 'user');
+    expect(prisma.notificationTemplate.create).toHaveBeenCalled();
+
+    await expect(createTemplate({ ...data, eventId: 'event-2' }, 'user')).rejects.toThrow(ForbiddenError);
+
+    prisma.notificationTemplate.findUnique.mockResolvedValue(template('event-2-en', 'event-2', 'en'));
+    await expect(deleteTemplate('event-2-en', 'user')).rejects.toThrow(ForbiddenError);
+  });
+});
+
+describe('previewTemplate', () => {
+  const registration = (eventId) => ({
+    id: 'reg-1',
+    eventId,
+    status: 'CONFIRMED',
+    member: { firstName: 'Ada', lastName: 'Obi', fcsCode: 'FCS-1' },
+    event: { title: 'Retreat', unitId: eventId === 'event-1' ? 'branch-1' : 'branch-2' },
+  });
+
+  beforeEach(() => actingAs(BRANCH));
+
+  it('renders a registration within scope', async () => {
+    prisma.notificationTemplate.findUnique.mockResolvedValue(template('default-en', null, 'en'));
+    prisma.registration.findUnique.mockResolvedValue(registration('event-1'));
+    await expect(previewTemplate('default-en', 'reg-1', 'user')).resolves.toMatchObject({ templateId: 'default-en' });
+  });
+
+  it('refuses a registration outside scope', async () => {
+    prisma.notificationTemplate.findUnique.mockResolvedValue(template('default-en', null, 'en'));
+    prisma.registration.findUnique.mockResolvedValue(registration('event-2'));
+    await expect(previewTemplate('default-en', 'reg-1', 'user')).rejects.toThrow(ForbiddenError);
+  });
+
+  it('refuses a registration from another event than the template', async () => {
+    prisma.notificationTemplate.findUnique.mockResolvedValue(template('event-1-en', 'event-1', 'en'));
+    prisma.registration.findUnique.mockResolvedValue(registration('event-2'));
+    await expect(previewTemplate('event-1-en', 'reg-1', 'user')).rejects.toThrow(ValidationError);
+  });
+});
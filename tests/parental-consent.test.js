@@ -0,0 +1,111 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// A guardian answers a consent request once, through the latest signed link: granting
+// confirms the held registration, declining cancels it and frees the seat
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const prisma = {
+  systemConfig: { findMany: jest.fn(async () => []) },
+  parentalConsent: { findUnique: jest.fn(), findMany: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  registration: { updateMany: jest.fn() },
+  $transaction: jest.fn((callback) => callback(prisma)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const assignToBibleStudy = jest.fn();
+jest.unstable_mockModule('../src/modules/groups/service.js', () => ({ assignToBibleStudy }));
+
+const sendNotification = jest.fn();
+jest.unstable_mockModule('../src/modules/notifications/service.js', () => ({ sendNotification }));
+
+const cancelRegistration = jest.fn();
+jest.unstable_mockModule('../src/modules/registrations/service.js', () => ({ cancelRegistration }));
+
+const { respondToConsent, sendConsentReminders } = await import('../src/modules/consents/service.js');
+const { signConsentToken } = await import('../src/lib/consent-token.js');
+const { ValidationError } = await import('../src/middleware/error-handler.js');
+
+const CONSENT = {
+  id: 'consent-1',
+  registrationId: 'reg-1',
+  eventId: 'event-1',
+  memberId: 'member-minor',
+  status: 'PENDING',
+  tokenVersion: 2,
+  guardianName: 'Ada Obi',
+  guardianEmail: 'ada@example.com',
+  member: { id: 'member-minor', firstName: 'Chi', lastName: 'Obi' },
+  event: { id: 'event-1', title: 'Easter Retreat', startDate: new Date(Date.now() + DAY), endDate: new Date(Date.now() + 2 * DAY) },
+  registration: { id: 'reg-1', status: 'PENDING_CONSENT', registeredBy: 'user-1', center: null },
+};
+
+const link = (tokenVersion = CONSENT.tokenVersion) =>
+  signConsentToken({ consentId: 'consent-1', tokenVersion, expiresAt: CONSENT.event.endDate });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.parentalConsent.findUnique.mockResolvedValue(CONSENT);
+  prisma.parentalConsent.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe('respondToConsent', () => {
+  it('confirms the held registration when consent is granted', async () => {
+    await respondToConsent(link(), { decision: 'GRANT', guardianName: 'Ada Obi' }, { ipAddress: '10.0.0.1' });
+
+    expect(prisma.parentalConsent.updateMany).toHaveBeenCalledWith({
+      where: { id: 'consent-1', status: 'PENDING', tokenVersion: 2 },
+      data: expect.objectContaining({ status: 'GRANTED', respondedName: 'Ada Obi', ipAddress: '10.0.0.1' }),
+    });
+    expect(prisma.registration.updateMany).toHaveBeenCalledWith({
+      where: { id: 'reg-1', status: 'PENDING_CONSENT' },
+      data: { status: 'CONFIRMED' },
+    });
+    expect(assignToBibleStudy).toHaveBeenCalledWith('event-1', 'reg-1', 'member-minor', 'user-1');
+    expect(cancelRegistration).not.toHaveBeenCalled();
+  });
+
+  it('cancels the registration, freeing the seat, when consent is declined', async () => {
+    await respondToConsent(link(), { decision: 'DECLINE', guardianName: 'Ada Obi' });
+
+    expect(prisma.registration.updateMany).not.toHaveBeenCalled();
+    expect(cancelRegistration).toHaveBeenCalledWith('reg-1', 'Parental consent declined', null);
+  });
+
+  it('refuses links retired by a resend', async () => {
+    await expect(respondToConsent(link(1), { decision: 'GRANT', guardianName: 'Ada Obi' }))
+      .rejects.toThrow('This consent link is no longer valid');
+    expect(prisma.parentalConsent.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses tampered links', async () => {
+    await expect(respondToConsent(`${link()}x`, { decision: 'GRANT', guardianName: 'Ada Obi' }))
+      .rejects.toThrow(ValidationError);
+  });
+
+  it('accepts only the first of two concurrent answers', async () => {
+    prisma.parentalConsent.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(respondToConsent(link(), { decision: 'GRANT', guardianName: 'Ada Obi' }))
+      .rejects.toThrow('This consent request has already been answered');
+    expect(prisma.registration.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendConsentReminders', () => {
+  it('reminds unanswered guardians and counts the reminder', async () => {
+    prisma.parentalConsent.findMany.mockResolvedValue([{ id: 'consent-1' }]);
+
+    await expect(sendConsentReminders()).resolves.toEqual({ sent: 1 });
+    expect(sendNotification.mock.calls[0][0].subject).toMatch(/^Reminder: Consent needed for Chi Obi/);
+    expect(prisma.parentalConsent.update).toHaveBeenCalledWith({
+      where: { id: 'consent-1' },
+      data: { reminderCount: { increment: 1 }, lastReminderAt: expect.any(Date) },
+    });
+  });
+});
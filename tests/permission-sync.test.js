@@ -0,0 +1,65 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Permissions added to the catalogue after the predefined roles were seeded must still
+// reach the roles that default to them, without restoring ones an admin removed
+
+const prisma = {
+  permission: { upsert: jest.fn(), findMany: jest.fn(), updateMany: jest.fn() },
+  role: { upsert: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { syncPermissions } = await import('../src/modules/roles/service.js');
+const { DEFAULT_ROLE_PERMISSIONS } = await import('../src/lib/permissions.js');
+
+const role = (name, permissions) => ({ id: `role-${name}`, name, _count: { permissions } });
+
+const grantedTo = (name) => {
+  const call = prisma.role.update.mock.calls.find(([args]) => args.where.id === `role-${name}`);
+  return call ? call[0].data.permissions.connect.map((permission) => permission.name) : null;
+};
+
+describe('syncPermissions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.permission.findMany.mockResolvedValue([{ name: 'badges:manage' }]);
+  });
+
+  it('grants a newly added permission only to roles whose defaults include it', async () => {
+    prisma.role.findMany.mockResolvedValue([role('National Admin', 40), role('Viewer', 5)]);
+
+    const result = await syncPermissions();
+
+    expect(grantedTo('National Admin')).toEqual(['badges:manage']);
+    expect(grantedTo('Viewer')).toBeNull();
+    expect(result.extendedRoles).toEqual(['National Admin']);
+    expect(prisma.permission.updateMany).toHaveBeenCalledWith({
+      where: { name: { in: ['badges:manage'] } },
+      data: { defaultsGrantedAt: expect.any(Date) },
+    });
+  });
+
+  it('leaves existing roles alone once every permission has been granted', async () => {
+    prisma.permission.findMany.mockResolvedValue([]);
+    prisma.role.findMany.mockResolvedValue([role('National Admin', 30)]);
+
+    await syncPermissions();
+
+    expect(prisma.role.update).not.toHaveBeenCalled();
+    expect(prisma.permission.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('seeds every default into a role that has no permissions', async () => {
+    prisma.role.findMany.mockResolvedValue([role('Viewer', 0)]);
+
+    const result = await syncPermissions();
+
+    expect(grantedTo('Viewer')).toEqual(DEFAULT_ROLE_PERMISSIONS.Viewer);
+    expect(result.seededRoles).toEqual(['Viewer']);
+  });
+});
@@ -0,0 +1,187 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// A family or group registers all-or-nothing: every problem is reported at once with the
+// entry it belongs to, and a center without room for the whole party rejects (or, when
+// asked, waitlists) all of that center's entries together. Minors wait for consent from the
+// guardian registered alongside them
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const prisma = {
+  event: { findUnique: jest.fn() },
+  member: { findMany: jest.fn(), findFirst: jest.fn(), create: jest.fn() },
+  unit: { findMany: jest.fn() },
+  registration: { findMany: jest.fn(), create: jest.fn(), count: jest.fn() },
+  eventCenter: { findMany: jest.fn(), findUnique: jest.fn() },
+  registrationBatch: { create: jest.fn() },
+  guardian: { findUnique: jest.fn(), findMany: jest.fn(), create: jest.fn() },
+  parentalConsent: { create: jest.fn(), findUnique: jest.fn() },
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn((callback) => callback(prisma)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const assignToBibleStudy = jest.fn();
+jest.unstable_mockModule('../src/modules/groups/service.js', () => ({ assignToBibleStudy }));
+
+const sendNotification = jest.fn();
+jest.unstable_mockModule('../src/modules/notifications/service.js', () => ({ sendNotification }));
+
+const { createRegistrationBatch } = await import('../src/modules/registrations/batch-service.js');
+const { ValidationError } = await import('../src/middleware/error-handler.js');
+
+const EVENT = {
+  id: 'event-1',
+  unitId: 'branch-1',
+  registrationStart: new Date(Date.now() - DAY),
+  registrationEnd: new Date(Date.now() + DAY),
+  settings: { requireParentalConsent: true },
+};
+
+const CENTER = { id: 'center-1', eventId: 'event-1', centerName: 'Ikeja', isActive: true, capacity: 10 };
+
+const PARENT = {
+  id: 'member-parent',
+  authUserId: 'user-1',
+  firstName: 'Ada',
+  lastName: 'Obi',
+  isActive: true,
+  isMinor: false,
+  dateOfBirth: new Date('1985-01-01'),
+  guardians: [],
+};
+
+const child = (firstName, overrides = {}) => ({
+  newMember: { firstName, lastName: 'Obi', gender: 'FEMALE', dateOfBirth: '2016-05-01', ...overrides },
+});
+
+const batch = (members, extra = {}) => ({
+  eventId: 'event-1',
+  centerId: 'center-1',
+  participationMode: 'ONSITE',
+  members,
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.event.findUnique.mockResolvedValue(EVENT);
+  prisma.member.findMany.mockImplementation(async ({ where }) =>
+    (where.id ? [PARENT].filter((member) => where.id.in.includes(member.id)) : []));
+  // The registrar: a parent in branch-1 without any admin role
+  prisma.member.findFirst.mockResolvedValue({ id: 'member-parent', branchId: 'branch-1', roleAssignments: [] });
+  prisma.unit.findMany.mockImplementation(async ({ where }) =>
+    ['branch-1', 'branch-2'].filter((id) => where.id.in.includes(id)).map((id) => ({ id })));
+  prisma.member.create.mockImplementation(async ({ data }) => ({ id: `member-${data.firstName}`, ...data }));
+  prisma.registration.findMany.mockResolvedValue([]);
+  prisma.registration.count.mockResolvedValue(0);
+  prisma.registration.create.mockImplementation(async ({ data }) => ({
+    id: `reg-${data.memberId}`,
+    ...data,
+    member: { fcsCode: 'FCS-1', firstName: 'Ada', lastName: 'Obi' },
+  }));
+  prisma.eventCenter.findMany.mockResolvedValue([CENTER]);
+  prisma.eventCenter.findUnique.mockResolvedValue(CENTER);
+  prisma.registrationBatch.create.mockResolvedValue({ id: 'batch-1', label: null });
+  prisma.guardian.findUnique.mockResolvedValue(null);
+  prisma.guardian.findMany.mockResolvedValue([
+    { relationship: 'PARENT', guardian: { ...PARENT, email: 'ada@example.com' } },
+  ]);
+  prisma.parentalConsent.create.mockImplementation(async ({ data }) => ({ id: `consent-${data.memberId}`, ...data }));
+  prisma.parentalConsent.findUnique.mockResolvedValue(null);
+});
+
+describe('createRegistrationBatch', () => {
+  it('registers a parent with a new child and links them', async () => {
+    const result = await createRegistrationBatch(
+      batch([{ memberId: 'member-parent' }, { ...child('Chi'), guardianIndex: 0 }]),
+      'user-1'
+    );
+
+    expect(result).toMatchObject({ total: 2, confirmed: 1, pendingConsent: 1, membersCreated: 1, guardianLinksCreated: 1 });
+    expect(prisma.guardian.create).toHaveBeenCalledWith({
+      data: { memberId: 'member-Chi', guardianId: 'member-parent', relationship: 'PARENT' },
+    });
+    expect(prisma.parentalConsent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ memberId: 'member-Chi', guardianMemberId: 'member-parent' }),
+    });
+    expect(assignToBibleStudy).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports every problem with its entry and registers nobody', async () => {
+    const attempt = createRegistrationBatch(
+      batch([{ memberId: 'member-missing' }, child('Chi'), { memberId: 'member-parent', centerId: 'center-other' }]),
+      'user-2'
+    );
+
+    await expect(attempt).rejects.toThrow(ValidationError);
+    const { details } = await attempt.catch((error) => error);
+    expect(details).toEqual(expect.arrayContaining([
+      { index: 0, message: 'Member not found' },
+      { index: 1, message: 'Chi Obi is a minor; include their parent or guardian in this registration' },
+      { index: 2, message: 'Selected center is not available' },
+    ]));
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+    expect(prisma.registration.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects the whole party when the center cannot seat all of it', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue({ ...CENTER, capacity: 2 });
+    prisma.registration.count.mockResolvedValue(1);
+
+    await expect(createRegistrationBatch(
+      batch([{ memberId: 'member-parent' }, { ...child('Chi'), guardianIndex: 0 }]),
+      'user-1'
+    )).rejects.toThrow('Ikeja has 1 seat(s) left for 2 people; nothing was registered');
+    expect(prisma.$queryRaw).toHaveBeenCalled();
+    expect(prisma.member.create).not.toHaveBeenCalled();
+  });
+
+  it('waitlists the whole party together when asked to', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue({ ...CENTER, capacity: 2 });
+    prisma.registration.count.mockResolvedValue(1);
+
+    const result = await createRegistrationBatch(
+      batch([{ memberId: 'member-parent' }, { ...child('Chi'), guardianIndex: 0 }], { waitlistIfFull: true }),
+      'user-1'
+    );
+
+    expect(result).toMatchObject({ confirmed: 0, waitlisted: 2 });
+    expect(assignToBibleStudy).not.toHaveBeenCalled();
+    // The child's consent is requested when promotion gives them a seat
+    expect(prisma.parentalConsent.create).not.toHaveBeenCalled();
+  });
+
+  it('adds new members to the registrar\'s own branch', async () => {
+    const result = await createRegistrationBatch(
+      batch([{ memberId: 'member-parent' }, { ...child('Chi', { branchId: 'branch-1' }), guardianIndex: 0 }]),
+      'user-1'
+    );
+
+    expect(result.membersCreated).toBe(1);
+    expect(prisma.member.create.mock.calls[0][0].data.branchId).toBe('branch-1');
+  });
+
+  it('reports unknown branches and branches outside the registrar\'s scope per entry', async () => {
+    const attempt = createRegistrationBatch(
+      batch([
+        { memberId: 'member-parent' },
+        { ...child('Chi', { branchId: 'branch-missing' }), guardianIndex: 0 },
+        { ...child('Obi', { branchId: 'branch-2' }), guardianIndex: 0 },
+      ]),
+      'user-1'
+    );
+
+    const { details } = await attempt.catch((error) => error);
+    expect(details).toEqual([
+      { index: 1, message: 'Unknown branchId "branch-missing"' },
+      { index: 2, message: 'branchId "branch-2" is outside your scope' },
+    ]);
+    expect(prisma.member.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// A deactivated role stops granting permissions and scope at once, and one user's roles
+// and permissions are only visible to themselves or to holders of roles:read
+
+const prisma = {
+  centerAdmin: { count: jest.fn() },
+  permission: { findMany: jest.fn() },
+  member: { findFirst: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { getUserPermissions } = await import('../src/modules/roles/service.js');
+const { getAdminScope } = await import('../src/middleware/scope-validator.js');
+const { requireSelfOrPermission } = await import('../src/middleware/auth.js');
+const { ForbiddenError } = await import('../src/middleware/error-handler.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.centerAdmin.count.mockResolvedValue(0);
+  prisma.permission.findMany.mockResolvedValue([]);
+  prisma.member.findFirst.mockResolvedValue(null);
+});
+
+describe('deactivated roles', () => {
+  it('grant no permissions', async () => {
+    await getUserPermissions('user-1');
+
+    expect(prisma.permission.findMany.mock.calls[0][0].where.roles.some).toMatchObject({ isActive: true });
+  });
+
+  it('confer no scope', async () => {
+    await getAdminScope('user-1');
+
+    const { where } = prisma.member.findFirst.mock.calls[0][0].include.roleAssignments;
+    expect(where.role).toEqual({ isActive: true });
+  });
+});
+
+describe('requireSelfOrPermission', () => {
+  const guard = requireSelfOrPermission('userId', 'roles:read');
+  const request = (userId, grants = []) => ({
+    userId,
+    params: { userId: 'user-1' },
+    permissionsPromise: Promise.resolve(new Set(grants)),
+  });
+
+  it('lets users look themselves up', async () => {
+    const next = jest.fn();
+    await guard(request('user-1'), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('lets holders of the permission look anyone up', async () => {
+    const next = jest.fn();
+    await guard(request('admin', ['roles:read']), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('refuses anyone else', async () => {
+    const next = jest.fn();
+    await guard(request('user-2'), {}, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+  });
+});
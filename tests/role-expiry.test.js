@@ -0,0 +1,54 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Expired temporary roles are removed by the system, and the audit trail says so
+// rather than crediting the person who granted them
+
+const tx = {
+  roleAssignment: { deleteMany: jest.fn() },
+  auditLog: { create: jest.fn() },
+};
+
+const prisma = {
+  roleAssignment: { findMany: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { sweepExpiredRoleAssignments } = await import('../src/modules/roles/delegation-service.js');
+
+const EXPIRED = {
+  id: 'assignment-1',
+  memberId: 'member-1',
+  roleId: 'role-registrar',
+  unitId: 'branch-1',
+  assignedBy: 'granter',
+  expiresAt: new Date(Date.now() - 1000),
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.roleAssignment.findMany.mockResolvedValue([EXPIRED]);
+  tx.roleAssignment.deleteMany.mockResolvedValue({ count: 1 });
+});
+
+describe('sweepExpiredRoleAssignments', () => {
+  it('records the removal as done by the system', async () => {
+    await expect(sweepExpiredRoleAssignments()).resolves.toEqual({ removed: 1 });
+
+    expect(tx.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ entityId: 'assignment-1', action: 'EXPIRE', createdBy: 'SYSTEM' }),
+    });
+  });
+
+  it('leaves grants extended or revoked in the meantime alone', async () => {
+    tx.roleAssignment.deleteMany.mockResolvedValue({ count: 0 });
+
+    await expect(sweepExpiredRoleAssignments()).resolves.toEqual({ removed: 0 });
+    expect(tx.auditLog.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Global roles confer national scope, so only national admins may grant them,
+// whichever path the grant takes (invite, temporary delegation, user or role assignment),
+// and only they may make a role global or change its two-factor requirement
+
+const prisma = {
+  role: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+  member: { findFirst: jest.fn() },
+  unit: { findUnique: jest.fn() },
+  authUser: { findUnique: jest.fn() },
+  roleAssignment: { findFirst: jest.fn(), create: jest.fn() },
+  invite: { findFirst: jest.fn(), create: jest.fn() },
+  $transaction: jest.fn(),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const { assertCanGrantRole } = await import('../src/middleware/scope-validator.js');
+const { ForbiddenError } = await import('../src/middleware/error-handler.js');
+const { createInvite } = await import('../src/modules/invites/service.js');
+const { grantTemporaryRole } = await import('../src/modules/roles/delegation-service.js');
+const { assignUserRole } = await import('../src/modules/users/service.js');
+const { assignRoleToUser, createRole, updateRole } = await import('../src/modules/roles/service.js');
+
+const NATIONAL_ADMIN = { id: 'role-national', name: 'National Admin', isGlobal: true };
+const BRANCH_ADMIN = { id: 'role-branch', name: 'Branch Admin', isGlobal: false };
+
+const memberWith = (role, unitId) => ({
+  id: `member-${role.id}`,
+  authUserId: 'granter',
+  roleAssignments: [{ role, unitId, unit: { id: unitId, unitType: { name: 'Branch' } } }],
+});
+
+const REFUSED = 'Only national administrators can grant the National Admin role';
+
+const grantedBy = (member) => {
+  prisma.member.findFirst.mockResolvedValue(member);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.unit.findUnique.mockResolvedValue({ id: 'branch-1', parentId: null });
+  prisma.authUser.findUnique.mockResolvedValue({ id: 'target', members: [{ id: 'target-member' }] });
+  prisma.role.findUnique.mockResolvedValue(NATIONAL_ADMIN);
+});
+
+describe('assertCanGrantRole', () => {
+  it('lets anyone pass a role without global scope on to the unit checks', async () => {
+    await expect(assertCanGrantRole('granter', BRANCH_ADMIN)).resolves.toBeUndefined();
+    expect(prisma.member.findFirst).not.toHaveBeenCalled();
+  });
+
+  it('rejects a global role from a unit admin', async () => {
+    grantedBy(memberWith(BRANCH_ADMIN, 'branch-1'));
+    await expect(assertCanGrantRole('granter', NATIONAL_ADMIN)).rejects.toThrow(ForbiddenError);
+  });
+
+  it('allows a global role from a national admin', async () => {
+    grantedBy(memberWith(NATIONAL_ADMIN, null));
+    await expect(assertCanGrantRole('granter', NATIONAL_ADMIN)).resolves.toBeUndefined();
+  });
+});
+
+describe('granting National Admin as a Branch Admin at their own branch', () => {
+  beforeEach(() => {
+    grantedBy(memberWith(BRANCH_ADMIN, 'branch-1'));
+  });
+
+  it('is refused for invitations', async () => {
+    await expect(
+      createInvite({ email: 'new@example.com', role: 'National Admin', unitId: 'branch-1' }, 'granter')
+    ).rejects.toThrow(REFUSED);
+    expect(prisma.invite.create).not.toHaveBeenCalled();
+  });
+
+  it('is refused for temporary delegation', async () => {
+    await expect(
+      grantTemporaryRole(
+        { userId: 'target', role: 'National Admin', unitId: 'branch-1', expiresAt: new Date(Date.now() + 3600 * 1000) },
+        'granter'
+      )
+    ).rejects.toThrow(REFUSED);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('is refused for user role assignment', async () => {
+    await expect(assignUserRole('target', 'National Admin', 'branch-1', 'granter')).rejects.toThrow(REFUSED);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('is refused for role assignment by id', async () => {
+    await expect(assignRoleToUser('target', NATIONAL_ADMIN.id, 'branch-1', 'granter')).rejects.toThrow(REFUSED);
+    expect(prisma.roleAssignment.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('role flags', () => {
+  const FLAGS_REFUSED = 'Only national administrators can make a role global or change its two-factor requirement';
+
+  beforeEach(() => {
+    prisma.role.create.mockImplementation(async ({ data }) => ({ id: 'role-new', ...data, permissions: [] }));
+    prisma.role.update.mockImplementation(async ({ data }) => ({ ...BRANCH_ADMIN, ...data, permissions: [] }));
+  });
+
+  it('refuses a unit admin creating a global or 2FA role', async () => {
+    grantedBy(memberWith(BRANCH_ADMIN, 'branch-1'));
+    prisma.role.findUnique.mockResolvedValue(null);
+
+    await expect(createRole({ name: 'Shadow Admin', isGlobal: true }, 'granter')).rejects.toThrow(FLAGS_REFUSED);
+    await expect(createRole({ name: 'Lax Admin', requiresTwoFactor: true }, 'granter')).rejects.toThrow(FLAGS_REFUSED);
+    expect(prisma.role.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a unit admin changing either flag on an existing role', async () => {
+    grantedBy(memberWith(BRANCH_ADMIN, 'branch-1'));
+    prisma.role.findUnique.mockResolvedValue({ ...BRANCH_ADMIN, requiresTwoFactor: true });
+
+    await expect(updateRole('role-branch', { isGlobal: true }, 'granter')).rejects.toThrow(FLAGS_REFUSED);
+    await expect(updateRole('role-branch', { requiresTwoFactor: false }, 'granter')).rejects.toThrow(FLAGS_REFUSED);
+    expect(prisma.role.update).not.toHaveBeenCalled();
+  });
+
+  it('lets a unit admin edit other fields, resending unchanged flags', async () => {
+    grantedBy(memberWith(BRANCH_ADMIN, 'branch-1'));
+    prisma.role.findUnique.mockResolvedValue({ ...BRANCH_ADMIN, requiresTwoFactor: false });
+
+    await updateRole('role-branch', { description: 'Runs a branch', isGlobal: false, requiresTwoFactor: false }, 'granter');
+    expect(prisma.role.update).toHaveBeenCalled();
+  });
+
+  it('lets a national admin create a global role', async () => {
+    grantedBy(memberWith(NATIONAL_ADMIN, null));
+    prisma.role.findUnique.mockResolvedValue(null);
+
+    await expect(createRole({ name: 'Deputy National Admin', isGlobal: true }, 'granter'))
+      .resolves.toMatchObject({ isGlobal: true });
+  });
+});
@@ -0,0 +1,153 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Every refresh spends the presented token; presenting a spent one means a copy leaked,
+// so the whole session (every device token in the family) is revoked
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const prisma = {
+  systemConfig: { findMany: jest.fn(async () => []) },
+  authSession: { create: jest.fn(), update: jest.fn(), updateMany: jest.fn(), findUnique: jest.fn() },
+  refreshToken: { create: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() },
+  member: { findFirst: jest.fn() },
+  roleAssignment: { count: jest.fn() },
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+} = await import('../src/modules/auth/session-service.js');
+const { UnauthorizedError } = await import('../src/middleware/error-handler.js');
+
+const USER = { id: 'user-1', email: 'ada@example.com', phoneNumber: null, isActive: true };
+
+const session = (overrides = {}) => ({
+  id: 'session-1',
+  userId: 'user-1',
+  revoked: false,
+  createdAt: new Date(Date.now() - DAY),
+  expiresAt: new Date(Date.now() + DAY),
+  user: USER,
+  ...overrides,
+});
+
+const storedToken = (overrides = {}) => ({
+  id: 'refresh-1',
+  usedAt: null,
+  expiresAt: new Date(Date.now() + DAY),
+  session: session(),
+  ...overrides,
+});
+
+const REVOKED_FOR_REUSE = {
+  where: { id: 'session-1', revoked: false },
+  data: { revoked: true, revokedAt: expect.any(Date), revokedReason: 'TOKEN_REUSE' },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.authSession.create.mockImplementation(async ({ data }) => ({ id: 'session-1', ...data }));
+  prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+  prisma.refreshToken.updateMany.mockResolvedValue({ count: 1 });
+  prisma.member.findFirst.mockResolvedValue(null);
+  prisma.roleAssignment.count.mockResolvedValue(0);
+});
+
+describe('rotateRefreshToken', () => {
+  it('spends the token and issues a new one for the same session', async () => {
+    const signedIn = await createSession(USER);
+    const storedHash = prisma.refreshToken.create.mock.calls[0][0].data.tokenHash;
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken());
+
+    const rotated = await rotateRefreshToken(signedIn.refreshToken);
+
+    expect(prisma.refreshToken.findUnique.mock.calls[0][0].where).toEqual({ tokenHash: storedHash });
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+      where: { id: 'refresh-1', usedAt: null },
+      data: { usedAt: expect.any(Date) },
+    });
+    expect(rotated.refreshToken).not.toBe(signedIn.refreshToken);
+    expect(rotated.session.id).toBe('session-1');
+    expect(prisma.authSession.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session when a spent token is presented again', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken({ usedAt: new Date(Date.now() - 1000) }));
+
+    await expect(rotateRefreshToken('stolen-copy')).rejects.toThrow(UnauthorizedError);
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith(REVOKED_FOR_REUSE);
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session when two refreshes race for the same token', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken());
+    prisma.refreshToken.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(rotateRefreshToken('raced')).rejects.toThrow(UnauthorizedError);
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith(REVOKED_FOR_REUSE);
+  });
+
+  it('refuses tokens of a revoked session without issuing new ones', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken({ session: session({ revoked: true }) }));
+
+    await expect(rotateRefreshToken('after-sign-out')).rejects.toThrow('Invalid or expired refresh token');
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('ends a password-only session once the user\'s roles require two-factor', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken());
+    prisma.roleAssignment.count.mockResolvedValue(1);
+
+    await expect(rotateRefreshToken('password-only')).rejects.toThrow('Two-factor authentication is required');
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      ...REVOKED_FOR_REUSE,
+      data: { ...REVOKED_FOR_REUSE.data, revokedReason: 'TWO_FACTOR_REQUIRED' },
+    });
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('slides the session forward by the refresh lifetime', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken());
+
+    const rotated = await rotateRefreshToken('fresh');
+
+    expect(rotated.session.expiresAt.getTime()).toBeGreaterThan(Date.now() + 7 * DAY - 1000);
+    expect(rotated.session.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 7 * DAY);
+  });
+
+  it('never extends a session past its maximum age from sign-in', async () => {
+    const createdAt = new Date(Date.now() - 28 * DAY);
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken({ session: session({ createdAt }) }));
+
+    const rotated = await rotateRefreshToken('long-lived');
+
+    expect(rotated.session.expiresAt).toEqual(new Date(createdAt.getTime() + 30 * DAY));
+  });
+
+  it('refuses unknown tokens', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(null);
+
+    await expect(rotateRefreshToken('made-up')).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+describe('isSessionActive', () => {
+  it('stops accepting access tokens once their session is revoked', async () => {
+    prisma.authSession.findUnique.mockResolvedValue({ userId: 'user-1', revoked: true, expiresAt: new Date(Date.now() + DAY) });
+
+    await expect(isSessionActive('session-1', 'user-1')).resolves.toBe(false);
+  });
+
+  it('refuses a session that belongs to someone else', async () => {
+    prisma.authSession.findUnique.mockResolvedValue({ userId: 'user-2', revoked: false, expiresAt: new Date(Date.now() + DAY) });
+
+    await expect(isSessionActive('session-1', 'user-1')).resolves.toBe(false);
+  });
+});
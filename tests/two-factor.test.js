@@ -0,0 +1,197 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// A correct password for a 2FA account yields a challenge, not a session; the challenge is
+// completed once with a fresh TOTP code or an unused backup code, and wrong codes count
+// towards the account lockout, as do wrong codes when changing 2FA settings
+
+const MINUTE = 60 * 1000;
+
+const prisma = {
+  systemConfig: { findMany: jest.fn(async () => []) },
+  authUser: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  twoFactorChallenge: { create: jest.fn(), findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  twoFactorBackupCode: { findFirst: jest.fn(), updateMany: jest.fn(), deleteMany: jest.fn(), createMany: jest.fn() },
+  authThrottle: { findMany: jest.fn(), findUnique: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+  auditLog: { create: jest.fn() },
+  $transaction: jest.fn((callback) => callback(prisma)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+jest.unstable_mockModule('../src/lib/channels/index.js', () => ({ sendThroughChannel: jest.fn() }));
+
+const {
+  createLoginChallenge,
+  completeLoginChallenge,
+  regenerateBackupCodes,
+} = await import('../src/modules/auth/two-factor-service.js');
+const { generateTotp, generateTotpSecret } = await import('../src/lib/totp.js');
+const { UnauthorizedError, ValidationError } = await import('../src/middleware/error-handler.js');
+
+const SECRET = generateTotpSecret();
+
+const USER = {
+  id: 'user-1',
+  email: 'ada@example.com',
+  isActive: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: SECRET,
+  twoFactorLastStep: null,
+};
+
+const challenge = (overrides = {}) => ({
+  id: 'challenge-1',
+  purpose: 'VERIFY',
+  attempts: 0,
+  usedAt: null,
+  expiresAt: new Date(Date.now() + 5 * MINUTE),
+  user: USER,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.twoFactorChallenge.findUnique.mockResolvedValue(challenge());
+  prisma.twoFactorChallenge.updateMany.mockResolvedValue({ count: 1 });
+  prisma.authUser.updateMany.mockResolvedValue({ count: 1 });
+  prisma.twoFactorBackupCode.findFirst.mockResolvedValue(null);
+  prisma.twoFactorBackupCode.updateMany.mockResolvedValue({ count: 1 });
+  prisma.authThrottle.findMany.mockResolvedValue([]);
+  prisma.authThrottle.findUnique.mockResolvedValue(null);
+});
+
+describe('createLoginChallenge', () => {
+  it('asks enrolled users for a code without creating a session', async () => {
+    const response = await createLoginChallenge(USER);
+
+    expect(response).toMatchObject({ twoFactorRequired: true, purpose: 'VERIFY' });
+    expect(response.challengeToken).toEqual(expect.any(String));
+    expect(response.setup).toBeUndefined();
+  });
+
+  it('gives users who must enrol a secret to set up their app with', async () => {
+    const response = await createLoginChallenge({ ...USER, twoFactorEnabled: false, twoFactorSecret: null });
+
+    expect(response.purpose).toBe('ENROLL');
+    expect(response.setup.otpauthUrl).toContain(`secret=${response.setup.secret}`);
+    expect(prisma.authUser.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { twoFactorSecret: response.setup.secret },
+    });
+  });
+
+  it('shows the pending secret again until enrolment completes', async () => {
+    const response = await createLoginChallenge({ ...USER, twoFactorEnabled: false });
+
+    expect(response.setup.secret).toBe(SECRET);
+    expect(prisma.authUser.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('completeLoginChallenge', () => {
+  it('accepts the current code once', async () => {
+    const result = await completeLoginChallenge('challenge-token', generateTotp(SECRET));
+
+    expect(result).toMatchObject({ user: { id: 'user-1' }, method: 'TOTP' });
+    expect(prisma.twoFactorChallenge.updateMany).toHaveBeenCalledWith({
+      where: { id: 'challenge-1', usedAt: null },
+      data: { usedAt: expect.any(Date) },
+    });
+  });
+
+  it('refuses a code whose time step was already used', async () => {
+    prisma.authUser.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(completeLoginChallenge('challenge-token', generateTotp(SECRET))).rejects.toThrow('Invalid authentication code');
+  });
+
+  it('counts a wrong code against the challenge and the account', async () => {
+    const staleCode = generateTotp(SECRET, { time: Date.now() - 10 * MINUTE });
+
+    await expect(completeLoginChallenge('challenge-token', staleCode)).rejects.toThrow(UnauthorizedError);
+    expect(prisma.twoFactorChallenge.update).toHaveBeenCalledWith({
+      where: { id: 'challenge-1' },
+      data: { attempts: { increment: 1 } },
+    });
+    expect(prisma.authThrottle.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { key_kind: { key: 'account:user-1', kind: 'LOGIN' } },
+    }));
+  });
+
+  it('accepts an unused backup code', async () => {
+    prisma.twoFactorBackupCode.findFirst.mockResolvedValue({ id: 'backup-1' });
+
+    const result = await completeLoginChallenge('challenge-token', 'abcde-12345');
+
+    expect(result.method).toBe('BACKUP_CODE');
+    expect(prisma.twoFactorBackupCode.updateMany).toHaveBeenCalledWith({
+      where: { id: 'backup-1', usedAt: null },
+      data: { usedAt: expect.any(Date) },
+    });
+  });
+
+  it('refuses expired, used and exhausted challenges', async () => {
+    for (const state of [
+      { expiresAt: new Date(Date.now() - MINUTE) },
+      { usedAt: new Date() },
+      { attempts: 5 },
+    ]) {
+      prisma.twoFactorChallenge.findUnique.mockResolvedValueOnce(challenge(state));
+      await expect(completeLoginChallenge('challenge-token', generateTotp(SECRET))).rejects.toThrow('Sign-in challenge is invalid');
+    }
+    expect(prisma.authUser.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('turns two-factor on and returns backup codes when enrolment completes', async () => {
+    prisma.twoFactorChallenge.findUnique.mockResolvedValue(challenge({
+      purpose: 'ENROLL',
+      user: { ...USER, twoFactorEnabled: false },
+    }));
+
+    const result = await completeLoginChallenge('challenge-token', generateTotp(SECRET));
+
+    expect(result.backupCodes).toHaveLength(10);
+    expect(prisma.authUser.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: expect.objectContaining({ twoFactorEnabled: true }),
+    });
+  });
+});
+
+describe('regenerateBackupCodes', () => {
+  beforeEach(() => {
+    prisma.authUser.findUnique.mockResolvedValue(USER);
+  });
+
+  it('issues new codes for a valid code', async () => {
+    const result = await regenerateBackupCodes('user-1', generateTotp(SECRET));
+
+    expect(result.backupCodes).toHaveLength(10);
+    expect(prisma.authThrottle.deleteMany).toHaveBeenCalledWith({
+      where: { kind: 'LOGIN', key: { in: ['account:user-1'] } },
+    });
+  });
+
+  it('counts a wrong code against the account', async () => {
+    const staleCode = generateTotp(SECRET, { time: Date.now() - 10 * MINUTE });
+
+    await expect(regenerateBackupCodes('user-1', staleCode)).rejects.toThrow(ValidationError);
+    expect(prisma.authThrottle.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { key_kind: { key: 'account:user-1', kind: 'LOGIN' } },
+    }));
+    expect(prisma.twoFactorBackupCode.createMany).not.toHaveBeenCalled();
+  });
+
+  it('is refused while the account is locked', async () => {
+    prisma.authThrottle.findMany.mockResolvedValue([
+      { key: 'account:user-1', kind: 'LOGIN', failedCount: 5, lockedUntil: new Date(Date.now() + MINUTE) },
+    ]);
+
+    await expect(regenerateBackupCodes('user-1', generateTotp(SECRET))).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    expect(prisma.authUser.updateMany).not.toHaveBeenCalled();
+  });
+});
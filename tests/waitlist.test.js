@@ -0,0 +1,326 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// A full center puts new registrations on its waitlist; seats are counted under a lock on
+// the center row, and freed seats go to the waitlist in the order people joined it. Minors
+// whose event asks for parental consent hold their seat as PENDING_CONSENT instead
+
+const prisma = {
+  event: { findUnique: jest.fn() },
+  member: { findUnique: jest.fn() },
+  eventCenter: { findUnique: jest.fn() },
+  guardian: { findMany: jest.fn() },
+  parentalConsent: { create: jest.fn(), findUnique: jest.fn() },
+  registration: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  registrationParticipation: { create: jest.fn(), update: jest.fn() },
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn((callback) => callback(prisma)),
+};
+
+jest.unstable_mockModule('../src/lib/prisma.js', () => ({
+  getPrismaClient: () => prisma,
+  disconnectPrisma: async () => {},
+  default: () => prisma,
+}));
+
+const assignToBibleStudy = jest.fn();
+jest.unstable_mockModule('../src/modules/groups/service.js', () => ({ assignToBibleStudy }));
+
+const sendNotification = jest.fn();
+jest.unstable_mockModule('../src/modules/notifications/service.js', () => ({ sendNotification }));
+
+const {
+  createRegistration,
+  promoteFromWaitlist,
+  cancelRegistration,
+  updateRegistrationStatus,
+  assignCenter,
+} = await import('../src/modules/registrations/service.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const EVENT = {
+  id: 'event-1',
+  title: 'Easter Retreat',
+  unitId: 'branch-1',
+  registrationStart: new Date(Date.now() - DAY),
+  registrationEnd: new Date(Date.now() + DAY),
+  startDate: new Date(Date.now() + 2 * DAY),
+};
+
+const CONSENT_EVENT = { ...EVENT, settings: { requireParentalConsent: true } };
+
+const ADULT = { id: 'member-adult', firstName: 'Ada', lastName: 'Obi', isMinor: false };
+const MINOR = { id: 'member-minor', firstName: 'Chi', lastName: 'Obi', isMinor: true, guardianEmail: 'ada@example.com' };
+
+const center = (capacity) => ({ id: 'center-1', eventId: 'event-1', centerName: 'Ikeja', isActive: true, capacity });
+
+const waitlisted = (id, minutesAgo, { member = ADULT, event = EVENT, parentalConsent = null } = {}) => ({
+  id,
+  eventId: 'event-1',
+  memberId: member.id,
+  centerId: 'center-1',
+  status: 'WAITLISTED',
+  waitlistedAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  member,
+  event,
+  parentalConsent,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.event.findUnique.mockResolvedValue(EVENT);
+  prisma.member.findUnique.mockResolvedValue({ id: 'member-1' });
+  prisma.registration.findFirst.mockResolvedValue(null);
+  prisma.registration.create.mockImplementation(async ({ data }) => ({ id: 'reg-new', ...data }));
+  prisma.registration.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+  prisma.registration.findUnique.mockResolvedValue(null);
+  prisma.guardian.findMany.mockResolvedValue([]);
+  prisma.parentalConsent.create.mockImplementation(async ({ data }) => ({ id: 'consent-1', ...data }));
+  prisma.parentalConsent.findUnique.mockResolvedValue(null);
+});
+
+describe('joining a full center', () => {
+  const register = () => createRegistration(
+    { eventId: 'event-1', memberId: 'member-1', centerId: 'center-1', participationMode: 'ONSITE' },
+    'user-1'
+  );
+
+  it('confirms while there is room', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValue(1);
+
+    const registration = await register();
+
+    expect(registration.status).toBe('CONFIRMED');
+    expect(assignToBibleStudy).toHaveBeenCalled();
+  });
+
+  it('waitlists once the last seat is taken, counting under the center lock', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValueOnce(2).mockResolvedValueOnce(3);
+
+    const registration = await register();
+
+    expect(registration.status).toBe('WAITLISTED');
+    expect(registration.waitlistedAt).toBeInstanceOf(Date);
+    expect(registration.waitlistPosition).toBe(4);
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(prisma.registration.count.mock.invocationCallOrder[0]);
+    expect(assignToBibleStudy).not.toHaveBeenCalled();
+  });
+
+  it('holds a minor\'s seat for their guardian\'s consent', async () => {
+    prisma.event.findUnique.mockResolvedValue(CONSENT_EVENT);
+    prisma.member.findUnique.mockResolvedValue(MINOR);
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValue(0);
+
+    const registration = await register();
+
+    expect(registration.status).toBe('PENDING_CONSENT');
+    expect(prisma.parentalConsent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ registrationId: 'reg-new', memberId: 'member-minor', guardianEmail: 'ada@example.com' }),
+    });
+    expect(assignToBibleStudy).not.toHaveBeenCalled();
+  });
+});
+
+describe('promoteFromWaitlist', () => {
+  it('fills only the free seats, longest-waiting first', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(3));
+    prisma.registration.count.mockResolvedValue(2);
+    prisma.registration.findMany.mockResolvedValue([waitlisted('reg-a', 30)]);
+
+    const promoted = await promoteFromWaitlist('center-1', 'user-1');
+
+    expect(prisma.registration.findMany).toHaveBeenCalledWith({
+      where: { centerId: 'center-1', status: 'WAITLISTED' },
+      orderBy: { waitlistedAt: 'asc' },
+      take: 1,
+      include: expect.objectContaining({ parentalConsent: true }),
+    });
+    expect(promoted.map((registration) => registration.id)).toEqual(['reg-a']);
+    expect(prisma.registration.update).toHaveBeenCalledWith({
+      where: { id: 'reg-a' },
+      data: { status: 'CONFIRMED', waitlistedAt: null },
+    });
+  });
+
+  it('moves a minor still owing consent to PENDING_CONSENT and asks their guardian', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(3));
+    prisma.registration.count.mockResolvedValue(2);
+    prisma.registration.findMany.mockResolvedValue([waitlisted('reg-a', 30, { member: MINOR, event: CONSENT_EVENT })]);
+
+    const [promoted] = await promoteFromWaitlist('center-1', 'user-1');
+
+    expect(promoted).toMatchObject({ status: 'PENDING_CONSENT', consentId: 'consent-1' });
+    expect(prisma.registration.update).toHaveBeenCalledWith({
+      where: { id: 'reg-a' },
+      data: { status: 'PENDING_CONSENT', waitlistedAt: null },
+    });
+    expect(prisma.parentalConsent.findUnique.mock.calls[0][0].where).toEqual({ id: 'consent-1' });
+    expect(assignToBibleStudy).not.toHaveBeenCalled();
+  });
+
+  it('confirms a minor whose guardian has already consented', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(3));
+    prisma.registration.count.mockResolvedValue(2);
+    prisma.registration.findMany.mockResolvedValue([
+      waitlisted('reg-a', 30, { member: MINOR, event: CONSENT_EVENT, parentalConsent: { id: 'consent-1', status: 'GRANTED' } }),
+    ]);
+
+    const [promoted] = await promoteFromWaitlist('center-1', 'user-1');
+
+    expect(promoted.status).toBe('CONFIRMED');
+    expect(prisma.parentalConsent.create).not.toHaveBeenCalled();
+  });
+
+  it('promotes nobody while the center is still full', async () => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValue(2);
+
+    await expect(promoteFromWaitlist('center-1')).resolves.toEqual([]);
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+
+  it('runs when a seat holder cancels', async () => {
+    prisma.registration.findUnique.mockResolvedValueOnce({
+      id: 'reg-seated',
+      status: 'CONFIRMED',
+      centerId: 'center-1',
+      registeredBy: 'user-1',
+      event: EVENT,
+      member: { authUserId: 'user-1' },
+    });
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValue(1);
+    prisma.registration.findMany.mockResolvedValue([waitlisted('reg-a', 30)]);
+
+    await cancelRegistration('reg-seated', 'Travelling', 'user-1');
+
+    expect(prisma.registration.update).toHaveBeenCalledWith({
+      where: { id: 'reg-a' },
+      data: { status: 'CONFIRMED', waitlistedAt: null },
+    });
+  });
+});
+
+describe('updateRegistrationStatus', () => {
+  const stored = (overrides = {}) => ({
+    id: 'reg-1',
+    eventId: 'event-1',
+    centerId: 'center-1',
+    status: 'CANCELLED',
+    member: ADULT,
+    event: EVENT,
+    parentalConsent: null,
+    ...overrides,
+  });
+
+  it('refuses to waitlist or hold for consent by hand', async () => {
+    prisma.registration.findUnique.mockResolvedValue(stored({ status: 'CONFIRMED' }));
+
+    await expect(updateRegistrationStatus('reg-1', 'WAITLISTED')).rejects.toThrow('cannot be assigned by hand');
+    await expect(updateRegistrationStatus('reg-1', 'PENDING_CONSENT')).rejects.toThrow('cannot be assigned by hand');
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to confirm a minor whose guardian has not consented', async () => {
+    prisma.registration.findUnique.mockResolvedValue(stored({
+      status: 'PENDING_CONSENT',
+      member: MINOR,
+      event: CONSENT_EVENT,
+      parentalConsent: { id: 'consent-1', status: 'PENDING' },
+    }));
+
+    await expect(updateRegistrationStatus('reg-1', 'CONFIRMED')).rejects.toThrow('awaiting parental consent');
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+
+  it('only gives a seat back while the center has room', async () => {
+    prisma.registration.findUnique.mockResolvedValue(stored());
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValue(2);
+
+    await expect(updateRegistrationStatus('reg-1', 'CONFIRMED')).rejects.toThrow('Center has reached maximum capacity');
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(prisma.registration.count.mock.invocationCallOrder[0]);
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+
+  it('confirms when there is room', async () => {
+    prisma.registration.findUnique.mockResolvedValue(stored());
+    prisma.eventCenter.findUnique.mockResolvedValue(center(2));
+    prisma.registration.count.mockResolvedValue(1);
+
+    await updateRegistrationStatus('reg-1', 'CONFIRMED');
+
+    expect(prisma.registration.update).toHaveBeenCalledWith({
+      where: { id: 'reg-1' },
+      data: { status: 'CONFIRMED', waitlistedAt: null },
+    });
+  });
+});
+
+describe('assignCenter', () => {
+  const waitingElsewhere = (member, event = EVENT) => ({
+    ...waitlisted('reg-a', 30, { member, event }),
+    centerId: 'center-full',
+    participation: null,
+  });
+
+  beforeEach(() => {
+    prisma.eventCenter.findUnique.mockResolvedValue(center(3));
+    prisma.registration.count.mockResolvedValue(0);
+  });
+
+  it('confirms a waitlisted adult moved to a center with room', async () => {
+    prisma.registration.findUnique.mockResolvedValueOnce(waitingElsewhere(ADULT));
+
+    await assignCenter('reg-a', 'center-1', 'ONSITE');
+
+    expect(prisma.registration.update).toHaveBeenCalledWith({
+      where: { id: 'reg-a' },
+      data: { centerId: 'center-1', status: 'CONFIRMED', waitlistedAt: null },
+    });
+    expect(assignToBibleStudy).toHaveBeenCalled();
+  });
+
+  it('counts the seats under the center lock', async () => {
+    prisma.registration.findUnique.mockResolvedValueOnce(waitingElsewhere(ADULT));
+    prisma.registration.count.mockResolvedValue(3);
+
+    await expect(assignCenter('reg-a', 'center-1', 'ONSITE')).rejects.toThrow('Center has reached maximum capacity');
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(prisma.registration.count.mock.invocationCallOrder[0]);
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses a center from another event', async () => {
+    prisma.registration.findUnique.mockResolvedValueOnce(waitingElsewhere(ADULT));
+    prisma.eventCenter.findUnique.mockResolvedValue({ ...center(3), eventId: 'event-2' });
+
+    await expect(assignCenter('reg-a', 'center-1', 'ONSITE')).rejects.toThrow('Center is not available');
+    expect(prisma.registration.update).not.toHaveBeenCalled();
+  });
+
+  it('holds a waitlisted minor\'s new seat for consent', async () => {
+    prisma.registration.findUnique.mockResolvedValueOnce(waitingElsewhere(MINOR, CONSENT_EVENT));
+
+    await assignCenter('reg-a', 'center-1', 'ONSITE');
+
+    expect(prisma.registration.update).toHaveBeenCalledWith({
+      where: { id: 'reg-a' },
+      data: { centerId: 'center-1', status: 'PENDING_CONSENT', waitlistedAt: null },
+    });
+    expect(prisma.parentalConsent.create).toHaveBeenCalled();
+    expect(assignToBibleStudy).not.toHaveBeenCalled();
+  });
+});